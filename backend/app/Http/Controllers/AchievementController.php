@@ -0,0 +1,95 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\Achievement;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Log;
+
+class AchievementController extends Controller
+{
+    /**
+     * List the authenticated user's achievements, oldest first
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function index(Request $request): JsonResponse
+    {
+        $achievements = $request->user()
+            ->achievements()
+            ->orderBy('awarded_at')
+            ->get();
+
+        return response()->json(
+            [
+                'success' => true,
+                'achievements' => $achievements->map(fn ($achievement) => $this->formatAchievement($achievement))->values()
+            ]
+        );
+    }
+
+    /**
+     * Record an achievement for the authenticated user
+     *
+     * Achievements are worked out on the device, so the same one may be sent
+     * more than once (e.g. from two devices). The first award is kept. The app
+     * sends only the code and shows the title in the user's language; a title
+     * or description sent along is kept for clients that can't.
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function store(Request $request): JsonResponse
+    {
+        $validated = $request->validate(
+            [
+                'code' => 'required|string|max:128',
+                'title' => 'nullable|string|max:255',
+                'description' => 'nullable|string|max:255',
+                'awarded_at' => 'nullable|date',
+            ]
+        );
+
+        $achievement = $request->user()->achievements()->firstOrCreate(
+            ['code' => $validated['code']],
+            [
+                'title' => $validated['title'] ?? null,
+                'description' => $validated['description'] ?? null,
+                'awarded_at' => $validated['awarded_at'] ?? now(),
+            ]
+        );
+
+        if ($achievement->wasRecentlyCreated) {
+            Log::info('Achievement awarded', [
+                'user_id' => $request->user()->id,
+                'code' => $achievement->code
+            ]);
+        }
+
+        return response()->json(
+            [
+                'success' => true,
+                'achievement' => $this->formatAchievement($achievement)
+            ],
+            $achievement->wasRecentlyCreated ? 201 : 200
+        );
+    }
+
+    /**
+     * Format an achievement for the frontend
+     *
+     * @param Achievement $achievement
+     * @return array
+     */
+    private function formatAchievement(Achievement $achievement): array
+    {
+        return [
+            'code' => $achievement->code,
+            'title' => $achievement->title,
+            'description' => $achievement->description,
+            'awarded_at' => $achievement->awarded_at?->toIso8601String(),
+        ];
+    }
+}
@@ -4,6 +4,7 @@
 
 use App\Http\Controllers\Controller;
 use App\Http\Requests\Auth\LoginRequest;
+use Illuminate\Http\JsonResponse;
 use Illuminate\Http\RedirectResponse;
 use Illuminate\Http\Request;
 use Illuminate\Support\Facades\Auth;
@@ -21,20 +22,27 @@ public function create(): View
 
     /**
      * Handle an incoming authentication request.
+     *
+     * The React app signs in with a JSON request and gets the user back
+     * instead of a redirect; the session cookie authenticates later API calls.
      */
-    public function store(LoginRequest $request): RedirectResponse
+    public function store(LoginRequest $request): RedirectResponse|JsonResponse
     {
         $request->authenticate();
 
         $request->session()->regenerate();
 
+        if ($request->expectsJson()) {
+            return response()->json(['success' => true, 'user' => $request->user()]);
+        }
+
         return redirect()->intended(route('dashboard', absolute: false));
     }
 
     /**
      * Destroy an authenticated session.
      */
-    public function destroy(Request $request): RedirectResponse
+    public function destroy(Request $request): RedirectResponse|JsonResponse
     {
         Auth::guard('web')->logout();
 
@@ -42,6 +50,10 @@ public function destroy(Request $request): RedirectResponse
 
         $request->session()->regenerateToken();
 
+        if ($request->expectsJson()) {
+            return response()->json(['success' => true]);
+        }
+
         return redirect('/');
     }
 }
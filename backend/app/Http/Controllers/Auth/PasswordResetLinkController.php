@@ -3,9 +3,11 @@
 namespace App\Http\Controllers\Auth;
 
 use App\Http\Controllers\Controller;
+use Illuminate\Http\JsonResponse;
 use Illuminate\Http\RedirectResponse;
 use Illuminate\Http\Request;
 use Illuminate\Support\Facades\Password;
+use Illuminate\Validation\ValidationException;
 use Illuminate\View\View;
 
 class PasswordResetLinkController extends Controller
@@ -23,7 +25,7 @@ public function create(): View
      *
      * @throws \Illuminate\Validation\ValidationException
      */
-    public function store(Request $request): RedirectResponse
+    public function store(Request $request): RedirectResponse|JsonResponse
     {
         $request->validate([
             'email' => ['required', 'email'],
@@ -36,6 +38,14 @@ public function store(Request $request): RedirectResponse
             $request->only('email')
         );
 
+        if ($request->expectsJson()) {
+            if ($status != Password::RESET_LINK_SENT) {
+                throw ValidationException::withMessages(['email' => __($status)]);
+            }
+
+            return response()->json(['success' => true, 'status' => __($status)]);
+        }
+
         return $status == Password::RESET_LINK_SENT
                     ? back()->with('status', __($status))
                     : back()->withInput($request->only('email'))
@@ -5,6 +5,7 @@
 use App\Http\Controllers\Controller;
 use App\Models\User;
 use Illuminate\Auth\Events\Registered;
+use Illuminate\Http\JsonResponse;
 use Illuminate\Http\RedirectResponse;
 use Illuminate\Http\Request;
 use Illuminate\Support\Facades\Auth;
@@ -25,9 +26,11 @@ public function create(): View
     /**
      * Handle an incoming registration request.
      *
+     * JSON requests from the React app get the new, signed-in user back.
+     *
      * @throws \Illuminate\Validation\ValidationException
      */
-    public function store(Request $request): RedirectResponse
+    public function store(Request $request): RedirectResponse|JsonResponse
     {
         $request->validate([
             'name' => ['required', 'string', 'max:255'],
@@ -45,6 +48,12 @@ public function store(Request $request): RedirectResponse
 
         Auth::login($user);
 
+        if ($request->expectsJson()) {
+            $request->session()->regenerate();
+
+            return response()->json(['success' => true, 'user' => $user], 201);
+        }
+
         return redirect(route('dashboard', absolute: false));
     }
 }
@@ -0,0 +1,269 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Jobs\RevalidateTaxonomy;
+use App\Models\DiscoveredSpecies;
+use App\Models\SpeciesSighting;
+use App\Services\TaxonRevalidator;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Illuminate\Support\Carbon;
+use Illuminate\Support\Facades\Cache;
+use Illuminate\Support\Facades\Log;
+
+class DiscoveredSpeciesController extends Controller
+{
+    /**
+     * @param TaxonRevalidator $revalidator Compares entries with the current GBIF backbone
+     */
+    public function __construct(private TaxonRevalidator $revalidator)
+    {
+    }
+
+    /**
+     * List every species in the authenticated user's collection
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function index(Request $request): JsonResponse
+    {
+        $species = $request->user()
+            ->discoveredSpecies()
+            ->with('sightings')
+            ->orderBy('created_at')
+            ->get();
+
+        return response()->json(
+            [
+                'success' => true,
+                'species' => $species->map(fn ($entry) => $this->formatEntry($entry))->values()
+            ]
+        );
+    }
+
+    /**
+     * Add a species to the authenticated user's collection
+     *
+     * Adding a usage key that is already collected updates the stored
+     * species data instead of creating a duplicate entry. Sightings are
+     * matched on their device-generated id, so re-sending an entry only
+     * adds the sightings the server hasn't seen yet. With `replace_sightings`
+     * the entry's sightings become exactly the ones sent, which is how an
+     * undone change is written back. A reported taxonomy change is cleared
+     * once the entry is sent in its new place.
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function store(Request $request): JsonResponse
+    {
+        $validated = $request->validate(
+            [
+                'gbif_usage_key' => 'required|integer',
+                'species_name' => 'required|string|max:255',
+                'species_data' => 'nullable|array',
+                'sightings' => 'nullable|array',
+                'replace_sightings' => 'nullable|boolean',
+                'sightings.*.id' => 'required|string|max:64',
+                'sightings.*.observed_at' => 'nullable|date',
+                'sightings.*.latitude' => 'nullable|numeric|between:-90,90',
+                'sightings.*.longitude' => 'nullable|numeric|between:-180,180',
+                'sightings.*.location_source' => 'nullable|string|in:exif,device,manual',
+                'sightings.*.photo_thumbnail' => 'nullable|string',
+                'sightings.*.candidate' => 'nullable|array',
+                'sightings.*.candidate.name' => 'nullable|string|max:255',
+                'sightings.*.candidate.score' => 'nullable|numeric',
+                'sightings.*.candidate.source' => 'nullable|string|max:255',
+            ]
+        );
+
+        $entry = $request->user()->discoveredSpecies()->updateOrCreate(
+            ['gbif_usage_key' => $validated['gbif_usage_key']],
+            [
+                'species_name' => $validated['species_name'],
+                'species_data' => $validated['species_data'] ?? null,
+            ]
+        );
+
+        foreach ($validated['sightings'] ?? [] as $sighting) {
+            $entry->sightings()->updateOrCreate(
+                ['client_id' => $sighting['id']],
+                [
+                    'observed_at' => $sighting['observed_at'] ?? null,
+                    'latitude' => $sighting['latitude'] ?? null,
+                    'longitude' => $sighting['longitude'] ?? null,
+                    'location_source' => $sighting['location_source'] ?? null,
+                    'photo_thumbnail' => $sighting['photo_thumbnail'] ?? null,
+                    'candidate_name' => $sighting['candidate']['name'] ?? null,
+                    'candidate_score' => $sighting['candidate']['score'] ?? null,
+                    'candidate_source' => $sighting['candidate']['source'] ?? null,
+                ]
+            );
+        }
+
+        if ($entry->taxonomy_change
+            && $this->revalidator->resolves($entry->taxonomy_change, $entry->gbif_usage_key, $entry->species_name, $entry->species_data)
+        ) {
+            $entry->update(['taxonomy_change' => null]);
+        }
+
+        if ($request->boolean('replace_sightings')) {
+            $entry->sightings()
+                ->whereNotIn('client_id', array_column($validated['sightings'] ?? [], 'id'))
+                ->delete();
+        }
+
+        Log::info('Species saved to collection', [
+            'user_id' => $request->user()->id,
+            'gbif_usage_key' => $entry->gbif_usage_key,
+            'created' => $entry->wasRecentlyCreated,
+            'sightings' => count($validated['sightings'] ?? [])
+        ]);
+
+        $entry->load('sightings');
+
+        return response()->json(
+            [
+                'success' => true,
+                'species' => $this->formatEntry($entry)
+            ],
+            $entry->wasRecentlyCreated ? 201 : 200
+        );
+    }
+
+    /**
+     * Remove a species from the authenticated user's collection
+     *
+     * @param Request $request
+     * @param int $usageKey GBIF usage key of the species to remove
+     * @return JsonResponse
+     */
+    public function destroy(Request $request, int $usageKey): JsonResponse
+    {
+        $deleted = $request->user()
+            ->discoveredSpecies()
+            ->where('gbif_usage_key', $usageKey)
+            ->delete();
+
+        if (!$deleted) {
+            return response()->json(
+                [
+                    'success' => false,
+                    'message' => 'Species is not in the collection'
+                ],
+                404
+            );
+        }
+
+        Log::info('Species removed from collection', [
+            'user_id' => $request->user()->id,
+            'gbif_usage_key' => $usageKey
+        ]);
+
+        return response()->json(['success' => true]);
+    }
+
+    /**
+     * Queue a check of the authenticated user's collection against the
+     * current GBIF backbone
+     *
+     * The results are read from taxonomyChanges(), which says whether the
+     * check is still running. Asking again while a check is running doesn't
+     * queue another one.
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function revalidate(Request $request): JsonResponse
+    {
+        $userId = $request->user()->id;
+        if (Cache::add(RevalidateTaxonomy::pendingKey($userId), true, now()->addMinutes(RevalidateTaxonomy::PENDING_MINUTES))) {
+            RevalidateTaxonomy::dispatch($userId);
+            Log::info('Taxonomy revalidation requested', ['user_id' => $userId]);
+        }
+
+        return response()->json(
+            [
+                'success' => true,
+                'checking' => Cache::has(RevalidateTaxonomy::pendingKey($userId))
+            ],
+            202
+        );
+    }
+
+    /**
+     * List entries in the authenticated user's collection whose taxon has
+     * changed in GBIF since they were added
+     *
+     * Each change names the entry and carries the taxon to move it to; see
+     * TaxonRevalidator::check().
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function taxonomyChanges(Request $request): JsonResponse
+    {
+        $user = $request->user();
+        $checkedAt = $user->discoveredSpecies()->max('taxonomy_checked_at');
+
+        return response()->json(
+            [
+                'success' => true,
+                'checking' => Cache::has(RevalidateTaxonomy::pendingKey($user->id)),
+                'checked_at' => $checkedAt ? Carbon::parse($checkedAt)->toIso8601String() : null,
+                'changes' => $user->discoveredSpecies()
+                    ->whereNotNull('taxonomy_change')
+                    ->orderBy('species_name')
+                    ->get()
+                    ->map(fn ($entry) => [
+                        'gbif_usage_key' => $entry->gbif_usage_key,
+                        'species_name' => $entry->species_name,
+                    ] + $entry->taxonomy_change)
+                    ->values()
+            ]
+        );
+    }
+
+    /**
+     * Format a collection entry for the frontend
+     *
+     * @param DiscoveredSpecies $entry
+     * @return array
+     */
+    private function formatEntry(DiscoveredSpecies $entry): array
+    {
+        return [
+            'id' => $entry->id,
+            'gbif_usage_key' => $entry->gbif_usage_key,
+            'species_name' => $entry->species_name,
+            'species_data' => $entry->species_data,
+            'sightings' => $entry->sightings->map(fn ($sighting) => $this->formatSighting($sighting))->values(),
+            'created_at' => $entry->created_at?->toIso8601String(),
+        ];
+    }
+
+    /**
+     * Format a sighting for the frontend
+     *
+     * @param SpeciesSighting $sighting
+     * @return array
+     */
+    private function formatSighting(SpeciesSighting $sighting): array
+    {
+        return [
+            'id' => $sighting->client_id,
+            'observed_at' => $sighting->observed_at?->toIso8601String(),
+            'latitude' => $sighting->latitude,
+            'longitude' => $sighting->longitude,
+            'location_source' => $sighting->location_source,
+            'photo_thumbnail' => $sighting->photo_thumbnail,
+            'candidate' => $sighting->candidate_name ? [
+                'name' => $sighting->candidate_name,
+                'score' => $sighting->candidate_score,
+                'source' => $sighting->candidate_source,
+            ] : null,
+        ];
+    }
+}
@@ -2,35 +2,70 @@
 
 namespace App\Http\Controllers;
 
+use App\Services\Identification\IdentificationException;
+use App\Services\Identification\IdentificationService;
+use App\Services\TaxonLineage;
+use App\Services\TaxonLookupService;
+use App\Services\VernacularNameSelector;
 use Illuminate\Http\Request;
-use Illuminate\Support\Facades\Http;
+use Illuminate\Support\Facades\Cache;
 use Illuminate\Support\Facades\Log;
 
 class SpeciesIdentifyController extends Controller
 {
-    // Common taxonomic ranks in descending order of specificity
-    private $taxonomicRanks = [
-        'domain', 'kingdom', 'phylum', 'class', 'order', 'family', 'genus', 'species'
-    ];
-    
-    // Common biological structure terms that indicate body parts
-    private $structurePatterns = [
-        'of a', 'of an', 'of the', 'part', 'structure', 'anatomy', 'system',
-        'eye', 'wing', 'leg', 'tail', 'head', 'body', 'foot', 'beak', 'fin'
+    /**
+     * GBIF ranks a candidate may have, least specific first. Kingdoms and
+     * phyla ("Animal", "Plant") are too broad to be worth offering.
+     */
+    private const RANK_SPECIFICITY = [
+        'CLASS', 'ORDER', 'FAMILY', 'GENUS', 'SPECIES', 'SUBSPECIES', 'VARIETY', 'FORM'
     ];
 
-    // Cache for species data to avoid repeated API calls
-    private $speciesCache = [];
+    /**
+     * Only the first labels of a response are worth resolving
+     */
+    private const MAX_LABELS_TO_RESOLVE = 15;
+
+    /**
+     * Fuzzy scientific-name matches below this confidence are ignored
+     */
+    private const MIN_FUZZY_CONFIDENCE = 90;
+
+    /**
+     * Dataset key of the GBIF backbone taxonomy
+     */
+    private const GBIF_BACKBONE_DATASET = 'd7dddbf4-2cf0-4f39-9b2a-bb099caae36c';
+
+    /**
+     * Languages to choose common names in for this request, most preferred first
+     *
+     * @var string[]
+     */
+    private array $nameLanguages = [];
+
+    /**
+     * @param TaxonLookupService $lookup Cached GBIF, iNaturalist and Wikipedia lookups
+     * @param VernacularNameSelector $names Picks common names in the user's languages
+     * @param TaxonLineage $lineage Ancestors of a taxon in the GBIF backbone
+     */
+    public function __construct(
+        private TaxonLookupService $lookup,
+        private VernacularNameSelector $names,
+        private TaxonLineage $lineage
+    ) {
+    }
 
     /**
      * Main method for identifying species from an image or name
      *
      * @param Request $request
+     * @param IdentificationService $identification Enabled identification providers
      * @return \Illuminate\Http\JsonResponse
      */
-    public function identify(Request $request)
+    public function identify(Request $request, IdentificationService $identification)
     {
         Log::info('=== SPECIES IDENTIFICATION STARTED ===');
+        $this->nameLanguages = $this->names->languages($request->input('languages'));
         
         // Check if this is a name-based search (GET request with name parameter)
         if ($request->isMethod('get') && $request->has('name')) {
@@ -49,18 +84,28 @@ public function identify(Request $request)
             'mime_type' => $request->file('image')->getMimeType()
         ]);
         
-        // Step 1: Process the image with Google Cloud Vision API
-        $imageData = base64_encode(file_get_contents($request->file('image')->getRealPath()));
-        Log::info('Image encoded for Vision API', ['data_length' => strlen($imageData)]);
-        
-        $detections = $this->detectImageContent($imageData);
-        
-        if (isset($detections['error'])) {
-            Log::error('Vision API returned error', $detections);
-            return response()->json($detections, 500);
+        // Step 1: Ask every enabled provider and merge their candidates
+        try {
+            $result = $identification->identify(
+                file_get_contents($request->file('image')->getRealPath()),
+                $request->file('image')->getMimeType()
+            );
+        } catch (IdentificationException $e) {
+            Log::error('Identification failed', ['message' => $e->getMessage(), 'details' => $e->details]);
+            return response()->json(
+                [
+                    'error' => $e->getMessage(),
+                    'details' => $e->details
+                ],
+                500
+            );
         }
         
-        Log::info('Vision API detections received', [
+        $detections = $result['detections'];
+        $objects = $result['objects'];
+        
+        Log::info('Identification detections received', [
+            'providers' => array_keys($result['providers']),
             'detection_count' => count($detections),
             'top_5_detections' => array_slice($detections, 0, 5)
         ]);
@@ -76,13 +121,17 @@ public function identify(Request $request)
         // Step 3: Return detections and species options for user selection
         Log::info('=== SPECIES IDENTIFICATION COMPLETED ===', [
             'total_detections' => count($detections),
+            'localized_objects' => count($objects),
             'species_options' => count($speciesOptions)
         ]);
         
+        // `objects` lets the client identify each organism in the photo separately
         return response()->json(
             [
                 'success' => true,
                 'detections' => $detections,
+                'objects' => $objects,
+                'providers' => $result['providers'],
                 'species_options' => $speciesOptions
             ]
         );
@@ -129,387 +178,259 @@ private function identifyByName(Request $request)
     }
     
     /**
-     * Process an image with Google Cloud Vision API
+     * Resolve detections against the GBIF backbone and keep the real taxa
+     *
+     * Labels that match no taxon ("Beak", "Twig") or only a very broad one
+     * ("Animal", "Plant") are dropped. The rest are ordered by how specific
+     * their rank is, then by score. When GBIF can't be reached a label is
+     * kept unresolved rather than lost, after all resolved candidates.
      *
-     * @param string $imageData Base64-encoded image data
-     * @return array Array of detections or error
+     * @param array $detections Array of detected objects and labels
+     * @return array Array of species options for user selection
      */
-    private function detectImageContent(string $imageData): array
+    private function getSpeciesOptionsFromDetections(array $detections): array
     {
-        Log::info('=== VISION API PROCESSING STARTED ===', ['image_data_length' => strlen($imageData)]);
-        
-        $apiKey = env('GOOGLE_CLOUD_VISION_API_KEY');
-        
-        // Check if API key exists
-        if (!$apiKey) {
-            Log::error('Google Cloud Vision API key not found in environment');
-            return ['error' => 'Google Cloud Vision API key not found in environment'];
+        if (empty($detections)) {
+            return [];
         }
-        
-        Log::info('API key found, preparing Vision API request');
-        
-        // Vision API URL
-        $visionUrl = 'https://vision.googleapis.com/v1/images:annotate?key=' . $apiKey;
-        
-        $payload = [
-            'requests' => [[
-                'image' => ['content' => $imageData],
-                'features' => [
-                    ['type' => 'LABEL_DETECTION', 'maxResults' => 20],
-                    ['type' => 'OBJECT_LOCALIZATION', 'maxResults' => 10]
-                ],
-            ]]
-        ];
-        
-        Log::info('Sending request to Vision API', [
-            'url' => $visionUrl,
-            'features' => ['LABEL_DETECTION (max 20)', 'OBJECT_LOCALIZATION (max 10)']
-        ]);
-        
-        $response = Http::post($visionUrl, $payload);
-        
-        Log::info('Vision API response received', [
-            'status_code' => $response->status(),
-            'response_ok' => $response->ok(),
-            'response_size' => strlen($response->body())
+
+        Log::info('Resolving detections against the GBIF backbone', [
+            'detection_count' => count($detections),
+            'detections' => array_slice($detections, 0, 10)
         ]);
-        
-        if (!$response->ok()) {
-            Log::error('Vision API request failed', [
-                'status' => $response->status(),
-                'response_body' => $response->body(),
-                'response_json' => $response->json()
-            ]);
-            return [
-                'error' => 'Vision API error',
-                'details' => $response->json() ?? 'No response details',
-                'status' => $response->status()
+
+        $speciesOptions = [];
+        foreach (array_slice($detections, 0, self::MAX_LABELS_TO_RESOLVE) as $detection) {
+            $match = $this->_matchLabelToTaxon($detection['description']);
+
+            if ($match === false) {
+                Log::debug("Dropped non-taxon or generic label: {$detection['description']}");
+                continue;
+            }
+
+            // Two labels for the same taxon ("Magpie", "Pica pica"): keep the better scored
+            $gbifKey = $match['usageKey'] ?? null;
+            if ($gbifKey !== null) {
+                foreach ($speciesOptions as $existing) {
+                    if ($existing['gbif_key'] === $gbifKey) {
+                        continue 2;
+                    }
+                }
+            }
+
+            $speciesOptions[] = [
+                'name' => $detection['description'],
+                'score' => $detection['score'],
+                'source' => ($detection['source'] ?? '') === 'species_detection' ? 'species_detection' : 'general_detection',
+                'providers' => $detection['providers'] ?? [],
+                'gbif_key' => $gbifKey,
+                'scientific_name' => $match['scientificName'] ?? null,
+                'rank' => $match['rank'] ?? null,
+                'match_type' => $match['matchType'] ?? 'UNRESOLVED'
             ];
         }
-        
-        $processedResults = $this->processVisionApiResponse($response->json());
-        
-        Log::info('=== VISION API PROCESSING COMPLETED ===', [
-            'processed_detections_count' => count($processedResults)
+
+        usort(
+            $speciesOptions,
+            function ($a, $b) {
+                return $this->_rankSpecificity($b['rank']) <=> $this->_rankSpecificity($a['rank'])
+                    ?: $b['score'] <=> $a['score'];
+            }
+        );
+
+        // Limit to top 8 options to avoid overwhelming the user
+        $speciesOptions = array_slice($speciesOptions, 0, 8);
+
+        // Fetch images for each species option
+        $speciesOptionsWithImages = $this->_addImagesToSpeciesOptions($speciesOptions);
+
+        Log::info('Species options extracted with images', [
+            'option_count' => count($speciesOptionsWithImages),
+            'options' => $speciesOptionsWithImages
         ]);
-        
-        return $processedResults;
+
+        return $speciesOptionsWithImages;
     }
-    
+
     /**
-     * Process the raw Vision API response into a clean detection list
+     * How specific a GBIF rank is; higher is more specific, 0 for unknown
      *
-     * @param array $apiResponseData Raw API response data
-     * @return array Formatted list of detections
+     * @param string|null $rank GBIF rank, e.g. "GENUS"
+     * @return int
      */
-    private function processVisionApiResponse(array $apiResponseData): array
+    private function _rankSpecificity(?string $rank): int
     {
-        $apiResponse = $apiResponseData['responses'][0] ?? [];
-        $labels = $apiResponse['labelAnnotations'] ?? [];
-        $objects = $apiResponse['localizedObjectAnnotations'] ?? [];
-        
-        // Combine labels and objects into a single array
-        $allDetections = [];
-        
-        // Add labels
-        foreach ($labels as $label) {
-            $allDetections[] = [
-                'description' => $label['description'],
-                'score' => $label['score'],
-                'mid' => $label['mid'] ?? '',
-                'source' => 'label_detection'
-            ];
-        }
-        
-        // Add objects if they aren't already in the labels
-        foreach ($objects as $object) {
-            $found = false;
-            foreach ($allDetections as $detection) {
-                if (strtolower($detection['description']) === strtolower($object['name'])) {
-                    $found = true;
-                    break;
-                }
-            }
-            
-            if (!$found) {
-                $allDetections[] = [
-                    'description' => $object['name'],
-                    'score' => $object['score'],
-                    'mid' => $object['mid'] ?? '',
-                    'source' => 'object_detection'
-                ];
-            }
-        }
-        
-        // Sort by confidence score (highest first)
-        usort(
-            $allDetections, 
-            function ($a, $b) {
-                return $b['score'] <=> $a['score'];
-            }
-        );
-        
-        return $allDetections;
+        $index = array_search($rank, self::RANK_SPECIFICITY, true);
+        return $index === false ? 0 : $index + 1;
     }
-    
+
     /**
-     * Selects the best species query from detected objects and labels
-     * 
-     * @param array $detections Array of detected objects and labels
-     * @return string|null The best query string or null if no suitable query found
+     * Match a detection label to a taxon in the GBIF backbone
+     *
+     * Scientific names are matched with /species/match. Anything else is
+     * looked up as a vernacular name, which must match one of the taxon's
+     * common names exactly so "Blue Jay" finds Cyanocitta cristata while
+     * "Blue" finds nothing. Results, including misses, are cached.
+     *
+     * @param string $label Label from an identification provider
+     * @return array|false|null Match with usageKey, scientificName, rank and
+     *                          matchType; false when the label is not a usable
+     *                          taxon; null when GBIF could not be reached
      */
-    private function getBestSpeciesQuery(array $detections): ?string
+    private function _matchLabelToTaxon(string $label)
     {
-        if (empty($detections)) {
-            return null;
+        $label = trim($label);
+        if ($label === '') {
+            return false;
         }
 
-        Log::info('Selecting best species query from detections', [
-            'detection_count' => count($detections),
-            'top_detections' => array_slice($detections, 0, 10)
-        ]);
-        
-        // Define terms to filter out (body parts, generic categories, colors, etc.)
-        $filterOutTerms = [
-            // Body parts
-            'beak', 'wing', 'tail', 'head', 'eye', 'leg', 'foot', 'feather', 'claw',
-            // Generic animal categories
-            'bird', 'vertebrate', 'animal', 'wildlife', 'terrestrial animal',
-            // Generic descriptors
-            'grey', 'gray', 'black', 'white', 'brown', 'red', 'blue', 'green',
-            // Environmental terms
-            'twig', 'branch', 'tree', 'nature', 'outdoor',
-            // Broad taxonomic groups (too general)
-            'songbirds', 'passerine', 'old world flycatchers'
-        ];
-        
-        // Filter out unwanted terms
-        $validDetections = array_filter($detections, function($detection) use ($filterOutTerms) {
-            $desc = strtolower(trim($detection['description']));
-            
-            // Filter out terms that are too generic or are body parts
-            foreach ($filterOutTerms as $term) {
-                if ($desc === $term || strpos($desc, $term) !== false) {
-                    return false;
-                }
-            }
-            
-            return true;
-        });
-        
-        Log::info('Valid detections after filtering', [
-            'valid_count' => count($validDetections),
-            'valid_detections' => array_values($validDetections)
-        ]);
-        
-        if (empty($validDetections)) {
-            Log::warning('No valid detections after filtering, using original top result');
-            return $detections[0]['description'] ?? null;
-        }
-        
-        // Sort valid detections by score (highest first)
-        usort($validDetections, function($a, $b) {
-            return $b['score'] <=> $a['score'];
-        });
-        
-        // Priority 1: Look for specific species names (containing species-specific terms)
-        $speciesTerms = [
-            'magpie', 'crow', 'jay', 'hawk', 'eagle', 'sparrow', 'robin', 'cardinal',
-            'woodpecker', 'owl', 'pigeon', 'dove', 'finch', 'warbler', 'thrush',
-            'wren', 'swallow', 'martin', 'flycatcher', 'vireo', 'tanager', 'bunting'
-        ];
-        
-        foreach ($validDetections as $detection) {
-            $desc = strtolower($detection['description']);
-            foreach ($speciesTerms as $term) {
-                if (strpos($desc, $term) !== false) {
-                    Log::info("Found species-specific term: {$detection['description']}");
-                    return $detection['description'];
-                }
-            }
+        $cacheKey = 'gbif:label-match:' . md5(strtolower($label));
+        $cached = Cache::get($cacheKey);
+        if ($cached !== null) {
+            return $cached['match'];
         }
-        
-        // Priority 2: Look for binomial nomenclature (Genus species)
-        foreach ($validDetections as $detection) {
-            $desc = $detection['description'];
-            if (preg_match('/^[A-Z][a-z]+ [a-z]+$/', $desc)) {
-                Log::info("Found binomial nomenclature: {$desc}");
-                return $desc;
+
+        try {
+            $match = $this->_matchScientificName($label);
+            if ($match === false) {
+                $match = $this->_matchVernacularName($label);
             }
+        } catch (\Exception $e) {
+            Log::warning("Could not resolve label '{$label}' against GBIF: {$e->getMessage()}");
+            return null;
         }
-        
-        // Priority 3: Avoid family-level terms, use the highest scoring remaining detection
-        foreach ($validDetections as $detection) {
-            $desc = strtolower($detection['description']);
-            if (strpos($desc, 'family') === false && strpos($desc, 'order') === false) {
-                Log::info("Using highest scoring non-family detection: {$detection['description']}");
-                return $detection['description'];
-            }
+
+        if ($match !== false && $this->_rankSpecificity($match['rank']) === 0) {
+            Log::debug("Label '{$label}' matched {$match['rank']} {$match['scientificName']}, too generic");
+            $match = false;
         }
-        
-        // Fallback: Use the top valid detection
-        $topValid = reset($validDetections);
-        Log::info("Using fallback detection: {$topValid['description']}");
-        return $topValid['description'];
+
+        Cache::put($cacheKey, ['match' => $match], now()->addWeek());
+
+        return $match;
     }
-    
+
     /**
-     * Extract clean species options from detections for user selection
-     * 
-     * @param array $detections Array of detected objects and labels
-     * @return array Array of species options for user selection
+     * Match a label as a scientific name
+     *
+     * @param string $label
+     * @return array|false
+     * @throws \RuntimeException When GBIF does not answer
      */
-    private function getSpeciesOptionsFromDetections(array $detections): array
+    private function _matchScientificName(string $label)
     {
-        if (empty($detections)) {
-            return [];
+        $result = $this->lookup->get(
+            'https://api.gbif.org/v1/species/match',
+            ['name' => $label]
+        );
+        if ($result === null) {
+            throw new \RuntimeException('GBIF match failed');
         }
 
-        Log::info('Extracting species options from detections', [
-            'detection_count' => count($detections),
-            'detections' => array_slice($detections, 0, 10)
-        ]);
-        
-        // Define terms to filter out (body parts, generic categories, colors, etc.)
-        $filterOutTerms = [
-            // Body parts
-            'beak', 'wing', 'tail', 'head', 'eye', 'leg', 'foot', 'feather', 'claw',
-            // Generic animal categories
-            'bird', 'vertebrate', 'animal', 'wildlife', 'terrestrial animal',
-            // Generic descriptors
-            'grey', 'gray', 'black', 'white', 'brown', 'red', 'blue', 'green',
-            // Environmental terms
-            'twig', 'branch', 'tree', 'nature', 'outdoor',
-            // Broad taxonomic groups (too general)
-            'songbirds', 'passerine', 'old world flycatchers'
-        ];
-        
-        // Filter out unwanted terms
-        $validDetections = array_filter($detections, function($detection) use ($filterOutTerms) {
-            $desc = strtolower(trim($detection['description']));
-            
-            // Filter out terms that are too generic or are body parts
-            foreach ($filterOutTerms as $term) {
-                if ($desc === $term || strpos($desc, $term) !== false) {
-                    return false;
-                }
-            }
-            
-            return true;
-        });
-        
-        // Sort valid detections by score (highest first)
-        usort($validDetections, function($a, $b) {
-            return $b['score'] <=> $a['score'];
-        });
-        
-        // Extract species names, prioritizing specific bird species
-        $speciesOptions = [];
-        $speciesTerms = [
-            'magpie', 'crow', 'jay', 'hawk', 'eagle', 'sparrow', 'robin', 'cardinal',
-            'woodpecker', 'owl', 'pigeon', 'dove', 'finch', 'warbler', 'thrush',
-            'wren', 'swallow', 'martin', 'flycatcher', 'vireo', 'tanager', 'bunting'
+        $matchType = $result['matchType'] ?? 'NONE';
+        $accepted = $matchType === 'EXACT'
+            || ($matchType === 'FUZZY' && ($result['confidence'] ?? 0) >= self::MIN_FUZZY_CONFIDENCE);
+        if (!$accepted || empty($result['usageKey'])) {
+            return false;
+        }
+
+        return [
+            'usageKey' => $result['acceptedUsageKey'] ?? $result['usageKey'],
+            'scientificName' => $result['canonicalName'] ?? $result['scientificName'] ?? $label,
+            'rank' => $result['rank'] ?? null,
+            'matchType' => $matchType
         ];
-        
-        // Priority 1: Look for specific species names
-        foreach ($validDetections as $detection) {
-            $desc = strtolower($detection['description']);
-            foreach ($speciesTerms as $term) {
-                if (strpos($desc, $term) !== false) {
-                    $speciesOptions[] = [
-                        'name' => $detection['description'],
-                        'score' => $detection['score'],
-                        'source' => 'species_detection'
-                    ];
-                }
-            }
+    }
+
+    /**
+     * Match a label as a common name in the backbone
+     *
+     * @param string $label
+     * @return array|false
+     * @throws \RuntimeException When GBIF does not answer
+     */
+    private function _matchVernacularName(string $label)
+    {
+        $found = $this->lookup->get(
+            'https://api.gbif.org/v1/species/search',
+            [
+                'q' => $label,
+                'qField' => 'VERNACULAR',
+                'datasetKey' => self::GBIF_BACKBONE_DATASET,
+                'limit' => 10
+            ]
+        );
+        if ($found === null) {
+            throw new \RuntimeException('GBIF vernacular search failed');
         }
-        
-        // Priority 2: Add other valid detections (avoiding family terms)
-        foreach ($validDetections as $detection) {
-            $desc = strtolower($detection['description']);
-            if (strpos($desc, 'family') === false && strpos($desc, 'order') === false) {
-                // Avoid duplicates
-                $alreadyAdded = false;
-                foreach ($speciesOptions as $existing) {
-                    if (strtolower($existing['name']) === $desc) {
-                        $alreadyAdded = true;
-                        break;
-                    }
-                }
-                
-                if (!$alreadyAdded) {
-                    $speciesOptions[] = [
-                        'name' => $detection['description'],
-                        'score' => $detection['score'],
-                        'source' => 'general_detection'
+
+        $wanted = strtolower($label);
+        foreach ($found['results'] ?? [] as $result) {
+            if (($result['taxonomicStatus'] ?? 'ACCEPTED') !== 'ACCEPTED' || empty($result['key'])) {
+                continue;
+            }
+            foreach ($result['vernacularNames'] ?? [] as $vernacular) {
+                if (strtolower(trim($vernacular['vernacularName'] ?? '')) === $wanted) {
+                    return [
+                        'usageKey' => $result['nubKey'] ?? $result['key'],
+                        'scientificName' => $result['canonicalName'] ?? $result['scientificName'] ?? $label,
+                        'rank' => $result['rank'] ?? null,
+                        'matchType' => 'VERNACULAR'
                     ];
                 }
             }
         }
-        
-        // Limit to top 8 options to avoid overwhelming the user
-        $speciesOptions = array_slice($speciesOptions, 0, 8);
-        
-        // Fetch images for each species option
-        $speciesOptionsWithImages = $this->_addImagesToSpeciesOptions($speciesOptions);
-        
-        Log::info('Species options extracted with images', [
-            'option_count' => count($speciesOptionsWithImages),
-            'options' => $speciesOptionsWithImages
-        ]);
-        
-        return $speciesOptionsWithImages;
+
+        return false;
     }
     
     /**
-     * Add images to species options by searching for each species
+     * Add images to species options, using the matched GBIF key where there is one
      */
     private function _addImagesToSpeciesOptions(array $speciesOptions): array
     {
+        // Most options will be answered by GBIF's media, so fetch that for all of them at once
+        $this->_prefetchSpecies(array_filter(array_column($speciesOptions, 'gbif_key')));
+
         foreach ($speciesOptions as &$option) {
-            $speciesName = $option['name'];
+            $speciesName = $option['scientific_name'] ?? $option['name'];
+            $option['image'] = null;
             
-            // First try to get a quick GBIF match to get a species key
             try {
-                $gbifResponse = Http::timeout(3)->get(
-                    'https://api.gbif.org/v1/species/search',
-                    [
-                        'q' => $speciesName,
-                        'limit' => 1
-                    ]
-                );
+                $gbifKey = $option['gbif_key'] ?? null;
                 
-                if ($gbifResponse->ok()) {
-                    $results = $gbifResponse->json()['results'] ?? [];
-                    if (!empty($results) && isset($results[0]['key'])) {
-                        $gbifKey = $results[0]['key'];
-                        
-                        // Try to fetch an image using our multi-source approach
-                        $imageUrl = $this->_fetchImageFromGbif($gbifKey);
-                        if (!$imageUrl) {
-                            $imageUrl = $this->_fetchImageFromINaturalist($speciesName);
-                        }
-                        if (!$imageUrl) {
-                            $imageUrl = $this->_fetchImageFromWikipedia($gbifKey);
-                        }
-                        if (!$imageUrl) {
-                            // Try a simple web search approach for common species
-                            $imageUrl = $this->_fetchImageFromSimpleSearch($speciesName);
-                        }
-                        
-                        if ($imageUrl) {
-                            $option['image'] = $imageUrl;
-                            Log::debug("Found image for {$speciesName}: {$imageUrl}");
-                        } else {
-                            $option['image'] = null;
-                            Log::debug("No image found for {$speciesName}");
-                        }
+                // Unresolved options: try a quick GBIF search to get a species key
+                if (!$gbifKey) {
+                    $found = $this->lookup->get(
+                        'https://api.gbif.org/v1/species/search',
+                        [
+                            'q' => $speciesName,
+                            'limit' => 1
+                        ],
+                        3
+                    );
+                    $gbifKey = $found['results'][0]['key'] ?? null;
+                }
+                
+                if ($gbifKey) {
+                    // Try to fetch an image using our multi-source approach
+                    $imageUrl = $this->_fetchImageFromGbif($gbifKey);
+                    if (!$imageUrl) {
+                        $imageUrl = $this->_fetchImageFromINaturalist($speciesName);
+                    }
+                    if (!$imageUrl) {
+                        $imageUrl = $this->_fetchImageFromWikipedia($gbifKey);
+                    }
+                    if (!$imageUrl) {
+                        // Try a simple web search approach for common species
+                        $imageUrl = $this->_fetchImageFromSimpleSearch($speciesName);
                     }
+                    
+                    $option['image'] = $imageUrl;
+                    Log::debug($imageUrl ? "Found image for {$speciesName}: {$imageUrl}" : "No image found for {$speciesName}");
                 }
             } catch (\Exception $e) {
                 Log::warning("Error fetching image for {$speciesName}: {$e->getMessage()}");
-                $option['image'] = null;
             }
         }
         
@@ -536,6 +457,7 @@ private function _fetchImageFromSimpleSearch(string $speciesName): ?string
     public function getSpeciesDetails(Request $request)
     {
         Log::info('=== ENHANCED SPECIES SEARCH STARTED ===');
+        $this->nameLanguages = $this->names->languages($request->input('languages'));
         
         $request->validate(
             [
@@ -607,31 +529,22 @@ private function _searchSpeciesWithCanonicalNameLookup(string $speciesName): ?ar
             Log::info("Step 1: Initial search for species: {$speciesName}");
             
             // Step 1: Initial search to get canonical name and key
-            $initialResponse = Http::timeout(10)->get(
+            $initialSearch = $this->lookup->get(
                 'https://api.gbif.org/v1/species/search',
                 [
                     'q' => $speciesName,
                     'limit' => 10,  // Increased limit to find better matches
                     'rank' => 'SPECIES' // Only look for species-level results
-                ]
+                ],
+                10
             );
             
-            Log::info('Initial GBIF search response', [
-                'status_code' => $initialResponse->status(),
-                'response_ok' => $initialResponse->ok(),
-                'url' => 'https://api.gbif.org/v1/species/search',
-                'params' => ['q' => $speciesName, 'limit' => 1]
-            ]);
-            
-            if (!$initialResponse->ok()) {
-                Log::error("Initial GBIF search failed for: {$speciesName}", [
-                    'status' => $initialResponse->status(),
-                    'body' => $initialResponse->body()
-                ]);
+            if ($initialSearch === null) {
+                Log::error("Initial GBIF search failed for: {$speciesName}");
                 return null;
             }
             
-            $initialResults = $initialResponse->json()['results'] ?? [];
+            $initialResults = $initialSearch['results'] ?? [];
             Log::info('Initial search results', [
                 'results_count' => count($initialResults),
                 'results' => $initialResults
@@ -662,30 +575,22 @@ private function _searchSpeciesWithCanonicalNameLookup(string $speciesName): ?ar
             Log::info("Step 2: Searching with canonical name: {$canonicalName}");
             
             // Step 2: Search again using canonical name for complete data
-            $canonicalResponse = Http::timeout(10)->get(
+            $canonicalSearch = $this->lookup->get(
                 'https://api.gbif.org/v1/species/search',
                 [
                     'q' => $canonicalName,
                     'limit' => 10,
                     'rank' => 'SPECIES' // Only look for species-level results
-                ]
+                ],
+                10
             );
             
-            Log::info('Canonical name search response', [
-                'status_code' => $canonicalResponse->status(),
-                'response_ok' => $canonicalResponse->ok(),
-                'canonical_name' => $canonicalName
-            ]);
-            
-            if (!$canonicalResponse->ok()) {
-                Log::error("Canonical name search failed for: {$canonicalName}", [
-                    'status' => $canonicalResponse->status(),
-                    'body' => $canonicalResponse->body()
-                ]);
+            if ($canonicalSearch === null) {
+                Log::error("Canonical name search failed for: {$canonicalName}");
                 return $this->formatGbifResults($initialResults);
             }
             
-            $canonicalResults = $canonicalResponse->json()['results'] ?? [];
+            $canonicalResults = $canonicalSearch['results'] ?? [];
             Log::info('Canonical search results', [
                 'results_count' => count($canonicalResults),
                 'first_3_results' => array_slice($canonicalResults, 0, 3)
@@ -873,14 +778,18 @@ private function _findScientificNameFromCommonName(string $commonName): ?string
         
         // Strategy 2: Try searching GBIF with better filtering
         try {
-            $response = Http::timeout(10)->get('https://api.gbif.org/v1/species/search', [
-                'q' => $commonName,
-                'limit' => 50,
-                'rank' => 'SPECIES'
-            ]);
+            $found = $this->lookup->get(
+                'https://api.gbif.org/v1/species/search',
+                [
+                    'q' => $commonName,
+                    'limit' => 50,
+                    'rank' => 'SPECIES'
+                ],
+                10
+            );
             
-            if ($response->ok()) {
-                $results = $response->json()['results'] ?? [];
+            if ($found !== null) {
+                $results = $found['results'] ?? [];
                 
                 foreach ($results as $result) {
                     // Look for vernacular names that match our common name
@@ -1057,7 +966,7 @@ private function _calculateTaxonomicCompletenessScore(array $result): int
      */
     private function searchSpeciesInformation(string $query): ?array
     {
-        $gbifResponse = Http::get(
+        $found = $this->lookup->get(
             'https://api.gbif.org/v1/species/search',
             [
                 'q' => $query,
@@ -1065,11 +974,11 @@ private function searchSpeciesInformation(string $query): ?array
             ]
         );
         
-        if (!$gbifResponse->ok()) {
+        if ($found === null) {
             return null;
         }
         
-        $results = $gbifResponse->json()['results'] ?? [];
+        $results = $found['results'] ?? [];
         return $this->formatGbifResults($results);
     }
     
@@ -1119,7 +1028,7 @@ private function formatGbifResults(array $results): array
                     'scientific_name' => $resolvedData['scientificName'] ?? $result['scientificName'],
                     'taxonomic_status' => $resolvedData['taxonomicStatus'] ?? $result['taxonomicStatus'] ?? 'unknown',
                     'rank' => $resolvedData['rank'] ?? $result['rank'] ?? 'unknown',
-                    'domain' => strtolower($resolvedData['domain'] ?? $result['domain'] ?? 'eukaryota'),
+                    'domain' => strtolower($this->lineage->domainOf($resolvedData['kingdom'] ?? $result['kingdom'] ?? null) ?? 'unknown'),
                     'kingdom' => strtolower($resolvedData['kingdom'] ?? $result['kingdom'] ?? 'unknown'),
                     'phylum' => strtolower($resolvedData['phylum'] ?? $result['phylum'] ?? 'unknown'),
                     'class' => strtolower($resolvedData['class'] ?? $result['class'] ?? 'unknown'),
@@ -1132,7 +1041,11 @@ private function formatGbifResults(array $results): array
                     'reference_image' => null,
                     'image_source' => null,
                     'synonym_of' => ($taxonomicStatus !== 'ACCEPTED' && isset($acceptedData)) ? $result['scientificName'] : null,
-                    'parent_keys' => $this->_fetchParentTaxonomicKeys($resolvedData, $result)
+                    'parent_keys' => $this->_fetchParentTaxonomicKeys($resolvedData, $result),
+                    // Authoritative placement in the tree, intermediate ranks included
+                    'lineage' => ($resolvedData['key'] ?? $result['key'] ?? null)
+                        ? $this->lineage->ancestors((int) ($resolvedData['key'] ?? $result['key']))
+                        : []
                 ];
                 
                 // Create a normalized species identifier for deduplication
@@ -1248,18 +1161,15 @@ private function _fetchParentTaxonomicKeys(array $resolvedData, array $result):
         
         try {
             // Get the complete species details from GBIF using the accepted key
-            $speciesResponse = Http::timeout(5)->get("https://api.gbif.org/v1/species/{$gbifKey}");
+            $speciesData = $this->lookup->get("https://api.gbif.org/v1/species/{$gbifKey}");
             
-            if (!$speciesResponse->ok()) {
+            if ($speciesData === null) {
                 Log::warning("Failed to fetch species details for parent key lookup", [
-                    'gbif_key' => $gbifKey,
-                    'status' => $speciesResponse->status()
+                    'gbif_key' => $gbifKey
                 ]);
                 return $parentKeys;
             }
             
-            $speciesData = $speciesResponse->json();
-            
             // Extract parent keys directly from the species response
             $taxonomicLevels = ['kingdomKey', 'phylumKey', 'classKey', 'orderKey', 'familyKey', 'genusKey', 'speciesKey'];
             foreach ($taxonomicLevels as $levelKey) {
@@ -1280,15 +1190,12 @@ private function _fetchParentTaxonomicKeys(array $resolvedData, array $result):
                 $this->_traceParentHierarchy($parentKeys, $gbifKey);
             }
             
-            // Add missing domain key using fallback search
+            // Add missing domain key using fallback search. Without one the
+            // client shows the domain it derives from the kingdom, unkeyed.
             if (!isset($parentKeys['domain'])) {
                 $domainKey = $this->_getDomainKey($resolvedData, $result);
                 if ($domainKey) {
                     $parentKeys['domain'] = $domainKey;
-                } else {
-                    // Use a hardcoded Eukaryota key as fallback since most species are eukaryotic
-                    $parentKeys['domain'] = 165533616; // Known GBIF key for Eukaryota
-                    Log::debug("Using hardcoded Eukaryota domain key as fallback");
                 }
             }
             
@@ -1334,15 +1241,13 @@ private function _traceParentHierarchy(array &$parentKeys, int $currentKey): voi
         // Trace up the hierarchy until we reach the root or have all levels
         while ($currentGbifKey && count($parentKeys) < 6 && count($visited) < 10) {
             try {
-                $response = Http::timeout(3)->get("https://api.gbif.org/v1/species/{$currentGbifKey}");
+                $data = $this->lookup->get("https://api.gbif.org/v1/species/{$currentGbifKey}", [], 3);
                 
-                if (!$response->ok()) {
+                if ($data === null) {
                     Log::debug("Failed to fetch details for key {$currentGbifKey}");
                     break;
                 }
                 
-                $data = $response->json();
-                
                 // Add this level's parent keys if they exist
                 $levelMap = [
                     'kingdomKey' => 'kingdom',
@@ -1391,12 +1296,14 @@ private function _getBasicParentKeys(int $gbifKey): array
     {
         try {
             // Try a simpler approach with no SSL verification if needed
-            $response = Http::timeout(10)->withOptions([
-                'verify' => false // Disable SSL verification as fallback
-            ])->get("https://api.gbif.org/v1/species/{$gbifKey}");
+            $data = $this->lookup->get(
+                "https://api.gbif.org/v1/species/{$gbifKey}",
+                [],
+                10,
+                ['verify' => false] // Disable SSL verification as fallback
+            );
             
-            if ($response->ok()) {
-                $data = $response->json();
+            if ($data !== null) {
                 $parentKeys = [];
                 
                 // Extract basic parent keys
@@ -1447,19 +1354,25 @@ private function _getBasicParentKeys(int $gbifKey): array
      */
     private function _getDomainKey(array $resolvedData, array $result): ?int
     {
-        $domainName = $resolvedData['domain'] ?? $result['domain'] ?? 'Eukaryota';
+        $domainName = $this->lineage->domainOf($resolvedData['kingdom'] ?? $result['kingdom'] ?? null);
+        if (!$domainName) {
+            return null;
+        }
         
         try {
-            $response = Http::timeout(5)->withOptions([
-                'verify' => false // Disable SSL verification for Docker environment
-            ])->get('https://api.gbif.org/v1/species/search', [
-                'q' => $domainName,
-                'rank' => 'DOMAIN',
-                'limit' => 1
-            ]);
+            $found = $this->lookup->get(
+                'https://api.gbif.org/v1/species/search',
+                [
+                    'q' => $domainName,
+                    'rank' => 'DOMAIN',
+                    'limit' => 1
+                ],
+                5,
+                ['verify' => false] // Disable SSL verification for Docker environment
+            );
             
-            if ($response->ok()) {
-                $results = $response->json()['results'] ?? [];
+            if ($found !== null) {
+                $results = $found['results'] ?? [];
                 if (!empty($results)) {
                     $firstResult = $results[0];
                     if (isset($firstResult['key']) && 
@@ -1518,16 +1431,19 @@ private function _searchForTaxonomicKey(string $level, array $resolvedData, arra
         }
         
         try {
-            $response = Http::timeout(3)->withOptions([
-                'verify' => false // Disable SSL verification for Docker environment
-            ])->get('https://api.gbif.org/v1/species/search', [
-                'q' => $taxonomicName,
-                'rank' => strtoupper($level),
-                'limit' => 1
-            ]);
+            $found = $this->lookup->get(
+                'https://api.gbif.org/v1/species/search',
+                [
+                    'q' => $taxonomicName,
+                    'rank' => strtoupper($level),
+                    'limit' => 1
+                ],
+                3,
+                ['verify' => false] // Disable SSL verification for Docker environment
+            );
             
-            if ($response->ok()) {
-                $results = $response->json()['results'] ?? [];
+            if ($found !== null) {
+                $results = $found['results'] ?? [];
                 if (!empty($results)) {
                     $firstResult = $results[0];
                     if (isset($firstResult['key']) && 
@@ -1553,72 +1469,7 @@ private function _searchForTaxonomicKey(string $level, array $resolvedData, arra
      */
     private function _resolveSynonymToAcceptedName(array $synonymResult): ?array
     {
-        try {
-            $gbifKey = $synonymResult['key'] ?? null;
-            if (!$gbifKey) {
-                Log::warning("No GBIF key found for synonym resolution");
-                return null;
-            }
-
-            Log::info("Fetching detailed species data for synonym resolution", ['gbif_key' => $gbifKey]);
-
-            // Get detailed species information from GBIF
-            $speciesResponse = Http::timeout(5)->get("https://api.gbif.org/v1/species/{$gbifKey}");
-            
-            if (!$speciesResponse->ok()) {
-                Log::warning("Failed to fetch species details for synonym resolution", [
-                    'gbif_key' => $gbifKey,
-                    'status' => $speciesResponse->status()
-                ]);
-                return null;
-            }
-
-            $detailedData = $speciesResponse->json();
-            
-            // Check if we have an accepted name key
-            $acceptedKey = $detailedData['acceptedKey'] ?? $detailedData['accepted'] ?? null;
-            
-            if (!$acceptedKey || $acceptedKey === $gbifKey) {
-                Log::info("No accepted name found or synonym is self-referencing", [
-                    'gbif_key' => $gbifKey,
-                    'accepted_key' => $acceptedKey
-                ]);
-                return null;
-            }
-
-            Log::info("Found accepted name key, fetching accepted species data", [
-                'synonym_key' => $gbifKey,
-                'accepted_key' => $acceptedKey
-            ]);
-
-            // Fetch the accepted species data
-            $acceptedResponse = Http::timeout(5)->get("https://api.gbif.org/v1/species/{$acceptedKey}");
-            
-            if (!$acceptedResponse->ok()) {
-                Log::warning("Failed to fetch accepted species data", [
-                    'accepted_key' => $acceptedKey,
-                    'status' => $acceptedResponse->status()
-                ]);
-                return null;
-            }
-
-            $acceptedData = $acceptedResponse->json();
-            
-            Log::info("Successfully resolved synonym to accepted name", [
-                'synonym_name' => $synonymResult['scientificName'],
-                'accepted_name' => $acceptedData['scientificName'],
-                'accepted_key' => $acceptedKey
-            ]);
-
-            return $acceptedData;
-
-        } catch (\Exception $e) {
-            Log::error("Exception resolving synonym to accepted name", [
-                'synonym_name' => $synonymResult['scientificName'] ?? 'unknown',
-                'error' => $e->getMessage()
-            ]);
-            return null;
-        }
+        return $this->lineage->accepted($synonymResult);
     }
 
     /**
@@ -1658,18 +1509,16 @@ private function _getCompleteTaxonomicHierarchy(int $gbifKey): ?array
     {
         try {
             // Get the full species details from GBIF
-            $speciesResponse = Http::timeout(3)->get("https://api.gbif.org/v1/species/{$gbifKey}");
+            $speciesData = $this->lookup->get("https://api.gbif.org/v1/species/{$gbifKey}", [], 3);
             
-            if (!$speciesResponse->ok()) {
+            if ($speciesData === null) {
                 Log::warning("Failed to get complete taxonomy for GBIF key {$gbifKey}");
                 return null;
             }
             
-            $speciesData = $speciesResponse->json();
-            
             // Start with what we have from the species data
             $taxonomicData = [
-                'domain' => $speciesData['domain'] ?? 'eukaryota',
+                'domain' => $this->lineage->domainOf($speciesData['kingdom'] ?? null),
                 'kingdom' => $speciesData['kingdom'] ?? null,
                 'phylum' => $speciesData['phylum'] ?? null,
                 'class' => $speciesData['class'] ?? null,
@@ -1720,17 +1569,21 @@ private function _searchForTaxonomicLevel(array &$taxonomicData, string $targetL
             ];
             
             foreach ($searchQueries as $query) {
-                $searchResponse = Http::timeout(3)->get('https://api.gbif.org/v1/species/search', [
-                    'q' => $query,
-                    'limit' => 10,
-                    'rank' => 'SPECIES'
-                ]);
+                $found = $this->lookup->get(
+                    'https://api.gbif.org/v1/species/search',
+                    [
+                        'q' => $query,
+                        'limit' => 10,
+                        'rank' => 'SPECIES'
+                    ],
+                    3
+                );
                 
-                if (!$searchResponse->ok()) {
+                if ($found === null) {
                     continue;
                 }
                 
-                $results = $searchResponse->json()['results'] ?? [];
+                $results = $found['results'] ?? [];
                 
                 foreach ($results as $result) {
                     // Look for results that have the target level and match our species
@@ -1780,17 +1633,21 @@ private function _searchForTaxonomicLevelByGenus(array &$taxonomicData, string $
         try {
             Log::debug("Searching for {$targetLevel} by genus: {$genus}");
             
-            $searchResponse = Http::timeout(3)->get('https://api.gbif.org/v1/species/search', [
-                'q' => $genus,
-                'limit' => 5,
-                'rank' => 'GENUS'
-            ]);
+            $found = $this->lookup->get(
+                'https://api.gbif.org/v1/species/search',
+                [
+                    'q' => $genus,
+                    'limit' => 5,
+                    'rank' => 'GENUS'
+                ],
+                3
+            );
             
-            if (!$searchResponse->ok()) {
+            if ($found === null) {
                 return;
             }
             
-            $results = $searchResponse->json()['results'] ?? [];
+            $results = $found['results'] ?? [];
             
             foreach ($results as $result) {
                 if (isset($result[$targetLevel]) && 
@@ -1820,6 +1677,9 @@ private function _fetchMultipleSpeciesImages(array $gbifKeys): array
         $images = [];
         
         Log::info('Starting image fetch for species', ['gbif_keys' => $gbifKeys]);
+
+        // Every fallback below starts from the species record or its media
+        $this->_prefetchSpecies($gbifKeys);
         
         // Process each species individually with error handling
         foreach ($gbifKeys as $key) {
@@ -1884,6 +1744,28 @@ private function _fetchMultipleSpeciesImages(array $gbifKeys): array
         return $images;
     }
 
+    /**
+     * Look up the GBIF record and media of several species concurrently
+     *
+     * The answers are memoized by the lookup service, so the per-species
+     * image fallbacks that follow don't wait on GBIF one request at a time.
+     *
+     * @param array $gbifKeys
+     * @return void
+     */
+    private function _prefetchSpecies(array $gbifKeys): void
+    {
+        $requests = [];
+        foreach (array_unique($gbifKeys) as $key) {
+            $requests["{$key}:species"] = ["https://api.gbif.org/v1/species/{$key}", []];
+            $requests["{$key}:media"] = ["https://api.gbif.org/v1/species/{$key}/media", ['limit' => 3]];
+        }
+
+        if ($requests) {
+            $this->lookup->pool($requests, 3);
+        }
+    }
+
     /**
      * Fetch image from GBIF media API
      *
@@ -1895,13 +1777,13 @@ private function _fetchImageFromGbif(int $gbifKey): ?string
     {
         try {
             Log::debug("Calling GBIF media API for key: {$gbifKey}");
-            $response = Http::timeout(3)->get(
-                "https://api.gbif.org/v1/species/{$gbifKey}/media", 
-                ['limit' => 3]
+            $data = $this->lookup->get(
+                "https://api.gbif.org/v1/species/{$gbifKey}/media",
+                ['limit' => 3],
+                3
             );
             
-            if ($response->ok()) {
-                $data = $response->json();
+            if ($data !== null) {
                 $mediaResults = $data['results'] ?? [];
                 
                 Log::debug("GBIF API response for key {$gbifKey}", [
@@ -1921,10 +1803,7 @@ private function _fetchImageFromGbif(int $gbifKey): ?string
                 }
                 Log::debug("No valid still images found in GBIF media for key {$gbifKey}");
             } else {
-                Log::warning("GBIF API call failed for key {$gbifKey}", [
-                    'status' => $response->status(),
-                    'body' => $response->body()
-                ]);
+                Log::warning("GBIF API call failed for key {$gbifKey}");
             }
         } catch (\Exception $e) {
             Log::error("Exception calling GBIF API for key {$gbifKey}: {$e->getMessage()}");
@@ -1943,10 +1822,9 @@ private function _fetchImageFromGbif(int $gbifKey): ?string
     private function _getSpeciesNameFromGbifKey(int $gbifKey): ?string
     {
         try {
-            $speciesResponse = Http::timeout(2)->get("https://api.gbif.org/v1/species/{$gbifKey}");
+            $speciesData = $this->lookup->get("https://api.gbif.org/v1/species/{$gbifKey}", [], 2);
             
-            if ($speciesResponse->ok()) {
-                $speciesData = $speciesResponse->json();
+            if ($speciesData !== null) {
                 return $speciesData['scientificName'] ?? null;
             }
         } catch (\Exception $e) {
@@ -1969,17 +1847,17 @@ private function _fetchImageFromINaturalist(string $speciesName): ?string
             Log::debug("Searching iNaturalist for: {$speciesName}");
             
             // Search iNaturalist for the species to get taxon ID
-            $inatResponse = Http::timeout(3)->get(
+            $data = $this->lookup->get(
                 'https://api.inaturalist.org/v1/taxa',
                 [
                     'q' => $speciesName,
                     'is_active' => 'true',
                     'locale' => 'en'
-                ]
+                ],
+                3
             );
             
-            if ($inatResponse->ok()) {
-                $data = $inatResponse->json();
+            if ($data !== null) {
                 $results = $data['results'] ?? [];
                 
                 Log::debug("iNaturalist taxa search response for {$speciesName}", [
@@ -1990,13 +1868,13 @@ private function _fetchImageFromINaturalist(string $speciesName): ?string
                     $taxonId = $results[0]['id'];
                     
                     // Now get taxon_photos for this taxon
-                    $photosResponse = Http::timeout(3)->get(
+                    $photosData = $this->lookup->get(
                         "https://api.inaturalist.org/v1/taxa/{$taxonId}/taxon_photos",
-                        ['per_page' => 5] // Get a few photos to choose from
+                        ['per_page' => 5], // Get a few photos to choose from
+                        3
                     );
                     
-                    if ($photosResponse->ok()) {
-                        $photosData = $photosResponse->json();
+                    if ($photosData !== null) {
                         $taxonPhotos = $photosData['results'] ?? [];
                         
                         Log::debug("iNaturalist taxon_photos response for taxon {$taxonId}", [
@@ -2009,16 +1887,12 @@ private function _fetchImageFromINaturalist(string $speciesName): ?string
                             return $imageUrl;
                         }
                     } else {
-                        Log::warning("iNaturalist taxon_photos API call failed for taxon {$taxonId}", [
-                            'status' => $photosResponse->status()
-                        ]);
+                        Log::warning("iNaturalist taxon_photos API call failed for taxon {$taxonId}");
                     }
                 }
                 Log::debug("No taxon photos found in iNaturalist for {$speciesName}");
             } else {
-                Log::warning("iNaturalist taxa API call failed for {$speciesName}", [
-                    'status' => $inatResponse->status()
-                ]);
+                Log::warning("iNaturalist taxa API call failed for {$speciesName}");
             }
         } catch (\Exception $e) {
             Log::error("Exception in iNaturalist search for {$speciesName}: {$e->getMessage()}");
@@ -2038,13 +1912,12 @@ private function _fetchImageFromWikipedia(int $gbifKey): ?string
     {
         try {
             // First get the scientific name from GBIF
-            $speciesResponse = Http::timeout(2)->get("https://api.gbif.org/v1/species/{$gbifKey}");
+            $speciesData = $this->lookup->get("https://api.gbif.org/v1/species/{$gbifKey}", [], 2);
             
-            if (!$speciesResponse->ok()) {
+            if ($speciesData === null) {
                 return null;
             }
             
-            $speciesData = $speciesResponse->json();
             $scientificName = $speciesData['scientificName'] ?? null;
             
             if (!$scientificName) {
@@ -2052,11 +1925,13 @@ private function _fetchImageFromWikipedia(int $gbifKey): ?string
             }
             
             // Search Wikipedia for the species page
-            $wikiResponse = Http::timeout(3)->get('https://en.wikipedia.org/api/rest_v1/page/summary/' . urlencode($scientificName));
+            $data = $this->lookup->get(
+                'https://en.wikipedia.org/api/rest_v1/page/summary/' . urlencode($scientificName),
+                [],
+                3
+            );
             
-            if ($wikiResponse->ok()) {
-                $data = $wikiResponse->json();
-                
+            if ($data !== null) {
                 // Check if there's a thumbnail image
                 if (isset($data['thumbnail']['source'])) {
                     return $data['thumbnail']['source'];
@@ -2085,13 +1960,12 @@ private function _fetchImageFromFlickr(int $gbifKey): ?string
     {
         try {
             // First get the scientific name from GBIF
-            $speciesResponse = Http::timeout(2)->get("https://api.gbif.org/v1/species/{$gbifKey}");
+            $speciesData = $this->lookup->get("https://api.gbif.org/v1/species/{$gbifKey}", [], 2);
             
-            if (!$speciesResponse->ok()) {
+            if ($speciesData === null) {
                 return null;
             }
             
-            $speciesData = $speciesResponse->json();
             $scientificName = $speciesData['scientificName'] ?? null;
             
             if (!$scientificName) {
@@ -2099,14 +1973,17 @@ private function _fetchImageFromFlickr(int $gbifKey): ?string
             }
             
             // Use Flickr's public feed (no API key required)
-            $flickrResponse = Http::timeout(3)->get('https://www.flickr.com/services/feeds/photos_public.gne', [
-                'tags' => str_replace(' ', ',', $scientificName),
-                'format' => 'json',
-                'nojsoncallback' => 1
-            ]);
+            $data = $this->lookup->get(
+                'https://www.flickr.com/services/feeds/photos_public.gne',
+                [
+                    'tags' => str_replace(' ', ',', $scientificName),
+                    'format' => 'json',
+                    'nojsoncallback' => 1
+                ],
+                3
+            );
             
-            if ($flickrResponse->ok()) {
-                $data = $flickrResponse->json();
+            if ($data !== null) {
                 $items = $data['items'] ?? [];
                 
                 if (!empty($items)) {
@@ -2206,45 +2083,31 @@ private function _enrichTaxonomicDataFromSearchResults(array $targetResult, arra
     /**
      * Extract preferred common name from GBIF search results
      *
+     * Chosen in the most preferred of the request's languages that either
+     * source has a name in.
+     *
      * @param array $enrichedData The enriched data from multiple sources
      * @param array $originalResult The original GBIF search result
      * @return string|null The preferred common name or null if not found
      */
     private function _extractPreferredCommonName(array $enrichedData, array $originalResult): ?string
     {
-        // Check for vernacular names in the enriched data first
-        $vernacularSources = [$enrichedData, $originalResult];
-        
-        foreach ($vernacularSources as $source) {
+        // Names in the enriched data come first, for the any-language fallback
+        $vernacularNames = [];
+        foreach ([$enrichedData, $originalResult] as $source) {
             if (isset($source['vernacularNames']) && is_array($source['vernacularNames'])) {
-                Log::info("Found vernacular names in source", [
-                    'count' => count($source['vernacularNames']),
-                    'first_few' => array_slice($source['vernacularNames'], 0, 3)
-                ]);
-                
-                // Look for English names first
-                foreach ($source['vernacularNames'] as $name) {
-                    if (isset($name['language']) && 
-                        $name['language'] === 'eng' && 
-                        isset($name['vernacularName'])) {
-                        Log::info("Found English common name: {$name['vernacularName']}");
-                        return $name['vernacularName'];
-                    }
-                }
-                
-                // Fallback to first available common name if no English found
-                foreach ($source['vernacularNames'] as $name) {
-                    if (isset($name['vernacularName'])) {
-                        $language = $name['language'] ?? 'unknown language';
-                        Log::info("Using fallback common name: {$name['vernacularName']} ({$language})");
-                        return $name['vernacularName'];
-                    }
-                }
+                $vernacularNames = array_merge($vernacularNames, $source['vernacularNames']);
             }
         }
         
-        Log::info("No common name found in GBIF data");
-        return null;
+        $name = $this->names->pick($vernacularNames, $this->nameLanguages);
+        if ($name === null) {
+            Log::info("No common name found in GBIF data");
+            return null;
+        }
+        
+        Log::info("Using common name: {$name}", ['languages' => $this->nameLanguages]);
+        return $name;
     }
 
     /**
@@ -2264,14 +2127,12 @@ private function _fetchCompleteSpeciesData(?int $gbifKey, array $fallbackData =
         Log::info("Fetching complete taxonomic data for GBIF key: {$gbifKey}");
 
         try {
-            $response = Http::timeout(5)->get("https://api.gbif.org/v1/species/{$gbifKey}");
+            $data = $this->lookup->get("https://api.gbif.org/v1/species/{$gbifKey}");
             
-            if (!$response->ok()) {
-                Log::warning("Failed to fetch complete data for GBIF key {$gbifKey}: HTTP {$response->status()}");
+            if ($data === null) {
+                Log::warning("Failed to fetch complete data for GBIF key {$gbifKey}");
                 return $fallbackData;
             }
-
-            $data = $response->json();
             
             // Log what we received
             Log::info("Complete GBIF data received for key {$gbifKey}", [
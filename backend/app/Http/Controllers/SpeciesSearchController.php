@@ -2,11 +2,33 @@
 
 namespace App\Http\Controllers;
 
+use App\Services\TaxonLookupService;
+use App\Services\VernacularNameSelector;
+use Illuminate\Http\JsonResponse;
 use Illuminate\Http\Request;
-use Illuminate\Support\Facades\Http;
+use Illuminate\Support\Facades\Cache;
+use Illuminate\Support\Facades\Log;
 
 class SpeciesSearchController extends Controller
 {
+    /**
+     * Dataset key of the GBIF backbone taxonomy
+     */
+    private const GBIF_BACKBONE_DATASET = 'd7dddbf4-2cf0-4f39-9b2a-bb099caae36c';
+
+    /**
+     * Most suggestions returned for one prefix
+     */
+    private const MAX_SUGGESTIONS = 10;
+
+    /**
+     * @param TaxonLookupService $lookup Cached GBIF lookups
+     * @param VernacularNameSelector $names Picks common names in the user's languages
+     */
+    public function __construct(private TaxonLookupService $lookup, private VernacularNameSelector $names)
+    {
+    }
+
     public function search(Request $request)
     {
         $request->validate([
@@ -16,26 +38,27 @@ public function search(Request $request)
         $query = $request->input('query');
         
         // Query GBIF API for species information
-        $response = Http::get(
-            'https://api.gbif.org/v1/species/search', 
-            [
-                'q' => $query,
-                'limit' => 10
-            ]
-        );
-        
-        if (!$response->ok()) {
-            return response()->json(
+        try {
+            $found = $this->lookup->get(
+                'https://api.gbif.org/v1/species/search',
                 [
-                    'error' => 'GBIF API error',
-                    'details' => $response->json() ?? 'No response details',
-                    'status' => $response->status()
-                ], 
+                    'q' => $query,
+                    'limit' => 10
+                ]
+            );
+        } catch (\Exception $e) {
+            Log::error('GBIF species search failed', ['query' => $query, 'error' => $e->getMessage()]);
+            $found = null;
+        }
+
+        if ($found === null) {
+            return response()->json(
+                ['error' => 'GBIF API error'],
                 500
             );
         }
-        
-        $results = $response->json()['results'] ?? [];
+
+        $results = $found['results'] ?? [];
         
         // Format the results for frontend display
         $formattedResults = [];
@@ -62,4 +85,235 @@ public function search(Request $request)
             'results' => $formattedResults
         ]);
     }
+
+    /**
+     * Suggest accepted taxa of any rank for a type-ahead search box
+     *
+     * Scientific names are prefix-matched with GBIF's suggest service and
+     * common names with a vernacular search, keeping names that have a word
+     * starting with the prefix; when several do, the one in the most
+     * preferred of the comma-separated `languages` is shown. Answers are
+     * cached per prefix and languages for a week; if only one of the two
+     * lookups worked, the partial answer is returned but not cached.
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function suggest(Request $request): JsonResponse
+    {
+        $validated = $request->validate(
+            [
+                'q' => 'required|string|min:2|max:100',
+                'languages' => 'nullable|string|max:100',
+            ]
+        );
+        $prefix = strtolower(trim($validated['q']));
+        $languages = $this->names->languages($validated['languages'] ?? null);
+        $cacheKey = 'gbif:suggest:' . md5($prefix . '|' . implode(',', $languages));
+
+        $suggestions = Cache::get($cacheKey);
+
+        if ($suggestions === null) {
+            $scientific = $this->_suggestScientificNames($prefix);
+            $vernacular = $this->_suggestVernacularNames($prefix, $languages);
+
+            if ($scientific === null && $vernacular === null) {
+                return response()->json(
+                    [
+                        'success' => false,
+                        'message' => 'Could not reach GBIF'
+                    ],
+                    502
+                );
+            }
+
+            $suggestions = $this->_mergeSuggestions($prefix, $scientific ?? [], $vernacular ?? []);
+            [$suggestions, $named] = $this->_addCommonNames($suggestions, $languages);
+            if ($scientific !== null && $vernacular !== null && $named) {
+                Cache::put($cacheKey, $suggestions, now()->addWeek());
+            }
+        }
+
+        return response()->json(
+            [
+                'success' => true,
+                'query' => $validated['q'],
+                'suggestions' => $suggestions
+            ]
+        );
+    }
+
+    /**
+     * Accepted backbone taxa whose scientific name starts with the prefix
+     *
+     * @param string $prefix
+     * @return array|null Null when GBIF could not be reached
+     */
+    private function _suggestScientificNames(string $prefix): ?array
+    {
+        try {
+            $results = $this->lookup->get(
+                'https://api.gbif.org/v1/species/suggest',
+                [
+                    'q' => $prefix,
+                    'datasetKey' => self::GBIF_BACKBONE_DATASET,
+                    'limit' => 20
+                ]
+            );
+        } catch (\Exception $e) {
+            Log::error('Failed to suggest scientific names', ['prefix' => $prefix, 'error' => $e->getMessage()]);
+            return null;
+        }
+        if ($results === null) {
+            Log::warning('GBIF suggest failed', ['prefix' => $prefix]);
+            return null;
+        }
+
+        $suggestions = [];
+        foreach ($results as $result) {
+            if (($result['status'] ?? null) !== 'ACCEPTED' || empty($result['key'])) {
+                continue;
+            }
+            $suggestions[] = $this->_formatSuggestion($result, null);
+        }
+
+        return $suggestions;
+    }
+
+    /**
+     * Accepted backbone taxa with a common name containing a word that starts with the prefix
+     *
+     * @param string $prefix
+     * @param string[] $languages Preferred languages of the name shown
+     * @return array|null Null when GBIF could not be reached
+     */
+    private function _suggestVernacularNames(string $prefix, array $languages): ?array
+    {
+        try {
+            $found = $this->lookup->get(
+                'https://api.gbif.org/v1/species/search',
+                [
+                    'q' => $prefix,
+                    'qField' => 'VERNACULAR',
+                    'datasetKey' => self::GBIF_BACKBONE_DATASET,
+                    'status' => 'ACCEPTED',
+                    'limit' => 20
+                ]
+            );
+        } catch (\Exception $e) {
+            Log::error('Failed to suggest common names', ['prefix' => $prefix, 'error' => $e->getMessage()]);
+            return null;
+        }
+        if ($found === null) {
+            Log::warning('GBIF vernacular search failed', ['prefix' => $prefix]);
+            return null;
+        }
+
+        $pattern = '/(^|[\s\-])' . preg_quote($prefix, '/') . '/i';
+        $suggestions = [];
+        foreach ($found['results'] ?? [] as $result) {
+            if (($result['taxonomicStatus'] ?? 'ACCEPTED') !== 'ACCEPTED' || empty($result['key'])) {
+                continue;
+            }
+            $matching = array_values(
+                array_filter(
+                    $result['vernacularNames'] ?? [],
+                    fn ($vernacular) => preg_match($pattern, $vernacular['vernacularName'] ?? '') === 1
+                )
+            );
+            if (!$matching) {
+                continue;
+            }
+            $commonName = $this->names->pick($matching, $languages);
+            $suggestions[] = $this->_formatSuggestion(
+                ['key' => $result['nubKey'] ?? $result['key']] + $result,
+                $commonName
+            );
+        }
+
+        return $suggestions;
+    }
+
+    /**
+     * Shape a GBIF name usage as a suggestion
+     *
+     * @param array $result
+     * @param string|null $commonName
+     * @return array
+     */
+    private function _formatSuggestion(array $result, ?string $commonName): array
+    {
+        return [
+            'gbif_key' => $result['key'],
+            'scientific_name' => $result['canonicalName'] ?? $result['scientificName'] ?? null,
+            'common_name' => $commonName,
+            'rank' => $result['rank'] ?? null,
+            'kingdom' => $result['kingdom'] ?? null
+        ];
+    }
+
+    /**
+     * Look up the common names of suggestions found by scientific name
+     *
+     * A scientific name match says nothing about what the taxon is called, so
+     * its names are fetched, together, and picked the way a common name
+     * match's would be.
+     *
+     * @param array $suggestions
+     * @param string[] $languages Preferred languages of the name shown
+     * @return array [suggestions, whether every lookup was answered]
+     */
+    private function _addCommonNames(array $suggestions, array $languages): array
+    {
+        $requests = [];
+        foreach ($suggestions as $index => $suggestion) {
+            if ($suggestion['common_name'] === null) {
+                $requests[$index] = ["https://api.gbif.org/v1/species/{$suggestion['gbif_key']}/vernacularNames", ['limit' => 300]];
+            }
+        }
+        $found = $this->lookup->pool($requests);
+
+        $answered = true;
+        foreach ($requests as $index => [$url, $query]) {
+            if (($found[$index] ?? null) === null) {
+                $answered = $answered && $this->lookup->answered($url, $query);
+                continue;
+            }
+            $suggestions[$index]['common_name'] = $this->names->pick($found[$index]['results'] ?? [], $languages);
+        }
+
+        return [$suggestions, $answered];
+    }
+
+    /**
+     * Combine both kinds of suggestion, one per taxon
+     *
+     * A taxon found both ways keeps its common name. Names that start with
+     * the prefix come before names that only have a later word matching it.
+     *
+     * @param string $prefix
+     * @param array $scientific
+     * @param array $vernacular
+     * @return array
+     */
+    private function _mergeSuggestions(string $prefix, array $scientific, array $vernacular): array
+    {
+        $byKey = [];
+        foreach (array_merge($scientific, $vernacular) as $suggestion) {
+            $key = $suggestion['gbif_key'];
+            if (isset($byKey[$key])) {
+                $byKey[$key]['common_name'] = $byKey[$key]['common_name'] ?? $suggestion['common_name'];
+                continue;
+            }
+            $byKey[$key] = $suggestion;
+        }
+
+        $startsWithPrefix = fn ($suggestion) => str_starts_with(strtolower($suggestion['scientific_name'] ?? ''), $prefix)
+            || str_starts_with(strtolower($suggestion['common_name'] ?? ''), $prefix);
+        $suggestions = array_values($byKey);
+        $leading = array_filter($suggestions, $startsWithPrefix);
+        $trailing = array_filter($suggestions, fn ($suggestion) => !$startsWithPrefix($suggestion));
+
+        return array_slice(array_merge(array_values($leading), array_values($trailing)), 0, self::MAX_SUGGESTIONS);
+    }
 }
@@ -0,0 +1,485 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Services\TaxonLineage;
+use App\Services\TaxonLookupService;
+use App\Services\VernacularNameSelector;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Cache;
+use Illuminate\Support\Facades\Log;
+
+class TaxonController extends Controller
+{
+    /**
+     * The major rank directly below each major rank in the GBIF backbone
+     */
+    private const NEXT_MAJOR_RANK = [
+        'KINGDOM' => 'PHYLUM',
+        'PHYLUM' => 'CLASS',
+        'CLASS' => 'ORDER',
+        'ORDER' => 'FAMILY',
+        'FAMILY' => 'GENUS',
+        'GENUS' => 'SPECIES',
+    ];
+
+    /**
+     * GBIF's maximum page size for the children endpoint
+     */
+    private const CHILDREN_PAGE_SIZE = 1000;
+
+    /**
+     * Stop paging after this many children; no real clade comes close
+     */
+    private const MAX_CHILDREN = 20000;
+
+    /**
+     * Ranks that appear in a matched taxon's classification, highest first
+     */
+    private const CLASSIFICATION_RANKS = ['kingdom', 'phylum', 'class', 'order', 'family', 'genus', 'species'];
+
+    /**
+     * Most usage keys accepted by one batch request; each can cost several
+     * GBIF calls on a cold cache, so larger sets are sent in chunks
+     */
+    private const MAX_BATCH_KEYS = 100;
+
+    /**
+     * GBIF requests sent at once while answering a batch
+     */
+    private const BATCH_POOL_SIZE = 30;
+
+    /**
+     * @param TaxonLookupService $lookup Cached GBIF lookups
+     * @param VernacularNameSelector $names Picks common names in the user's languages
+     * @param TaxonLineage $lineage Ancestors of a taxon in the GBIF backbone
+     */
+    public function __construct(
+        private TaxonLookupService $lookup,
+        private VernacularNameSelector $names,
+        private TaxonLineage $lineage
+    ) {
+    }
+
+    /**
+     * Match a name to a taxon in the GBIF backbone at any rank
+     *
+     * Used to record an observation that can only be identified to a genus,
+     * family or order. Returns the accepted taxon with its classification
+     * and the keys of each rank above it, in the same shape as the fields
+     * the client uses to place species in the tree, plus its full lineage.
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function match(Request $request): JsonResponse
+    {
+        $validated = $request->validate(
+            [
+                'name' => 'required|string|max:255',
+            ]
+        );
+        $name = trim($validated['name']);
+
+        try {
+            $match = $this->lookup->get('https://api.gbif.org/v1/species/match', ['name' => $name]);
+        } catch (\Exception $e) {
+            Log::error('Failed to match taxon name', ['name' => $name, 'error' => $e->getMessage()]);
+            $match = null;
+        }
+
+        if ($match === null) {
+            return response()->json(
+                [
+                    'success' => false,
+                    'message' => 'Could not reach GBIF'
+                ],
+                502
+            );
+        }
+
+        $result = $this->_formatMatch($match);
+
+        if (!$result['found']) {
+            return response()->json(
+                [
+                    'success' => false,
+                    'message' => "No taxon found for \"{$name}\""
+                ],
+                404
+            );
+        }
+
+        $taxon = $result['taxon'];
+        $taxon['lineage'] = $this->lineage->ancestors((int) $taxon['usage_key']);
+
+        return response()->json(['success' => true] + $taxon);
+    }
+
+    /**
+     * Turn a GBIF /species/match response into the accepted taxon
+     *
+     * @param array $match
+     * @return array ['found' => bool, 'taxon' => array|null]
+     */
+    private function _formatMatch(array $match): array
+    {
+        $matchType = $match['matchType'] ?? 'NONE';
+        if (!in_array($matchType, ['EXACT', 'FUZZY'], true) || empty($match['usageKey'])) {
+            return ['found' => false, 'taxon' => null];
+        }
+
+        $rank = strtoupper($match['rank'] ?? '');
+        $taxon = [
+            'usage_key' => $match['acceptedUsageKey'] ?? $match['usageKey'],
+            // For synonyms the classification already holds the accepted name
+            'scientific_name' => $match[strtolower($rank)] ?? $match['canonicalName'] ?? $match['scientificName'],
+            'rank' => $rank ?: null,
+            'match_type' => $matchType,
+            'parent_keys' => []
+        ];
+
+        foreach (self::CLASSIFICATION_RANKS as $level) {
+            if ($level === strtolower($rank)) {
+                break;
+            }
+            $taxon[$level] = $match[$level] ?? null;
+            if (isset($match["{$level}Key"])) {
+                $taxon['parent_keys'][$level] = $match["{$level}Key"];
+            }
+        }
+
+        return ['found' => true, 'taxon' => $taxon];
+    }
+
+    /**
+     * Everything the detail panel shows about a taxon
+     *
+     * The GBIF record, parents, synonyms, common names and media are looked
+     * up concurrently. Parents are null if they could not be loaded, so the
+     * client can fall back to the path in its own tree. Answers 404 when GBIF
+     * has no such taxon and 502 when the record couldn't be looked up.
+     *
+     * @param int $usageKey GBIF usage key of the taxon
+     * @return JsonResponse
+     */
+    public function show(int $usageKey): JsonResponse
+    {
+        $base = "https://api.gbif.org/v1/species/{$usageKey}";
+        $found = $this->lookup->pool(
+            [
+                'taxon' => [$base, []],
+                'parents' => ["{$base}/parents", []],
+                'synonyms' => ["{$base}/synonyms", ['limit' => 50]],
+                'vernacular_names' => ["{$base}/vernacularNames", ['limit' => 300]],
+                'media' => ["{$base}/media", ['limit' => 5]],
+            ]
+        );
+
+        if ($found['taxon'] === null && !$this->lookup->answered($base)) {
+            return response()->json(
+                [
+                    'success' => false,
+                    'message' => "Could not load taxon {$usageKey} from GBIF"
+                ],
+                502
+            );
+        }
+
+        if ($found['taxon'] === null) {
+            return response()->json(
+                [
+                    'success' => false,
+                    'message' => "Taxon {$usageKey} was not found in GBIF"
+                ],
+                404
+            );
+        }
+
+        return response()->json(
+            [
+                'success' => true,
+                'taxon' => $found['taxon'],
+                'parents' => $found['parents'],
+                'synonyms' => $found['synonyms']['results'] ?? [],
+                'vernacular_names' => $found['vernacular_names']['results'] ?? [],
+                'media' => $found['media']['results'] ?? []
+            ]
+        );
+    }
+
+    /**
+     * Common names of a taxon in every language GBIF has
+     *
+     * @param int $usageKey GBIF usage key of the taxon
+     * @return JsonResponse
+     */
+    public function vernacularNames(int $usageKey): JsonResponse
+    {
+        try {
+            $names = $this->lookup->get("https://api.gbif.org/v1/species/{$usageKey}/vernacularNames", ['limit' => 300]);
+        } catch (\Exception $e) {
+            Log::error('Failed to load common names', ['usage_key' => $usageKey, 'error' => $e->getMessage()]);
+            $names = null;
+        }
+
+        if ($names === null) {
+            return response()->json(
+                [
+                    'success' => false,
+                    'message' => 'Could not load common names from GBIF'
+                ],
+                502
+            );
+        }
+
+        return response()->json(
+            [
+                'success' => true,
+                'vernacular_names' => $names['results'] ?? []
+            ]
+        );
+    }
+
+    /**
+     * Hit and miss counts of the taxon lookup cache, per source
+     *
+     * @return JsonResponse
+     */
+    public function lookupStats(): JsonResponse
+    {
+        return response()->json(['success' => true] + $this->lookup->stats());
+    }
+
+    /**
+     * Count the accepted direct children of a taxon at the next major rank
+     *
+     * GBIF's numDescendants counts every descendant, including synonyms and
+     * infraspecific names, so it can't be compared with the children in the
+     * user's tree. This counts e.g. the accepted genera of a family instead.
+     * Results are cached for a week since the backbone changes rarely.
+     *
+     * @param int $usageKey GBIF usage key of the taxon
+     * @return JsonResponse
+     */
+    public function childCount(int $usageKey): JsonResponse
+    {
+        $result = $this->_childCount($usageKey);
+
+        if ($result === null) {
+            return response()->json(
+                [
+                    'success' => false,
+                    'message' => 'Could not load children from GBIF'
+                ],
+                502
+            );
+        }
+
+        return response()->json(
+            [
+                'success' => true,
+                'usage_key' => $usageKey,
+                'rank' => $result['rank'],
+                'child_rank' => $result['child_rank'],
+                'count' => $result['count']
+            ]
+        );
+    }
+
+    /**
+     * Names, ranks, child counts, common names and images of many taxa at once
+     *
+     * Lets the client fill in its whole tree with one request instead of
+     * one per node. GBIF is asked concurrently, and only for what the lookup
+     * cache doesn't already have. Keys GBIF doesn't know are listed in
+     * `missing`; a child count that couldn't be loaded is null. Common names
+     * are chosen by the comma-separated `languages` (ISO 639-3 codes).
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function batch(Request $request): JsonResponse
+    {
+        $validated = $request->validate(
+            [
+                'usage_keys' => 'required|array|max:' . self::MAX_BATCH_KEYS,
+                'usage_keys.*' => 'integer|min:1',
+                'languages' => 'nullable|string|max:100',
+            ]
+        );
+        $keys = array_values(array_unique(array_map('intval', $validated['usage_keys'])));
+        $languages = $this->names->languages($validated['languages'] ?? null);
+
+        $requests = [];
+        foreach ($keys as $key) {
+            $base = "https://api.gbif.org/v1/species/{$key}";
+            $requests["{$key}:taxon"] = [$base, []];
+            $requests["{$key}:vernacular_names"] = ["{$base}/vernacularNames", ['limit' => 300]];
+            $requests["{$key}:media"] = ["{$base}/media", ['limit' => 5]];
+        }
+        $found = $this->_poolInChunks($requests);
+
+        // Counting children needs at least their first page; fetch those together too
+        $firstPages = [];
+        foreach ($keys as $key) {
+            $rank = strtoupper($found["{$key}:taxon"]['rank'] ?? '');
+            if (isset(self::NEXT_MAJOR_RANK[$rank]) && Cache::get("gbif:child-count:{$key}") === null) {
+                $firstPages[$key] = [
+                    "https://api.gbif.org/v1/species/{$key}/children",
+                    ['limit' => self::CHILDREN_PAGE_SIZE, 'offset' => 0]
+                ];
+            }
+        }
+        $this->_poolInChunks($firstPages);
+
+        $taxa = [];
+        $missing = [];
+        foreach ($keys as $key) {
+            $taxon = $found["{$key}:taxon"];
+            if ($taxon === null) {
+                $missing[] = $key;
+                continue;
+            }
+
+            $childCount = $this->_childCount($key);
+            $taxa[$key] = [
+                'usage_key' => $key,
+                'scientific_name' => $taxon['canonicalName'] ?? $taxon['scientificName'] ?? null,
+                'rank' => $taxon['rank'] ?? null,
+                'child_rank' => $childCount['child_rank'] ?? null,
+                'child_count' => $childCount['count'] ?? null,
+                'vernacular_name' => $this->names->pick($found["{$key}:vernacular_names"]['results'] ?? [], $languages),
+                'image' => $this->_firstStillImage($found["{$key}:media"]['results'] ?? [])
+            ];
+        }
+
+        Log::info('Answered taxon batch', ['requested' => count($keys), 'missing' => count($missing)]);
+
+        return response()->json(
+            [
+                'success' => true,
+                'taxa' => (object) $taxa,
+                'missing' => $missing
+            ]
+        );
+    }
+
+    /**
+     * Send pooled lookups a few dozen at a time, so a large batch doesn't open hundreds of connections
+     *
+     * @param array $requests [name => [url, query]]
+     * @return array [name => decoded body or null]
+     */
+    private function _poolInChunks(array $requests): array
+    {
+        $results = [];
+        foreach (array_chunk($requests, self::BATCH_POOL_SIZE, true) as $chunk) {
+            $results += $this->lookup->pool($chunk);
+        }
+
+        return $results;
+    }
+
+    /**
+     * URL of the first still image among a taxon's GBIF media
+     *
+     * @param array $media
+     * @return string|null
+     */
+    private function _firstStillImage(array $media): ?string
+    {
+        foreach ($media as $item) {
+            if (strtolower($item['type'] ?? '') === 'stillimage' && !empty($item['identifier'])) {
+                return $item['identifier'];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * A taxon's child count, cached for a week
+     *
+     * @param int $usageKey
+     * @return array|null ['rank' => ..., 'child_rank' => ..., 'count' => ...], or null if GBIF failed
+     */
+    private function _childCount(int $usageKey): ?array
+    {
+        $result = Cache::get("gbif:child-count:{$usageKey}");
+
+        if ($result === null) {
+            $result = $this->_countChildrenAtNextRank($usageKey);
+            if ($result !== null) {
+                Cache::put("gbif:child-count:{$usageKey}", $result, now()->addWeek());
+            }
+        }
+
+        return $result;
+    }
+
+    /**
+     * Page through a taxon's children on GBIF and count the accepted ones at the next major rank
+     *
+     * @param int $usageKey
+     * @return array|null ['rank' => ..., 'child_rank' => ..., 'count' => ...], or null if GBIF failed
+     */
+    private function _countChildrenAtNextRank(int $usageKey): ?array
+    {
+        try {
+            $taxon = $this->lookup->get("https://api.gbif.org/v1/species/{$usageKey}");
+            if ($taxon === null) {
+                return null;
+            }
+
+            $rank = strtoupper($taxon['rank'] ?? '');
+            $childRank = self::NEXT_MAJOR_RANK[$rank] ?? null;
+
+            // Species and anything below have nothing left to collect
+            if ($childRank === null) {
+                return ['rank' => $rank ?: null, 'child_rank' => null, 'count' => 0];
+            }
+
+            $count = 0;
+            $offset = 0;
+            do {
+                $page = $this->lookup->get(
+                    "https://api.gbif.org/v1/species/{$usageKey}/children",
+                    [
+                        'limit' => self::CHILDREN_PAGE_SIZE,
+                        'offset' => $offset
+                    ],
+                    10
+                );
+                if ($page === null) {
+                    return null;
+                }
+
+                foreach ($page['results'] ?? [] as $child) {
+                    if (($child['taxonomicStatus'] ?? null) === 'ACCEPTED' && strtoupper($child['rank'] ?? '') === $childRank) {
+                        $count++;
+                    }
+                }
+
+                $offset += self::CHILDREN_PAGE_SIZE;
+            } while (!($page['endOfRecords'] ?? true) && $offset < self::MAX_CHILDREN);
+
+            Log::info('Counted children at next rank', [
+                'usage_key' => $usageKey,
+                'rank' => $rank,
+                'child_rank' => $childRank,
+                'count' => $count
+            ]);
+
+            return ['rank' => $rank, 'child_rank' => $childRank, 'count' => $count];
+        } catch (\Exception $e) {
+            Log::error('Failed to count children', [
+                'usage_key' => $usageKey,
+                'error' => $e->getMessage()
+            ]);
+
+            return null;
+        }
+    }
+}
@@ -0,0 +1,115 @@
+<?php
+
+namespace App\Jobs;
+
+use App\Models\DiscoveredSpecies;
+use Illuminate\Contracts\Queue\ShouldQueue;
+use Illuminate\Foundation\Queue\Queueable;
+use Illuminate\Support\Facades\Bus;
+use Illuminate\Support\Facades\Cache;
+use Illuminate\Support\Facades\Log;
+
+/**
+ * Checks stored collection entries against the current GBIF backbone
+ *
+ * The entries are split into chunks, each checked by its own
+ * RevalidateTaxonomyEntries job in one batch, so no single job has to get
+ * through the whole database within the worker's timeout. Runs weekly for
+ * everyone, and for one user when they ask for a check.
+ */
+class RevalidateTaxonomy implements ShouldQueue
+{
+    use Queueable;
+
+    /**
+     * How long a requested check counts as in progress if the batch never finishes
+     */
+    public const PENDING_MINUTES = 30;
+
+    /**
+     * Entries checked by one job
+     */
+    public const CHUNK_SIZE = 20;
+
+    /**
+     * @param int|null $userId Only check this user's collection; null for everyone's
+     */
+    public function __construct(public ?int $userId = null)
+    {
+    }
+
+    /**
+     * Cache key marking a user's requested check as in progress
+     *
+     * @param int $userId
+     * @return string
+     */
+    public static function pendingKey(int $userId): string
+    {
+        return "taxonomy-revalidation:{$userId}";
+    }
+
+    /**
+     * Ids of the entries to check, in chunks of CHUNK_SIZE
+     *
+     * @param int|null $userId Only this user's entries; null for everyone's
+     * @return array<int[]>
+     */
+    public static function chunks(?int $userId): array
+    {
+        return DiscoveredSpecies::query()
+            ->when($userId, fn ($query) => $query->where('user_id', $userId))
+            ->orderBy('id')
+            ->pluck('id')
+            ->chunk(self::CHUNK_SIZE)
+            ->map(fn ($ids) => $ids->values()->all())
+            ->all();
+    }
+
+    /**
+     * Execute the job.
+     */
+    public function handle(): void
+    {
+        $jobs = array_map(fn ($ids) => new RevalidateTaxonomyEntries($ids), self::chunks($this->userId));
+
+        Log::info('Collection taxonomy revalidation queued', [
+            'user_id' => $this->userId,
+            'jobs' => count($jobs)
+        ]);
+
+        if (empty($jobs)) {
+            $this->_finish();
+            return;
+        }
+
+        $pendingKey = $this->userId ? self::pendingKey($this->userId) : null;
+        Bus::batch($jobs)
+            ->name('Revalidate taxonomy' . ($this->userId ? " for user {$this->userId}" : ''))
+            ->allowFailures()
+            ->finally(function () use ($pendingKey) {
+                if ($pendingKey) {
+                    Cache::forget($pendingKey);
+                }
+            })
+            ->dispatch();
+    }
+
+    /**
+     * Handle a job failure.
+     */
+    public function failed(?\Throwable $exception): void
+    {
+        $this->_finish();
+    }
+
+    /**
+     * Let the app know a requested check is over
+     */
+    private function _finish(): void
+    {
+        if ($this->userId) {
+            Cache::forget(self::pendingKey($this->userId));
+        }
+    }
+}
@@ -0,0 +1,67 @@
+<?php
+
+namespace App\Jobs;
+
+use App\Models\DiscoveredSpecies;
+use App\Services\TaxonRevalidator;
+use Illuminate\Bus\Batchable;
+use Illuminate\Contracts\Queue\ShouldQueue;
+use Illuminate\Foundation\Queue\Queueable;
+use Illuminate\Support\Facades\Log;
+
+/**
+ * Checks one chunk of collection entries against the current GBIF backbone
+ *
+ * Each entry's change (or null once it's up to date) is saved with it for
+ * the user to accept from the app. An entry GBIF can't answer for keeps
+ * whatever was found last time. Queued in batches by RevalidateTaxonomy.
+ */
+class RevalidateTaxonomyEntries implements ShouldQueue
+{
+    use Batchable, Queueable;
+
+    /**
+     * Seconds a chunk may run; each entry takes a few GBIF lookups
+     *
+     * @var int
+     */
+    public $timeout = 300;
+
+    /**
+     * @param int[] $entryIds Ids of the DiscoveredSpecies rows to check
+     */
+    public function __construct(public array $entryIds)
+    {
+    }
+
+    /**
+     * Execute the job.
+     */
+    public function handle(TaxonRevalidator $revalidator): void
+    {
+        if ($this->batch()?->cancelled()) {
+            return;
+        }
+
+        $counts = ['checked' => 0, 'changed' => 0, 'failed' => 0];
+
+        foreach (DiscoveredSpecies::whereKey($this->entryIds)->get() as $entry) {
+            try {
+                $change = $revalidator->check($entry);
+            } catch (\Exception $e) {
+                $counts['failed']++;
+                Log::warning('Could not revalidate collection entry', [
+                    'gbif_usage_key' => $entry->gbif_usage_key,
+                    'error' => $e->getMessage()
+                ]);
+                continue;
+            }
+
+            $entry->update(['taxonomy_change' => $change, 'taxonomy_checked_at' => now()]);
+            $counts['checked']++;
+            $counts['changed'] += $change ? 1 : 0;
+        }
+
+        Log::info('Collection entries revalidated', $counts);
+    }
+}
@@ -3,8 +3,53 @@
 namespace App\Models;
 
 use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Database\Eloquent\Relations\HasMany;
 
 class DiscoveredSpecies extends Model
 {
-    //
+    /**
+     * The attributes that are mass assignable.
+     *
+     * @var list<string>
+     */
+    protected $fillable = [
+        'species_name',
+        'gbif_usage_key',
+        'species_data',
+        'taxonomy_change',
+        'taxonomy_checked_at',
+    ];
+
+    /**
+     * Get the attributes that should be cast.
+     *
+     * @return array<string, string>
+     */
+    protected function casts(): array
+    {
+        return [
+            'gbif_usage_key' => 'integer',
+            'species_data' => 'array',
+            // What changed in GBIF since the entry was added; null when up to date
+            'taxonomy_change' => 'array',
+            'taxonomy_checked_at' => 'datetime',
+        ];
+    }
+
+    /**
+     * The user who discovered this species.
+     */
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+
+    /**
+     * Every time the user has recorded this species, oldest first.
+     */
+    public function sightings(): HasMany
+    {
+        return $this->hasMany(SpeciesSighting::class)->orderBy('observed_at');
+    }
 }
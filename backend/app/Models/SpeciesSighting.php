@@ -0,0 +1,49 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+class SpeciesSighting extends Model
+{
+    /**
+     * The attributes that are mass assignable.
+     *
+     * @var list<string>
+     */
+    protected $fillable = [
+        'client_id',
+        'observed_at',
+        'latitude',
+        'longitude',
+        'location_source',
+        'photo_thumbnail',
+        'candidate_name',
+        'candidate_score',
+        'candidate_source',
+    ];
+
+    /**
+     * Get the attributes that should be cast.
+     *
+     * @return array<string, string>
+     */
+    protected function casts(): array
+    {
+        return [
+            'observed_at' => 'datetime',
+            'latitude' => 'float',
+            'longitude' => 'float',
+            'candidate_score' => 'float',
+        ];
+    }
+
+    /**
+     * The collection entry this sighting belongs to.
+     */
+    public function discoveredSpecies(): BelongsTo
+    {
+        return $this->belongsTo(DiscoveredSpecies::class);
+    }
+}
@@ -4,6 +4,7 @@
 
 // use Illuminate\Contracts\Auth\MustVerifyEmail;
 use Illuminate\Database\Eloquent\Factories\HasFactory;
+use Illuminate\Database\Eloquent\Relations\HasMany;
 use Illuminate\Foundation\Auth\User as Authenticatable;
 use Illuminate\Notifications\Notifiable;
 
@@ -45,4 +46,20 @@ protected function casts(): array
             'password' => 'hashed',
         ];
     }
+
+    /**
+     * The species this user has added to their Dex.
+     */
+    public function discoveredSpecies(): HasMany
+    {
+        return $this->hasMany(DiscoveredSpecies::class);
+    }
+
+    /**
+     * Achievements earned while building the collection.
+     */
+    public function achievements(): HasMany
+    {
+        return $this->hasMany(Achievement::class);
+    }
 }
@@ -2,6 +2,9 @@
 
 namespace App\Providers;
 
+use App\Services\Identification\IdentificationService;
+use App\Services\TaxonLookupService;
+use Illuminate\Auth\Notifications\ResetPassword;
 use Illuminate\Support\ServiceProvider;
 
 class AppServiceProvider extends ServiceProvider
@@ -11,7 +14,13 @@ class AppServiceProvider extends ServiceProvider
      */
     public function register(): void
     {
-        //
+        $this->app->singleton(
+            IdentificationService::class,
+            fn ($app) => IdentificationService::fromConfig($app['config']->get('services'))
+        );
+
+        // One per request, so responses are only memoized while answering it
+        $this->app->scoped(TaxonLookupService::class);
     }
 
     /**
@@ -19,6 +28,19 @@ public function register(): void
      */
     public function boot(): void
     {
-        //
+        $this->app->terminating(
+            function () {
+                if ($this->app->resolved(TaxonLookupService::class)) {
+                    $this->app->make(TaxonLookupService::class)->flush();
+                }
+            }
+        );
+
+        // Reset links open the React app, which shows its own reset form
+        ResetPassword::createUrlUsing(
+            fn ($user, string $token) => url('/').'?'.http_build_query(
+                ['reset_token' => $token, 'email' => $user->getEmailForPasswordReset()]
+            )
+        );
     }
 }
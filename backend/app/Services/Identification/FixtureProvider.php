@@ -0,0 +1,104 @@
+<?php
+
+namespace App\Services\Identification;
+
+/**
+ * Offline stand-in for development and tests
+ *
+ * Needs no keys and makes no requests. The same image always gets the same
+ * answer: one of the fixture scenes below, picked from a checksum of the bytes.
+ */
+class FixtureProvider implements IdentificationProvider
+{
+    /**
+     * Canned results. Names are real species so they resolve against GBIF.
+     */
+    private const SCENES = [
+        [
+            'detections' => [
+                ['description' => 'Pica pica', 'score' => 0.92],
+                ['description' => 'Corvus corone', 'score' => 0.41],
+                ['description' => 'Bird', 'score' => 0.97],
+            ],
+            'objects' => [
+                ['name' => 'Bird', 'score' => 0.9, 'box' => ['x' => 0.25, 'y' => 0.2, 'width' => 0.5, 'height' => 0.6]],
+            ],
+        ],
+        [
+            'detections' => [
+                ['description' => 'Erithacus rubecula', 'score' => 0.88],
+                ['description' => 'Parus major', 'score' => 0.79],
+                ['description' => 'Bird', 'score' => 0.95],
+            ],
+            'objects' => [
+                ['name' => 'Bird', 'score' => 0.86, 'box' => ['x' => 0.05, 'y' => 0.3, 'width' => 0.35, 'height' => 0.45]],
+                ['name' => 'Bird', 'score' => 0.81, 'box' => ['x' => 0.55, 'y' => 0.25, 'width' => 0.35, 'height' => 0.5]],
+            ],
+        ],
+        [
+            'detections' => [
+                ['description' => 'Bellis perennis', 'score' => 0.84],
+                ['description' => 'Taraxacum officinale', 'score' => 0.37],
+                ['description' => 'Flower', 'score' => 0.96],
+            ],
+            'objects' => [
+                ['name' => 'Flower', 'score' => 0.83, 'box' => ['x' => 0.3, 'y' => 0.3, 'width' => 0.4, 'height' => 0.4]],
+            ],
+        ],
+        [
+            'detections' => [
+                ['description' => 'Vulpes vulpes', 'score' => 0.9],
+                ['description' => 'Canis lupus', 'score' => 0.22],
+                ['description' => 'Mammal', 'score' => 0.94],
+            ],
+            'objects' => [
+                ['name' => 'Animal', 'score' => 0.88, 'box' => ['x' => 0.15, 'y' => 0.25, 'width' => 0.7, 'height' => 0.6]],
+            ],
+        ],
+    ];
+
+    /**
+     * @return string
+     */
+    public function id(): string
+    {
+        return 'fixture';
+    }
+
+    /**
+     * @return string
+     */
+    public function label(): string
+    {
+        return 'Offline fixtures';
+    }
+
+    /**
+     * @return bool
+     */
+    public function isConfigured(): bool
+    {
+        return true;
+    }
+
+    /**
+     * Return the fixture scene for this image
+     *
+     * @param string $imageContents Raw image bytes
+     * @param string $mimeType MIME type of the image
+     * @return array ['detections' => [...], 'objects' => [...]]
+     */
+    public function identify(string $imageContents, string $mimeType): array
+    {
+        $scene = self::SCENES[crc32($imageContents) % count(self::SCENES)];
+
+        return [
+            'detections' => array_map(
+                fn ($detection, $index) => $detection + ['mid' => "fixture:{$index}", 'source' => 'label_detection'],
+                $scene['detections'],
+                array_keys($scene['detections'])
+            ),
+            'objects' => array_map(fn ($object) => $object + ['mid' => ''], $scene['objects'])
+        ];
+    }
+}
@@ -0,0 +1,230 @@
+<?php
+
+namespace App\Services\Identification;
+
+use Illuminate\Http\Client\ConnectionException;
+use Illuminate\Support\Facades\Http;
+use Illuminate\Support\Facades\Log;
+
+/**
+ * Labels and localized objects from the Google Cloud Vision API
+ */
+class GoogleVisionProvider implements IdentificationProvider
+{
+    /**
+     * @param string|null $apiKey Google Cloud Vision API key
+     */
+    public function __construct(private ?string $apiKey)
+    {
+    }
+
+    /**
+     * @return string
+     */
+    public function id(): string
+    {
+        return 'google_vision';
+    }
+
+    /**
+     * @return string
+     */
+    public function label(): string
+    {
+        return 'Google Vision';
+    }
+
+    /**
+     * @return bool
+     */
+    public function isConfigured(): bool
+    {
+        return !empty($this->apiKey);
+    }
+
+    /**
+     * Process an image with Google Cloud Vision API
+     *
+     * @param string $imageContents Raw image bytes
+     * @param string $mimeType MIME type of the image
+     * @return array ['detections' => [...], 'objects' => [...]]
+     * @throws IdentificationException
+     */
+    public function identify(string $imageContents, string $mimeType): array
+    {
+        $imageData = base64_encode($imageContents);
+        Log::info('=== VISION API PROCESSING STARTED ===', ['image_data_length' => strlen($imageData)]);
+        
+        if (!$this->isConfigured()) {
+            Log::error('Google Cloud Vision API key not found in environment');
+            throw new IdentificationException('Google Cloud Vision API key not found in environment');
+        }
+        
+        // Vision API URL
+        $visionUrl = 'https://vision.googleapis.com/v1/images:annotate?key=' . $this->apiKey;
+        
+        $payload = [
+            'requests' => [[
+                'image' => ['content' => $imageData],
+                'features' => [
+                    ['type' => 'LABEL_DETECTION', 'maxResults' => 20],
+                    ['type' => 'OBJECT_LOCALIZATION', 'maxResults' => 10]
+                ],
+            ]]
+        ];
+        
+        Log::info('Sending request to Vision API', [
+            'features' => ['LABEL_DETECTION (max 20)', 'OBJECT_LOCALIZATION (max 10)']
+        ]);
+        
+        try {
+            $response = Http::post($visionUrl, $payload);
+        } catch (ConnectionException $e) {
+            // The error names the URL, which carries the key
+            $error = str_replace($this->apiKey, '[key]', $e->getMessage());
+            Log::error('Vision API could not be reached', ['error' => $error]);
+            throw new IdentificationException('Vision API could not be reached', $error);
+        }
+        
+        Log::info('Vision API response received', [
+            'status_code' => $response->status(),
+            'response_ok' => $response->ok(),
+            'response_size' => strlen($response->body())
+        ]);
+        
+        if (!$response->ok()) {
+            Log::error('Vision API request failed', [
+                'status' => $response->status(),
+                'response_body' => $response->body()
+            ]);
+            throw new IdentificationException(
+                'Vision API error',
+                $response->json() ?? 'No response details',
+                $response->status()
+            );
+        }
+        
+        $detections = $this->_processDetections($response->json());
+        $objects = $this->_extractLocalizedObjects($response->json());
+        
+        Log::info('=== VISION API PROCESSING COMPLETED ===', [
+            'processed_detections_count' => count($detections),
+            'localized_objects_count' => count($objects)
+        ]);
+        
+        return [
+            'detections' => $detections,
+            'objects' => $objects
+        ];
+    }
+    
+    /**
+     * Extract each localized object with its bounding box
+     *
+     * Boxes are normalised to the image size, so x, y, width and height are
+     * all between 0 and 1 with the origin at the top left.
+     *
+     * @param array $apiResponseData Raw API response data
+     * @return array List of objects, highest score first
+     */
+    private function _extractLocalizedObjects(array $apiResponseData): array
+    {
+        $annotations = $apiResponseData['responses'][0]['localizedObjectAnnotations'] ?? [];
+        $objects = [];
+        
+        foreach ($annotations as $annotation) {
+            // Vision leaves out coordinates that are zero
+            $vertices = $annotation['boundingPoly']['normalizedVertices'] ?? [];
+            if (empty($vertices)) {
+                continue;
+            }
+            $xs = array_map(fn ($vertex) => (float) ($vertex['x'] ?? 0), $vertices);
+            $ys = array_map(fn ($vertex) => (float) ($vertex['y'] ?? 0), $vertices);
+            $left = max(0.0, min($xs));
+            $top = max(0.0, min($ys));
+            $right = min(1.0, max($xs));
+            $bottom = min(1.0, max($ys));
+            
+            if ($right <= $left || $bottom <= $top) {
+                continue;
+            }
+            
+            $objects[] = [
+                'name' => $annotation['name'] ?? '',
+                'score' => $annotation['score'] ?? 0,
+                'mid' => $annotation['mid'] ?? '',
+                'box' => [
+                    'x' => round($left, 4),
+                    'y' => round($top, 4),
+                    'width' => round($right - $left, 4),
+                    'height' => round($bottom - $top, 4)
+                ]
+            ];
+        }
+        
+        usort(
+            $objects,
+            function ($a, $b) {
+                return $b['score'] <=> $a['score'];
+            }
+        );
+        
+        return $objects;
+    }
+    
+    /**
+     * Turn labels and localized objects into one detection list
+     *
+     * @param array $apiResponseData Raw API response data
+     * @return array Formatted list of detections
+     */
+    private function _processDetections(array $apiResponseData): array
+    {
+        $apiResponse = $apiResponseData['responses'][0] ?? [];
+        $labels = $apiResponse['labelAnnotations'] ?? [];
+        $objects = $apiResponse['localizedObjectAnnotations'] ?? [];
+        
+        // Combine labels and objects into a single array
+        $allDetections = [];
+        
+        // Add labels
+        foreach ($labels as $label) {
+            $allDetections[] = [
+                'description' => $label['description'],
+                'score' => $label['score'],
+                'mid' => $label['mid'] ?? '',
+                'source' => 'label_detection'
+            ];
+        }
+        
+        // Add objects if they aren't already in the labels
+        foreach ($objects as $object) {
+            $found = false;
+            foreach ($allDetections as $detection) {
+                if (strtolower($detection['description']) === strtolower($object['name'])) {
+                    $found = true;
+                    break;
+                }
+            }
+            
+            if (!$found) {
+                $allDetections[] = [
+                    'description' => $object['name'],
+                    'score' => $object['score'],
+                    'mid' => $object['mid'] ?? '',
+                    'source' => 'object_detection'
+                ];
+            }
+        }
+        
+        // Sort by confidence score (highest first)
+        usort(
+            $allDetections, 
+            function ($a, $b) {
+                return $b['score'] <=> $a['score'];
+            }
+        );
+        
+        return $allDetections;
+    }
+}
@@ -0,0 +1,115 @@
+<?php
+
+namespace App\Services\Identification;
+
+use Illuminate\Http\Client\ConnectionException;
+use Illuminate\Support\Facades\Http;
+use Illuminate\Support\Facades\Log;
+
+/**
+ * Species suggestions from the iNaturalist computer vision model
+ */
+class INaturalistProvider implements IdentificationProvider
+{
+    private const SCORE_URL = 'https://api.inaturalist.org/v1/computervision/score_image';
+
+    /**
+     * How many suggestions to keep
+     */
+    private const MAX_RESULTS = 10;
+
+    /**
+     * @param string|null $apiToken iNaturalist API token (JWT)
+     */
+    public function __construct(private ?string $apiToken)
+    {
+    }
+
+    /**
+     * @return string
+     */
+    public function id(): string
+    {
+        return 'inaturalist';
+    }
+
+    /**
+     * @return string
+     */
+    public function label(): string
+    {
+        return 'iNaturalist';
+    }
+
+    /**
+     * @return bool
+     */
+    public function isConfigured(): bool
+    {
+        return !empty($this->apiToken);
+    }
+
+    /**
+     * Score an image against the iNaturalist model
+     *
+     * Suggestions are returned under their scientific names, which resolve
+     * cleanly against GBIF.
+     *
+     * @param string $imageContents Raw image bytes
+     * @param string $mimeType MIME type of the image
+     * @return array ['detections' => [...], 'objects' => []]
+     * @throws IdentificationException
+     */
+    public function identify(string $imageContents, string $mimeType): array
+    {
+        if (!$this->isConfigured()) {
+            throw new IdentificationException('iNaturalist API token not found in environment');
+        }
+
+        Log::info('Sending image to iNaturalist computer vision', ['image_size' => strlen($imageContents)]);
+
+        try {
+            $response = Http::withHeaders(['Authorization' => $this->apiToken])
+                ->timeout(20)
+                ->attach('image', $imageContents, 'photo.jpg', ['Content-Type' => $mimeType])
+                ->post(self::SCORE_URL);
+        } catch (ConnectionException $e) {
+            Log::error('iNaturalist computer vision could not be reached', ['error' => $e->getMessage()]);
+            throw new IdentificationException('iNaturalist computer vision could not be reached', $e->getMessage());
+        }
+
+        if (!$response->ok()) {
+            Log::error('iNaturalist computer vision request failed', [
+                'status' => $response->status(),
+                'response_body' => $response->body()
+            ]);
+            throw new IdentificationException(
+                'iNaturalist computer vision error',
+                $response->json() ?? 'No response details',
+                $response->status()
+            );
+        }
+
+        $detections = [];
+        foreach (array_slice($response->json('results') ?? [], 0, self::MAX_RESULTS) as $result) {
+            $taxon = $result['taxon'] ?? [];
+            if (empty($taxon['name'])) {
+                continue;
+            }
+            $detections[] = [
+                'description' => $taxon['name'],
+                // Scores come back as percentages
+                'score' => round(($result['combined_score'] ?? $result['vision_score'] ?? 0) / 100, 4),
+                'mid' => 'inat:' . ($taxon['id'] ?? ''),
+                'source' => ($taxon['rank'] ?? '') === 'species' ? 'species_detection' : 'general_detection'
+            ];
+        }
+
+        Log::info('iNaturalist suggestions received', ['count' => count($detections)]);
+
+        return [
+            'detections' => $detections,
+            'objects' => []
+        ];
+    }
+}
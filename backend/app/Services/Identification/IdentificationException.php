@@ -0,0 +1,29 @@
+<?php
+
+namespace App\Services\Identification;
+
+use RuntimeException;
+
+/**
+ * An identification provider failed to return a result
+ */
+class IdentificationException extends RuntimeException
+{
+    /**
+     * Details from the provider's response, for logging and the error payload
+     *
+     * @var mixed
+     */
+    public $details;
+
+    /**
+     * @param string $message
+     * @param mixed $details
+     * @param int $status HTTP status returned by the provider, if any
+     */
+    public function __construct(string $message, $details = null, int $status = 0)
+    {
+        parent::__construct($message, $status);
+        $this->details = $details;
+    }
+}
@@ -0,0 +1,44 @@
+<?php
+
+namespace App\Services\Identification;
+
+/**
+ * A backend that suggests what organism a photo shows
+ */
+interface IdentificationProvider
+{
+    /**
+     * Short machine name used in config, e.g. "google_vision"
+     *
+     * @return string
+     */
+    public function id(): string;
+
+    /**
+     * Name shown to users next to the candidates this provider suggested
+     *
+     * @return string
+     */
+    public function label(): string;
+
+    /**
+     * Whether the provider has the credentials it needs
+     *
+     * @return bool
+     */
+    public function isConfigured(): bool;
+
+    /**
+     * Identify the contents of an image
+     *
+     * Detections are ['description', 'score' (0-1), 'mid', 'source'];
+     * objects are ['name', 'score', 'mid', 'box' => ['x', 'y', 'width', 'height']]
+     * with the box in fractions of the image.
+     *
+     * @param string $imageContents Raw image bytes
+     * @param string $mimeType MIME type of the image
+     * @return array ['detections' => [...], 'objects' => [...]]
+     * @throws IdentificationException When the provider cannot be reached or refuses the image
+     */
+    public function identify(string $imageContents, string $mimeType): array;
+}
@@ -0,0 +1,174 @@
+<?php
+
+namespace App\Services\Identification;
+
+use Illuminate\Support\Facades\Log;
+
+/**
+ * Runs an image past every enabled provider and ranks their candidates together
+ */
+class IdentificationService
+{
+    /**
+     * @param IdentificationProvider[] $providers
+     */
+    public function __construct(private array $providers)
+    {
+    }
+
+    /**
+     * Build the service from config/services.php
+     *
+     * `identification.providers` is a comma-separated list of provider ids.
+     * Left empty, every provider with credentials is used. When none has any
+     * the offline fixtures stand in locally and in tests; elsewhere that is
+     * logged and identification fails rather than serving made-up results.
+     *
+     * @param array $config The `services` config array
+     * @return self
+     */
+    public static function fromConfig(array $config): self
+    {
+        $available = [
+            new GoogleVisionProvider($config['google_vision']['key'] ?? null),
+            new INaturalistProvider($config['inaturalist']['token'] ?? null),
+            new FixtureProvider(),
+        ];
+        $byId = [];
+        foreach ($available as $provider) {
+            $byId[$provider->id()] = $provider;
+        }
+
+        $requested = array_filter(array_map('trim', explode(',', (string) ($config['identification']['providers'] ?? ''))));
+
+        if (empty($requested)) {
+            $providers = array_values(array_filter(
+                $available,
+                fn ($provider) => $provider->id() !== 'fixture' && $provider->isConfigured()
+            ));
+            if (empty($providers)) {
+                if (app()->environment('local', 'testing')) {
+                    return new self([$byId['fixture']]);
+                }
+                Log::error('No identification provider has credentials; set GOOGLE_CLOUD_VISION_API_KEY or INATURALIST_API_TOKEN');
+            }
+            return new self($providers);
+        }
+
+        $providers = [];
+        foreach ($requested as $id) {
+            if (!isset($byId[$id])) {
+                Log::warning("Unknown identification provider '{$id}' ignored");
+                continue;
+            }
+            if (!$byId[$id]->isConfigured()) {
+                Log::warning("Identification provider '{$id}' has no credentials and was skipped");
+                continue;
+            }
+            $providers[] = $byId[$id];
+        }
+
+        return new self($providers);
+    }
+
+    /**
+     * The providers that will be asked
+     *
+     * @return IdentificationProvider[]
+     */
+    public function providers(): array
+    {
+        return $this->providers;
+    }
+
+    /**
+     * Identify an image with every provider and merge the results
+     *
+     * Detections with the same description are combined: each lists the
+     * providers that suggested it, and the scores are combined so that
+     * agreement between providers ranks a candidate higher. A provider that
+     * fails is logged and left out as long as another one answers.
+     *
+     * @param string $imageContents Raw image bytes
+     * @param string $mimeType MIME type of the image
+     * @return array ['detections' => [...], 'objects' => [...], 'providers' => [id => label]]
+     * @throws IdentificationException When no provider returned a result
+     */
+    public function identify(string $imageContents, string $mimeType): array
+    {
+        $responses = [];
+        $errors = [];
+
+        foreach ($this->providers as $provider) {
+            try {
+                $responses[] = [$provider, $provider->identify($imageContents, $mimeType)];
+            } catch (IdentificationException $e) {
+                Log::warning("Identification provider '{$provider->id()}' failed", [
+                    'message' => $e->getMessage(),
+                    'details' => $e->details
+                ]);
+                $errors[$provider->id()] = [
+                    'error' => $e->getMessage(),
+                    'details' => $e->details,
+                    'status' => $e->getCode()
+                ];
+            }
+        }
+
+        if (empty($responses)) {
+            throw new IdentificationException(
+                empty($this->providers) ? 'No identification provider is configured' : 'Identification failed',
+                $errors
+            );
+        }
+
+        $merged = [];
+        $objects = [];
+        $used = [];
+        foreach ($responses as [$provider, $result]) {
+            $used[$provider->id()] = $provider->label();
+
+            foreach ($result['detections'] ?? [] as $detection) {
+                $key = strtolower(trim($detection['description']));
+                if (!isset($merged[$key])) {
+                    $merged[$key] = $detection + ['providers' => []];
+                    $merged[$key]['score'] = 0;
+                    $merged[$key]['misses'] = 1.0;
+                } elseif ($detection['score'] > ($merged[$key]['best'] ?? 0)) {
+                    $merged[$key]['description'] = $detection['description'];
+                }
+                $merged[$key]['best'] = max($merged[$key]['best'] ?? 0, $detection['score']);
+                // Probability that every provider suggesting it is wrong
+                $merged[$key]['misses'] *= 1 - min(1, max(0, $detection['score']));
+                if (($detection['source'] ?? '') === 'species_detection') {
+                    $merged[$key]['source'] = 'species_detection';
+                }
+                if (!in_array($provider->label(), $merged[$key]['providers'], true)) {
+                    $merged[$key]['providers'][] = $provider->label();
+                }
+            }
+
+            foreach ($result['objects'] ?? [] as $object) {
+                $objects[] = $object + ['provider' => $provider->label()];
+            }
+        }
+
+        $detections = array_map(
+            function ($detection) {
+                $detection['score'] = round(1 - $detection['misses'], 4);
+                unset($detection['misses'], $detection['best']);
+                return $detection;
+            },
+            array_values($merged)
+        );
+
+        usort($detections, fn ($a, $b) => $b['score'] <=> $a['score']);
+        usort($objects, fn ($a, $b) => $b['score'] <=> $a['score']);
+
+        return [
+            'detections' => $detections,
+            'objects' => $objects,
+            'providers' => $used
+        ];
+    }
+}
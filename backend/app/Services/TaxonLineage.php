@@ -0,0 +1,163 @@
+<?php
+
+namespace App\Services;
+
+use Illuminate\Support\Facades\Log;
+
+/**
+ * A taxon's place in the GBIF backbone, as the client draws it in the tree
+ *
+ * The lineage lists every ancestor GBIF records for the taxon, highest
+ * first, including intermediate ranks such as subfamily and tribe. The
+ * backbone has no domain rank, so the domain is derived from the kingdom;
+ * when the kingdom is unknown or has no single domain (viruses, incertae
+ * sedis) it is left out rather than assumed to be Eukaryota. A synonym
+ * has no place of its own; it belongs wherever its accepted taxon is.
+ */
+class TaxonLineage
+{
+    /**
+     * Domain of each GBIF backbone kingdom
+     */
+    private const DOMAIN_BY_KINGDOM = [
+        'animalia' => 'Eukaryota',
+        'plantae' => 'Eukaryota',
+        'fungi' => 'Eukaryota',
+        'chromista' => 'Eukaryota',
+        'protozoa' => 'Eukaryota',
+        'bacteria' => 'Bacteria',
+        'archaea' => 'Archaea',
+    ];
+
+    /**
+     * GBIF statuses of a name that now points to another, accepted taxon
+     */
+    public const SYNONYM_STATUSES = [
+        'SYNONYM',
+        'HOMOTYPIC_SYNONYM',
+        'HETEROTYPIC_SYNONYM',
+        'PROPARTE_SYNONYM',
+        'MISAPPLIED',
+    ];
+
+    /**
+     * @param TaxonLookupService $lookup Cached GBIF lookups
+     */
+    public function __construct(private TaxonLookupService $lookup)
+    {
+    }
+
+    /**
+     * The domain a kingdom belongs to, or null if it has none or is unknown
+     *
+     * @param string|null $kingdom
+     * @return string|null
+     */
+    public function domainOf(?string $kingdom): ?string
+    {
+        return self::DOMAIN_BY_KINGDOM[strtolower(trim((string) $kingdom))] ?? null;
+    }
+
+    /**
+     * The accepted taxon a synonym points to
+     *
+     * @param array $synonym A GBIF record or search result with its `key`
+     * @return array|null The accepted taxon's GBIF record, or null when there
+     *                    is none, it is the same taxon or GBIF can't be reached
+     */
+    public function accepted(array $synonym): ?array
+    {
+        try {
+            $gbifKey = $synonym['key'] ?? null;
+            if (!$gbifKey) {
+                Log::warning("No GBIF key found for synonym resolution");
+                return null;
+            }
+
+            Log::info("Fetching detailed species data for synonym resolution", ['gbif_key' => $gbifKey]);
+
+            $detailedData = $this->lookup->get("https://api.gbif.org/v1/species/{$gbifKey}");
+
+            if ($detailedData === null) {
+                Log::warning("Failed to fetch species details for synonym resolution", [
+                    'gbif_key' => $gbifKey
+                ]);
+                return null;
+            }
+
+            $acceptedKey = $detailedData['acceptedKey'] ?? $detailedData['accepted'] ?? null;
+
+            if (!$acceptedKey || $acceptedKey === $gbifKey) {
+                Log::info("No accepted name found or synonym is self-referencing", [
+                    'gbif_key' => $gbifKey,
+                    'accepted_key' => $acceptedKey
+                ]);
+                return null;
+            }
+
+            Log::info("Found accepted name key, fetching accepted species data", [
+                'synonym_key' => $gbifKey,
+                'accepted_key' => $acceptedKey
+            ]);
+
+            $acceptedData = $this->lookup->get("https://api.gbif.org/v1/species/{$acceptedKey}");
+
+            if ($acceptedData === null) {
+                Log::warning("Failed to fetch accepted species data", [
+                    'accepted_key' => $acceptedKey
+                ]);
+                return null;
+            }
+
+            Log::info("Successfully resolved synonym to accepted name", [
+                'synonym_name' => $synonym['scientificName'] ?? null,
+                'accepted_name' => $acceptedData['scientificName'] ?? null,
+                'accepted_key' => $acceptedKey
+            ]);
+
+            return $acceptedData;
+
+        } catch (\Exception $e) {
+            Log::error("Exception resolving synonym to accepted name", [
+                'synonym_name' => $synonym['scientificName'] ?? 'unknown',
+                'error' => $e->getMessage()
+            ]);
+            return null;
+        }
+    }
+
+    /**
+     * Ancestors of a taxon, highest first, each as ['rank', 'name', 'key']
+     *
+     * Ranks are GBIF's upper-case names ('KINGDOM', 'SUBFAMILY', ...). The
+     * derived domain comes first and has no key. An empty list means GBIF
+     * could not be reached; the client then falls back to the named ranks.
+     *
+     * @param int $usageKey
+     * @return array
+     */
+    public function ancestors(int $usageKey): array
+    {
+        $parents = $this->lookup->get("https://api.gbif.org/v1/species/{$usageKey}/parents");
+        if (!is_array($parents) || !array_is_list($parents)) {
+            return [];
+        }
+
+        $lineage = [];
+        foreach ($parents as $parent) {
+            $name = $parent['canonicalName'] ?? $parent['scientificName'] ?? null;
+            if (!$name || empty($parent['key']) || empty($parent['rank'])) {
+                continue;
+            }
+            $lineage[] = ['rank' => strtoupper($parent['rank']), 'name' => $name, 'key' => (int) $parent['key']];
+        }
+
+        $kingdom = collect($lineage)->firstWhere('rank', 'KINGDOM');
+        $domain = $this->domainOf($kingdom['name'] ?? null);
+        if ($domain) {
+            array_unshift($lineage, ['rank' => 'DOMAIN', 'name' => $domain, 'key' => null]);
+        }
+
+        return $lineage;
+    }
+}
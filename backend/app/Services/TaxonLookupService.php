@@ -0,0 +1,314 @@
+<?php
+
+namespace App\Services;
+
+use Illuminate\Http\Client\Pool;
+use Illuminate\Http\Client\Response;
+use Illuminate\Support\Facades\Cache;
+use Illuminate\Support\Facades\Http;
+
+/**
+ * Cached GET lookups against GBIF, iNaturalist, Wikipedia and Flickr
+ *
+ * Every response is kept in the application cache for a time that depends
+ * on the source, and memoized for the rest of the request so the same URL
+ * is never fetched twice while answering one call. Not-found answers are
+ * cached too, for a shorter time; failures are not cached at all.
+ *
+ * Hits, misses and fetch times are counted per source and written to the
+ * cache when the request ends, for the /api/taxon-lookup/stats endpoint.
+ */
+class TaxonLookupService
+{
+    /**
+     * Stats name and cache lifetime in seconds of each source, by host
+     */
+    private const SOURCES = [
+        'api.gbif.org' => ['name' => 'gbif', 'ttl' => 604800],
+        'api.inaturalist.org' => ['name' => 'inaturalist', 'ttl' => 86400],
+        'en.wikipedia.org' => ['name' => 'wikipedia', 'ttl' => 86400],
+        'www.flickr.com' => ['name' => 'flickr', 'ttl' => 3600],
+    ];
+
+    /**
+     * Lifetime of anything from a host not listed above
+     */
+    private const DEFAULT_TTL = 3600;
+
+    /**
+     * Lifetime of a cached 404
+     */
+    private const NOT_FOUND_TTL = 3600;
+
+    /**
+     * Counters kept for each source
+     */
+    private const COUNTERS = ['hits', 'deduplicated', 'misses', 'errors', 'fetch_ms'];
+
+    /**
+     * Responses already looked up during this request, by cache key; null for a 404
+     *
+     * @var array<string, array|null>
+     */
+    private array $memo = [];
+
+    /**
+     * This request's counters, by source name
+     *
+     * @var array<string, array<string, int>>
+     */
+    private array $counts = [];
+
+    /**
+     * Fetch a JSON resource, from the cache when possible
+     *
+     * @param string $url
+     * @param array $query
+     * @param int $timeout Seconds to wait for the source
+     * @param array $options Guzzle options, e.g. ['verify' => false]
+     * @return array|null The decoded body, or null for a 404 or a failed response
+     * @throws \Illuminate\Http\Client\ConnectionException When the source can't be reached
+     */
+    public function get(string $url, array $query = [], int $timeout = 5, array $options = []): ?array
+    {
+        $key = $this->_cacheKey($url, $query);
+        $source = $this->_source($url);
+
+        $known = $this->_lookUpKnown($key, $source);
+        if ($known !== false) {
+            return $known;
+        }
+
+        $started = microtime(true);
+        try {
+            $response = Http::timeout($timeout)->withOptions($options)->get($url, $query);
+        } catch (\Exception $e) {
+            $this->_count($source, 'errors');
+            throw $e;
+        }
+
+        return $this->_remember($key, $url, $response, $started);
+    }
+
+    /**
+     * Fetch several JSON resources at once
+     *
+     * Only the ones not already memoized or cached are sent, concurrently.
+     * The same URL asked for under two names is sent once.
+     *
+     * @param array $requests [name => [url, query]]
+     * @param int $timeout Seconds to wait for each source
+     * @return array [name => decoded body, or null for a 404 or failure]
+     */
+    public function pool(array $requests, int $timeout = 5): array
+    {
+        $results = [];
+        $pending = [];
+
+        foreach ($requests as $name => [$url, $query]) {
+            $key = $this->_cacheKey($url, $query ?? []);
+            if (isset($pending[$key])) {
+                $this->_count($this->_source($url), 'deduplicated');
+                $pending[$key]['names'][] = $name;
+                continue;
+            }
+
+            $known = $this->_lookUpKnown($key, $this->_source($url));
+            if ($known !== false) {
+                $results[$name] = $known;
+                continue;
+            }
+
+            $pending[$key] = ['url' => $url, 'query' => $query ?? [], 'names' => [$name]];
+        }
+
+        if ($pending) {
+            $started = microtime(true);
+            $responses = Http::pool(
+                function (Pool $pool) use ($pending, $timeout) {
+                    foreach ($pending as $key => $request) {
+                        $pool->as($key)->timeout($timeout)->get($request['url'], $request['query']);
+                    }
+                }
+            );
+
+            foreach ($pending as $key => $request) {
+                $response = $responses[$key] ?? null;
+                if ($response instanceof Response) {
+                    $body = $this->_remember($key, $request['url'], $response, $started);
+                } else {
+                    // Connection failures come back in place of a response
+                    $this->_count($this->_source($request['url']), 'errors');
+                    $body = null;
+                }
+                foreach ($request['names'] as $name) {
+                    $results[$name] = $body;
+                }
+            }
+        }
+
+        return $results;
+    }
+
+    /**
+     * Whether a URL has been answered during this request, with a body or a 404
+     *
+     * Tells a lookup that found nothing from one that failed, which get() and
+     * pool() both return as null.
+     *
+     * @param string $url
+     * @param array $query
+     * @return bool
+     */
+    public function answered(string $url, array $query = []): bool
+    {
+        return array_key_exists($this->_cacheKey($url, $query), $this->memo);
+    }
+
+    /**
+     * Add this request's counters to the stored stats and forget its memoized responses
+     *
+     * Called when the request ends.
+     *
+     * @return void
+     */
+    public function flush(): void
+    {
+        foreach ($this->counts as $source => $counters) {
+            foreach ($counters as $counter => $value) {
+                $key = "taxon-lookup:stats:{$source}:{$counter}";
+                Cache::add($key, 0, now()->addYear());
+                Cache::increment($key, $value);
+            }
+        }
+
+        $this->counts = [];
+        $this->memo = [];
+    }
+
+    /**
+     * Stored hit and miss counts for every source, with totals
+     *
+     * The estimated time saved is what the cache hits would have cost at
+     * each source's average fetch time.
+     *
+     * @return array
+     */
+    public function stats(): array
+    {
+        $sources = [];
+        $totals = array_fill_keys(self::COUNTERS, 0) + ['estimated_ms_saved' => 0];
+        $names = array_merge(array_column(self::SOURCES, 'name'), ['other']);
+
+        foreach ($names as $source) {
+            $counters = [];
+            foreach (self::COUNTERS as $counter) {
+                $counters[$counter] = (int) Cache::get("taxon-lookup:stats:{$source}:{$counter}", 0);
+                $totals[$counter] += $counters[$counter];
+            }
+            $counters['average_fetch_ms'] = $counters['misses'] > 0
+                ? (int) round($counters['fetch_ms'] / $counters['misses'])
+                : null;
+            $counters['estimated_ms_saved'] = ($counters['hits'] + $counters['deduplicated']) * ($counters['average_fetch_ms'] ?? 0);
+            $totals['estimated_ms_saved'] += $counters['estimated_ms_saved'];
+            $sources[$source] = $counters;
+        }
+
+        $lookups = $totals['hits'] + $totals['deduplicated'] + $totals['misses'];
+        $totals['hit_rate'] = $lookups > 0
+            ? round(($totals['hits'] + $totals['deduplicated']) / $lookups, 3)
+            : null;
+
+        return ['sources' => $sources, 'totals' => $totals];
+    }
+
+    /**
+     * A memoized or cached answer for a key
+     *
+     * @param string $key
+     * @param string $source
+     * @return array|null|false The body, null for a known 404, or false if it has to be fetched
+     */
+    private function _lookUpKnown(string $key, string $source)
+    {
+        if (array_key_exists($key, $this->memo)) {
+            $this->_count($source, 'deduplicated');
+            return $this->memo[$key];
+        }
+
+        $cached = Cache::get($key);
+        if ($cached !== null) {
+            $this->_count($source, 'hits');
+            return $this->memo[$key] = $cached['body'];
+        }
+
+        return false;
+    }
+
+    /**
+     * Cache and memoize a fetched response, and count it
+     *
+     * @param string $key
+     * @param string $url
+     * @param Response $response
+     * @param float $started microtime() when the fetch started
+     * @return array|null
+     */
+    private function _remember(string $key, string $url, Response $response, float $started): ?array
+    {
+        $source = $this->_source($url);
+        $seconds = $response->transferStats?->getTransferTime() ?? (microtime(true) - $started);
+        $this->_count($source, 'misses');
+        $this->_count($source, 'fetch_ms', (int) round($seconds * 1000));
+
+        if ($response->status() === 404) {
+            Cache::put($key, ['body' => null], self::NOT_FOUND_TTL);
+            return $this->memo[$key] = null;
+        }
+
+        $body = $response->ok() ? $response->json() : null;
+        if (!is_array($body)) {
+            $this->_count($source, 'errors');
+            return null;
+        }
+
+        $host = parse_url($url, PHP_URL_HOST);
+        Cache::put($key, ['body' => $body], self::SOURCES[$host]['ttl'] ?? self::DEFAULT_TTL);
+
+        return $this->memo[$key] = $body;
+    }
+
+    /**
+     * @param string $url
+     * @param array $query
+     * @return string
+     */
+    private function _cacheKey(string $url, array $query): string
+    {
+        ksort($query);
+
+        return 'taxon-lookup:' . md5($url . '?' . http_build_query($query));
+    }
+
+    /**
+     * Stats name for the host of a URL
+     *
+     * @param string $url
+     * @return string
+     */
+    private function _source(string $url): string
+    {
+        return self::SOURCES[parse_url($url, PHP_URL_HOST)]['name'] ?? 'other';
+    }
+
+    /**
+     * @param string $source
+     * @param string $counter
+     * @param int $by
+     * @return void
+     */
+    private function _count(string $source, string $counter, int $by = 1): void
+    {
+        $this->counts[$source][$counter] = ($this->counts[$source][$counter] ?? 0) + $by;
+    }
+}
@@ -0,0 +1,200 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\DiscoveredSpecies;
+use RuntimeException;
+
+/**
+ * Checks collection entries against the current GBIF backbone
+ *
+ * Entries keep the usage key and classification they were added with, but
+ * the backbone changes over time: species are renamed, split, lumped or
+ * moved to another genus, which turns their old names into synonyms, and
+ * accepted taxa get new parents. A check reports either kind of change with
+ * the taxon the entry should now be, in the shape /api/species-details
+ * gives, so the client can move the entry (and its sightings) there.
+ */
+class TaxonRevalidator
+{
+    /**
+     * Ranks compared for entries saved before lineages were sent
+     */
+    private const MAJOR_RANKS = ['kingdom', 'phylum', 'class', 'order', 'family', 'genus'];
+
+    /**
+     * @param TaxonLookupService $lookup Cached GBIF lookups
+     * @param TaxonLineage $lineage Lineages and synonym resolution
+     */
+    public function __construct(
+        private TaxonLookupService $lookup,
+        private TaxonLineage $lineage
+    ) {
+    }
+
+    /**
+     * What changed in GBIF for one collection entry
+     *
+     * The change has a `status` of 'synonym' (the entry's key now points to
+     * another accepted taxon) or 'changed' (same key, new name or lineage),
+     * GBIF's `taxonomic_status` for the stored key, the `changes` rank by
+     * rank as ['rank', 'from', 'to'] and the `taxon` to move to.
+     *
+     * @param DiscoveredSpecies $entry
+     * @return array|null The change, or null when the entry is up to date
+     * @throws RuntimeException When GBIF has no answer for the entry
+     * @throws \Illuminate\Http\Client\ConnectionException When GBIF can't be reached
+     */
+    public function check(DiscoveredSpecies $entry): ?array
+    {
+        $usageKey = $entry->gbif_usage_key;
+        $record = $this->lookup->get("https://api.gbif.org/v1/species/{$usageKey}");
+        if ($record === null) {
+            throw new RuntimeException("GBIF has no record of taxon {$usageKey}");
+        }
+
+        $status = strtoupper($record['taxonomicStatus'] ?? 'ACCEPTED');
+        $synonym = in_array($status, TaxonLineage::SYNONYM_STATUSES, true);
+        $current = $synonym ? $this->lineage->accepted($record) : $record;
+        if ($current === null) {
+            throw new RuntimeException("No accepted taxon found for synonym {$usageKey}");
+        }
+
+        $taxon = $this->_describe($current);
+        $changes = $this->_changes($entry->species_name, $entry->species_data, $taxon);
+        if (!$synonym && empty($changes)) {
+            return null;
+        }
+
+        return [
+            'status' => $synonym ? 'synonym' : 'changed',
+            'taxonomic_status' => $status,
+            'changes' => $changes,
+            'taxon' => $taxon,
+        ];
+    }
+
+    /**
+     * Whether an entry saved as given has taken up a reported change
+     *
+     * @param array $change As returned by check()
+     * @param int $usageKey The entry's usage key
+     * @param string $speciesName The entry's name
+     * @param array|null $speciesData The entry's stored data
+     * @return bool
+     */
+    public function resolves(array $change, int $usageKey, string $speciesName, ?array $speciesData): bool
+    {
+        $taxon = $change['taxon'] ?? [];
+
+        return ($taxon['gbif_key'] ?? null) === $usageKey
+            && empty($this->_changes($speciesName, $speciesData, $taxon));
+    }
+
+    /**
+     * A GBIF record in the shape of a /api/species-details result
+     *
+     * @param array $record
+     * @return array
+     */
+    private function _describe(array $record): array
+    {
+        $usageKey = (int) $record['key'];
+        $taxon = [
+            'scientific_name' => $record['scientificName'] ?? $record['canonicalName'] ?? '',
+            'canonical_name' => $record['canonicalName'] ?? null,
+            'taxonomic_status' => $record['taxonomicStatus'] ?? 'unknown',
+            'rank' => $record['rank'] ?? 'unknown',
+            'domain' => strtolower($this->lineage->domainOf($record['kingdom'] ?? null) ?? 'unknown'),
+        ];
+        foreach ([...self::MAJOR_RANKS, 'species'] as $level) {
+            $taxon[$level] = strtolower($record[$level] ?? 'unknown');
+        }
+
+        $parentKeys = [];
+        foreach ([...self::MAJOR_RANKS, 'species'] as $level) {
+            if (!empty($record["{$level}Key"])) {
+                $parentKeys[$level] = (int) $record["{$level}Key"];
+            }
+        }
+
+        return $taxon + [
+            'gbif_key' => $usageKey,
+            'parent_keys' => $parentKeys,
+            'lineage' => $this->lineage->ancestors($usageKey),
+        ];
+    }
+
+    /**
+     * Differences between an entry as stored and the taxon it now is
+     *
+     * Entries with a stored lineage are compared rank by rank, intermediate
+     * ranks included; older ones only on the major ranks they know. When
+     * GBIF gives no lineage only the name is compared.
+     *
+     * @param string $speciesName
+     * @param array|null $speciesData
+     * @param array $taxon As built by _describe()
+     * @return array ['rank', 'from', 'to'] for each difference
+     */
+    private function _changes(string $speciesName, ?array $speciesData, array $taxon): array
+    {
+        $changes = [];
+
+        $names = array_map('strtolower', array_filter([$taxon['scientific_name'] ?? null, $taxon['canonical_name'] ?? null]));
+        if (!in_array(strtolower(trim($speciesName)), $names, true)) {
+            $changes[] = [
+                'rank' => strtoupper($taxon['rank'] ?? 'SPECIES'),
+                'from' => $speciesName,
+                'to' => $taxon['scientific_name'] ?? null,
+            ];
+        }
+
+        $current = $this->_ranks($taxon['lineage'] ?? []);
+        if (empty($current)) {
+            return $changes;
+        }
+
+        $storedLineage = $speciesData['lineage'] ?? null;
+        if (is_array($storedLineage) && !empty($storedLineage)) {
+            $stored = $this->_ranks($storedLineage);
+        } else {
+            $stored = [];
+            foreach (self::MAJOR_RANKS as $level) {
+                $name = $speciesData[$level] ?? null;
+                if ($name && strtolower($name) !== 'unknown') {
+                    $stored[strtoupper($level)] = $name;
+                }
+            }
+            $current = array_intersect_key($current, $stored);
+        }
+
+        foreach (array_keys($current + $stored) as $rank) {
+            $from = $stored[$rank] ?? null;
+            $to = $current[$rank] ?? null;
+            if (strtolower((string) $from) !== strtolower((string) $to)) {
+                $changes[] = ['rank' => $rank, 'from' => $from, 'to' => $to];
+            }
+        }
+
+        return $changes;
+    }
+
+    /**
+     * Names by rank from a lineage
+     *
+     * @param array $lineage [['rank', 'name', 'key'], ...]
+     * @return array<string, string>
+     */
+    private function _ranks(array $lineage): array
+    {
+        $ranks = [];
+        foreach ($lineage as $ancestor) {
+            if (!empty($ancestor['rank']) && !empty($ancestor['name'])) {
+                $ranks[strtoupper($ancestor['rank'])] = $ancestor['name'];
+            }
+        }
+
+        return $ranks;
+    }
+}
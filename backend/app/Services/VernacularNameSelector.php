@@ -0,0 +1,53 @@
+<?php
+
+namespace App\Services;
+
+/**
+ * Chooses which of a taxon's GBIF common names to show
+ *
+ * Clients send the languages they want as a comma-separated list of the
+ * ISO 639-3 codes GBIF uses ('spa,cym'); the configured fallback list
+ * (services.gbif.vernacular_languages) is tried after them, and a name in
+ * any language after that.
+ */
+class VernacularNameSelector
+{
+    /**
+     * Languages to try, most preferred first
+     *
+     * @param string|null $requested Comma-separated ISO 639-3 codes from the client
+     * @return string[]
+     */
+    public function languages(?string $requested): array
+    {
+        $configured = (string) config('services.gbif.vernacular_languages', 'eng');
+        $codes = array_map(
+            fn ($code) => strtolower(trim($code)),
+            array_merge(explode(',', (string) $requested), explode(',', $configured))
+        );
+
+        return array_values(array_unique(array_filter($codes, fn ($code) => preg_match('/^[a-z]{3}$/', $code) === 1)));
+    }
+
+    /**
+     * The name in the most preferred language that has one, otherwise the first in any language
+     *
+     * @param array $vernacularNames GBIF vernacular name records
+     * @param string[] $languages From languages()
+     * @return string|null
+     */
+    public function pick(array $vernacularNames, array $languages): ?string
+    {
+        $named = array_values(array_filter($vernacularNames, fn ($name) => !empty($name['vernacularName'])));
+
+        foreach ($languages as $language) {
+            foreach ($named as $name) {
+                if (($name['language'] ?? null) === $language) {
+                    return $name['vernacularName'];
+                }
+            }
+        }
+
+        return $named[0]['vernacularName'] ?? null;
+    }
+}
@@ -13,7 +13,9 @@
     )
     ->withMiddleware(
         function (Middleware $middleware): void {
-            //
+            // Let the PWA served from react-app.blade.php authenticate API
+            // calls with the regular session cookie
+            $middleware->statefulApi();
         }
     )
     ->withExceptions(
@@ -28,6 +28,27 @@
         'region' => env('AWS_DEFAULT_REGION', 'us-east-1'),
     ],
 
+    'google_vision' => [
+        'key' => env('GOOGLE_CLOUD_VISION_API_KEY'),
+    ],
+
+    'inaturalist' => [
+        'token' => env('INATURALIST_API_TOKEN'),
+    ],
+
+    // Comma-separated provider ids (google_vision, inaturalist, fixture).
+    // Empty uses every provider with credentials, or the offline fixtures in
+    // local and testing environments when none has any.
+    'identification' => [
+        'providers' => env('IDENTIFICATION_PROVIDERS'),
+    ],
+
+    // Comma-separated ISO 639-3 codes tried, in order, when choosing a
+    // common name, after any languages the client asks for
+    'gbif' => [
+        'vernacular_languages' => env('GBIF_VERNACULAR_LANGUAGES', 'eng'),
+    ],
+
     'slack' => [
         'notifications' => [
             'bot_user_oauth_token' => env('SLACK_BOT_USER_OAUTH_TOKEN'),
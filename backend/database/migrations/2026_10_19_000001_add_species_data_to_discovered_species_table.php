@@ -0,0 +1,30 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('discovered_species', function (Blueprint $table) {
+            $table->json('species_data')->nullable()->after('gbif_usage_key');
+            $table->unique(['user_id', 'gbif_usage_key']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('discovered_species', function (Blueprint $table) {
+            $table->dropUnique(['user_id', 'gbif_usage_key']);
+            $table->dropColumn('species_data');
+        });
+    }
+};
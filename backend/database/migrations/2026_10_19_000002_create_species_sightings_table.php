@@ -0,0 +1,40 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('species_sightings', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('discovered_species_id')->constrained('discovered_species')->onDelete('cascade');
+            // Identifier generated on the device that recorded the sighting
+            $table->string('client_id', 64);
+            $table->timestamp('observed_at')->nullable();
+            $table->decimal('latitude', 10, 7)->nullable();
+            $table->decimal('longitude', 10, 7)->nullable();
+            $table->string('location_source')->nullable();
+            $table->longText('photo_thumbnail')->nullable();
+            $table->string('candidate_name')->nullable();
+            $table->float('candidate_score')->nullable();
+            $table->string('candidate_source')->nullable();
+            $table->timestamps();
+
+            $table->unique(['discovered_species_id', 'client_id']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('species_sightings');
+    }
+};
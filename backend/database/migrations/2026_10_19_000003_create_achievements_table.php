@@ -0,0 +1,35 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('achievements', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('user_id')->constrained()->onDelete('cascade');
+            // Stable identifier worked out by the frontend, e.g. "new-phylum:Chordata"
+            $table->string('code', 128);
+            $table->string('title');
+            $table->string('description')->nullable();
+            $table->timestamp('awarded_at')->nullable();
+            $table->timestamps();
+
+            $table->unique(['user_id', 'code']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('achievements');
+    }
+};
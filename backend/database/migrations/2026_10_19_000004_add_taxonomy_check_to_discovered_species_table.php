@@ -0,0 +1,29 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('discovered_species', function (Blueprint $table) {
+            $table->json('taxonomy_change')->nullable()->after('species_data');
+            $table->timestamp('taxonomy_checked_at')->nullable()->after('taxonomy_change');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('discovered_species', function (Blueprint $table) {
+            $table->dropColumn(['taxonomy_change', 'taxonomy_checked_at']);
+        });
+    }
+};
@@ -0,0 +1,31 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('achievements', function (Blueprint $table) {
+            $table->string('title')->nullable()->change();
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        DB::table('achievements')->whereNull('title')->update(['title' => DB::raw('code')]);
+
+        Schema::table('achievements', function (Blueprint $table) {
+            $table->string('title')->nullable(false)->change();
+        });
+    }
+};
@@ -1,7 +1,10 @@
 <?php
 
+use App\Http\Controllers\AchievementController;
+use App\Http\Controllers\DiscoveredSpeciesController;
 use App\Http\Controllers\SpeciesIdentifyController;
 use App\Http\Controllers\SpeciesSearchController;
+use App\Http\Controllers\TaxonController;
 use Illuminate\Http\Request;
 use Illuminate\Support\Facades\Route;
 
@@ -33,3 +36,42 @@ function (Request $request) {
 
 // Species search endpoint (to get details after user selects a label)
 Route::get('/search-species', [SpeciesSearchController::class, 'search']);
+
+// Type-ahead suggestions of accepted taxa by scientific or common name
+Route::get('/species/suggest', [SpeciesSearchController::class, 'suggest']);
+
+// Number of accepted direct children at the next major rank, for completion counts
+Route::get('/taxa/{usageKey}/child-count', [TaxonController::class, 'childCount'])
+    ->whereNumber('usageKey');
+
+// Match a name to a taxon at any rank, for observations above species level
+Route::get('/taxa/match', [TaxonController::class, 'match']);
+
+// Names, ranks, child counts, common names and images of many taxa in one call.
+// Throttled, as one call can fan out to hundreds of GBIF requests.
+Route::post('/taxa/batch', [TaxonController::class, 'batch'])
+    ->middleware('throttle:120,1');
+
+// Taxon details and common names, so the client never calls GBIF directly
+Route::get('/taxa/{usageKey}', [TaxonController::class, 'show'])
+    ->whereNumber('usageKey');
+Route::get('/taxa/{usageKey}/vernacular-names', [TaxonController::class, 'vernacularNames'])
+    ->whereNumber('usageKey');
+
+// Hit and miss counts of the GBIF, iNaturalist and Wikipedia lookup cache
+Route::get('/taxon-lookup/stats', [TaxonController::class, 'lookupStats']);
+
+// The signed-in user's collection of discovered species and achievements
+Route::middleware(['auth:sanctum'])->group(
+    function () {
+        Route::get('/discovered-species', [DiscoveredSpeciesController::class, 'index']);
+        Route::post('/discovered-species', [DiscoveredSpeciesController::class, 'store']);
+        Route::delete('/discovered-species/{usageKey}', [DiscoveredSpeciesController::class, 'destroy'])
+            ->whereNumber('usageKey');
+        Route::post('/discovered-species/revalidate', [DiscoveredSpeciesController::class, 'revalidate'])
+            ->middleware('throttle:6,60');
+        Route::get('/discovered-species/taxonomy-changes', [DiscoveredSpeciesController::class, 'taxonomyChanges']);
+        Route::get('/achievements', [AchievementController::class, 'index']);
+        Route::post('/achievements', [AchievementController::class, 'store']);
+    }
+);
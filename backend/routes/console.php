@@ -1,8 +1,29 @@
 <?php
 
+use App\Jobs\RevalidateTaxonomy;
+use App\Jobs\RevalidateTaxonomyEntries;
+use App\Models\DiscoveredSpecies;
 use Illuminate\Foundation\Inspiring;
 use Illuminate\Support\Facades\Artisan;
+use Illuminate\Support\Facades\Schedule;
 
 Artisan::command('inspire', function () {
     $this->comment(Inspiring::quote());
 })->purpose('Display an inspiring quote');
+
+Artisan::command('taxonomy:revalidate {--user= : Only check this user\'s collection}', function () {
+    $userId = $this->option('user') ? (int) $this->option('user') : null;
+    // Checked here rather than queued, so the count below is up to date
+    foreach (RevalidateTaxonomy::chunks($userId) as $entryIds) {
+        RevalidateTaxonomyEntries::dispatchSync($entryIds);
+    }
+
+    $changed = DiscoveredSpecies::query()
+        ->when($userId, fn ($query) => $query->where('user_id', $userId))
+        ->whereNotNull('taxonomy_change')
+        ->count();
+    $this->info("{$changed} collection entries have taxonomy changes to accept");
+})->purpose('Check collection entries against the current GBIF backbone');
+
+// GBIF republishes its backbone every few months; a weekly look is plenty
+Schedule::job(new RevalidateTaxonomy())->weekly();
@@ -0,0 +1,63 @@
+<?php
+
+use App\Models\User;
+
+test('guests cannot read achievements', function () {
+    $response = $this->getJson('/api/achievements');
+
+    $response->assertUnauthorized();
+});
+
+test('achievements can be awarded and listed', function () {
+    $user = User::factory()->create();
+
+    $this->actingAs($user)->postJson('/api/achievements', [
+        'code' => 'new-phylum:Chordata',
+        'title' => 'First in Chordata',
+        'awarded_at' => '2025-05-18T14:03:22Z',
+    ])->assertCreated();
+
+    $response = $this->actingAs($user)->getJson('/api/achievements');
+
+    $response
+        ->assertOk()
+        ->assertJsonCount(1, 'achievements')
+        ->assertJsonPath('achievements.0.code', 'new-phylum:Chordata')
+        ->assertJsonPath('achievements.0.title', 'First in Chordata');
+});
+
+test('awarding the same achievement again keeps the first award', function () {
+    $user = User::factory()->create();
+
+    $this->actingAs($user)->postJson('/api/achievements', [
+        'code' => 'species-10',
+        'title' => '10 species',
+        'awarded_at' => '2025-05-18T14:03:22Z',
+    ]);
+
+    $response = $this->actingAs($user)->postJson('/api/achievements', [
+        'code' => 'species-10',
+        'title' => '10 species',
+        'awarded_at' => '2025-06-01T08:00:00Z',
+    ]);
+
+    $response
+        ->assertOk()
+        ->assertJsonPath('achievement.awarded_at', '2025-05-18T14:03:22+00:00');
+
+    $this->assertSame(1, $user->achievements()->count());
+});
+
+test('an achievement can be awarded by its code alone', function () {
+    $user = User::factory()->create();
+
+    $this->actingAs($user)->postJson('/api/achievements', [
+        'code' => 'complete-family:Corvidae',
+        'awarded_at' => '2025-05-18T14:03:22Z',
+    ])->assertCreated();
+
+    $this->actingAs($user)->getJson('/api/achievements')
+        ->assertOk()
+        ->assertJsonPath('achievements.0.code', 'complete-family:Corvidae')
+        ->assertJsonPath('achievements.0.title', null);
+});
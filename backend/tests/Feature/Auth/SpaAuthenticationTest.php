@@ -0,0 +1,90 @@
+<?php
+
+use App\Models\User;
+use Illuminate\Auth\Notifications\ResetPassword;
+use Illuminate\Support\Facades\Notification;
+
+test('the react app can sign in and gets the user back', function () {
+    $user = User::factory()->create();
+
+    $this->postJson('/login', ['email' => $user->email, 'password' => 'password'])
+        ->assertOk()
+        ->assertJsonPath('success', true)
+        ->assertJsonPath('user.email', $user->email);
+
+    $this->assertAuthenticatedAs($user);
+    $this->getJson('/api/user')->assertOk()->assertJsonPath('id', $user->id);
+});
+
+test('a wrong password is a validation error rather than a redirect', function () {
+    $user = User::factory()->create();
+
+    $this->postJson('/login', ['email' => $user->email, 'password' => 'wrong-password'])
+        ->assertStatus(422)
+        ->assertJsonValidationErrors('email');
+
+    $this->assertGuest();
+});
+
+test('the react app can register and is signed in straight away', function () {
+    $this->postJson('/register', [
+        'name' => 'Test User',
+        'email' => 'test@example.com',
+        'password' => 'password',
+        'password_confirmation' => 'password',
+    ])
+        ->assertCreated()
+        ->assertJsonPath('user.email', 'test@example.com');
+
+    $this->assertAuthenticated();
+});
+
+test('the react app can sign out', function () {
+    $user = User::factory()->create();
+
+    $this->actingAs($user)->postJson('/logout')
+        ->assertOk()
+        ->assertJsonPath('success', true);
+
+    $this->assertGuest();
+});
+
+test('guests are told they are not signed in', function () {
+    $this->getJson('/api/user')->assertUnauthorized();
+});
+
+test('the reset link opens the react app and the password can be reset there', function () {
+    Notification::fake();
+    $user = User::factory()->create();
+
+    $this->postJson('/forgot-password', ['email' => $user->email])
+        ->assertOk()
+        ->assertJsonPath('success', true);
+
+    Notification::assertSentTo($user, ResetPassword::class, function ($notification) use ($user) {
+        $url = $notification->toMail($user)->actionUrl;
+        expect($url)->toContain('reset_token='.$notification->token);
+
+        $this->postJson('/reset-password', [
+            'token' => $notification->token,
+            'email' => $user->email,
+            'password' => 'new-password',
+            'password_confirmation' => 'new-password',
+        ])->assertOk();
+
+        return true;
+    });
+
+    $this->postJson('/login', ['email' => $user->email, 'password' => 'new-password'])->assertOk();
+});
+
+test('an invalid reset token is a validation error', function () {
+    $user = User::factory()->create();
+
+    $this->postJson('/reset-password', [
+        'token' => 'not-a-token',
+        'email' => $user->email,
+        'password' => 'new-password',
+        'password_confirmation' => 'new-password',
+    ])->assertStatus(422)->assertJsonValidationErrors('email');
+});
@@ -0,0 +1,90 @@
+<?php
+
+use Illuminate\Http\Client\Request;
+use Illuminate\Http\UploadedFile;
+use Illuminate\Support\Facades\Http;
+
+beforeEach(function () {
+    config([
+        'services.identification.providers' => 'google_vision',
+        'services.google_vision.key' => 'testing',
+    ]);
+});
+
+function fakeVisionAndBackbone(array $labels, int $gbifStatus = 200): void
+{
+    $matches = [
+        'corvidae' => ['usageKey' => 5235, 'canonicalName' => 'Corvidae', 'rank' => 'FAMILY', 'matchType' => 'EXACT', 'confidence' => 99],
+    ];
+    $vernacular = [
+        'animal' => [['key' => 1, 'canonicalName' => 'Animalia', 'rank' => 'KINGDOM', 'vernacularNames' => [['vernacularName' => 'Animal']]]],
+        'bird' => [['key' => 212, 'canonicalName' => 'Aves', 'rank' => 'CLASS', 'vernacularNames' => [['vernacularName' => 'Birds']]]],
+        'blue jay' => [['key' => 2482593, 'canonicalName' => 'Cyanocitta cristata', 'rank' => 'SPECIES', 'taxonomicStatus' => 'ACCEPTED', 'vernacularNames' => [['vernacularName' => 'Blue Jay']]]],
+    ];
+
+    Http::fake(function (Request $request) use ($labels, $gbifStatus, $matches, $vernacular) {
+        $url = $request->url();
+        if (str_contains($url, 'vision.googleapis.com')) {
+            return Http::response(['responses' => [['labelAnnotations' => $labels]]]);
+        }
+        if ($gbifStatus !== 200) {
+            return Http::response([], $gbifStatus);
+        }
+        if (str_contains($url, '/species/match')) {
+            return Http::response($matches[strtolower($request['name'])] ?? ['matchType' => 'NONE', 'confidence' => 100]);
+        }
+        if (str_contains($url, 'qField=VERNACULAR')) {
+            return Http::response(['results' => $vernacular[strtolower($request['q'])] ?? []]);
+        }
+        return Http::response([], 404);
+    });
+}
+
+test('labels are resolved against the backbone and ordered by rank specificity', function () {
+    fakeVisionAndBackbone([
+        ['description' => 'Bird', 'score' => 0.97],
+        ['description' => 'Animal', 'score' => 0.95],
+        ['description' => 'Beak', 'score' => 0.9],
+        ['description' => 'Corvidae', 'score' => 0.88],
+        ['description' => 'Blue Jay', 'score' => 0.71],
+    ]);
+
+    $response = $this->post('/api/identify-species', ['image' => UploadedFile::fake()->image('jay.jpg')]);
+
+    $response
+        ->assertOk()
+        ->assertJsonCount(2, 'species_options')
+        ->assertJsonPath('species_options.0.name', 'Blue Jay')
+        ->assertJsonPath('species_options.0.scientific_name', 'Cyanocitta cristata')
+        ->assertJsonPath('species_options.0.rank', 'SPECIES')
+        ->assertJsonPath('species_options.0.match_type', 'VERNACULAR')
+        ->assertJsonPath('species_options.0.gbif_key', 2482593)
+        ->assertJsonPath('species_options.1.name', 'Corvidae')
+        ->assertJsonPath('species_options.1.rank', 'FAMILY')
+        ->assertJsonPath('species_options.1.match_type', 'EXACT');
+});
+
+test('label lookups are cached, including misses', function () {
+    fakeVisionAndBackbone([
+        ['description' => 'Beak', 'score' => 0.9],
+        ['description' => 'Corvidae', 'score' => 0.88],
+    ]);
+    $isLookup = fn (Request $request) => str_contains($request->url(), '/species/match')
+        || str_contains($request->url(), 'qField=VERNACULAR');
+
+    $this->post('/api/identify-species', ['image' => UploadedFile::fake()->image('crow.jpg')])->assertOk();
+    $this->post('/api/identify-species', ['image' => UploadedFile::fake()->image('crow.jpg')])->assertOk();
+
+    // Beak: match + vernacular search; Corvidae: match. Nothing the second time.
+    expect(collect(Http::recorded())->filter(fn ($pair) => $isLookup($pair[0]))->count())->toBe(3);
+});
+
+test('labels are kept unresolved when GBIF cannot be reached', function () {
+    fakeVisionAndBackbone([['description' => 'Corvidae', 'score' => 0.88]], 503);
+
+    $this->post('/api/identify-species', ['image' => UploadedFile::fake()->image('crow.jpg')])
+        ->assertOk()
+        ->assertJsonPath('species_options.0.name', 'Corvidae')
+        ->assertJsonPath('species_options.0.rank', null)
+        ->assertJsonPath('species_options.0.match_type', 'UNRESOLVED');
+});
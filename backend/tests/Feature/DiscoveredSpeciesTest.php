@@ -0,0 +1,146 @@
+<?php
+
+use App\Models\User;
+
+test('guests cannot read a collection', function () {
+    $response = $this->getJson('/api/discovered-species');
+
+    $response->assertUnauthorized();
+});
+
+test('species can be added to the collection', function () {
+    $user = User::factory()->create();
+
+    $response = $this
+        ->actingAs($user)
+        ->postJson('/api/discovered-species', [
+            'gbif_usage_key' => 2482513,
+            'species_name' => 'Pica pica',
+            'species_data' => ['scientific_name' => 'Pica pica', 'family' => 'corvidae'],
+        ]);
+
+    $response
+        ->assertCreated()
+        ->assertJsonPath('species.gbif_usage_key', 2482513)
+        ->assertJsonPath('species.species_data.family', 'corvidae');
+
+    $this->assertSame(1, $user->discoveredSpecies()->count());
+});
+
+test('adding the same usage key twice updates the existing entry', function () {
+    $user = User::factory()->create();
+
+    $this->actingAs($user)->postJson('/api/discovered-species', [
+        'gbif_usage_key' => 2482513,
+        'species_name' => 'Pica pica',
+    ]);
+
+    $response = $this->actingAs($user)->postJson('/api/discovered-species', [
+        'gbif_usage_key' => 2482513,
+        'species_name' => 'Pica pica (Linnaeus, 1758)',
+    ]);
+
+    $response->assertOk();
+
+    $this->assertSame(1, $user->discoveredSpecies()->count());
+    $this->assertSame('Pica pica (Linnaeus, 1758)', $user->discoveredSpecies()->first()->species_name);
+});
+
+test('a collection only lists the signed in user\'s species', function () {
+    $user = User::factory()->create();
+    $otherUser = User::factory()->create();
+
+    $user->discoveredSpecies()->create(['gbif_usage_key' => 2482513, 'species_name' => 'Pica pica']);
+    $otherUser->discoveredSpecies()->create(['gbif_usage_key' => 2490384, 'species_name' => 'Turdus migratorius']);
+
+    $response = $this->actingAs($user)->getJson('/api/discovered-species');
+
+    $response
+        ->assertOk()
+        ->assertJsonCount(1, 'species')
+        ->assertJsonPath('species.0.species_name', 'Pica pica');
+});
+
+test('species can be removed from the collection', function () {
+    $user = User::factory()->create();
+    $user->discoveredSpecies()->create(['gbif_usage_key' => 2482513, 'species_name' => 'Pica pica']);
+
+    $response = $this->actingAs($user)->deleteJson('/api/discovered-species/2482513');
+
+    $response->assertOk();
+
+    $this->assertSame(0, $user->discoveredSpecies()->count());
+});
+
+test('removing a species that is not collected returns not found', function () {
+    $user = User::factory()->create();
+
+    $response = $this->actingAs($user)->deleteJson('/api/discovered-species/2482513');
+
+    $response->assertNotFound();
+});
+
+test('sightings are stored with their entry and not duplicated on resend', function () {
+    $user = User::factory()->create();
+
+    $payload = [
+        'gbif_usage_key' => 2482513,
+        'species_name' => 'Pica pica',
+        'sightings' => [
+            [
+                'id' => 'sighting-1',
+                'observed_at' => '2025-05-18T14:03:22Z',
+                'latitude' => 51.51,
+                'longitude' => -0.12,
+                'location_source' => 'exif',
+                'candidate' => ['name' => 'Magpie', 'score' => 0.93, 'source' => 'species_detection'],
+            ],
+        ],
+    ];
+
+    $this->actingAs($user)->postJson('/api/discovered-species', $payload)->assertCreated();
+
+    $payload['sightings'][] = ['id' => 'sighting-2', 'observed_at' => '2025-06-01T08:00:00Z'];
+
+    $response = $this->actingAs($user)->postJson('/api/discovered-species', $payload);
+
+    $response
+        ->assertOk()
+        ->assertJsonCount(2, 'species.sightings')
+        ->assertJsonPath('species.sightings.0.latitude', 51.51)
+        ->assertJsonPath('species.sightings.0.candidate.name', 'Magpie');
+});
+
+test('sightings with impossible coordinates are rejected', function () {
+    $user = User::factory()->create();
+
+    $response = $this->actingAs($user)->postJson('/api/discovered-species', [
+        'gbif_usage_key' => 2482513,
+        'species_name' => 'Pica pica',
+        'sightings' => [['id' => 'sighting-1', 'latitude' => 123]],
+    ]);
+
+    $response->assertUnprocessable();
+});
+
+test('replacing sightings drops the ones that were not sent', function () {
+    $user = User::factory()->create();
+    $payload = [
+        'gbif_usage_key' => 2482513,
+        'species_name' => 'Pica pica',
+        'sightings' => [['id' => 'sighting-1'], ['id' => 'sighting-2']],
+    ];
+
+    $this->actingAs($user)->postJson('/api/discovered-species', $payload)->assertCreated();
+
+    $response = $this->actingAs($user)->postJson('/api/discovered-species', [
+        ...$payload,
+        'sightings' => [['id' => 'sighting-1']],
+        'replace_sightings' => true,
+    ]);
+
+    $response
+        ->assertOk()
+        ->assertJsonCount(1, 'species.sightings')
+        ->assertJsonPath('species.sightings.0.id', 'sighting-1');
+});
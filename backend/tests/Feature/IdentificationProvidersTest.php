@@ -0,0 +1,135 @@
+<?php
+
+use Illuminate\Http\Client\ConnectionException;
+use Illuminate\Http\Client\Request;
+use Illuminate\Http\UploadedFile;
+use Illuminate\Support\Facades\Http;
+
+function fakeProviderResponses(array $vision, array $inaturalist, int $visionStatus = 200): void
+{
+    Http::fake([
+        'vision.googleapis.com/*' => Http::response($vision, $visionStatus),
+        'api.inaturalist.org/v1/computervision/*' => Http::response($inaturalist),
+        '*' => Http::response([], 404),
+    ]);
+}
+
+test('the fixture provider answers without keys or identification requests', function () {
+    Http::fake(['*' => Http::response([], 404)]);
+    $image = UploadedFile::fake()->image('bird.jpg', 320, 240);
+
+    $first = $this->post('/api/identify-species', ['image' => $image])->assertOk();
+    $second = $this->post('/api/identify-species', ['image' => $image])->assertOk();
+
+    expect($first->json('providers'))->toBe(['fixture' => 'Offline fixtures'])
+        ->and($first->json('species_options'))->not->toBeEmpty()
+        ->and(array_column($second->json('species_options'), 'name'))
+        ->toBe(array_column($first->json('species_options'), 'name'));
+
+    Http::assertNotSent(fn (Request $request) => str_contains($request->url(), 'vision.googleapis.com')
+        || str_contains($request->url(), 'inaturalist.org'));
+});
+
+test('outside local and testing, missing credentials fail instead of using fixtures', function () {
+    $this->app['env'] = 'production';
+    Http::fake(['*' => Http::response([], 404)]);
+
+    $this->post('/api/identify-species', ['image' => UploadedFile::fake()->image('bird.jpg')])
+        ->assertStatus(500)
+        ->assertJsonPath('error', 'No identification provider is configured');
+});
+
+test('candidates from several providers are merged and ranked together', function () {
+    config([
+        'services.identification.providers' => 'google_vision,inaturalist',
+        'services.google_vision.key' => 'testing',
+        'services.inaturalist.token' => 'testing',
+    ]);
+    fakeProviderResponses(
+        ['responses' => [[
+            'labelAnnotations' => [
+                ['description' => 'Corvus corone', 'score' => 0.8],
+                ['description' => 'Pica pica', 'score' => 0.7],
+            ],
+        ]]],
+        ['results' => [
+            ['combined_score' => 60, 'taxon' => ['id' => 8318, 'name' => 'Pica pica', 'rank' => 'species']],
+        ]]
+    );
+
+    $response = $this->post('/api/identify-species', ['image' => UploadedFile::fake()->image('magpie.jpg')]);
+
+    $response
+        ->assertOk()
+        ->assertJsonPath('species_options.0.name', 'Pica pica')
+        ->assertJsonPath('species_options.0.providers', ['Google Vision', 'iNaturalist'])
+        ->assertJsonPath('species_options.0.score', 0.88)
+        ->assertJsonPath('species_options.1.name', 'Corvus corone')
+        ->assertJsonPath('species_options.1.providers', ['Google Vision']);
+});
+
+test('a failing provider is left out when another one answers', function () {
+    config([
+        'services.identification.providers' => 'google_vision,inaturalist',
+        'services.google_vision.key' => 'testing',
+        'services.inaturalist.token' => 'testing',
+    ]);
+    fakeProviderResponses(
+        ['error' => ['message' => 'quota exceeded']],
+        ['results' => [
+            ['combined_score' => 75, 'taxon' => ['id' => 12727, 'name' => 'Erithacus rubecula', 'rank' => 'species']],
+        ]],
+        429
+    );
+
+    $this->post('/api/identify-species', ['image' => UploadedFile::fake()->image('robin.jpg')])
+        ->assertOk()
+        ->assertJsonPath('providers', ['inaturalist' => 'iNaturalist'])
+        ->assertJsonPath('species_options.0.name', 'Erithacus rubecula');
+});
+
+test('a provider that cannot be reached is left out when another one answers', function () {
+    config([
+        'services.identification.providers' => 'google_vision,inaturalist',
+        'services.google_vision.key' => 'testing',
+        'services.inaturalist.token' => 'testing',
+    ]);
+    Http::fake([
+        'vision.googleapis.com/*' => fn () => throw new ConnectionException('cURL error 28: Operation timed out'),
+        'api.inaturalist.org/v1/computervision/*' => Http::response(['results' => [
+            ['combined_score' => 75, 'taxon' => ['id' => 12727, 'name' => 'Erithacus rubecula', 'rank' => 'species']],
+        ]]),
+        '*' => Http::response([], 404),
+    ]);
+
+    $this->post('/api/identify-species', ['image' => UploadedFile::fake()->image('robin.jpg')])
+        ->assertOk()
+        ->assertJsonPath('providers', ['inaturalist' => 'iNaturalist'])
+        ->assertJsonPath('species_options.0.name', 'Erithacus rubecula');
+});
+
+test('identification fails cleanly when no provider can be reached', function () {
+    config([
+        'services.identification.providers' => 'inaturalist',
+        'services.inaturalist.token' => 'testing',
+    ]);
+    Http::fake(['*' => fn () => throw new ConnectionException('cURL error 7: Connection refused')]);
+
+    $this->post('/api/identify-species', ['image' => UploadedFile::fake()->image('bird.jpg')])
+        ->assertStatus(500)
+        ->assertJsonPath('error', 'Identification failed')
+        ->assertJsonPath('details.inaturalist.error', 'iNaturalist computer vision could not be reached');
+});
+
+test('identification fails when every provider fails', function () {
+    config([
+        'services.identification.providers' => 'google_vision',
+        'services.google_vision.key' => 'testing',
+    ]);
+    fakeProviderResponses([], [], 503);
+
+    $this->post('/api/identify-species', ['image' => UploadedFile::fake()->image('bird.jpg')])
+        ->assertStatus(500)
+        ->assertJsonPath('error', 'Identification failed')
+        ->assertJsonPath('details.google_vision.status', 503);
+});
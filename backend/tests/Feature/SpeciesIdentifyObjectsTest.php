@@ -0,0 +1,79 @@
+<?php
+
+use Illuminate\Http\UploadedFile;
+use Illuminate\Support\Facades\Http;
+
+beforeEach(function () {
+    config([
+        'services.identification.providers' => 'google_vision',
+        'services.google_vision.key' => 'testing',
+    ]);
+});
+
+test('each localized object is returned with its bounding box', function () {
+    Http::fake([
+        'vision.googleapis.com/*' => Http::response([
+            'responses' => [[
+                'labelAnnotations' => [
+                    ['description' => 'Magpie', 'score' => 0.91, 'mid' => '/m/1'],
+                ],
+                'localizedObjectAnnotations' => [
+                    [
+                        'name' => 'Bird',
+                        'score' => 0.72,
+                        'mid' => '/m/015p6',
+                        'boundingPoly' => ['normalizedVertices' => [
+                            ['x' => 0.55, 'y' => 0.2],
+                            ['x' => 0.9, 'y' => 0.2],
+                            ['x' => 0.9, 'y' => 0.6],
+                            ['x' => 0.55, 'y' => 0.6],
+                        ]],
+                    ],
+                    [
+                        'name' => 'Bird',
+                        'score' => 0.88,
+                        'mid' => '/m/015p6',
+                        // Zero coordinates are left out by the Vision API
+                        'boundingPoly' => ['normalizedVertices' => [
+                            [],
+                            ['x' => 0.4],
+                            ['x' => 0.4, 'y' => 0.5],
+                            ['y' => 0.5],
+                        ]],
+                    ],
+                ],
+            ]],
+        ]),
+        '*' => Http::response([], 404),
+    ]);
+
+    $response = $this->post('/api/identify-species', [
+        'image' => UploadedFile::fake()->image('two-birds.jpg', 400, 300),
+    ]);
+
+    $response
+        ->assertOk()
+        ->assertJsonCount(2, 'objects')
+        ->assertJsonPath('objects.0.score', 0.88)
+        ->assertJsonPath('objects.0.box', ['x' => 0, 'y' => 0, 'width' => 0.4, 'height' => 0.5])
+        ->assertJsonPath('objects.1.box', ['x' => 0.55, 'y' => 0.2, 'width' => 0.35, 'height' => 0.4]);
+});
+
+test('objects without a usable box are left out', function () {
+    Http::fake([
+        'vision.googleapis.com/*' => Http::response([
+            'responses' => [[
+                'localizedObjectAnnotations' => [
+                    ['name' => 'Bird', 'score' => 0.8, 'boundingPoly' => []],
+                ],
+            ]],
+        ]),
+        '*' => Http::response([], 404),
+    ]);
+
+    $this->post('/api/identify-species', [
+        'image' => UploadedFile::fake()->image('bird.jpg'),
+    ])
+        ->assertOk()
+        ->assertJsonPath('objects', []);
+});
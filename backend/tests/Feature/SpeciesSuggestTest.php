@@ -0,0 +1,122 @@
+<?php
+
+use Illuminate\Support\Facades\Http;
+
+function fakeSuggestResponses(int $vernacularStatus = 200, int $namesStatus = 200): void
+{
+    Http::fake([
+        'api.gbif.org/v1/species/2490384/vernacularNames*' => Http::response([
+            'results' => [
+                ['vernacularName' => 'Merle d\'Amérique', 'language' => 'fra'],
+                ['vernacularName' => 'American Robin', 'language' => 'eng'],
+            ],
+        ], $namesStatus),
+        'api.gbif.org/v1/species/2490266/vernacularNames*' => Http::response([
+            'results' => [['vernacularName' => 'Thrushes', 'language' => 'eng']],
+        ], $namesStatus),
+        'api.gbif.org/v1/species/suggest*' => Http::response([
+            ['key' => 2490384, 'canonicalName' => 'Turdus migratorius', 'rank' => 'SPECIES', 'status' => 'ACCEPTED', 'kingdom' => 'Animalia'],
+            ['key' => 9999, 'canonicalName' => 'Turdus americanus', 'rank' => 'SPECIES', 'status' => 'SYNONYM', 'kingdom' => 'Animalia'],
+            ['key' => 2490266, 'canonicalName' => 'Turdus', 'rank' => 'GENUS', 'status' => 'ACCEPTED', 'kingdom' => 'Animalia'],
+        ]),
+        'api.gbif.org/v1/species/search*' => Http::response([
+            'results' => [
+                [
+                    'key' => 100, 'nubKey' => 2490384, 'canonicalName' => 'Turdus migratorius', 'rank' => 'SPECIES',
+                    'taxonomicStatus' => 'ACCEPTED', 'kingdom' => 'Animalia',
+                    'vernacularNames' => [
+                        ['vernacularName' => 'Merle d\'Amérique', 'language' => 'fra'],
+                        ['vernacularName' => 'American Robin', 'language' => 'eng'],
+                    ],
+                ],
+                [
+                    'key' => 101, 'canonicalName' => 'Erithacus rubecula', 'rank' => 'SPECIES',
+                    'taxonomicStatus' => 'ACCEPTED', 'kingdom' => 'Animalia',
+                    'vernacularNames' => [['vernacularName' => 'Robin', 'language' => 'eng']],
+                ],
+            ],
+        ], $vernacularStatus),
+    ]);
+}
+
+test('scientific and common name suggestions are merged per taxon', function () {
+    fakeSuggestResponses();
+
+    $response = $this->getJson('/api/species/suggest?q=Turd');
+
+    $response
+        ->assertOk()
+        ->assertJsonCount(2, 'suggestions')
+        ->assertJsonPath('suggestions.0.gbif_key', 2490384)
+        ->assertJsonPath('suggestions.1.scientific_name', 'Turdus')
+        ->assertJsonPath('suggestions.1.rank', 'GENUS');
+});
+
+test('scientific name suggestions get a common name in the requested language', function () {
+    fakeSuggestResponses();
+
+    $this->getJson('/api/species/suggest?q=Turd')
+        ->assertOk()
+        ->assertJsonPath('suggestions.0.common_name', 'American Robin')
+        ->assertJsonPath('suggestions.1.common_name', 'Thrushes');
+    $this->getJson('/api/species/suggest?q=Turd&languages=fra')
+        ->assertOk()
+        ->assertJsonPath('suggestions.0.common_name', 'Merle d\'Amérique');
+});
+
+test('suggestions whose common names could not be looked up are not cached', function () {
+    fakeSuggestResponses(200, 503);
+
+    $this->getJson('/api/species/suggest?q=Turd')
+        ->assertOk()
+        ->assertJsonPath('suggestions.0.common_name', null);
+    $this->getJson('/api/species/suggest?q=Turd')->assertOk();
+
+    // Both name lookups are sent again; the searches were cached by the lookup service
+    Http::assertSentCount(6);
+});
+
+test('common names only match at the start of a word', function () {
+    fakeSuggestResponses();
+
+    $response = $this->getJson('/api/species/suggest?q=robin');
+
+    // Scientific suggestions come back from the fake too, so only the
+    // common name matches count here
+    $byKey = collect($response->json('suggestions'))->keyBy('gbif_key');
+    expect($byKey[2490384]['common_name'])->toBe('American Robin')
+        ->and($byKey[101]['common_name'])->toBe('Robin')
+        ->and($byKey[101]['kingdom'])->toBe('Animalia')
+        ->and($response->json('suggestions.0.gbif_key'))->toBe(101);
+});
+
+test('suggestions are cached per prefix', function () {
+    fakeSuggestResponses();
+
+    $this->getJson('/api/species/suggest?q=Turd')->assertOk();
+    $this->getJson('/api/species/suggest?q=turd')->assertOk();
+
+    // The two searches and the two taxa's common names
+    Http::assertSentCount(4);
+});
+
+test('a partial answer is returned but not cached', function () {
+    fakeSuggestResponses(503);
+
+    $this->getJson('/api/species/suggest?q=Turd')
+        ->assertOk()
+        ->assertJsonCount(2, 'suggestions');
+    $this->getJson('/api/species/suggest?q=Turd')->assertOk();
+
+    // The scientific names and their common names were cached by the lookup
+    // service the first time
+    Http::assertSentCount(5);
+});
+
+test('a one-letter query is rejected', function () {
+    Http::fake();
+
+    $this->getJson('/api/species/suggest?q=T')->assertStatus(422);
+
+    Http::assertNothingSent();
+});
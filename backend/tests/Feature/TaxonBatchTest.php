@@ -0,0 +1,78 @@
+<?php
+
+use Illuminate\Support\Facades\Http;
+
+function fakeBatchTaxa(): void
+{
+    Http::fake([
+        'api.gbif.org/v1/species/5233/children*' => Http::response([
+            'endOfRecords' => true,
+            'results' => [
+                ['key' => 1, 'rank' => 'GENUS', 'taxonomicStatus' => 'ACCEPTED'],
+                ['key' => 2, 'rank' => 'GENUS', 'taxonomicStatus' => 'SYNONYM'],
+            ],
+        ]),
+        'api.gbif.org/v1/species/5233/vernacularNames*' => Http::response(['results' => [
+            ['vernacularName' => 'Rabenvögel', 'language' => 'deu'],
+            ['vernacularName' => 'Crows', 'language' => 'eng'],
+        ]]),
+        'api.gbif.org/v1/species/5233/media*' => Http::response(['results' => []]),
+        'api.gbif.org/v1/species/5233' => Http::response(['key' => 5233, 'canonicalName' => 'Corvidae', 'rank' => 'FAMILY']),
+        'api.gbif.org/v1/species/2482513/vernacularNames*' => Http::response(['results' => []]),
+        'api.gbif.org/v1/species/2482513/media*' => Http::response(['results' => [
+            ['type' => 'Sound', 'identifier' => 'https://example.org/call.mp3'],
+            ['type' => 'StillImage', 'identifier' => 'https://example.org/crow.jpg'],
+        ]]),
+        'api.gbif.org/v1/species/2482513' => Http::response(['key' => 2482513, 'canonicalName' => 'Corvus corone', 'rank' => 'SPECIES']),
+        '*' => Http::response([], 404),
+    ]);
+}
+
+test('many taxa are described in one response', function () {
+    fakeBatchTaxa();
+
+    $this->postJson('/api/taxa/batch', ['usage_keys' => [5233, 2482513, 99]])
+        ->assertOk()
+        ->assertJsonPath('taxa.5233.scientific_name', 'Corvidae')
+        ->assertJsonPath('taxa.5233.child_rank', 'GENUS')
+        ->assertJsonPath('taxa.5233.child_count', 1)
+        ->assertJsonPath('taxa.5233.vernacular_name', 'Crows')
+        ->assertJsonPath('taxa.2482513.rank', 'SPECIES')
+        ->assertJsonPath('taxa.2482513.child_count', 0)
+        ->assertJsonPath('taxa.2482513.vernacular_name', null)
+        ->assertJsonPath('taxa.2482513.image', 'https://example.org/crow.jpg')
+        ->assertJsonPath('missing', [99]);
+});
+
+test('a repeated batch is answered from the cache', function () {
+    fakeBatchTaxa();
+
+    $this->postJson('/api/taxa/batch', ['usage_keys' => [5233, 2482513]])->assertOk();
+    $sent = count(Http::recorded());
+    $this->postJson('/api/taxa/batch', ['usage_keys' => [2482513, 5233, 5233]])
+        ->assertOk()
+        ->assertJsonPath('taxa.5233.child_count', 1);
+
+    // Three lookups per taxon plus the family's children
+    expect($sent)->toBe(7)
+        ->and(count(Http::recorded()))->toBe(7);
+});
+
+test('the batch size is limited', function () {
+    Http::fake();
+
+    $this->postJson('/api/taxa/batch', ['usage_keys' => range(1, 101)])->assertStatus(422);
+    $this->postJson('/api/taxa/batch', ['usage_keys' => ['Corvidae']])->assertStatus(422);
+
+    Http::assertNothingSent();
+});
+
+test('batch requests are rate limited', function () {
+    Http::fake();
+
+    for ($i = 0; $i < 120; $i++) {
+        $this->postJson('/api/taxa/batch', ['usage_keys' => []])->assertStatus(422);
+    }
+
+    $this->postJson('/api/taxa/batch', ['usage_keys' => []])->assertStatus(429);
+});
@@ -0,0 +1,61 @@
+<?php
+
+use Illuminate\Support\Facades\Http;
+
+test('child count only includes accepted children at the next major rank', function () {
+    Http::fake([
+        'api.gbif.org/v1/species/5233/children*' => Http::response([
+            'endOfRecords' => true,
+            'results' => [
+                ['key' => 1, 'rank' => 'GENUS', 'taxonomicStatus' => 'ACCEPTED'],
+                ['key' => 2, 'rank' => 'GENUS', 'taxonomicStatus' => 'ACCEPTED'],
+                ['key' => 3, 'rank' => 'GENUS', 'taxonomicStatus' => 'SYNONYM'],
+                ['key' => 4, 'rank' => 'SPECIES', 'taxonomicStatus' => 'ACCEPTED'],
+            ],
+        ]),
+        'api.gbif.org/v1/species/5233' => Http::response(['key' => 5233, 'rank' => 'FAMILY']),
+    ]);
+
+    $response = $this->getJson('/api/taxa/5233/child-count');
+
+    $response
+        ->assertOk()
+        ->assertJsonPath('rank', 'FAMILY')
+        ->assertJsonPath('child_rank', 'GENUS')
+        ->assertJsonPath('count', 2);
+});
+
+test('child counts are cached', function () {
+    Http::fake([
+        'api.gbif.org/v1/species/5233/children*' => Http::response(['endOfRecords' => true, 'results' => []]),
+        'api.gbif.org/v1/species/5233' => Http::response(['key' => 5233, 'rank' => 'FAMILY']),
+    ]);
+
+    $this->getJson('/api/taxa/5233/child-count')->assertOk();
+    $this->getJson('/api/taxa/5233/child-count')->assertOk();
+
+    Http::assertSentCount(2);
+});
+
+test('species have no children to count', function () {
+    Http::fake([
+        'api.gbif.org/v1/species/2482513' => Http::response(['key' => 2482513, 'rank' => 'SPECIES']),
+    ]);
+
+    $this->getJson('/api/taxa/2482513/child-count')
+        ->assertOk()
+        ->assertJsonPath('child_rank', null)
+        ->assertJsonPath('count', 0);
+});
+
+test('a GBIF failure is reported and not cached', function () {
+    Http::fake([
+        'api.gbif.org/v1/species/5233' => Http::sequence()
+            ->push([], 503)
+            ->push(['key' => 5233, 'rank' => 'GENUS']),
+        'api.gbif.org/v1/species/5233/children*' => Http::response(['endOfRecords' => true, 'results' => []]),
+    ]);
+
+    $this->getJson('/api/taxa/5233/child-count')->assertStatus(502);
+    $this->getJson('/api/taxa/5233/child-count')->assertOk()->assertJsonPath('child_rank', 'SPECIES');
+});
@@ -0,0 +1,55 @@
+<?php
+
+use App\Services\TaxonLineage;
+use Illuminate\Support\Facades\Http;
+
+test('a matched taxon comes with its lineage, intermediate ranks included', function () {
+    Http::fake([
+        'api.gbif.org/v1/species/match*' => Http::response([
+            'usageKey' => 1540,
+            'canonicalName' => 'Episyrphus',
+            'rank' => 'GENUS',
+            'matchType' => 'EXACT',
+            'kingdom' => 'Animalia',
+            'family' => 'Syrphidae',
+            'kingdomKey' => 1,
+            'familyKey' => 6920,
+        ]),
+        'api.gbif.org/v1/species/1540/parents' => Http::response([
+            ['key' => 1, 'canonicalName' => 'Animalia', 'rank' => 'KINGDOM'],
+            ['key' => 54, 'canonicalName' => 'Arthropoda', 'rank' => 'PHYLUM'],
+            ['key' => 6920, 'canonicalName' => 'Syrphidae', 'rank' => 'FAMILY'],
+            ['key' => 7071, 'canonicalName' => 'Syrphinae', 'rank' => 'SUBFAMILY'],
+            ['key' => 9001, 'canonicalName' => 'Syrphini', 'rank' => 'TRIBE'],
+        ]),
+    ]);
+
+    $response = $this->getJson('/api/taxa/match?name=Episyrphus')->assertOk();
+
+    expect(array_column($response->json('lineage'), 'rank'))
+        ->toBe(['DOMAIN', 'KINGDOM', 'PHYLUM', 'FAMILY', 'SUBFAMILY', 'TRIBE']);
+    $response
+        ->assertJsonPath('lineage.0', ['rank' => 'DOMAIN', 'name' => 'Eukaryota', 'key' => null])
+        ->assertJsonPath('lineage.4.name', 'Syrphinae');
+});
+
+test('bacteria are not placed under eukaryota', function () {
+    Http::fake([
+        'api.gbif.org/v1/species/11022089/parents' => Http::response([
+            ['key' => 3, 'canonicalName' => 'Bacteria', 'rank' => 'KINGDOM'],
+            ['key' => 7000000, 'canonicalName' => 'Pseudomonadota', 'rank' => 'PHYLUM'],
+        ]),
+    ]);
+    $lineage = app(TaxonLineage::class);
+
+    expect($lineage->ancestors(11022089)[0])->toBe(['rank' => 'DOMAIN', 'name' => 'Bacteria', 'key' => null])
+        ->and($lineage->domainOf('Fungi'))->toBe('Eukaryota')
+        ->and($lineage->domainOf('Viruses'))->toBeNull()
+        ->and($lineage->domainOf(null))->toBeNull();
+});
+
+test('an unreachable backbone gives an empty lineage', function () {
+    Http::fake(['api.gbif.org/*' => Http::response([], 500)]);
+
+    expect(app(TaxonLineage::class)->ancestors(1540))->toBe([]);
+});
@@ -0,0 +1,96 @@
+<?php
+
+use App\Services\TaxonLookupService;
+use Illuminate\Support\Facades\Http;
+
+function fakeTaxonDetails(): void
+{
+    Http::fake([
+        'api.gbif.org/v1/species/2482513/parents' => Http::response([
+            ['key' => 1, 'rank' => 'KINGDOM', 'canonicalName' => 'Animalia'],
+        ]),
+        'api.gbif.org/v1/species/2482513/synonyms*' => Http::response(['results' => [['key' => 7, 'scientificName' => 'Corvus vulgaris']]]),
+        'api.gbif.org/v1/species/2482513/vernacularNames*' => Http::response(['results' => [['vernacularName' => 'Carrion Crow', 'language' => 'eng']]]),
+        'api.gbif.org/v1/species/2482513/media*' => Http::response(['results' => []]),
+        'api.gbif.org/v1/species/2482513' => Http::response(['key' => 2482513, 'scientificName' => 'Corvus corone', 'rank' => 'SPECIES']),
+        '*' => Http::response([], 404),
+    ]);
+}
+
+test('taxon details are looked up once and then served from the cache', function () {
+    fakeTaxonDetails();
+
+    $this->getJson('/api/taxa/2482513')
+        ->assertOk()
+        ->assertJsonPath('taxon.scientificName', 'Corvus corone')
+        ->assertJsonPath('parents.0.canonicalName', 'Animalia')
+        ->assertJsonPath('synonyms.0.key', 7)
+        ->assertJsonPath('vernacular_names.0.vernacularName', 'Carrion Crow');
+    $this->getJson('/api/taxa/2482513')->assertOk();
+    $this->getJson('/api/taxa/2482513/vernacular-names')
+        ->assertOk()
+        ->assertJsonPath('vernacular_names.0.language', 'eng');
+
+    Http::assertSentCount(5);
+});
+
+test('hits and misses are counted per source', function () {
+    fakeTaxonDetails();
+
+    $this->getJson('/api/taxa/2482513')->assertOk();
+    $this->getJson('/api/taxa/2482513')->assertOk();
+
+    $this->getJson('/api/taxon-lookup/stats')
+        ->assertOk()
+        ->assertJsonPath('sources.gbif.misses', 5)
+        ->assertJsonPath('sources.gbif.hits', 5)
+        ->assertJsonPath('sources.wikipedia.misses', 0)
+        ->assertJsonPath('totals.hit_rate', 0.5);
+});
+
+test('the same lookup is only sent once per request', function () {
+    Http::fake(['api.gbif.org/*' => Http::response(['key' => 5233, 'rank' => 'FAMILY'])]);
+    $lookup = app(TaxonLookupService::class);
+
+    $results = $lookup->pool(
+        [
+            'first' => ['https://api.gbif.org/v1/species/5233', []],
+            'second' => ['https://api.gbif.org/v1/species/5233', []],
+        ]
+    );
+    $again = $lookup->get('https://api.gbif.org/v1/species/5233');
+
+    expect($results['first'])->toBe($results['second'])
+        ->and($again['rank'])->toBe('FAMILY');
+    Http::assertSentCount(1);
+});
+
+test('failed lookups are not cached but not-found ones are', function () {
+    Http::fake([
+        'api.gbif.org/v1/species/1' => Http::sequence()
+            ->push([], 503)
+            ->push(['key' => 1, 'rank' => 'KINGDOM']),
+        'api.gbif.org/v1/species/404' => Http::response([], 404),
+    ]);
+    $lookup = app(TaxonLookupService::class);
+
+    expect($lookup->get('https://api.gbif.org/v1/species/1'))->toBeNull()
+        ->and($lookup->get('https://api.gbif.org/v1/species/1'))->toBe(['key' => 1, 'rank' => 'KINGDOM'])
+        ->and($lookup->get('https://api.gbif.org/v1/species/404'))->toBeNull()
+        ->and($lookup->get('https://api.gbif.org/v1/species/404'))->toBeNull();
+    Http::assertSentCount(3);
+});
+
+test('an unknown taxon is not found but a failed lookup is a bad gateway', function () {
+    Http::fake([
+        'api.gbif.org/v1/species/2482513*' => Http::response([], 503),
+        '*' => Http::response([], 404),
+    ]);
+
+    $this->getJson('/api/taxa/404')
+        ->assertNotFound()
+        ->assertJsonPath('success', false);
+    $this->getJson('/api/taxa/2482513')
+        ->assertStatus(502)
+        ->assertJsonPath('message', 'Could not load taxon 2482513 from GBIF');
+});
@@ -0,0 +1,69 @@
+<?php
+
+use Illuminate\Support\Facades\Http;
+
+test('a higher taxon is returned with its classification', function () {
+    Http::fake([
+        'api.gbif.org/v1/species/match*' => Http::response([
+            'usageKey' => 6920,
+            'scientificName' => 'Syrphidae',
+            'canonicalName' => 'Syrphidae',
+            'rank' => 'FAMILY',
+            'status' => 'ACCEPTED',
+            'matchType' => 'EXACT',
+            'kingdom' => 'Animalia',
+            'phylum' => 'Arthropoda',
+            'class' => 'Insecta',
+            'order' => 'Diptera',
+            'family' => 'Syrphidae',
+            'kingdomKey' => 1,
+            'phylumKey' => 54,
+            'classKey' => 216,
+            'orderKey' => 811,
+            'familyKey' => 6920,
+        ]),
+    ]);
+
+    $this->getJson('/api/taxa/match?name=Syrphidae')
+        ->assertOk()
+        ->assertJsonPath('usage_key', 6920)
+        ->assertJsonPath('rank', 'FAMILY')
+        ->assertJsonPath('order', 'Diptera')
+        ->assertJsonPath('parent_keys', ['kingdom' => 1, 'phylum' => 54, 'class' => 216, 'order' => 811])
+        ->assertJsonMissingPath('family');
+});
+
+test('a synonym resolves to the accepted taxon', function () {
+    Http::fake([
+        'api.gbif.org/v1/species/match*' => Http::response([
+            'usageKey' => 1111,
+            'acceptedUsageKey' => 1540,
+            'canonicalName' => 'Syrphus',
+            'rank' => 'GENUS',
+            'status' => 'SYNONYM',
+            'matchType' => 'EXACT',
+            'genus' => 'Episyrphus',
+            'family' => 'Syrphidae',
+        ]),
+    ]);
+
+    $this->getJson('/api/taxa/match?name=Syrphus')
+        ->assertOk()
+        ->assertJsonPath('usage_key', 1540)
+        ->assertJsonPath('scientific_name', 'Episyrphus');
+});
+
+test('unknown names are not found and the miss is cached', function () {
+    Http::fake([
+        'api.gbif.org/v1/species/match*' => Http::response(['matchType' => 'NONE', 'confidence' => 100]),
+    ]);
+
+    $this->getJson('/api/taxa/match?name=Hoverfly-ish')->assertNotFound();
+    $this->getJson('/api/taxa/match?name=Hoverfly-ish')->assertNotFound();
+
+    Http::assertSentCount(1);
+});
+
+test('a name is required', function () {
+    $this->getJson('/api/taxa/match')->assertStatus(422);
+});
@@ -0,0 +1,215 @@
+<?php
+
+use App\Jobs\RevalidateTaxonomy;
+use App\Jobs\RevalidateTaxonomyEntries;
+use App\Models\User;
+use Illuminate\Bus\PendingBatch;
+use Illuminate\Support\Facades\Bus;
+use Illuminate\Support\Facades\Http;
+use Illuminate\Support\Facades\Queue;
+
+// Pica pica as stored, with the lineage it was added with
+function storedMagpie(User $user)
+{
+    return $user->discoveredSpecies()->create([
+        'gbif_usage_key' => 2482513,
+        'species_name' => 'Pica pica',
+        'species_data' => [
+            'scientificName' => 'Pica pica',
+            'lineage' => [
+                ['rank' => 'DOMAIN', 'name' => 'Eukaryota', 'key' => null],
+                ['rank' => 'KINGDOM', 'name' => 'Animalia', 'key' => 1],
+                ['rank' => 'FAMILY', 'name' => 'Corvidae', 'key' => 5235],
+                ['rank' => 'GENUS', 'name' => 'Pica', 'key' => 2482510],
+            ],
+        ],
+    ]);
+}
+
+test('guests cannot ask for a taxonomy check', function () {
+    $this->postJson('/api/discovered-species/revalidate')->assertUnauthorized();
+    $this->getJson('/api/discovered-species/taxonomy-changes')->assertUnauthorized();
+});
+
+test('asking again while a check is running does not queue another one', function () {
+    Queue::fake();
+    $user = User::factory()->create();
+
+    $this->actingAs($user)->postJson('/api/discovered-species/revalidate')
+        ->assertStatus(202)
+        ->assertJsonPath('checking', true);
+    $this->actingAs($user)->postJson('/api/discovered-species/revalidate')
+        ->assertStatus(202)
+        ->assertJsonPath('checking', true);
+
+    Queue::assertPushed(RevalidateTaxonomy::class, 1);
+});
+
+test('the weekly check is split into a batch of small jobs', function () {
+    Bus::fake();
+    foreach (User::factory()->count(2)->create() as $user) {
+        foreach (range(1, 25) as $i) {
+            $user->discoveredSpecies()->create(['gbif_usage_key' => 1000 + $i, 'species_name' => "Species {$i}"]);
+        }
+    }
+
+    (new RevalidateTaxonomy())->handle();
+
+    Bus::assertBatched(fn (PendingBatch $batch) => $batch->jobs->count() === 3
+        && $batch->jobs->every(fn ($job) => $job instanceof RevalidateTaxonomyEntries
+            && count($job->entryIds) <= RevalidateTaxonomy::CHUNK_SIZE));
+});
+
+test('an entry whose name became a synonym is reported with its accepted taxon', function () {
+    Http::fake([
+        'api.gbif.org/v1/species/2482513' => Http::response([
+            'key' => 2482513,
+            'scientificName' => 'Pica pica (Linnaeus, 1758)',
+            'canonicalName' => 'Pica pica',
+            'rank' => 'SPECIES',
+            'taxonomicStatus' => 'HETEROTYPIC_SYNONYM',
+            'acceptedKey' => 9700000,
+        ]),
+        'api.gbif.org/v1/species/9700000' => Http::response([
+            'key' => 9700000,
+            'scientificName' => 'Pica caudata (Linnaeus, 1758)',
+            'canonicalName' => 'Pica caudata',
+            'rank' => 'SPECIES',
+            'taxonomicStatus' => 'ACCEPTED',
+            'kingdom' => 'Animalia',
+            'family' => 'Corvidae',
+            'genus' => 'Pica',
+            'kingdomKey' => 1,
+            'familyKey' => 5235,
+            'genusKey' => 2482510,
+        ]),
+        'api.gbif.org/v1/species/9700000/parents' => Http::response([
+            ['key' => 1, 'canonicalName' => 'Animalia', 'rank' => 'KINGDOM'],
+            ['key' => 5235, 'canonicalName' => 'Corvidae', 'rank' => 'FAMILY'],
+            ['key' => 2482510, 'canonicalName' => 'Pica', 'rank' => 'GENUS'],
+        ]),
+    ]);
+    $user = User::factory()->create();
+    storedMagpie($user);
+
+    $this->actingAs($user)->postJson('/api/discovered-species/revalidate')
+        ->assertStatus(202)
+        ->assertJsonPath('checking', false);
+
+    $this->actingAs($user)->getJson('/api/discovered-species/taxonomy-changes')
+        ->assertOk()
+        ->assertJsonCount(1, 'changes')
+        ->assertJsonPath('changes.0.gbif_usage_key', 2482513)
+        ->assertJsonPath('changes.0.status', 'synonym')
+        ->assertJsonPath('changes.0.taxonomic_status', 'HETEROTYPIC_SYNONYM')
+        ->assertJsonPath('changes.0.taxon.gbif_key', 9700000)
+        ->assertJsonPath('changes.0.taxon.genus', 'pica')
+        ->assertJsonPath('changes.0.taxon.parent_keys.family', 5235)
+        ->assertJsonPath('changes.0.taxon.lineage.0.name', 'Eukaryota')
+        ->assertJsonPath('changes.0.changes.0', [
+            'rank' => 'SPECIES',
+            'from' => 'Pica pica',
+            'to' => 'Pica caudata (Linnaeus, 1758)',
+        ]);
+});
+
+test('an accepted species moved to another family is reported rank by rank', function () {
+    Http::fake([
+        'api.gbif.org/v1/species/2482513' => Http::response([
+            'key' => 2482513,
+            'scientificName' => 'Pica pica (Linnaeus, 1758)',
+            'canonicalName' => 'Pica pica',
+            'rank' => 'SPECIES',
+            'taxonomicStatus' => 'ACCEPTED',
+            'kingdom' => 'Animalia',
+            'family' => 'Garrulidae',
+        ]),
+        'api.gbif.org/v1/species/2482513/parents' => Http::response([
+            ['key' => 1, 'canonicalName' => 'Animalia', 'rank' => 'KINGDOM'],
+            ['key' => 777, 'canonicalName' => 'Garrulidae', 'rank' => 'FAMILY'],
+            ['key' => 2482510, 'canonicalName' => 'Pica', 'rank' => 'GENUS'],
+        ]),
+    ]);
+    $user = User::factory()->create();
+    $entry = storedMagpie($user);
+
+    RevalidateTaxonomy::dispatchSync($user->id);
+
+    $entry->refresh();
+    expect($entry->taxonomy_checked_at)->not->toBeNull()
+        ->and($entry->taxonomy_change['status'])->toBe('changed')
+        ->and($entry->taxonomy_change['changes'])->toBe([
+            ['rank' => 'FAMILY', 'from' => 'Corvidae', 'to' => 'Garrulidae'],
+        ]);
+});
+
+test('an entry that is still current is not reported', function () {
+    Http::fake([
+        'api.gbif.org/v1/species/2482513' => Http::response([
+            'key' => 2482513,
+            'scientificName' => 'Pica pica (Linnaeus, 1758)',
+            'canonicalName' => 'Pica pica',
+            'rank' => 'SPECIES',
+            'taxonomicStatus' => 'ACCEPTED',
+            'kingdom' => 'Animalia',
+        ]),
+        'api.gbif.org/v1/species/2482513/parents' => Http::response([
+            ['key' => 1, 'canonicalName' => 'Animalia', 'rank' => 'KINGDOM'],
+            ['key' => 5235, 'canonicalName' => 'Corvidae', 'rank' => 'FAMILY'],
+            ['key' => 2482510, 'canonicalName' => 'Pica', 'rank' => 'GENUS'],
+        ]),
+    ]);
+    $user = User::factory()->create();
+    storedMagpie($user);
+
+    $this->actingAs($user)->postJson('/api/discovered-species/revalidate')->assertStatus(202);
+
+    $this->actingAs($user)->getJson('/api/discovered-species/taxonomy-changes')
+        ->assertOk()
+        ->assertJsonCount(0, 'changes')
+        ->assertJsonPath('checking', false);
+});
+
+test('sending an entry in its new place clears the reported change', function () {
+    $lineage = [
+        ['rank' => 'DOMAIN', 'name' => 'Eukaryota', 'key' => null],
+        ['rank' => 'KINGDOM', 'name' => 'Animalia', 'key' => 1],
+        ['rank' => 'FAMILY', 'name' => 'Garrulidae', 'key' => 777],
+    ];
+    $user = User::factory()->create();
+    $entry = storedMagpie($user);
+    $entry->update(['taxonomy_change' => [
+        'status' => 'changed',
+        'taxonomic_status' => 'ACCEPTED',
+        'changes' => [['rank' => 'FAMILY', 'from' => 'Corvidae', 'to' => 'Garrulidae']],
+        'taxon' => ['gbif_key' => 2482513, 'scientific_name' => 'Pica pica', 'lineage' => $lineage],
+    ]]);
+
+    // A new sighting in the old place leaves the change to be accepted
+    $this->actingAs($user)->postJson('/api/discovered-species', [
+        'gbif_usage_key' => 2482513,
+        'species_name' => 'Pica pica',
+        'species_data' => $entry->species_data,
+    ])->assertOk();
+    expect($entry->fresh()->taxonomy_change)->not->toBeNull();
+
+    $this->actingAs($user)->postJson('/api/discovered-species', [
+        'gbif_usage_key' => 2482513,
+        'species_name' => 'Pica pica',
+        'species_data' => ['scientificName' => 'Pica pica', 'lineage' => $lineage],
+    ])->assertOk();
+    expect($entry->fresh()->taxonomy_change)->toBeNull();
+});
+
+test('an entry GBIF cannot answer for keeps its last result', function () {
+    Http::fake(['api.gbif.org/*' => Http::response([], 500)]);
+    $user = User::factory()->create();
+    $entry = storedMagpie($user);
+    $change = ['status' => 'changed', 'taxonomic_status' => 'ACCEPTED', 'changes' => [], 'taxon' => ['gbif_key' => 2482513]];
+    $entry->update(['taxonomy_change' => $change]);
+
+    RevalidateTaxonomy::dispatchSync($user->id);
+
+    expect($entry->fresh()->taxonomy_checked_at)->toBeNull()
+        ->and($entry->fresh()->taxonomy_change)->toBe($change);
+});
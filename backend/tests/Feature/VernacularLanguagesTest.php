@@ -0,0 +1,68 @@
+<?php
+
+use App\Services\VernacularNameSelector;
+use Illuminate\Support\Facades\Http;
+
+function fakeRobinNames(): void
+{
+    Http::fake([
+        'api.gbif.org/v1/species/2492462/vernacularNames*' => Http::response(['results' => [
+            ['vernacularName' => 'Rotkehlchen', 'language' => 'deu'],
+            ['vernacularName' => 'European Robin', 'language' => 'eng'],
+            ['vernacularName' => 'Robin Goch', 'language' => 'cym'],
+        ]]),
+        'api.gbif.org/v1/species/2492462/media*' => Http::response(['results' => []]),
+        'api.gbif.org/v1/species/2492462' => Http::response(['key' => 2492462, 'canonicalName' => 'Erithacus rubecula', 'rank' => 'SPECIES']),
+        '*' => Http::response([], 404),
+    ]);
+}
+
+test('common names follow the requested languages', function () {
+    fakeRobinNames();
+
+    $this->postJson('/api/taxa/batch', ['usage_keys' => [2492462], 'languages' => 'cym,deu'])
+        ->assertOk()
+        ->assertJsonPath('taxa.2492462.vernacular_name', 'Robin Goch');
+    $this->postJson('/api/taxa/batch', ['usage_keys' => [2492462], 'languages' => 'spa,deu'])
+        ->assertOk()
+        ->assertJsonPath('taxa.2492462.vernacular_name', 'Rotkehlchen');
+});
+
+test('the configured languages are the fallback', function () {
+    fakeRobinNames();
+    config(['services.gbif.vernacular_languages' => 'cym,eng']);
+
+    $this->postJson('/api/taxa/batch', ['usage_keys' => [2492462], 'languages' => 'spa'])
+        ->assertOk()
+        ->assertJsonPath('taxa.2492462.vernacular_name', 'Robin Goch');
+});
+
+test('unknown language codes are ignored and any name is the last resort', function () {
+    $names = app(VernacularNameSelector::class);
+    config(['services.gbif.vernacular_languages' => 'eng']);
+
+    expect($names->languages('cym, DEU,welsh,cy'))->toBe(['cym', 'deu', 'eng'])
+        ->and($names->pick([['vernacularName' => 'Petirrojo', 'language' => 'spa']], ['cym', 'eng']))->toBe('Petirrojo')
+        ->and($names->pick([], ['eng']))->toBeNull();
+});
+
+test('suggestions show common names in the requested language', function () {
+    Http::fake([
+        'api.gbif.org/v1/species/suggest*' => Http::response([]),
+        'api.gbif.org/v1/species/search*' => Http::response(['results' => [[
+            'key' => 2492462, 'canonicalName' => 'Erithacus rubecula', 'rank' => 'SPECIES',
+            'taxonomicStatus' => 'ACCEPTED', 'kingdom' => 'Animalia',
+            'vernacularNames' => [
+                ['vernacularName' => 'Robin', 'language' => 'eng'],
+                ['vernacularName' => 'Robin Goch', 'language' => 'cym'],
+            ],
+        ]]]),
+    ]);
+
+    $this->getJson('/api/species/suggest?q=robin&languages=cym')
+        ->assertOk()
+        ->assertJsonPath('suggestions.0.common_name', 'Robin Goch');
+    $this->getJson('/api/species/suggest?q=robin&languages=eng')
+        ->assertOk()
+        ->assertJsonPath('suggestions.0.common_name', 'Robin');
+});
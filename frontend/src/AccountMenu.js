@@ -0,0 +1,189 @@
+import React, { useEffect, useState } from 'react';
+import { register, requestPasswordReset, resetPassword, signIn } from './auth';
+
+const buttonStyle = {
+  padding: '8px 16px',
+  border: '1px solid #d1d5db',
+  borderRadius: '6px',
+  backgroundColor: 'white',
+  color: '#374151',
+  cursor: 'pointer',
+  fontSize: '14px'
+};
+
+const primaryButtonStyle = {
+  ...buttonStyle,
+  border: 'none',
+  backgroundColor: '#0097a7',
+  color: 'white'
+};
+
+const linkStyle = {
+  padding: 0,
+  border: 'none',
+  background: 'none',
+  color: '#0097a7',
+  cursor: 'pointer',
+  fontSize: '13px'
+};
+
+const inputStyle = {
+  display: 'block',
+  width: '100%',
+  boxSizing: 'border-box',
+  padding: '8px',
+  marginTop: '4px',
+  border: '1px solid #d1d5db',
+  borderRadius: '6px',
+  fontSize: '14px'
+};
+
+const Field = ({ label, ...props }) => (
+  <label style={{ display: 'block', marginBottom: '10px', fontSize: '13px', color: '#374151' }}>
+    {label}
+    <input style={inputStyle} required {...props} />
+  </label>
+);
+
+// Header button with a drop-down for signing in, registering, resetting a
+// password or choosing to stay anonymous. Signed-in users see who they are
+// and can sign out. `resetRequest` holds the token and email from a reset
+// link and opens the reset form.
+function AccountMenu({ user, anonymous, open, onOpenChange, onSignedIn, onSignOut, onContinueAnonymously, resetRequest, onResetDone, t }) {
+  const [mode, setMode] = useState(resetRequest ? 'reset' : 'signIn');
+  const [form, setForm] = useState({ name: '', email: resetRequest?.email || '', password: '', passwordConfirmation: '' });
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    if (resetRequest) {
+      setMode('reset');
+      setForm(prev => ({ ...prev, email: resetRequest.email || prev.email }));
+    }
+  }, [resetRequest]);
+
+  const switchMode = (next) => {
+    setMode(next);
+    setError('');
+    setMessage('');
+  };
+
+  const update = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+    setMessage('');
+    try {
+      if (mode === 'signIn') {
+        onSignedIn(await signIn(form.email, form.password));
+      } else if (mode === 'register') {
+        onSignedIn(await register(form));
+      } else if (mode === 'forgot') {
+        setMessage(await requestPasswordReset(form.email));
+      } else {
+        setMessage(await resetPassword({ ...form, token: resetRequest.token }));
+        onResetDone();
+        setMode('signIn');
+      }
+      setForm(prev => ({ ...prev, password: '', passwordConfirmation: '' }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const label = user ? user.name : anonymous ? t('account.anonymous') : t('account.signIn');
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <button style={buttonStyle} onClick={() => onOpenChange(!open)} aria-expanded={open}>
+        👤 {label}
+      </button>
+      {open && (
+        <div
+          style={{
+            position: 'absolute',
+            right: 0,
+            top: '100%',
+            marginTop: '4px',
+            width: '300px',
+            padding: '12px 16px',
+            backgroundColor: 'white',
+            border: '1px solid #d1d5db',
+            borderRadius: '6px',
+            boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1)',
+            textAlign: 'left',
+            zIndex: 20
+          }}
+        >
+          {user ? (
+            <>
+              <p style={{ margin: '0 0 4px', fontSize: '14px', color: '#1f2937' }}>{user.name}</p>
+              <p style={{ margin: '0 0 12px', fontSize: '13px', color: '#6b7280' }}>{user.email}</p>
+              <div style={{ textAlign: 'right' }}>
+                <button style={buttonStyle} onClick={onSignOut}>{t('account.signOut')}</button>
+              </div>
+            </>
+          ) : (
+            <form onSubmit={submit}>
+              <h3 style={{ margin: '0 0 8px', fontSize: '16px', color: '#1f2937' }}>{t(`account.title.${mode}`)}</h3>
+              {mode === 'signIn' && (
+                <p style={{ margin: '0 0 12px', fontSize: '13px', color: '#6b7280' }}>{t('account.help')}</p>
+              )}
+              {mode === 'register' && (
+                <Field label={t('account.name')} value={form.name} onChange={update('name')} autoComplete="name" />
+              )}
+              <Field label={t('account.email')} type="email" value={form.email} onChange={update('email')} autoComplete="email" />
+              {mode !== 'forgot' && (
+                <Field
+                  label={t('account.password')}
+                  type="password"
+                  value={form.password}
+                  onChange={update('password')}
+                  autoComplete={mode === 'signIn' ? 'current-password' : 'new-password'}
+                />
+              )}
+              {(mode === 'register' || mode === 'reset') && (
+                <Field
+                  label={t('account.passwordConfirmation')}
+                  type="password"
+                  value={form.passwordConfirmation}
+                  onChange={update('passwordConfirmation')}
+                  autoComplete="new-password"
+                />
+              )}
+              {error && <div style={{ color: 'red', fontSize: '13px', marginBottom: '8px' }}>{error}</div>}
+              {message && <div style={{ color: '#00796b', fontSize: '13px', marginBottom: '8px' }}>{message}</div>}
+              <button type="submit" style={{ ...primaryButtonStyle, width: '100%' }} disabled={busy}>
+                {busy ? t('account.working') : t(`account.submit.${mode}`)}
+              </button>
+              <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '10px' }}>
+                {mode === 'signIn' ? (
+                  <>
+                    <button type="button" style={linkStyle} onClick={() => switchMode('register')}>{t('account.toRegister')}</button>
+                    <button type="button" style={linkStyle} onClick={() => switchMode('forgot')}>{t('account.toForgot')}</button>
+                  </>
+                ) : (
+                  <button type="button" style={linkStyle} onClick={() => switchMode('signIn')}>{t('account.toSignIn')}</button>
+                )}
+              </div>
+              {!anonymous && (
+                <div style={{ borderTop: '1px solid #e5e7eb', marginTop: '12px', paddingTop: '12px' }}>
+                  <button type="button" style={{ ...buttonStyle, width: '100%' }} onClick={onContinueAnonymously}>
+                    {t('account.continueAnonymously')}
+                  </button>
+                </div>
+              )}
+            </form>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AccountMenu;
@@ -1,61 +1,499 @@
 
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect, useMemo, useCallback } from 'react';
 import Tree from 'react-d3-tree';
 import './App.css';
-// Helper to fetch numDescendants for a usageKey
-const fetchChildCount = async (usageKey) => {
-  try {
-    const resp = await fetch(`https://api.gbif.org/v1/species/${usageKey}`);
-    const data = await resp.json();
-    return data.numDescendants || 0;
-  } catch {
-    return 0;
-  }
+import {
+  loadLocalCollection,
+  saveLocalCollection,
+  fetchRemoteCollection,
+  addRemoteSpecies,
+  removeRemoteSpecies,
+  mergeCollections,
+  emptySyncState,
+  recordSaved,
+  recordRemoved,
+  recordRemovalConfirmed,
+  createSightingId,
+  fetchRemoteAchievements,
+  addRemoteAchievement,
+  requestTaxonomyCheck,
+  fetchTaxonomyChanges
+} from './collectionStorage';
+import { STORES, idbGetAll, idbDelete } from './offlineStore';
+import { collectSightingMetadata } from './photoUtils';
+import SpeciesDetailPanel from './SpeciesDetailPanel';
+import SightingsMap from './SightingsMap';
+import RadialTreeView from './RadialTreeView';
+import DexGridView from './DexGridView';
+import CollectionTableView from './CollectionTableView';
+import ProgressDashboard from './ProgressDashboard';
+import BatchReviewQueue from './BatchReviewQueue';
+import PhotoCropper from './PhotoCropper';
+import PhotoRegionPicker from './PhotoRegionPicker';
+import HigherRankPicker, { fetchTaxonMatch } from './HigherRankPicker';
+import SpeciesAutocomplete from './SpeciesAutocomplete';
+import LanguageSettings from './LanguageSettings';
+import ExportImportMenu from './ExportImportMenu';
+import AccountMenu from './AccountMenu';
+import TaxonomyChangesPanel from './TaxonomyChangesPanel';
+import { fetchCurrentUser, loadAnonymousMode, saveAnonymousMode, signOut } from './auth';
+import UndoToast from './UndoToast';
+import { applyEntries, createChange, emptyHistory, recordChange, redoChange, undoChange } from './collectionHistory';
+import { downloadBlob, exportBackup, exportCsv, exportDarwinCoreArchive, readCollectionFile } from './collectionExport';
+import { loadLanguages, rankText, saveLanguages, translate, uiLocale } from './i18n';
+import { decodeImage, expandCrop, isHeic, prepareUpload } from './imagePreprocessing';
+import {
+  BATCH_CONCURRENCY,
+  FINISHED_STATUSES,
+  createBatchItem,
+  loadBatchQueue,
+  saveBatchItem,
+  removeBatchItem
+} from './batchQueue';
+import { achievementText, cladeProgress, evaluateAchievements, mergeAchievements, childRankNoun } from './achievements';
+import {
+  VIEW_MODES,
+  UNIDENTIFIED_LABEL,
+  OBSERVATION_RANKS,
+  loadViewMode,
+  saveViewMode,
+  isCollectionLeaf,
+  isHigherRankObservation
+} from './collectionViews';
+import { createTaxonStore, entryNodeId, syncTaxonStore, taxonNode, taxonNodes, taxonTree, taxonUsageKeys } from './taxonStore';
+import {
+  TREE_NODE_SIZE,
+  TREE_SEPARATION,
+  loadTreeViewState,
+  saveTreeViewState,
+  loadSubRanksSetting,
+  saveSubRanksSetting,
+  buildVisibleTree,
+  findTreeMatches,
+  lineageNodeId,
+  ancestorIds,
+  isWithin,
+  pruneTreeViewState,
+  layoutTree,
+  centreOn,
+  fitTree
+} from './treeNavigation';
+// Undo and redo in the header, greyed out when there is nothing to step to
+const headerButtonStyle = (enabled) => ({
+  padding: '8px 16px',
+  border: '1px solid #d1d5db',
+  borderRadius: '6px',
+  backgroundColor: 'white',
+  color: enabled ? '#374151' : '#9ca3af',
+  cursor: enabled ? 'pointer' : 'not-allowed',
+  fontSize: '14px'
+});
+
+// Most usage keys /api/taxa/batch accepts at once
+const TAXA_BATCH_SIZE = 100;
+
+// How often to ask whether a requested taxonomy check has finished
+const TAXONOMY_POLL_MS = 5000;
+
+// Times a batch request is retried after the server's rate limit, and how
+// long to wait when it doesn't say
+const TAXA_BATCH_RETRIES = 3;
+const TAXA_BATCH_BACKOFF_MS = 10000;
+
+// Milliseconds a 429 response asks us to wait: Retry-After in seconds or as
+// an HTTP date, else a backoff that doubles with each attempt
+const retryDelay = (resp, attempt) => {
+  const header = resp.headers.get('Retry-After');
+  const seconds = Number(header);
+  if (header && Number.isFinite(seconds)) return seconds * 1000;
+  const date = header ? Date.parse(header) : NaN;
+  if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  return TAXA_BATCH_BACKOFF_MS * 2 ** attempt;
 };
-// Helper to fetch vernacular (common) names for a species usageKey
-const fetchVernacularName = async (usageKey) => {
-  try {
-    const resp = await fetch(`https://api.gbif.org/v1/species/${usageKey}/vernacularNames`);
-    const data = await resp.json();
-    if (data.results && data.results.length > 0) {
-      // Prefer English, fallback to first
-      const en = data.results.find(v => v.language === 'eng');
-      return en ? en.vernacularName : data.results[0].vernacularName;
+
+// One /api/taxa/batch request, waiting out the rate limit a few times.
+// Resolves to the response body, or null if it failed.
+const fetchTaxaChunk = async (usageKeys, languages) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const resp = await fetch('/api/taxa/batch', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify({ usage_keys: usageKeys, languages: languages.join(',') })
+      });
+      if (resp.status === 429 && attempt < TAXA_BATCH_RETRIES) {
+        await new Promise(resolve => setTimeout(resolve, retryDelay(resp, attempt)));
+        continue;
+      }
+      return resp.ok ? await resp.json() : null;
+    } catch {
+      return null;
     }
-  } catch {}
+  }
+};
+
+// Helper to fetch child counts, common names and images for many taxa, in
+// chunks, with common names in the first of `languages` (ISO 639-3) that has
+// one. Resolves to { taxa, failed }: a map of usageKey to taxon from every
+// chunk that succeeded, and the keys of the chunk that failed and those after
+// it, which weren't asked for. Offline, the service worker answers from its
+// cache and lists the keys it had nothing for as `uncached`; those count as
+// failed too.
+const fetchTaxaBatch = async (usageKeys, languages) => {
+  const taxa = {};
+  const uncached = [];
+  for (let i = 0; i < usageKeys.length; i += TAXA_BATCH_SIZE) {
+    const data = await fetchTaxaChunk(usageKeys.slice(i, i + TAXA_BATCH_SIZE), languages);
+    if (!data) return { taxa, failed: [...uncached, ...usageKeys.slice(i)] };
+    Object.assign(taxa, data.taxa);
+    uncached.push(...(data.uncached || []));
+  }
+  return { taxa, failed: uncached };
+};
+
+// Token and email from a password reset link, which opens the app at
+// /?reset_token=...&email=...
+const readResetRequest = () => {
+  const params = new URLSearchParams(window.location.search);
+  const token = params.get('reset_token');
+  return token ? { token, email: params.get('email') || '' } : null;
+};
+
+// Name to look a candidate up by: its matched scientific name when it has one
+const candidateLookupName = (option) => option.scientific_name || option.name;
+
+// Photo preparation errors carry a code with a translation; others show as is
+const errorText = (t, err) => {
+  const key = `error.photo.${err.code}`;
+  const text = err.code ? t(key) : key;
+  return text !== key ? text : err.message;
+};
+
+// Path of ranked nodes from the top of the tree down to `target`
+const findLineage = (node, target, path = []) => {
+  const here = node.attributes && node.attributes.label
+    ? [...path, { label: node.attributes.label, name: node.name, usageKey: node.attributes.usageKey }]
+    : path;
+  if (node.name === target.name && node.attributes?.label === target.attributes?.label) return here;
+  for (const child of node.children || []) {
+    const found = findLineage(child, target, here);
+    if (found) return found;
+  }
   return null;
 };
 
+// Usage keys of every collected entry (species or higher-rank observation) at or below a tree node
+const collectSpeciesKeys = (node) => {
+  if (isCollectionLeaf(node)) return [node.attributes.usageKey];
+  return (node.children || []).flatMap(collectSpeciesKeys);
+};
+
 function App() {
   const [image, setImage] = useState(null);
   const [uploading, setUploading] = useState(false);
+  // Photo waiting for the user to pick the region to identify
+  const [cropFile, setCropFile] = useState(null);
+  // Photo with several detected organisms, each of which can be identified on its own
+  const [regionPhoto, setRegionPhoto] = useState(null);
   const [error, setError] = useState("");
+  // Informational message, e.g. when a photo was queued while offline
+  const [notice, setNotice] = useState("");
+  // Languages for common names, most preferred first; the first also sets the UI language
+  const [languages, setLanguages] = useState(loadLanguages);
+  const locale = uiLocale(languages);
+  const t = (key, values) => translate(locale, key, values);
+  // Latest locale for listeners registered once
+  const localeRef = useRef(locale);
+  localeRef.current = locale;
+  // Signed-in user; null for guests and undefined until the server has answered
+  const [user, setUser] = useState(undefined);
+  const userId = user ? user.id : null;
+  // Whether the user chose to keep the collection on this device without an account
+  const [anonymous, setAnonymous] = useState(loadAnonymousMode);
+  const [resetRequest, setResetRequest] = useState(readResetRequest);
+  const [accountOpen, setAccountOpen] = useState(() => resetRequest !== null);
+  // Collection saved by the previous session, read once on first render
+  const [savedCollection] = useState(loadLocalCollection);
   // Store all added species classifications
-  const [speciesList, setSpeciesList] = useState([]);
+  const [speciesList, setSpeciesList] = useState(savedCollection.speciesList);
   // Map of usageKey to common name
-  const [commonNames, setCommonNames] = useState({});
+  const [commonNames, setCommonNames] = useState(savedCollection.commonNames);
   // Map of usageKey to total child count
-  const [childCounts, setChildCounts] = useState({});
-  // Track which usageKeys are being fetched to avoid duplicate requests
-  const fetchingChildCounts = useRef({});
+  const [childCounts, setChildCounts] = useState(savedCollection.childCounts);
+  // Achievements earned so far, oldest first
+  const [achievements, setAchievements] = useState(savedCollection.achievements);
+  const achievementsRef = useRef(achievements);
+  achievementsRef.current = achievements;
+  // Latest speciesList for async callbacks that outlive a render
+  const speciesListRef = useRef(speciesList);
+  speciesListRef.current = speciesList;
+  // Which entries the server has and which removals it hasn't confirmed
+  // (see emptySyncState)
+  const [sync, setSync] = useState(savedCollection.sync);
+  const syncRef = useRef(sync);
+  syncRef.current = sync;
+  // Undo and redo stacks of collection changes (see collectionHistory.js)
+  const [history, setHistory] = useState(emptyHistory);
+  const historyRef = useRef(history);
+  historyRef.current = history;
+  // Entries whose taxon changed in GBIF, and whether the server is still
+  // checking (see fetchTaxonomyChanges); null until loaded or for guests
+  const [taxonomyChanges, setTaxonomyChanges] = useState(null);
+  // Message about the latest change, with a button to undo or redo it
+  const [toast, setToast] = useState(null);
+  // Reference images from GBIF for species without a photo of their own
+  const [taxonImages, setTaxonImages] = useState({});
+  // Usage keys already asked about this session, so each is hydrated once
+  const hydratedKeys = useRef(new Set());
+  // The collection's taxa, updated entry by entry; one store per tree shape
+  const taxonStores = useRef({ major: createTaxonStore(), sub: createTaxonStore({ subRanks: true }) });
   // Species selection modal state
   const [showSpeciesModal, setShowSpeciesModal] = useState(false);
+  // Candidate names to start the genus/family/order picker from; null when it's closed
+  const [higherRankSuggestions, setHigherRankSuggestions] = useState(null);
   const [speciesOptions, setSpeciesOptions] = useState([]);
   // Manual species search state
   const [manualSearchInput, setManualSearchInput] = useState("");
   const [manualSearching, setManualSearching] = useState(false);
+  // Identification results replayed by the service worker, waiting to be shown
+  const [replayedResults, setReplayedResults] = useState([]);
+  const seenReplayKeys = useRef(new Set());
+  // Tree node whose detail panel is open
+  const [selectedNode, setSelectedNode] = useState(null);
+  // Which view of the collection is showing (see VIEW_MODES), remembered between visits
+  const [activeView, setActiveView] = useState(loadViewMode);
+  // Collapsed nodes and focused clade, remembered between visits
+  const [treeView, setTreeView] = useState(loadTreeViewState);
+  // Whether the tree shows intermediate ranks such as subfamily and tribe
+  const [showSubRanks, setShowSubRanks] = useState(loadSubRanksSetting);
+  // Position and zoom handed to <Tree>; only changed to jump somewhere
+  const [treeViewport, setTreeViewport] = useState({ translate: { x: 150, y: 300 }, zoom: 1 });
+  const treeContainerRef = useRef(null);
+  // Find-in-tree box and which of its matches was shown last
+  const [treeQuery, setTreeQuery] = useState('');
+  const [treeMatchIndex, setTreeMatchIndex] = useState(-1);
+  // Species to bring into view once it has been added to the tree
+  const revealSpeciesRef = useRef(null);
+  // Photos imported together, identified in the background and reviewed one by one
+  const [batchItems, setBatchItems] = useState([]);
+  const batchItemsRef = useRef(batchItems);
+  batchItemsRef.current = batchItems;
+  const batchInFlight = useRef(new Set());
+  // Time, place, photo and chosen candidate of the capture being identified,
+  // recorded as a sighting on the species it becomes
+  const pendingSightingRef = useRef(null);
+
+  // Ctrl/Cmd+Z undoes the last collection change and Ctrl/Cmd+Shift+Z or
+  // Ctrl+Y redoes it, except while typing, where they edit the text
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        historyActionsRef.current.undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        historyActionsRef.current.redo();
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  // Save the collection locally whenever it changes
+  useEffect(() => {
+    saveLocalCollection({ speciesList, commonNames, childCounts, achievements, sync });
+  }, [speciesList, commonNames, childCounts, achievements, sync]);
+
+  useEffect(() => {
+    saveTreeViewState(treeView);
+  }, [treeView]);
+
+  useEffect(() => {
+    saveSubRanksSetting(showSubRanks);
+  }, [showSubRanks]);
+
+  useEffect(() => {
+    saveLanguages(languages);
+    document.documentElement.lang = locale;
+  }, [languages, locale]);
+
+  useEffect(() => {
+    saveViewMode(activeView);
+  }, [activeView]);
+
+  // Find out who is signed in. Guests who haven't chosen to stay anonymous
+  // are offered the sign-in form; offline starts are left alone.
+  useEffect(() => {
+    fetchCurrentUser()
+      .then(current => {
+        setUser(current);
+        if (!current && !loadAnonymousMode()) setAccountOpen(true);
+      })
+      .catch(err => {
+        console.error('Error checking account:', err);
+        setUser(null);
+      });
+  }, []);
+
+  // Save an entry to the server and remember that it has it
+  const uploadEntry = useCallback((entry, options) => {
+    addRemoteSpecies(entry, options)
+      .then(saved => { if (saved) setSync(prev => recordSaved(prev, entry.usageKey)); })
+      .catch(err => console.error('Error syncing species:', err));
+  }, []);
+
+  // Remove an entry from the server, keeping a tombstone until it confirms
+  const removeRemoteEntry = useCallback((usageKey) => {
+    setSync(prev => recordRemoved(prev, usageKey));
+    removeRemoteSpecies(usageKey)
+      .then(removed => { if (removed) setSync(prev => recordRemovalConfirmed(prev, usageKey)); })
+      .catch(err => console.error('Error syncing species:', err));
+  }, []);
+
+  // Pull the signed-in user's collection and push up anything only held
+  // locally, which on first sign-in is everything collected anonymously.
+  // Removals made here while offline are sent again.
+  useEffect(() => {
+    if (!userId) return;
+    let cancelled = false;
+    fetchRemoteCollection()
+      .then(remoteList => {
+        if (cancelled || !remoteList) return;
+        const { merged, toUpload, toRemove } = mergeCollections(speciesListRef.current, remoteList, syncRef.current);
+        const remoteKeys = new Set(remoteList.map(s => s.usageKey));
+        const added = toUpload.filter(s => !remoteKeys.has(s.usageKey)).length;
+        if (added > 0) setNotice(translate(localeRef.current, 'notice.accountMerged', { count: added }));
+        setSpeciesList(merged);
+        setCommonNames(prev => {
+          const names = { ...prev };
+          for (const s of remoteList) {
+            if (s.preferred_common_name && !names[s.usageKey]) names[s.usageKey] = s.preferred_common_name;
+          }
+          return names;
+        });
+        // The server's list is what it has now; a tombstone for anything
+        // else has done its job
+        setSync(prev => ({
+          synced: remoteList.map(s => s.usageKey),
+          removed: prev.removed.filter(key => remoteKeys.has(key))
+        }));
+        toUpload.forEach(s => uploadEntry(s));
+        toRemove.forEach(usageKey => removeRemoteEntry(usageKey));
+      })
+      .catch(err => console.error('Error loading saved collection:', err));
+    return () => { cancelled = true; };
+  }, [userId, uploadEntry, removeRemoteEntry]);
+
+  // Same for achievements: keep the earliest award of each and upload any the server lacks
+  useEffect(() => {
+    if (!userId) return;
+    let cancelled = false;
+    fetchRemoteAchievements()
+      .then(remote => {
+        if (cancelled || !remote) return;
+        const remoteCodes = new Set(remote.map(a => a.code));
+        achievementsRef.current
+          .filter(a => !remoteCodes.has(a.code))
+          .forEach(a => addRemoteAchievement(a).catch(err => console.error('Error syncing achievement:', err)));
+        setAchievements(prev => mergeAchievements(prev, remote));
+      })
+      .catch(err => console.error('Error loading achievements:', err));
+    return () => { cancelled = true; };
+  }, [userId]);
+
+  // Load the taxonomy changes found by the last check of the collection
+  useEffect(() => {
+    if (!userId) return;
+    let cancelled = false;
+    fetchTaxonomyChanges()
+      .then(result => { if (!cancelled) setTaxonomyChanges(result); })
+      .catch(err => console.error('Error loading taxonomy changes:', err));
+    return () => { cancelled = true; };
+  }, [userId]);
+
+  // Look again every few seconds while a check is running on the server
+  useEffect(() => {
+    if (!taxonomyChanges || !taxonomyChanges.checking) return;
+    const timer = setTimeout(() => {
+      fetchTaxonomyChanges()
+        .then(result => setTaxonomyChanges(result))
+        .catch(err => console.error('Error loading taxonomy changes:', err));
+    }, TAXONOMY_POLL_MS);
+    return () => clearTimeout(timer);
+  }, [taxonomyChanges]);
+
+  // Pick up the review queue left by the last session
+  useEffect(() => {
+    if (typeof indexedDB === 'undefined') return;
+    loadBatchQueue()
+      .then(saved => setBatchItems(prev => [...saved.filter(s => !prev.some(p => p.id === s.id)), ...prev]))
+      .catch(err => console.error('Error loading import queue:', err));
+  }, []);
+
+  // Photos queued while offline are identified by the service worker once the
+  // connection returns; pick up their results and offer them for selection
+  useEffect(() => {
+    if (!('serviceWorker' in navigator) || typeof indexedDB === 'undefined') return;
+
+    const loadReplayedResults = async () => {
+      try {
+        const entries = await idbGetAll(STORES.replayedIdentifications);
+        const fresh = entries.filter(({ key }) => !seenReplayKeys.current.has(key));
+        for (const { key } of fresh) {
+          seenReplayKeys.current.add(key);
+          await idbDelete(STORES.replayedIdentifications, key);
+        }
+        if (fresh.length > 0) {
+          setReplayedResults(prev => [...prev, ...fresh.map(({ value }) => value.result)]);
+          setNotice(translate(localeRef.current, 'notice.queuedIdentified', { count: fresh.length }));
+        }
+      } catch (err) {
+        console.error('Error loading queued identifications:', err);
+      }
+    };
+
+    const handleMessage = (event) => {
+      if (event.data && event.data.type === 'IDENTIFICATIONS_REPLAYED') loadReplayedResults();
+    };
+    const handleOnline = () => {
+      if (navigator.serviceWorker.controller) {
+        navigator.serviceWorker.controller.postMessage({ type: 'REPLAY_IDENTIFICATIONS' });
+      }
+    };
+
+    navigator.serviceWorker.addEventListener('message', handleMessage);
+    window.addEventListener('online', handleOnline);
+    loadReplayedResults();
+    return () => {
+      navigator.serviceWorker.removeEventListener('message', handleMessage);
+      window.removeEventListener('online', handleOnline);
+    };
+  }, []);
 
   // Search GBIF API for species name using /v1/species/search
 
   // Send image to backend for Google Vision analysis
-  const identifySpeciesFromImage = async (file) => {
+  // The photo is cropped to `crop` (fractions of the image, optional), resized
+  // and stripped of EXIF before upload. Pass `queueOffline: false` to have
+  // offline requests fail instead of being queued for background sync.
+  const identifySpeciesFromImage = async (file, { queueOffline = true, crop = null } = {}) => {
+    const upload = await prepareUpload(file, crop);
     const formData = new FormData();
-    formData.append('image', file);
+    formData.append('image', upload);
+    formData.append('languages', languages.join(','));
     const resp = await fetch('/api/identify-species', {
       method: 'POST',
-      body: formData
+      body: formData,
+      headers: queueOffline ? {} : { 'X-SpeciesDex-No-Queue': '1' }
     });
-    if (!resp.ok) throw new Error('Failed to identify species');
+    // 202 means the service worker queued the photo for background sync
+    if (!resp.ok && resp.status !== 202) {
+      const body = await resp.json().catch(() => null);
+      throw new Error((body && body.message) || t('error.identifyRequest'));
+    }
     const data = await resp.json();
     return data; // Return full response instead of just label
   };
@@ -69,7 +507,7 @@ function App() {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ species_name: speciesName }),
+        body: JSON.stringify({ species_name: speciesName, languages: languages.join(',') }),
       });
       
       if (!resp.ok) {
@@ -88,18 +526,383 @@ function App() {
           await handleSpeciesSelection(data.species_results[0]);
         }
       } else {
-        setError(`No GBIF information found for "${speciesName}".`);
+        setError(t('error.noGbifInfo', { name: speciesName }));
+      }
+    } catch (err) {
+      setError(t('error.details', { name: speciesName }));
+    }
+  };
+
+  // Add a species returned by /api/species-details to the tree and the saved collection.
+  // Every capture becomes a sighting, so collecting a species again adds to its history.
+  // `sightingDetails` defaults to the capture currently being identified.
+  const addSpeciesToCollection = (bestSpecies, sightingDetails = pendingSightingRef.current) => {
+    const now = new Date().toISOString();
+    const sighting = {
+      id: createSightingId(),
+      observedAt: now,
+      latitude: null,
+      longitude: null,
+      locationSource: null,
+      photoThumbnail: null,
+      candidate: null,
+      ...sightingDetails
+    };
+    if (sightingDetails === pendingSightingRef.current) pendingSightingRef.current = null;
+
+    const usageKey = bestSpecies.gbif_key;
+    const existing = speciesListRef.current.find(s => s.usageKey === usageKey);
+    const completeSpecies = existing
+      ? { ...existing, sightings: [...(existing.sightings || []), sighting] }
+      : {
+          ...bestSpecies,
+          usageKey,
+          scientificName: bestSpecies.scientific_name,
+          addedAt: now,
+          sightings: [sighting]
+        };
+
+    const current = speciesListRef.current;
+    commitCollectionChange('add', completeSpecies.scientificName, existing
+      ? current.map(s => s.usageKey === usageKey ? completeSpecies : s)
+      : [...current, completeSpecies]);
+    revealSpeciesRef.current = usageKey;
+    if (!existing) rememberCommonName(bestSpecies);
+  };
+
+  // Write entries (null meaning removed) to the server. Undo and redo send
+  // each entry's sightings as the complete set, so ones they take away go too.
+  const syncEntries = (entries, options) => {
+    for (const [usageKey, entry] of Object.entries(entries)) {
+      if (entry) uploadEntry(entry, options);
+      else removeRemoteEntry(Number(usageKey));
+    }
+  };
+
+  // Tree of `list` as the tree view would draw it, bringing the store up to date
+  const collectionTree = (list, subRanks) =>
+    taxonTree(syncTaxonStore(subRanks ? taxonStores.current.sub : taxonStores.current.major, list));
+
+  // Forget collapsed and focused nodes that went with the last species under them
+  const pruneTreeView = (nextList) => {
+    const nextTree = collectionTree(nextList, showSubRanks);
+    setTreeView(prev => pruneTreeViewState(prev, nextTree));
+  };
+
+  const showCollection = (nextList) => {
+    // Keep the ref current so several changes in one tick build on each other
+    speciesListRef.current = nextList;
+    setSpeciesList(nextList);
+    pruneTreeView(nextList);
+  };
+
+  // Every add, remove, reclassification and taxonomy migration goes through
+  // here so it can be undone. `name` is what the toast calls the change.
+  const commitCollectionChange = (type, name, nextList) => {
+    const change = createChange(type, name, speciesListRef.current, nextList);
+    if (!change) return;
+    showCollection(nextList);
+    syncEntries(change.after);
+    historyRef.current = recordChange(historyRef.current, change);
+    setHistory(historyRef.current);
+    setToast({ id: Date.now(), message: t(`history.${type}`, { name }), action: 'undo' });
+  };
+
+  const stepHistory = (step, action) => {
+    const result = step(historyRef.current);
+    if (!result) return;
+    showCollection(applyEntries(speciesListRef.current, result.entries));
+    syncEntries(result.entries, { replaceSightings: true });
+    historyRef.current = result.history;
+    setHistory(result.history);
+    setSelectedNode(null);
+    const done = t(`history.${result.change.type}`, { name: result.change.name });
+    setToast(action === 'undo'
+      ? { id: Date.now(), message: t('history.undone', { change: done }), action: 'redo' }
+      : { id: Date.now(), message: t('history.redone', { change: done }), action: 'undo' });
+  };
+
+  const undoCollectionChange = () => stepHistory(undoChange, 'undo');
+  const redoCollectionChange = () => stepHistory(redoChange, 'redo');
+
+  // Latest undo and redo for the keyboard shortcuts, which are registered once
+  const historyActionsRef = useRef(null);
+  historyActionsRef.current = { undo: undoCollectionChange, redo: redoCollectionChange };
+
+  // Remove an entry and its sightings from the collection
+  const removeSpecies = (entry) => {
+    commitCollectionChange('remove', entry.scientificName,
+      speciesListRef.current.filter(s => s.usageKey !== entry.usageKey));
+    setSelectedNode(null);
+  };
+
+  // Put `best` (a /api/species-details result) in the place of `entry`. Its
+  // sightings move across, joining any the new species already has.
+  const reclassifyEntry = (entry, best) => {
+    const current = speciesListRef.current;
+    const existing = current.find(s => s.usageKey === best.gbif_key);
+    const replacement = existing
+      ? { ...existing, sightings: [...(existing.sightings || []), ...(entry.sightings || [])] }
+      : {
+          ...best,
+          usageKey: best.gbif_key,
+          scientificName: best.scientific_name,
+          addedAt: entry.addedAt,
+          sightings: entry.sightings || []
+        };
+    commitCollectionChange('reclassify', `${entry.scientificName} → ${replacement.scientificName}`, [
+      ...current.filter(s => s.usageKey !== entry.usageKey && s.usageKey !== replacement.usageKey),
+      replacement
+    ]);
+    if (!existing) rememberCommonName(best);
+    revealSpeciesRef.current = replacement.usageKey;
+    setSelectedNode(null);
+  };
+
+  // Ask the server to check every entry against the current GBIF backbone
+  const checkTaxonomy = () => {
+    setTaxonomyChanges(prev => prev && { ...prev, checking: true });
+    requestTaxonomyCheck()
+      .then(checking => checking === null ? null : fetchTaxonomyChanges())
+      .then(result => { if (result) setTaxonomyChanges(result); })
+      .catch(err => {
+        console.error('Error checking taxonomy:', err);
+        setError(t('error.taxonomyCheck'));
+        setTaxonomyChanges(prev => prev && { ...prev, checking: false });
+      });
+  };
+
+  // Move entries to the taxon GBIF now has for them, as one change that can
+  // be undone. An entry whose name became a synonym of a species already in
+  // the collection is merged into it, sightings and all.
+  const acceptTaxonomyChanges = (accepted) => {
+    let next = speciesListRef.current;
+    const names = [];
+    for (const { usageKey, taxon } of accepted) {
+      const entry = next.find(s => s.usageKey === usageKey);
+      if (!entry) continue;
+      const existing = taxon.gbif_key !== usageKey && next.find(s => s.usageKey === taxon.gbif_key);
+      const replacement = existing
+        ? { ...existing, sightings: [...(existing.sightings || []), ...(entry.sightings || [])] }
+        : { ...entry, ...taxon, usageKey: taxon.gbif_key, scientificName: taxon.scientific_name };
+      next = existing
+        ? next.filter(s => s !== entry).map(s => s === existing ? replacement : s)
+        : next.map(s => s === entry ? replacement : s);
+      names.push(entry.scientificName === replacement.scientificName
+        ? entry.scientificName
+        : `${entry.scientificName} → ${replacement.scientificName}`);
+    }
+    if (names.length > 0) {
+      commitCollectionChange('migrate', names.length === 1 ? names[0] : t('taxonomy.entries', { count: names.length }), next);
+      setSelectedNode(null);
+    }
+    const acceptedKeys = new Set(accepted.map(change => change.usageKey));
+    setTaxonomyChanges(prev => prev && { ...prev, changes: prev.changes.filter(change => !acceptedKeys.has(change.usageKey)) });
+  };
+
+  // Best /api/species-details match for a name; null when there is none
+  const lookupSpecies = async (speciesName) => {
+    const resp = await fetch('/api/species-details', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ species_name: speciesName, languages: languages.join(',') }),
+    });
+    if (!resp.ok) throw new Error('Failed to get species details from backend');
+    const data = await resp.json();
+    return (data.success && data.species_results && data.species_results[0]) || null;
+  };
+
+  // Swap a wrongly picked species for the right one. Resolves to an error
+  // message, or null on success.
+  const replaceSpecies = async (entry, speciesName) => {
+    let best;
+    try {
+      best = await lookupSpecies(speciesName);
+    } catch (err) {
+      return t('error.lookup', { name: speciesName });
+    }
+    if (!best) return t('error.noSpeciesFound', { name: speciesName });
+    if (best.gbif_key === entry.usageKey) return t('error.sameSpecies', { name: best.scientific_name });
+    reclassifyEntry(entry, best);
+    return null;
+  };
+
+  // Use preferred common name from API response; otherwise the tree's
+  // hydration fills one in from GBIF
+  const rememberCommonName = (bestSpecies) => {
+    if (bestSpecies.preferred_common_name) {
+      setCommonNames(prev => ({ ...prev, [bestSpecies.gbif_key]: bestSpecies.preferred_common_name }));
+    }
+  };
+
+  // Names chosen for the old languages are dropped and the whole tree is
+  // hydrated again in the new ones
+  const changeLanguages = (next) => {
+    setLanguages(next);
+    hydratedKeys.current.clear();
+    setCommonNames({});
+  };
+
+  const handleSignedIn = (signedIn) => {
+    saveAnonymousMode(false);
+    setAnonymous(false);
+    setAccountOpen(false);
+    setUser(signedIn);
+  };
+
+  // The collection belongs to the account once signed in, so signing out
+  // leaves an empty one on this device rather than someone else's species
+  const handleSignOut = async () => {
+    setError("");
+    try {
+      await signOut();
+      setUser(null);
+      setAccountOpen(false);
+      // Nothing of the account may stay behind for whoever uses the device next
+      setSpeciesList([]);
+      setCommonNames({});
+      setChildCounts({});
+      setTaxonImages({});
+      hydratedKeys.current.clear();
+      setAchievements([]);
+      setSync(emptySyncState());
+      setHistory(emptyHistory());
+      setTaxonomyChanges(null);
+      setToast(null);
+      setSelectedNode(null);
+      setNotice(t('notice.signedOut'));
+    } catch (err) {
+      console.error('Error signing out:', err);
+      setError(t('error.signOut'));
+    }
+  };
+
+  const continueAnonymously = () => {
+    saveAnonymousMode(true);
+    setAnonymous(true);
+    setAccountOpen(false);
+  };
+
+  // Drop the reset token from the address once it has been used
+  const finishPasswordReset = () => {
+    setResetRequest(null);
+    window.history.replaceState(null, '', window.location.pathname);
+  };
+
+  const exportCollection = (format) => {
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (format === 'csv') {
+      downloadBlob(exportCsv(speciesList, commonNames), `speciesdex-${stamp}.csv`);
+    } else if (format === 'dwca') {
+      downloadBlob(exportDarwinCoreArchive(speciesList, commonNames), `speciesdex-${stamp}-dwca.zip`);
+    } else {
+      downloadBlob(exportBackup({ speciesList, commonNames, achievements }), `speciesdex-${stamp}-backup.json`);
+    }
+  };
+
+  // Merge a backup or Darwin Core file into the collection. Entries are
+  // matched by usage key and sightings by id, so importing the same file
+  // twice adds nothing the second time.
+  const importCollection = async (file) => {
+    setError("");
+    setNotice("");
+    try {
+      const imported = await readCollectionFile(file);
+      const current = speciesListRef.current;
+      const { merged, toUpload } = mergeCollections(imported.speciesList, current);
+      const currentKeys = new Set(current.map(s => s.usageKey));
+      const countSightings = (list) => list.reduce((n, s) => n + (s.sightings || []).length, 0);
+
+      setSpeciesList(merged);
+      setCommonNames(prev => ({ ...imported.commonNames, ...prev }));
+      toUpload.forEach(s => uploadEntry(s));
+
+      if (imported.achievements.length > 0) {
+        const known = new Set(achievementsRef.current.map(a => a.code));
+        imported.achievements
+          .filter(a => !known.has(a.code))
+          .forEach(a => addRemoteAchievement(a).catch(err => console.error('Error syncing achievement:', err)));
+        setAchievements(prev => mergeAchievements(prev, imported.achievements));
       }
+
+      const message = t('notice.imported', {
+        species: toUpload.filter(s => !currentKeys.has(s.usageKey)).length,
+        sightings: countSightings(merged) - countSightings(current)
+      });
+      setNotice(imported.skipped > 0
+        ? `${message} ${t('notice.importSkipped', { count: imported.skipped })}`
+        : message);
     } catch (err) {
-      setError(`Error getting details for "${speciesName}".`);
+      console.error('Error importing collection:', err);
+      setError(t('error.import', { file: file.name, message: err.message }));
     }
   };
 
+  // Record the current capture as "some kind of" genus, family or order, from
+  // a /api/taxa/match result. It joins the tree as an Unidentified leaf under
+  // that taxon and can be refined to a species later.
+  const recordHigherRankObservation = (taxon) => {
+    const level = taxon.rank.toLowerCase();
+    setHigherRankSuggestions(null);
+    addSpeciesToCollection({
+      gbif_key: taxon.usage_key,
+      scientific_name: taxon.scientific_name,
+      identifiedRank: capitalize(level),
+      kingdom: taxon.kingdom,
+      phylum: taxon.phylum,
+      class: taxon.class,
+      order: taxon.order,
+      family: taxon.family,
+      genus: taxon.genus,
+      [level]: taxon.scientific_name,
+      parent_keys: { ...taxon.parent_keys, [level]: taxon.usage_key }
+    });
+  };
+
+  // Turn a higher-rank observation into a species once it's been worked out.
+  // The species has to sit within the observation's taxon; its sightings move
+  // across and the observation is removed. Resolves to an error message, or
+  // null on success.
+  const refineObservation = async (entry, speciesName) => {
+    const level = entry.identifiedRank.toLowerCase();
+    let best;
+    try {
+      best = await lookupSpecies(speciesName);
+    } catch (err) {
+      return t('error.lookup', { name: speciesName });
+    }
+    if (!best) return t('error.noSpeciesFound', { name: speciesName });
+    if ((best[level] || '').toLowerCase() !== entry.scientificName.toLowerCase()) {
+      return t('error.notWithin', { species: best.scientific_name, rank: rankText(t, 'rankNoun', level), taxon: entry.scientificName });
+    }
+    reclassifyEntry(entry, best);
+    return null;
+  };
+
   // Handle species selection directly from detection modal
-  const handleSpeciesModalSelection = async (speciesName) => {
+  const handleSpeciesModalSelection = async (speciesOption) => {
+    const speciesName = candidateLookupName(speciesOption);
+    if (pendingSightingRef.current) {
+      pendingSightingRef.current.candidate = {
+        name: speciesOption.name,
+        score: typeof speciesOption.score === 'number' ? speciesOption.score : null,
+        source: speciesOption.source || null
+      };
+    }
     try {
       // Close the modal first
       setShowSpeciesModal(false);
+
+      // A genus, family or order candidate is recorded at that rank
+      if (speciesOption.rank && OBSERVATION_RANKS.includes(capitalize(speciesOption.rank))) {
+        const taxon = await fetchTaxonMatch(speciesName);
+        if (!taxon) {
+          setError(t('error.noTaxonFound', { name: speciesName }));
+          return;
+        }
+        recordHigherRankObservation(taxon);
+        return;
+      }
       
       // Use our enhanced backend API instead of direct GBIF calls
       const resp = await fetch('/api/species-details', {
@@ -107,7 +910,7 @@ function App() {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ species_name: speciesName }),
+        body: JSON.stringify({ species_name: speciesName, languages: languages.join(',') }),
       });
       
       if (!resp.ok) {
@@ -120,41 +923,14 @@ function App() {
         // Use the first (best) result from the enhanced backend search
         const bestSpecies = data.species_results[0];
         
-        const completeSpecies = {
-          ...bestSpecies,
-          usageKey: bestSpecies.gbif_key,
-          scientificName: bestSpecies.scientific_name
-        };
-        
         // Add directly to the tree
-        setSpeciesList(prev => {
-          if (prev.some(s => s.usageKey === completeSpecies.usageKey)) return prev;
-          return [...prev, completeSpecies];
-        });
-        
-        // Use preferred common name from API response, or fetch as fallback
-        if (bestSpecies.preferred_common_name) {
-          setCommonNames(prev => ({ ...prev, [completeSpecies.usageKey]: bestSpecies.preferred_common_name }));
-        } else if (!commonNames[completeSpecies.usageKey]) {
-          fetchVernacularName(completeSpecies.usageKey).then(name => {
-            if (name) setCommonNames(prev => ({ ...prev, [completeSpecies.usageKey]: name }));
-          });
-        }
-        
-        // Fetch and store child count
-        if (!childCounts[completeSpecies.usageKey] && !fetchingChildCounts.current[completeSpecies.usageKey]) {
-          fetchingChildCounts.current[completeSpecies.usageKey] = true;
-          fetchChildCount(completeSpecies.usageKey).then(count => {
-            setChildCounts(prev => ({ ...prev, [completeSpecies.usageKey]: count }));
-            fetchingChildCounts.current[completeSpecies.usageKey] = false;
-          });
-        }
+        addSpeciesToCollection(bestSpecies);
       } else {
-        setError(`Enhanced search found no results for "${speciesName}".`);
+        setError(t('error.noResults', { name: speciesName }));
       }
     } catch (err) {
       console.error('Error adding selected species:', err);
-      setError('Failed to add species to tree. Please try again.');
+      setError(t('error.addFailed'));
     }
   };
 
@@ -163,7 +939,7 @@ function App() {
     setShowSpeciesModal(false);
     
     if (!selectedSpecies) {
-      setError("No species selected.");
+      setError(t('error.noSelection'));
       return;
     }
 
@@ -174,7 +950,7 @@ function App() {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ species_name: selectedSpecies.scientific_name }),
+        body: JSON.stringify({ species_name: selectedSpecies.scientific_name, languages: languages.join(',') }),
       });
       
       if (!resp.ok) {
@@ -187,76 +963,249 @@ function App() {
         // Use the first (best) result from the enhanced backend search
         const bestSpecies = data.species_results[0];
         
-        const completeSpecies = {
-          ...bestSpecies,
-          usageKey: bestSpecies.gbif_key,
-          scientificName: bestSpecies.scientific_name
-        };
-        
-        setSpeciesList(prev => {
-          if (prev.some(s => s.usageKey === completeSpecies.usageKey)) return prev;
-          return [...prev, completeSpecies];
-        });
-        
-        // Use preferred common name from API response, or fetch as fallback
-        if (bestSpecies.preferred_common_name) {
-          setCommonNames(prev => ({ ...prev, [completeSpecies.usageKey]: bestSpecies.preferred_common_name }));
-        } else if (!commonNames[completeSpecies.usageKey]) {
-          fetchVernacularName(completeSpecies.usageKey).then(name => {
-            if (name) setCommonNames(prev => ({ ...prev, [completeSpecies.usageKey]: name }));
-          });
-        }
-        
-        // Fetch and store child count
-        if (!childCounts[completeSpecies.usageKey] && !fetchingChildCounts.current[completeSpecies.usageKey]) {
-          fetchingChildCounts.current[completeSpecies.usageKey] = true;
-          fetchChildCount(completeSpecies.usageKey).then(count => {
-            setChildCounts(prev => ({ ...prev, [completeSpecies.usageKey]: count }));
-            fetchingChildCounts.current[completeSpecies.usageKey] = false;
-          });
-        }
+        addSpeciesToCollection(bestSpecies);
       } else {
-        setError("Enhanced search found no results for selected species.");
+        setError(t('error.noResultsSelected'));
       }
     } catch (err) {
-      setError("Error adding selected species with enhanced backend search.");
+      setError(t('error.addSelected'));
     }
   };
 
+  // Show the candidates from an /api/identify-species response
+  const presentIdentificationResult = async (identificationResult) => {
+    if (!identificationResult || !identificationResult.success) {
+      setError(t('error.couldNotIdentify'));
+      return;
+    }
+
+    const { species_options } = identificationResult;
+
+    // Check if we have multiple species options
+    if (species_options && species_options.length > 1) {
+      // Show modal for species selection
+      setSpeciesOptions(species_options);
+      setShowSpeciesModal(true);
+    } else if (species_options && species_options.length === 1) {
+      // Directly process the single detection
+      const [option] = species_options;
+      if (pendingSightingRef.current) {
+        pendingSightingRef.current.candidate = { name: option.name, score: option.score, source: option.source };
+      }
+      await handleDetectedSpecies(candidateLookupName(option));
+    } else {
+      setError(t('error.noneDetected'));
+    }
+  };
+
+  // Latest presentIdentificationResult for the effect below, which only
+  // reacts to the modal and the queue of replayed results
+  const presentResultRef = useRef(null);
+  presentResultRef.current = presentIdentificationResult;
+
+  // Offer replayed results one at a time, whenever the modal is free
+  useEffect(() => {
+    if (showSpeciesModal || replayedResults.length === 0) return;
+    const [next, ...rest] = replayedResults;
+    setReplayedResults(rest);
+    presentResultRef.current(next);
+  }, [showSpeciesModal, replayedResults]);
+
   // Handle photo upload and identification
   const handlePhoto = async (e) => {
     const file = e.target.files[0];
+    // Allow picking the same photo again after cancelling
+    e.target.value = '';
     if (!file) return;
+    setError("");
+    setNotice("");
+    setRegionPhoto(null);
+    if (isHeic(file)) {
+      // Find out now rather than after the user has cropped it
+      try {
+        const { source } = await decodeImage(file);
+        if (typeof source.close === 'function') source.close();
+      } catch (err) {
+        setError(errorText(t, err));
+        return;
+      }
+    }
+    // Time and place are read from the original here; the upload carries no EXIF
+    pendingSightingRef.current = await collectSightingMetadata(file).catch(() => null);
     setImage(URL.createObjectURL(file));
+    setCropFile(file);
+  };
+
+  const cancelCrop = () => {
+    setCropFile(null);
+    setImage(null);
+    pendingSightingRef.current = null;
+  };
+
+  const identifyPhoto = async (crop) => {
+    const file = cropFile;
+    setCropFile(null);
     setUploading(true);
-    setError("");
     try {
-      const identificationResult = await identifySpeciesFromImage(file);
-      if (!identificationResult || !identificationResult.success) {
-        setError("Could not identify species from photo.");
+      const identificationResult = await identifySpeciesFromImage(file, { crop });
+      if (identificationResult && identificationResult.queued) {
+        // The replayed result can't be matched back to this photo's metadata
+        pendingSightingRef.current = null;
+        setNotice(identificationResult.message);
         setUploading(false);
         return;
       }
+      const objects = (identificationResult && identificationResult.objects) || [];
+      if (!crop && identificationResult.success && objects.length > 1) {
+        // Boxes are relative to the whole photo, so only offer them when it wasn't cropped
+        setRegionPhoto({
+          file,
+          imageUrl: image,
+          objects,
+          sighting: pendingSightingRef.current,
+          wholeResult: identificationResult,
+          identified: []
+        });
+        pendingSightingRef.current = null;
+      } else {
+        await presentIdentificationResult(identificationResult);
+      }
+    } catch (err) {
+      setError(t('error.identify', { message: errorText(t, err) }));
+    }
+    setUploading(false);
+  };
 
-      const { species_options } = identificationResult;
-
-      // Check if we have multiple species options
-      if (species_options && species_options.length > 1) {
-        // Show modal for species selection
-        setSpeciesOptions(species_options);
-        setShowSpeciesModal(true);
-      } else if (species_options && species_options.length === 1) {
-        // Directly process the single detection
-        await handleDetectedSpecies(species_options[0].name);
+  // Identify one detected organism from the region picker. Every region gets
+  // its own copy of the photo's sighting, so each species records it.
+  const identifyRegion = async (object, index) => {
+    const { file, sighting } = regionPhoto;
+    setError("");
+    setNotice("");
+    setRegionPhoto(prev => ({ ...prev, identified: [...prev.identified, index] }));
+    pendingSightingRef.current = sighting ? { ...sighting } : null;
+    setUploading(true);
+    try {
+      const identificationResult = await identifySpeciesFromImage(file, { crop: expandCrop(object.box) });
+      if (identificationResult && identificationResult.queued) {
+        pendingSightingRef.current = null;
+        setNotice(identificationResult.message);
       } else {
-        setError("No species detected in image.");
+        await presentIdentificationResult(identificationResult);
       }
     } catch (err) {
-      setError("Error identifying species.");
+      setError(t('error.identify', { message: errorText(t, err) }));
     }
     setUploading(false);
   };
 
+  const identifyWholePhoto = () => {
+    pendingSightingRef.current = regionPhoto.sighting ? { ...regionPhoto.sighting } : null;
+    presentIdentificationResult(regionPhoto.wholeResult);
+  };
+
+  // Update a queued photo in state and in IndexedDB. Only reads the ref, so
+  // it can stay the same function across renders.
+  const updateBatchItem = useCallback((id, changes) => {
+    const item = batchItemsRef.current.find(i => i.id === id);
+    if (!item) return;
+    const next = { ...item, ...changes };
+    batchItemsRef.current = batchItemsRef.current.map(i => (i.id === id ? next : i));
+    setBatchItems(batchItemsRef.current);
+    if (FINISHED_STATUSES.includes(next.status)) {
+      removeBatchItem(next).catch(err => console.error('Error updating import queue:', err));
+    } else {
+      saveBatchItem(next).catch(err => console.error('Error updating import queue:', err));
+    }
+  }, []);
+
+  const identifyBatchItem = async (item) => {
+    batchInFlight.current.add(item.id);
+    updateBatchItem(item.id, { status: 'identifying', error: null });
+    try {
+      const result = await identifySpeciesFromImage(item.file, { queueOffline: false });
+      if (result && result.success) {
+        updateBatchItem(item.id, { status: 'ready', options: result.species_options || [] });
+      } else {
+        updateBatchItem(item.id, { status: 'failed', error: (result && result.message) || t('error.couldNotIdentify') });
+      }
+    } catch (err) {
+      updateBatchItem(item.id, {
+        status: 'failed',
+        error: navigator.onLine === false ? t('error.offlineRetry') : errorText(t, err)
+      });
+    }
+    batchInFlight.current.delete(item.id);
+    // Free slot: let the effect below start the next photo
+    setBatchItems(items => [...items]);
+  };
+
+  // Latest identifyBatchItem for the effect below, which runs on queue changes
+  const identifyBatchItemRef = useRef(null);
+  identifyBatchItemRef.current = identifyBatchItem;
+
+  // Keep up to BATCH_CONCURRENCY identifications running
+  useEffect(() => {
+    const slots = BATCH_CONCURRENCY - batchInFlight.current.size;
+    if (slots <= 0) return;
+    batchItems
+      .filter(item => item.status === 'pending' && !batchInFlight.current.has(item.id))
+      .slice(0, slots)
+      .forEach(item => identifyBatchItemRef.current(item));
+  }, [batchItems]);
+
+  // Photos that failed because the connection dropped are retried once it's back
+  useEffect(() => {
+    const handleOnline = () => {
+      batchItemsRef.current
+        .filter(item => item.status === 'failed')
+        .forEach(item => updateBatchItem(item.id, { status: 'pending' }));
+    };
+    window.addEventListener('online', handleOnline);
+    return () => window.removeEventListener('online', handleOnline);
+  }, [updateBatchItem]);
+
+  // Add several photos to the review queue
+  const handleGalleryImport = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+    setError("");
+    const items = await Promise.all(files.map(async file =>
+      createBatchItem(file, await collectSightingMetadata(file).catch(() => null))
+    ));
+    await Promise.all(items.map(item => saveBatchItem(item).catch(err => console.error('Error saving import queue:', err))));
+    setBatchItems(prev => [...prev, ...items]);
+  };
+
+  const confirmBatchItem = async (item, option) => {
+    try {
+      const resp = await fetch('/api/species-details', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ species_name: candidateLookupName(option), languages: languages.join(',') })
+      });
+      if (!resp.ok) throw new Error('Failed to get species details from backend');
+      const data = await resp.json();
+      if (!data.success || !data.species_results || data.species_results.length === 0) {
+        setError(t('error.noResults', { name: option.name }));
+        return;
+      }
+      addSpeciesToCollection(data.species_results[0], {
+        ...item.sighting,
+        candidate: { name: option.name, score: typeof option.score === 'number' ? option.score : null, source: option.source || null }
+      });
+      updateBatchItem(item.id, { status: 'confirmed', confirmedName: option.name });
+    } catch (err) {
+      console.error('Error adding imported species:', err);
+      setError(t('error.addFailed'));
+    }
+  };
+
+  const clearFinishedBatchItems = () => {
+    setBatchItems(prev => prev.filter(item => !FINISHED_STATUSES.includes(item.status)));
+  };
+
   // Handle manual species search
   const handleManualSearch = async (e) => {
     e.preventDefault();
@@ -264,21 +1213,48 @@ function App() {
     
     setManualSearching(true);
     setError("");
+    pendingSightingRef.current = {
+      observedAt: new Date().toISOString(),
+      candidate: { name: manualSearchInput.trim(), score: null, source: 'manual_search' }
+    };
     
     try {
       await handleDetectedSpecies(manualSearchInput.trim());
       setManualSearchInput(""); // Clear the input after successful search
     } catch (err) {
-      setError(`Error searching for "${manualSearchInput}".`);
+      setError(t('error.search', { name: manualSearchInput }));
     }
     
     setManualSearching(false);
   };
 
+  // Record a taxon picked from the search suggestions. It's already an exact
+  // backbone taxon, so there's no need to guess or to offer a choice.
+  const handleSuggestionSelect = async (suggestion) => {
+    const name = suggestion.common_name || suggestion.scientific_name;
+    const rank = capitalize((suggestion.rank || '').toLowerCase());
+    if (rank !== 'Species' && !OBSERVATION_RANKS.includes(rank)) {
+      setError(t('error.notObservable', { name, rank: rankText(t, 'rankNoun', rank) }));
+      return;
+    }
+
+    setManualSearching(true);
+    setError("");
+    pendingSightingRef.current = { observedAt: new Date().toISOString() };
+    await handleSpeciesModalSelection({
+      name,
+      scientific_name: suggestion.scientific_name,
+      rank: suggestion.rank,
+      score: null,
+      source: 'manual_search'
+    });
+    setManualSearchInput("");
+    setManualSearching(false);
+  };
+
   // No longer needed: fetchClassification, as /match returns classification info
 
 
-  // Build a merged tree in react-d3-tree format, tracking usageKeys for all nodes
   // Function to capitalize the first letter of each word
   const capitalize = (str) => {
     if (!str || str === 'unknown') return str;
@@ -287,181 +1263,206 @@ function App() {
     ).join(' ');
   };
 
-  const buildMergedTree = (speciesArr) => {
-    // Each node: { name, attributes, children: [] }
-    const root = { name: 'Life', children: [] };
-    
-    // Helper function to get all taxonomic data from existing tree nodes
-    const getExistingTaxonomyData = () => {
-      const taxonomyMap = new Map();
-      
-      const collectTaxonomy = (node, currentPath = []) => {
-        if (node.attributes?.label && node.name) {
-          const level = node.attributes.label.toLowerCase();
-          const path = [...currentPath, { level, name: node.name, usageKey: node.attributes.usageKey }];
-          
-          // Store the full path for this node
-          taxonomyMap.set(`${level}:${node.name.toLowerCase()}`, path);
-          
-          if (node.children) {
-            for (const child of node.children) {
-              collectTaxonomy(child, path);
-            }
-          }
-        } else if (node.children) {
-          for (const child of node.children) {
-            collectTaxonomy(child, currentPath);
-          }
-        }
-      };
-      
-      collectTaxonomy(root);
-      return taxonomyMap;
+  // Major ranks only, which completion counts, achievements and the other views work from
+  const treeData = collectionTree(speciesList, false);
+  // What the tree view draws: the same, with intermediate ranks if asked for
+  const shownTaxa = showSubRanks ? syncTaxonStore(taxonStores.current.sub, speciesList) : taxonStores.current.major;
+  const shownTree = taxonTree(shownTaxa);
+  // Species proper; genus/family/order observations don't count towards the dex or achievements
+  const identifiedSpecies = useMemo(
+    () => speciesList.filter(entry => !isHigherRankObservation(entry)),
+    [speciesList]
+  );
+
+  // Open the detail panel for any ranked node (not the "Life" root)
+  const openNodeDetails = (nodeDatum) => {
+    const label = nodeDatum.attributes && nodeDatum.attributes.label;
+    // Unknown ranks have nothing to show
+    if (!label || nodeDatum.attributes.unknown) return;
+    // A collapsed node is drawn without children, so count species on the full tree
+    const fullNode = taxonNode(shownTaxa, nodeDatum.attributes.nodeId) || nodeDatum;
+    setSelectedNode({
+      node: { name: nodeDatum.name, label, usageKey: nodeDatum.attributes.usageKey, rank: nodeDatum.attributes.rank },
+      lineage: findLineage(shownTree, nodeDatum) || [],
+      speciesKeys: collectSpeciesKeys(fullNode)
+    });
+  };
+
+  const treeDimensions = () => {
+    const rect = treeContainerRef.current && treeContainerRef.current.getBoundingClientRect();
+    return rect && rect.width ? { width: rect.width, height: rect.height } : { width: 800, height: 600 };
+  };
+
+  // <Tree> only re-applies translate and zoom when the props change, so after
+  // the user has panned away, jumping back to the same spot needs a tiny nudge
+  const moveTreeViewport = (next) => {
+    setTreeViewport(prev => (prev.zoom === next.zoom && prev.translate.x === next.translate.x && prev.translate.y === next.translate.y)
+      ? { ...next, translate: { ...next.translate, x: next.translate.x + 0.01 } }
+      : next);
+  };
+
+  const fitTreeToView = (view = treeView) => {
+    if (!shownTree) return;
+    const positions = layoutTree(buildVisibleTree(shownTree, new Set(view.collapsed), view.focusId));
+    moveTreeViewport(fitTree(positions, treeDimensions()));
+  };
+
+  // Expand everything above a node, leave focus if it lies outside, and centre on it
+  const revealTreeNode = (nodeId) => {
+    if (!shownTree || !nodeId) return;
+    const hidden = new Set(ancestorIds(nodeId));
+    const next = {
+      collapsed: treeView.collapsed.filter(id => !hidden.has(id)),
+      focusId: treeView.focusId && isWithin(nodeId, treeView.focusId) ? treeView.focusId : null
     };
+    setTreeView(next);
+    const position = layoutTree(buildVisibleTree(shownTree, new Set(next.collapsed), next.focusId)).get(nodeId);
+    if (position) moveTreeViewport({ zoom: 1, translate: centreOn(position, treeDimensions(), 1) });
+  };
 
-    // Process each species
-    for (const s of speciesArr) {
-      // Get current taxonomy data from existing tree
-      const existingTaxonomy = getExistingTaxonomyData();
-      
-      // Try to get usageKeys for each layer from the backend parent_keys
-      const getLayer = (field, fallback) => {
-        let value = s[field] || fallback || null;
-        let key = undefined;
-        
-        // Use parent_keys from backend if available
-        if (s.parent_keys && s.parent_keys[field]) {
-          key = parseInt(s.parent_keys[field]);
-        } else if (s[field + 'Key']) {
-          key = parseInt(s[field + 'Key']);
-        } else if (s.higherClassificationMap) {
-          // Fallback to old method if parent_keys not available
-          const mapValue = Object.values(s.higherClassificationMap).find(v => v === value);
-          if (mapValue) {
-            const mapKey = Object.keys(s.higherClassificationMap).find(k => s.higherClassificationMap[k] === mapValue);
-            key = mapKey ? parseInt(mapKey) : undefined;
-          }
-        }
-        
-        return { 
-          value: value ? capitalize(value) : value, 
-          usageKey: key 
-        };
-      };
+  // Node ids change with the ranks shown, so collapsed and focused nodes that
+  // no longer exist are let go
+  const toggleSubRanks = (show) => {
+    setShowSubRanks(show);
+    const nextTree = collectionTree(speciesList, show);
+    setTreeView(prev => pruneTreeViewState(prev, nextTree));
+  };
 
-      // Define the taxonomic hierarchy
-      const rawLayers = [
-        { label: 'Domain', ...getLayer('domain', 'Eukaryota') },
-        { label: 'Kingdom', ...getLayer('kingdom', 'Animalia') },
-        { label: 'Phylum', ...getLayer('phylum', 'Chordata') },
-        { label: 'Class', ...getLayer('class', s.class) },
-        { label: 'Order', ...getLayer('order', s.order) },
-        { label: 'Family', ...getLayer('family', s.family) },
-        { label: 'Genus', ...getLayer('genus', s.genus) },
-        { label: 'Species', value: s.scientificName, usageKey: s.usageKey }
-      ];
-
-      // Fill in missing levels by looking at existing tree data
-      const layers = rawLayers.map((layer, index) => {
-        if (layer.value && layer.value !== 'Unknown') {
-          return layer;
-        }
+  const toggleTreeNode = (nodeId) => {
+    setTreeView(prev => ({
+      ...prev,
+      collapsed: prev.collapsed.includes(nodeId)
+        ? prev.collapsed.filter(id => id !== nodeId)
+        : [...prev.collapsed, nodeId]
+    }));
+  };
 
-        // Try to find this level from existing tree data
-        // Look for any species that shares taxonomic levels with this one
-        for (const [key, path] of existingTaxonomy) {
-          const [level, name] = key.split(':');
-          
-          // Check if this existing path shares any known levels with our current species
-          let hasSharedTaxonomy = false;
-          
-          for (let i = index + 1; i < rawLayers.length; i++) {
-            const futureLayer = rawLayers[i];
-            if (futureLayer.value && futureLayer.value !== 'Unknown') {
-              const futureLevelName = futureLayer.label.toLowerCase();
-              const futureValueLower = futureLayer.value.toLowerCase();
-              
-              // Check if this path contains the same future taxonomic level
-              const matchingLevel = path.find(p => 
-                p.level === futureLevelName && 
-                p.name.toLowerCase() === futureValueLower
-              );
-              
-              if (matchingLevel) {
-                hasSharedTaxonomy = true;
-                break;
-              }
-            }
-          }
-          
-          // If we found shared taxonomy, use the missing level from this path
-          if (hasSharedTaxonomy && level === layer.label.toLowerCase()) {
-            return {
-              label: layer.label,
-              value: capitalize(name),
-              usageKey: path.find(p => p.level === level)?.usageKey
-            };
-          }
-        }
+  const focusTreeNode = (nodeId) => {
+    const next = { ...treeView, focusId: nodeId };
+    setTreeView(next);
+    setSelectedNode(null);
+    setActiveView('tree');
+    fitTreeToView(next);
+  };
 
-        // If we couldn't find it in existing data, return the original layer
-        return layer;
-      });
+  const treeMatches = useMemo(
+    () => findTreeMatches(shownTree, treeQuery, commonNames),
+    [shownTree, treeQuery, commonNames]
+  );
 
-      // Build the tree path
-      let node = root;
-      for (let i = 0; i < layers.length; i++) {
-        const layer = layers[i];
-        if (!layer.value || layer.value === 'Unknown') continue;
-        
-        let child = (node.children || []).find(c => c.name === layer.value);
-        if (!child) {
-          child = {
-            name: layer.value,
-            attributes: { label: layer.label, usageKey: layer.usageKey },
-            children: []
-          };
-          node.children = node.children || [];
-          node.children.push(child);
-        }
-        node = child;
+  const handleTreeFind = (e) => {
+    e.preventDefault();
+    if (treeMatches.length === 0) return;
+    const index = (treeMatchIndex + 1) % treeMatches.length;
+    setTreeMatchIndex(index);
+    revealTreeNode(treeMatches[index].id);
+  };
+
+  // Award anything the collection has newly qualified for
+  useEffect(() => {
+    const earnedCodes = new Set(achievementsRef.current.map(a => a.code));
+    const fresh = evaluateAchievements(cladeProgress(treeData, childCounts), identifiedSpecies)
+      .filter(a => !earnedCodes.has(a.code));
+    if (fresh.length === 0) return;
+    setAchievements(prev => mergeAchievements(prev, fresh));
+    setNotice(fresh.length === 1
+      ? translate(localeRef.current, 'notice.achievement', { title: achievementText((key, values) => translate(localeRef.current, key, values), fresh[0]).title })
+      : translate(localeRef.current, 'notice.achievements', { count: fresh.length }));
+    fresh.forEach(a => addRemoteAchievement(a).catch(err => console.error('Error syncing achievement:', err)));
+  }, [treeData, childCounts, identifiedSpecies]);
+
+  // Fill in child counts, common names and images for every taxon in the
+  // tree that's missing one, with a single batched request
+  useEffect(() => {
+    const usageKeys = taxonUsageKeys(shownTaxa).filter(usageKey => {
+      if (hydratedKeys.current.has(usageKey)) return false;
+      // Completion is only counted for major ranks
+      const needsCount = childCounts[usageKey] === undefined &&
+        taxonNodes(shownTaxa, usageKey).some(node => !isCollectionLeaf(node) && !node.attributes.intermediate);
+      return needsCount || !commonNames[usageKey];
+    });
+    if (usageKeys.length === 0) return;
+
+    usageKeys.forEach(key => hydratedKeys.current.add(key));
+    fetchTaxaBatch(usageKeys, languages).then(({ taxa, failed }) => {
+      // Let the next change to the tree try the ones that failed again
+      failed.forEach(key => hydratedKeys.current.delete(key));
+      const counts = {};
+      const names = {};
+      const images = {};
+      for (const taxon of Object.values(taxa)) {
+        if (typeof taxon.child_count === 'number') counts[taxon.usage_key] = taxon.child_count;
+        if (taxon.vernacular_name) names[taxon.usage_key] = taxon.vernacular_name;
+        if (taxon.image) images[taxon.usage_key] = taxon.image;
       }
-    }
-    
-    return root;
+      setChildCounts(prev => ({ ...prev, ...counts }));
+      // Never replace a name the identification already chose
+      setCommonNames(prev => ({ ...names, ...prev }));
+      setTaxonImages(prev => ({ ...prev, ...images }));
+    });
+    // The store is updated in place; shownTree changes whenever its taxa do
+  }, [shownTaxa, shownTree, childCounts, commonNames, languages]);
+
+  // Latest revealTreeNode, so the effect below only runs when the collection,
+  // the view or the ranks shown change
+  const revealTreeNodeRef = useRef(null);
+  revealTreeNodeRef.current = revealTreeNode;
+
+  // Show where a newly collected species landed, once the tree is showing
+  useEffect(() => {
+    if (revealSpeciesRef.current === null || activeView !== 'tree') return;
+    const nodeId = entryNodeId(shownTaxa, revealSpeciesRef.current);
+    revealSpeciesRef.current = null;
+    revealTreeNodeRef.current(nodeId);
+  }, [speciesList, activeView, shownTaxa]);
+
+  const openSpeciesDetails = (usageKey) => {
+    const node = taxonNode(shownTaxa, entryNodeId(shownTaxa, usageKey));
+    if (node) openNodeDetails(node);
   };
 
+  // Only rebuilt when the taxa or the collapsed/focused nodes change, so
+  // <Tree> isn't handed new data (and re-clones it) for unrelated updates
+  // such as child counts and common names arriving
+  const visibleTree = useMemo(
+    () => shownTree && buildVisibleTree(shownTree, new Set(treeView.collapsed), treeView.focusId),
+    [shownTree, treeView]
+  );
+
   // Render the merged tree using react-d3-tree
   const renderMergedTree = () => {
-    if (speciesList.length === 0) return null;
-    const treeData = buildMergedTree(speciesList);
+    if (!shownTree) return null;
+    const shownMatch = treeMatchIndex >= 0 && treeMatches[treeMatchIndex];
+    const focusLineage = treeView.focusId ? ancestorIds(treeView.focusId).concat(treeView.focusId) : [];
     // Custom node rendering to show label and common name
     const renderCustomNode = ({ nodeDatum }) => {
       const usageKey = nodeDatum.attributes && nodeDatum.attributes.usageKey;
-      const commonName = usageKey && commonNames[usageKey];
-      const sciName = nodeDatum.name;
-      // Number of children found in the tree
-      const foundChildren = nodeDatum.children ? nodeDatum.children.length : 0;
-      // Total possible children from GBIF API
+      const label = nodeDatum.attributes && nodeDatum.attributes.label;
+      // An observation identified to genus, family or order shares its taxon's
+      // usage key, so it doesn't borrow the taxon's common name
+      const isUnidentified = label === UNIDENTIFIED_LABEL;
+      // A major rank GBIF has no record of, drawn so its children aren't misplaced
+      const isUnknown = Boolean(nodeDatum.attributes && nodeDatum.attributes.unknown);
+      const commonName = usageKey && !isUnidentified && commonNames[usageKey];
+      const sciName = isUnknown ? t('tree.unknownRank', { rank: rankText(t, 'rankNoun', label) }) : nodeDatum.name;
+      // Number of children found in the tree (including any hidden by collapsing)
+      const foundChildren = nodeDatum.attributes ? nodeDatum.attributes.childCount : 0;
+      const nodeId = nodeDatum.attributes && nodeDatum.attributes.nodeId;
+      const isCollapsed = nodeDatum.attributes && nodeDatum.attributes.collapsed;
+      const isFindMatch = shownMatch && shownMatch.id === nodeId;
+      // Total possible children at the next rank, from GBIF via the backend
       const totalChildren = usageKey ? childCounts[usageKey] : undefined;
-      // If we haven't fetched this node's child count yet, do so (for all nodes with usageKey)
-      if (usageKey && totalChildren === undefined && !fetchingChildCounts.current[usageKey]) {
-        fetchingChildCounts.current[usageKey] = true;
-        fetchChildCount(usageKey).then(count => {
-          setChildCounts(prev => ({ ...prev, [usageKey]: count }));
-          fetchingChildCounts.current[usageKey] = false;
-        });
-      }
       return (
-        <g>
+        <g onClick={() => openNodeDetails(nodeDatum)} style={{ cursor: label && !isUnknown ? 'pointer' : 'default' }}>
           {(() => {
             // Calculate dynamic dimensions based on content
-            const label = nodeDatum.attributes && nodeDatum.attributes.label;
-            
             // Calculate text width (rough estimation)
             const mainText = commonName || sciName;
             const subText = commonName ? sciName : '';
-            const labelText = label || '';
+            // Infraspecific entries carry their own rank when sub-ranks are shown
+            const labelText = isUnidentified
+              ? t('tree.unidentified', { rank: rankText(t, 'rankNoun', nodeDatum.attributes.rank) })
+              : (label ? rankText(t, 'rank', nodeDatum.attributes.rank || label) : '');
             
             // Estimate text widths (approximate 8px per character for main text, 6px for smaller text)
             const mainTextWidth = mainText.length * 8;
@@ -479,7 +1480,19 @@ function App() {
             const shouldBeGreen = isSpecies || (!isSpecies && isComplete);
             
             // Color scheme
-            const colors = shouldBeGreen ? {
+            const colors = isUnknown ? {
+              bg: '#f3f4f6',       // Grey background
+              stroke: '#9ca3af',   // Grey stroke, dashed below
+              text: '#6b7280',
+              subtext: '#9ca3af',
+              count: '#ff9800'
+            } : isUnidentified ? {
+              bg: '#fff8e1',       // Light amber background
+              stroke: '#ffa000',   // Amber stroke, dashed below
+              text: '#8d6e63',     // Brown text
+              subtext: '#ffa000',  // Amber subtext
+              count: '#ff9800'
+            } : shouldBeGreen ? {
               bg: '#e8f5e8',      // Light green background
               stroke: '#4caf50',   // Green stroke
               text: '#2e7d32',     // Dark green text
@@ -502,8 +1515,9 @@ function App() {
                   height={nodeHeight} 
                   rx={40} 
                   fill={colors.bg} 
-                  stroke={colors.stroke} 
-                  strokeWidth={3} 
+                  stroke={isFindMatch ? '#ff9800' : colors.stroke} 
+                  strokeWidth={isFindMatch ? 6 : 3} 
+                  strokeDasharray={(isUnidentified || isUnknown) && !isFindMatch ? '8 4' : undefined}
                 />
                 {/* Main label: common name or scientific name if no common */}
                 <text 
@@ -540,10 +1554,10 @@ function App() {
                   textAnchor="middle" 
                   fontSize="11"
                 >
-                  {label}
+                  {labelText}
                 </text>
-                {/* Child completion count from API - not shown for species */}
-                {!isSpecies && (
+                {/* Child completion count from API - not shown for species or observations */}
+                {!isSpecies && !isUnidentified && (
                   <text 
                     fill={colors.count} 
                     stroke="none" 
@@ -552,7 +1566,25 @@ function App() {
                     textAnchor="middle" 
                     fontSize="11"
                   >
-                    {totalChildren !== undefined && totalChildren > 0 ? `${foundChildren}/${totalChildren} found` : `${foundChildren}/? found`}
+                    {`${foundChildren}/${totalChildren !== undefined ? totalChildren : '?'} ${childRankNoun(t, label)}`}
+                  </text>
+                )}
+                {/* Expand/collapse toggle on the right edge of nodes with children */}
+                {label && (isCollapsed || (nodeDatum.children || []).length > 0) && (
+                  <g
+                    onClick={(e) => { e.stopPropagation(); toggleTreeNode(nodeId); }}
+                    transform={`translate(${nodeWidth / 2}, 0)`}
+                  >
+                    <title>{isCollapsed ? t('tree.expandHidden', { count: nodeDatum.attributes.speciesCount }) : t('tree.collapse')}</title>
+                    <circle r={12} fill="white" stroke={colors.stroke} strokeWidth={2} />
+                    <text fill={colors.text} stroke="none" textAnchor="middle" dy="0.35em" fontSize="16" fontWeight="bold">
+                      {isCollapsed ? '+' : '−'}
+                    </text>
+                  </g>
+                )}
+                {isCollapsed && (
+                  <text fill={colors.subtext} stroke="none" x={0} y={56} textAnchor="middle" fontSize="11">
+                    {t('tree.hidden', { count: nodeDatum.attributes.speciesCount })}
                   </text>
                 )}
               </>
@@ -561,19 +1593,81 @@ function App() {
         </g>
       );
     };
+    const toolbarButtonStyle = {
+      padding: '6px 12px',
+      border: '1px solid #d1d5db',
+      borderRadius: '6px',
+      backgroundColor: 'white',
+      color: '#374151',
+      cursor: 'pointer',
+      fontSize: '14px'
+    };
     return (
-      <div style={{ width: '100%', height: '600px', background: '#fafafa', border: '1px solid #eee', borderRadius: 8, margin: '32px 0', overflow: 'auto' }}>
-        <Tree
-          data={treeData}
-          orientation="horizontal"
-          translate={{ x: 150, y: 300 }}
-          renderCustomNodeElement={renderCustomNode}
-          pathFunc="elbow"
-          zoomable={true}
-          collapsible={false}
-          separation={{ siblings: 3, nonSiblings: 3 }}
-          nodeSize={{ x: 300, y: 150 }}
-        />
+      <div style={{ margin: '32px 0' }}>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8, alignItems: 'center', marginBottom: 12 }}>
+          <form onSubmit={handleTreeFind} style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+            <input
+              type="search"
+              value={treeQuery}
+              onChange={(e) => { setTreeQuery(e.target.value); setTreeMatchIndex(-1); }}
+              placeholder={t('tree.findPlaceholder')}
+              style={{ fontSize: 14, padding: '6px 10px', border: '1px solid #ccc', borderRadius: '4px' }}
+            />
+            <button type="submit" style={toolbarButtonStyle} disabled={treeMatches.length === 0}>
+              {treeMatchIndex >= 0 ? t('tree.next') : t('tree.find')}
+            </button>
+            {treeQuery.trim() && (
+              <span style={{ fontSize: 13, color: '#6b7280' }}>
+                {treeMatches.length === 0
+                  ? t('tree.noMatches')
+                  : treeMatchIndex >= 0
+                    ? t('tree.matchPosition', { index: treeMatchIndex + 1, count: treeMatches.length })
+                    : t('tree.matches', { count: treeMatches.length })}
+              </span>
+            )}
+          </form>
+          <button style={toolbarButtonStyle} onClick={() => fitTreeToView()}>{t('tree.fit')}</button>
+          <button
+            style={toolbarButtonStyle}
+            onClick={() => setTreeView(prev => ({ ...prev, collapsed: [] }))}
+            disabled={treeView.collapsed.length === 0}
+          >
+            {t('tree.expandAll')}
+          </button>
+          <label style={{ display: 'flex', alignItems: 'center', gap: 4, fontSize: 13, color: '#374151' }}>
+            <input type="checkbox" checked={showSubRanks} onChange={(e) => toggleSubRanks(e.target.checked)} />
+            {t('tree.subRanks')}
+          </label>
+          {treeView.focusId && (
+            <span style={{ fontSize: 13, color: '#6b7280' }}>
+              {t('tree.focusedOn', { path: focusLineage.map(id => id.slice(id.lastIndexOf(':') + 1)).join(' › ') })}{' '}
+              <button
+                style={toolbarButtonStyle}
+                onClick={() => { const next = { ...treeView, focusId: null }; setTreeView(next); fitTreeToView(next); }}
+              >
+                {t('tree.showWhole')}
+              </button>
+            </span>
+          )}
+        </div>
+        <div
+          ref={treeContainerRef}
+          style={{ width: '100%', height: '70vh', minHeight: '400px', background: '#fafafa', border: '1px solid #eee', borderRadius: 8, overflow: 'hidden' }}
+        >
+          <Tree
+            data={visibleTree}
+            orientation="horizontal"
+            translate={treeViewport.translate}
+            zoom={treeViewport.zoom}
+            scaleExtent={{ min: 0.1, max: 2 }}
+            renderCustomNodeElement={renderCustomNode}
+            pathFunc="elbow"
+            zoomable={true}
+            collapsible={false}
+            separation={TREE_SEPARATION}
+            nodeSize={TREE_NODE_SIZE}
+          />
+        </div>
       </div>
     );
   };
@@ -606,17 +1700,17 @@ function App() {
           boxShadow: '0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04)'
         }}>
           <h2 style={{ marginTop: 0, marginBottom: '16px', color: '#1f2937' }}>
-            Select the Detected Species
+            {t('modal.title')}
           </h2>
           <p style={{ color: '#6b7280', marginBottom: '24px' }}>
-            We detected multiple possible species in your image. Please select the one that best matches what you photographed:
+            {t('modal.intro')}
           </p>
           
           <div style={{ marginBottom: '24px' }}>
             {speciesOptions.map((speciesOption, index) => (
               <div
                 key={index}
-                onClick={() => handleSpeciesModalSelection(speciesOption.name)}
+                onClick={() => handleSpeciesModalSelection(speciesOption)}
                 style={{
                   border: '1px solid #e5e7eb',
                   borderRadius: '8px',
@@ -669,7 +1763,7 @@ function App() {
                     fontSize: '12px',
                     textAlign: 'center'
                   }}>
-                    No Image
+                    {t('modal.noImage')}
                   </div>
                 </div>
                 
@@ -678,12 +1772,26 @@ function App() {
                   <div style={{ fontWeight: 'bold', fontSize: '18px', color: '#1f2937', marginBottom: '4px' }}>
                     {speciesOption.name}
                   </div>
+                  {speciesOption.match_type && (
+                    <div style={{ fontSize: '14px', color: '#374151', marginBottom: '2px' }}>
+                      {speciesOption.rank && <span>{rankText(t, 'rank', capitalize(speciesOption.rank.toLowerCase()))}</span>}
+                      {speciesOption.scientific_name && speciesOption.scientific_name !== speciesOption.name && (
+                        <em> {speciesOption.scientific_name}</em>
+                      )}
+                      <span style={{ color: '#9ca3af' }}> · {t(`match.${speciesOption.match_type}`)}</span>
+                    </div>
+                  )}
                   <div style={{ fontSize: '14px', color: '#6b7280' }}>
-                    <strong>Confidence:</strong> {(speciesOption.score * 100).toFixed(1)}%
+                    <strong>{t('modal.confidence')}</strong> {(speciesOption.score * 100).toFixed(1)}%
                   </div>
                   <div style={{ fontSize: '12px', color: '#9ca3af' }}>
-                    <strong>Source:</strong> {speciesOption.source === 'species_detection' ? 'Species-specific detection' : 'General detection'}
+                    <strong>{t('modal.source')}</strong> {speciesOption.source === 'species_detection' ? t('modal.speciesDetection') : t('modal.generalDetection')}
                   </div>
+                  {speciesOption.providers && speciesOption.providers.length > 0 && (
+                    <div style={{ fontSize: '12px', color: '#9ca3af' }}>
+                      <strong>{t('modal.suggestedBy')}</strong> {speciesOption.providers.join(', ')}
+                    </div>
+                  )}
                 </div>
                 
                 {/* Select Button */}
@@ -696,7 +1804,7 @@ function App() {
                   fontWeight: 'bold',
                   flexShrink: 0
                 }}>
-                  Select
+                  {t('modal.select')}
                 </div>
               </div>
             ))}
@@ -715,10 +1823,13 @@ function App() {
                 fontSize: '14px'
               }}
             >
-              Cancel
+              {t('modal.cancel')}
             </button>
             <button
-              onClick={() => handleSpeciesSelection(null)}
+              onClick={() => {
+                setShowSpeciesModal(false);
+                setHigherRankSuggestions(speciesOptions.map(candidateLookupName));
+              }}
               style={{
                 padding: '12px 24px',
                 border: 'none',
@@ -729,7 +1840,7 @@ function App() {
                 fontSize: '14px'
               }}
             >
-              None of these are correct
+              {t('modal.noneCorrect')}
             </button>
           </div>
         </div>
@@ -740,24 +1851,178 @@ function App() {
   return (
     <div className="App" style={{display: 'flex', flexDirection: 'column', minHeight: '100vh'}}>
       <SpeciesSelectionModal />
+      {higherRankSuggestions && (
+        <HigherRankPicker
+          suggestionNames={higherRankSuggestions}
+          onRecord={recordHigherRankObservation}
+          onCancel={() => setHigherRankSuggestions(null)}
+          t={t}
+        />
+      )}
+      {selectedNode && (
+        <SpeciesDetailPanel
+          key={`${selectedNode.node.label}-${selectedNode.node.name}`}
+          node={selectedNode.node}
+          lineage={selectedNode.lineage}
+          collectedSpecies={speciesList.filter(s => selectedNode.speciesKeys.includes(s.usageKey))}
+          commonNames={commonNames}
+          languages={languages}
+          locale={locale}
+          onFocus={() => focusTreeNode(lineageNodeId(selectedNode.lineage))}
+          onRefine={refineObservation}
+          onReplace={replaceSpecies}
+          onRemove={removeSpecies}
+          onClose={() => setSelectedNode(null)}
+          t={t}
+        />
+      )}
       <div style={{flex: 1, padding: 24}}>
-        <h1>SpeciesDex</h1>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 16 }}>
+          <h1>SpeciesDex</h1>
+          <div style={{ display: 'flex', gap: 8 }}>
+            <button
+              style={headerButtonStyle(history.past.length > 0)}
+              onClick={undoCollectionChange}
+              disabled={history.past.length === 0}
+              title={t('history.undoShortcut')}
+            >
+              ↶ {t('history.undo')}
+            </button>
+            <button
+              style={headerButtonStyle(history.future.length > 0)}
+              onClick={redoCollectionChange}
+              disabled={history.future.length === 0}
+              title={t('history.redoShortcut')}
+            >
+              ↷ {t('history.redo')}
+            </button>
+            <ExportImportMenu
+              canExport={speciesList.length > 0}
+              onExport={exportCollection}
+              onImport={importCollection}
+              t={t}
+            />
+            {user && taxonomyChanges && (
+              <TaxonomyChangesPanel
+                changes={taxonomyChanges.changes}
+                checking={taxonomyChanges.checking}
+                checkedAt={taxonomyChanges.checkedAt}
+                onCheck={checkTaxonomy}
+                onAccept={acceptTaxonomyChanges}
+                rankLabel={rank => rankText(t, 'rank', capitalize(rank.toLowerCase()))}
+                t={t}
+              />
+            )}
+            <LanguageSettings languages={languages} onChange={changeLanguages} t={t} />
+            <AccountMenu
+              user={user}
+              anonymous={anonymous}
+              open={accountOpen}
+              onOpenChange={setAccountOpen}
+              onSignedIn={handleSignedIn}
+              onSignOut={handleSignOut}
+              onContinueAnonymously={continueAnonymously}
+              resetRequest={resetRequest}
+              onResetDone={finishPasswordReset}
+              t={t}
+            />
+          </div>
+        </div>
         {error && <div style={{color: 'red'}}>{error}</div>}
-  {renderMergedTree()}
-  {/* Only show the tree, no list of buttons */}
+        {notice && <div style={{color: '#00796b'}}>{notice}</div>}
+        {toast && (
+          <UndoToast
+            key={toast.id}
+            message={toast.message}
+            actionLabel={t(`history.${toast.action}`)}
+            dismissLabel={t('history.dismiss')}
+            onAction={toast.action === 'undo' ? undoCollectionChange : redoCollectionChange}
+            onDismiss={() => setToast(null)}
+          />
+        )}
+        {batchItems.length > 0 && (
+          <BatchReviewQueue
+            items={batchItems}
+            onConfirm={confirmBatchItem}
+            onSkip={(item) => updateBatchItem(item.id, { status: 'skipped' })}
+            onRetry={(item) => updateBatchItem(item.id, { status: 'pending' })}
+            onClearFinished={clearFinishedBatchItems}
+            t={t}
+          />
+        )}
+        {treeData && (
+          <div style={{ display: 'flex', gap: 8, marginTop: 16 }}>
+            {VIEW_MODES.map(mode => (
+              <button
+                key={mode.id}
+                onClick={() => setActiveView(mode.id)}
+                style={{
+                  padding: '8px 16px',
+                  border: '1px solid #0097a7',
+                  borderRadius: '6px',
+                  backgroundColor: activeView === mode.id ? '#0097a7' : 'white',
+                  color: activeView === mode.id ? 'white' : '#0097a7',
+                  cursor: 'pointer',
+                  fontSize: '14px'
+                }}
+              >
+                {t(`view.${mode.id}`)}
+              </button>
+            ))}
+          </div>
+        )}
+        {treeData && activeView === 'radial' && (
+          <RadialTreeView treeData={treeData} commonNames={commonNames} onSelectNode={openNodeDetails} />
+        )}
+        {treeData && activeView === 'progress' && (
+          <ProgressDashboard
+            treeData={treeData}
+            speciesList={identifiedSpecies}
+            commonNames={commonNames}
+            childCounts={childCounts}
+            achievements={achievements}
+            locale={locale}
+            onSelectNode={openNodeDetails}
+            onSelectSpecies={openSpeciesDetails}
+            t={t}
+          />
+        )}
+        {treeData && activeView === 'dex' && (
+          <DexGridView speciesList={identifiedSpecies} commonNames={commonNames} fallbackImages={taxonImages} onSelectSpecies={openSpeciesDetails} />
+        )}
+        {treeData && activeView === 'table' && (
+          <CollectionTableView
+            treeData={treeData}
+            speciesList={identifiedSpecies}
+            commonNames={commonNames}
+            locale={locale}
+            onSelectSpecies={openSpeciesDetails}
+            t={t}
+          />
+        )}
+        {treeData && activeView === 'map' && (
+          <SightingsMap
+            treeData={treeData}
+            speciesList={speciesList}
+            commonNames={commonNames}
+            onSelectSpecies={openSpeciesDetails}
+            t={t}
+          />
+        )}
+        {activeView === 'tree' && renderMergedTree()}
       </div>
       <div style={{position: 'sticky', bottom: 0, background: '#fff', padding: 16, borderTop: '1px solid #eee'}}>
         {/* Manual Species Search */}
         <form onSubmit={handleManualSearch} style={{display: 'flex', alignItems: 'center', gap: 16, marginBottom: 16}}>
-          <label style={{fontSize: 18, fontWeight: 'bold', minWidth: 'max-content'}}>Search species:</label>
-          <input
-            type="text"
+          <label style={{fontSize: 18, fontWeight: 'bold', minWidth: 'max-content'}}>{t('search.label')}</label>
+          <SpeciesAutocomplete
             value={manualSearchInput}
-            onChange={(e) => setManualSearchInput(e.target.value)}
-            placeholder="Enter species name (e.g., 'American Robin' or 'Turdus migratorius')"
+            onChange={setManualSearchInput}
+            onSelect={handleSuggestionSelect}
+            languages={languages}
+            placeholder={t('search.placeholder')}
             disabled={manualSearching}
             style={{
-              flex: 1,
               fontSize: 16,
               padding: '8px 12px',
               border: '1px solid #ccc',
@@ -778,23 +2043,48 @@ function App() {
               opacity: manualSearching || !manualSearchInput.trim() ? 0.6 : 1
             }}
           >
-            {manualSearching ? 'Searching...' : 'Search'}
+            {manualSearching ? t('search.searching') : t('search.submit')}
           </button>
         </form>
         
         {/* Photo Upload */}
         <div style={{display: 'flex', alignItems: 'center', gap: 16}}>
-          <label style={{fontSize: 18, fontWeight: 'bold'}}>Take or upload a photo:</label>
+          <label style={{fontSize: 18, fontWeight: 'bold'}}>{t('photo.label')}</label>
           <input
           type="file"
           accept="image/*"
           capture="environment"
           onChange={handlePhoto}
-          disabled={uploading}
+          disabled={uploading || cropFile !== null}
           style={{fontSize: 16}}
         />
-        {uploading && <span style={{marginLeft: 16}}>Identifying species...</span>}
-        {image && <img src={image} alt="Uploaded" style={{height: 48, marginLeft: 16, borderRadius: 8}} />}
+        {uploading && <span style={{marginLeft: 16}}>{t('photo.identifying')}</span>}
+        {image && !cropFile && !regionPhoto && <img src={image} alt={t('photo.uploaded')} style={{height: 48, marginLeft: 16, borderRadius: 8}} />}
+        </div>
+        {cropFile && <PhotoCropper imageUrl={image} onConfirm={identifyPhoto} onCancel={cancelCrop} t={t} />}
+        {regionPhoto && (
+          <PhotoRegionPicker
+            imageUrl={regionPhoto.imageUrl}
+            objects={regionPhoto.objects}
+            identifiedIndexes={regionPhoto.identified}
+            busy={uploading}
+            onPickRegion={identifyRegion}
+            onUseWholePhoto={identifyWholePhoto}
+            onDone={() => setRegionPhoto(null)}
+            t={t}
+          />
+        )}
+
+        {/* Gallery import: several photos at once go to the review queue */}
+        <div style={{display: 'flex', alignItems: 'center', gap: 16, marginTop: 16}}>
+          <label style={{fontSize: 18, fontWeight: 'bold'}}>{t('import.label')}</label>
+          <input
+            type="file"
+            accept="image/*"
+            multiple
+            onChange={handleGalleryImport}
+            style={{fontSize: 16}}
+          />
         </div>
       </div>
     </div>
@@ -0,0 +1,93 @@
+import React from 'react';
+import { FINISHED_STATUSES } from './batchQueue';
+import { rankText } from './i18n';
+
+const smallButtonStyle = {
+  padding: '4px 10px',
+  border: '1px solid #d1d5db',
+  borderRadius: '6px',
+  backgroundColor: 'white',
+  color: '#374151',
+  cursor: 'pointer',
+  fontSize: '13px'
+};
+
+// Imported photos waiting to be identified and reviewed one by one
+function BatchReviewQueue({ items, onConfirm, onSkip, onRetry, onClearFinished, t }) {
+  const identified = items.filter(item => !['pending', 'identifying'].includes(item.status)).length;
+  const finished = items.filter(item => FINISHED_STATUSES.includes(item.status)).length;
+  const percent = items.length ? Math.round(identified / items.length * 100) : 0;
+
+  return (
+    <div style={{ margin: '24px 0', padding: '16px', border: '1px solid #e5e7eb', borderRadius: '12px', backgroundColor: 'white', textAlign: 'left' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', flexWrap: 'wrap' }}>
+        <strong style={{ color: '#1f2937' }}>
+          {t('batch.progress', { identified, total: items.length, reviewed: finished })}
+        </strong>
+        {finished > 0 && (
+          <button style={smallButtonStyle} onClick={onClearFinished}>{t('batch.clear')}</button>
+        )}
+      </div>
+      <div style={{ height: '8px', backgroundColor: '#e5e7eb', borderRadius: '4px', overflow: 'hidden', margin: '8px 0 16px' }}>
+        <div style={{ width: `${percent}%`, height: '100%', backgroundColor: '#0097a7', transition: 'width 0.3s' }} />
+      </div>
+
+      {items.map(item => (
+        <div
+          key={item.id}
+          style={{
+            display: 'flex',
+            gap: '12px',
+            alignItems: 'flex-start',
+            padding: '8px 0',
+            borderTop: '1px solid #f3f4f6',
+            opacity: FINISHED_STATUSES.includes(item.status) ? 0.5 : 1
+          }}
+        >
+          {item.sighting && item.sighting.photoThumbnail ? (
+            <img src={item.sighting.photoThumbnail} alt={item.fileName} style={{ width: '64px', height: '64px', objectFit: 'cover', borderRadius: '6px' }} />
+          ) : (
+            <div style={{ width: '64px', height: '64px', borderRadius: '6px', backgroundColor: '#e0f7fa' }} />
+          )}
+          <div style={{ flex: 1, fontSize: '14px' }}>
+            <div style={{ color: '#1f2937' }}>{item.fileName}</div>
+            <div style={{ color: item.status === 'failed' ? '#c62828' : '#6b7280', fontSize: '13px' }}>
+              {item.status === 'confirmed' && item.confirmedName
+                ? t('batch.addedAs', { name: item.confirmedName })
+                : t(`batch.${item.status}`)}
+              {item.status === 'failed' && item.error && `: ${item.error}`}
+            </div>
+
+            {item.status === 'ready' && (
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginTop: '6px' }}>
+                {item.options.map(option => (
+                  <button
+                    key={option.name}
+                    title={option.providers && option.providers.length > 0 ? t('batch.suggestedBy', { providers: option.providers.join(', ') }) : undefined}
+                    style={{ ...smallButtonStyle, borderColor: '#0097a7', color: '#00796b' }}
+                    onClick={() => onConfirm(item, option)}
+                  >
+                    {option.name}
+                    {option.rank && ` · ${rankText(t, 'rankNoun', option.rank)}`}
+                    {typeof option.score === 'number' && ` (${(option.score * 100).toFixed(0)}%)`}
+                  </button>
+                ))}
+                {item.options.length === 0 && <span style={{ fontSize: '13px', color: '#6b7280' }}>{t('batch.noneDetected')}</span>}
+                <button style={smallButtonStyle} onClick={() => onSkip(item)}>{t('batch.skip')}</button>
+              </div>
+            )}
+
+            {item.status === 'failed' && (
+              <div style={{ display: 'flex', gap: '6px', marginTop: '6px' }}>
+                <button style={smallButtonStyle} onClick={() => onRetry(item)}>{t('batch.retry')}</button>
+                <button style={smallButtonStyle} onClick={() => onSkip(item)}>{t('batch.skip')}</button>
+              </div>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default BatchReviewQueue;
@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { discoveryNumbers, formatDexNumber, speciesRanks } from './collectionViews';
+import { rankText } from './i18n';
+
+const RANK_FILTERS = ['Kingdom', 'Class', 'Family'];
+
+const COLUMNS = ['number', 'commonName', 'scientificName', ...RANK_FILTERS, 'addedAt', 'sightings'];
+
+const columnTitle = (t, id) => {
+  if (id === 'number') return '#';
+  return RANK_FILTERS.includes(id) ? rankText(t, 'rank', id) : t(`table.${id}`);
+};
+
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined || a === '') return 1;
+  if (b === null || b === undefined || b === '') return -1;
+  return typeof a === 'number' && typeof b === 'number' ? a - b : String(a).localeCompare(String(b));
+};
+
+// Local midnight starting the day of a date input's yyyy-mm-dd value, `days` later
+const localMidnight = (value, days = 0) => {
+  const date = new Date(`${value}T00:00:00`);
+  date.setDate(date.getDate() + days);
+  return date.getTime();
+};
+
+// Whether a row's date added falls in the from/to range; both ends are inclusive days
+const addedInRange = (addedAt, { from, to }) => {
+  if (!from && !to) return true;
+  if (addedAt === null) return false;
+  return (!from || addedAt >= localMidnight(from)) && (!to || addedAt < localMidnight(to, 1));
+};
+
+// Sortable, filterable table of the collection
+function CollectionTableView({ treeData, speciesList, commonNames, locale, onSelectSpecies, t }) {
+  const [sort, setSort] = useState({ column: 'number', descending: false });
+  const [filters, setFilters] = useState({ Kingdom: '', Class: '', Family: '' });
+  const [text, setText] = useState('');
+  const [added, setAdded] = useState({ from: '', to: '' });
+
+  const ranks = speciesRanks(treeData);
+  const numbers = discoveryNumbers(speciesList);
+
+  const rows = speciesList.map(entry => ({
+    entry,
+    number: numbers[entry.usageKey],
+    commonName: commonNames[entry.usageKey] || '',
+    scientificName: entry.scientificName,
+    Kingdom: ranks[entry.usageKey]?.Kingdom || '',
+    Class: ranks[entry.usageKey]?.Class || '',
+    Family: ranks[entry.usageKey]?.Family || '',
+    addedAt: entry.addedAt ? new Date(entry.addedAt).getTime() : null,
+    sightings: (entry.sightings || []).length
+  }));
+
+  const optionsFor = (rank) => [...new Set(rows.map(row => row[rank]).filter(Boolean))].sort();
+
+  const needle = text.trim().toLowerCase();
+  const visibleRows = rows
+    .filter(row => RANK_FILTERS.every(rank => !filters[rank] || row[rank] === filters[rank]))
+    .filter(row => addedInRange(row.addedAt, added))
+    .filter(row => !needle ||
+      row.commonName.toLowerCase().includes(needle) ||
+      row.scientificName.toLowerCase().includes(needle))
+    .sort((a, b) => {
+      const order = compareValues(a[sort.column], b[sort.column]);
+      return sort.descending ? -order : order;
+    });
+
+  const toggleSort = (column) => {
+    setSort(prev => ({ column, descending: prev.column === column ? !prev.descending : false }));
+  };
+
+  const cellStyle = { padding: '8px 12px', borderBottom: '1px solid #e5e7eb', textAlign: 'left', fontSize: '14px' };
+
+  return (
+    <div style={{ margin: '32px 0' }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '12px', alignItems: 'center', marginBottom: '12px' }}>
+        <input
+          type="search"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder={t('table.filter')}
+          style={{ fontSize: 14, padding: '6px 10px', border: '1px solid #ccc', borderRadius: '4px' }}
+        />
+        {RANK_FILTERS.map(rank => (
+          <label key={rank} style={{ fontSize: '14px', color: '#374151' }}>
+            {rankText(t, 'rank', rank)}{' '}
+            <select value={filters[rank]} onChange={(e) => setFilters(prev => ({ ...prev, [rank]: e.target.value }))}>
+              <option value="">{t('table.all')}</option>
+              {optionsFor(rank).map(value => <option key={value} value={value}>{value}</option>)}
+            </select>
+          </label>
+        ))}
+        <label style={{ fontSize: '14px', color: '#374151' }}>
+          {t('table.addedFrom')}{' '}
+          <input type="date" value={added.from} max={added.to || undefined} onChange={(e) => setAdded(prev => ({ ...prev, from: e.target.value }))} />
+        </label>
+        <label style={{ fontSize: '14px', color: '#374151' }}>
+          {t('table.addedTo')}{' '}
+          <input type="date" value={added.to} min={added.from || undefined} onChange={(e) => setAdded(prev => ({ ...prev, to: e.target.value }))} />
+        </label>
+        <span style={{ fontSize: '13px', color: '#6b7280' }}>
+          {t('table.count', { shown: visibleRows.length, total: rows.length })}
+        </span>
+      </div>
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', backgroundColor: 'white' }}>
+          <thead>
+            <tr>
+              {COLUMNS.map(column => (
+                <th
+                  key={column}
+                  onClick={() => toggleSort(column)}
+                  aria-sort={sort.column === column ? (sort.descending ? 'descending' : 'ascending') : 'none'}
+                  style={{ ...cellStyle, color: '#374151', cursor: 'pointer', whiteSpace: 'nowrap', backgroundColor: '#f9fafb' }}
+                >
+                  {columnTitle(t, column)}
+                  {sort.column === column && (sort.descending ? ' ▼' : ' ▲')}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {visibleRows.map(row => (
+              <tr key={row.entry.usageKey} onClick={() => onSelectSpecies(row.entry.usageKey)} style={{ cursor: 'pointer' }}>
+                <td style={{ ...cellStyle, color: '#00796b', fontWeight: 'bold' }}>{formatDexNumber(row.number)}</td>
+                <td style={cellStyle}>{row.commonName}</td>
+                <td style={{ ...cellStyle, fontStyle: 'italic' }}>{row.scientificName}</td>
+                <td style={cellStyle}>{row.Kingdom}</td>
+                <td style={cellStyle}>{row.Class}</td>
+                <td style={cellStyle}>{row.Family}</td>
+                <td style={cellStyle}>{row.addedAt ? new Date(row.addedAt).toLocaleDateString(locale) : ''}</td>
+                <td style={cellStyle}>{row.sightings}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default CollectionTableView;
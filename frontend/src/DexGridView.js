@@ -0,0 +1,79 @@
+import React from 'react';
+import { discoveryNumbers, formatDexNumber, speciesImage } from './collectionViews';
+
+// Card grid of every collected species in the order they were discovered.
+// Species without a photo of their own fall back to a GBIF image from
+// `fallbackImages`, by usage key.
+function DexGridView({ speciesList, commonNames, fallbackImages = {}, onSelectSpecies }) {
+  const numbers = discoveryNumbers(speciesList);
+  const ordered = [...speciesList].sort((a, b) => numbers[a.usageKey] - numbers[b.usageKey]);
+
+  return (
+    <div
+      style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fill, minmax(180px, 1fr))',
+        gap: '16px',
+        margin: '32px 0'
+      }}
+    >
+      {ordered.map(entry => {
+        const image = speciesImage(entry) || fallbackImages[entry.usageKey];
+        const commonName = commonNames[entry.usageKey];
+        return (
+          <div
+            key={entry.usageKey}
+            onClick={() => onSelectSpecies(entry.usageKey)}
+            style={{
+              border: '1px solid #e5e7eb',
+              borderRadius: '12px',
+              overflow: 'hidden',
+              backgroundColor: 'white',
+              cursor: 'pointer',
+              textAlign: 'left',
+              boxShadow: '0 1px 3px rgba(0, 0, 0, 0.08)'
+            }}
+          >
+            <div style={{ position: 'relative', height: '140px', backgroundColor: '#e0f7fa' }}>
+              {image ? (
+                <img
+                  src={image}
+                  alt={commonName || entry.scientificName}
+                  style={{ width: '100%', height: '100%', objectFit: 'cover' }}
+                  onError={(e) => { e.target.style.display = 'none'; }}
+                />
+              ) : (
+                <div style={{ height: '100%', display: 'flex', alignItems: 'center', justifyContent: 'center', fontSize: '36px' }}>
+                  🔍
+                </div>
+              )}
+              <span
+                style={{
+                  position: 'absolute',
+                  top: '8px',
+                  left: '8px',
+                  padding: '2px 8px',
+                  borderRadius: '999px',
+                  backgroundColor: 'rgba(0, 121, 107, 0.9)',
+                  color: 'white',
+                  fontSize: '12px',
+                  fontWeight: 'bold'
+                }}
+              >
+                {formatDexNumber(numbers[entry.usageKey])}
+              </span>
+            </div>
+            <div style={{ padding: '10px 12px' }}>
+              <div style={{ fontWeight: 'bold', color: '#1f2937' }}>{commonName || entry.scientificName}</div>
+              {commonName && (
+                <div style={{ fontSize: '13px', fontStyle: 'italic', color: '#6b7280' }}>{entry.scientificName}</div>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default DexGridView;
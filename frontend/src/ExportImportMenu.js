@@ -0,0 +1,88 @@
+import React, { useRef, useState } from 'react';
+
+const buttonStyle = {
+  padding: '8px 16px',
+  border: '1px solid #d1d5db',
+  borderRadius: '6px',
+  backgroundColor: 'white',
+  color: '#374151',
+  cursor: 'pointer',
+  fontSize: '14px'
+};
+
+const itemStyle = {
+  display: 'block',
+  width: '100%',
+  padding: '8px 16px',
+  border: 'none',
+  backgroundColor: 'white',
+  color: '#1f2937',
+  textAlign: 'left',
+  cursor: 'pointer',
+  fontSize: '14px'
+};
+
+const EXPORT_FORMATS = ['csv', 'dwca', 'json'];
+
+// Header drop-down for downloading the collection in each export format and
+// for merging a backup or Darwin Core file back into it
+function ExportImportMenu({ canExport, onExport, onImport, t }) {
+  const [open, setOpen] = useState(false);
+  const fileInput = useRef(null);
+
+  const pickFile = (e) => {
+    const file = e.target.files[0];
+    // Allow importing the same file again
+    e.target.value = '';
+    if (file) onImport(file);
+  };
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <button style={buttonStyle} onClick={() => setOpen(!open)} aria-expanded={open}>
+        ⇅ {t('transfer.menu')}
+      </button>
+      {open && (
+        <div
+          style={{
+            position: 'absolute',
+            right: 0,
+            top: '100%',
+            marginTop: '4px',
+            width: '260px',
+            padding: '4px 0',
+            backgroundColor: 'white',
+            border: '1px solid #d1d5db',
+            borderRadius: '6px',
+            boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1)',
+            zIndex: 20
+          }}
+        >
+          {EXPORT_FORMATS.map(format => (
+            <button
+              key={format}
+              style={{ ...itemStyle, color: canExport ? '#1f2937' : '#9ca3af', cursor: canExport ? 'pointer' : 'not-allowed' }}
+              disabled={!canExport}
+              onClick={() => { setOpen(false); onExport(format); }}
+            >
+              {t(`transfer.export.${format}`)}
+            </button>
+          ))}
+          <div style={{ borderTop: '1px solid #e5e7eb', margin: '4px 0' }} />
+          <button style={itemStyle} onClick={() => { setOpen(false); fileInput.current.click(); }}>
+            {t('transfer.import')}
+          </button>
+        </div>
+      )}
+      <input
+        ref={fileInput}
+        type="file"
+        accept=".json,.csv,.tsv,.txt,.zip"
+        onChange={pickFile}
+        style={{ display: 'none' }}
+      />
+    </div>
+  );
+}
+
+export default ExportImportMenu;
@@ -0,0 +1,155 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { OBSERVATION_RANKS } from './collectionViews';
+
+// Ranks above species in the order the backend returns them
+const CLASSIFICATION_LEVELS = ['kingdom', 'phylum', 'class', 'order', 'family', 'genus'];
+
+const buttonStyle = {
+  padding: '8px 16px',
+  border: '1px solid #d1d5db',
+  borderRadius: '6px',
+  backgroundColor: 'white',
+  color: '#374151',
+  cursor: 'pointer',
+  fontSize: '14px'
+};
+
+// Match a name to a taxon at any rank via /api/taxa/match. Resolves to the
+// taxon, or null when nothing matches; throws if the lookup itself failed.
+export const fetchTaxonMatch = async (name) => {
+  const resp = await fetch(`/api/taxa/match?name=${encodeURIComponent(name)}`, { headers: { Accept: 'application/json' } });
+  if (resp.status === 404) return null;
+  if (!resp.ok) throw new Error('Could not look up taxon');
+  return resp.json();
+};
+
+// The taxon at `level` ('genus', 'family' or 'order') within a matched taxon's
+// classification, in the same shape as a match for that taxon itself
+export const taxonAtRank = (match, level) => {
+  if (match.rank && match.rank.toLowerCase() === level) return match;
+  const usageKey = match.parent_keys && match.parent_keys[level];
+  if (!match[level] || !usageKey) return null;
+  const above = CLASSIFICATION_LEVELS.slice(0, CLASSIFICATION_LEVELS.indexOf(level));
+  const taxon = { usage_key: usageKey, scientific_name: match[level], rank: level.toUpperCase(), parent_keys: {} };
+  for (const parent of above) {
+    taxon[parent] = match[parent] || null;
+    if (match.parent_keys[parent]) taxon.parent_keys[parent] = match.parent_keys[parent];
+  }
+  return taxon;
+};
+
+// Shown when none of the candidates is right: record the sighting as "some
+// kind of" genus, family or order instead. Starts from the classification of
+// the first candidate, or whatever name the user types.
+function HigherRankPicker({ suggestionNames, onRecord, onCancel, t }) {
+  const [query, setQuery] = useState('');
+  const [match, setMatch] = useState(null);
+  const [loading, setLoading] = useState(false);
+  // Error as a translation key and its values, so lookUp needn't depend on `t`
+  const [message, setMessage] = useState(null);
+
+  const lookUp = useCallback(async (name) => {
+    setLoading(true);
+    setMessage(null);
+    try {
+      const found = await fetchTaxonMatch(name);
+      setMatch(found);
+      if (!found) setMessage({ key: 'error.noTaxonFound', values: { name } });
+    } catch (err) {
+      setMessage({ key: 'error.gbifUnreachable' });
+    }
+    setLoading(false);
+  }, []);
+
+  // Start from the first candidate's classification
+  const firstSuggestion = suggestionNames[0];
+  useEffect(() => {
+    if (firstSuggestion) lookUp(firstSuggestion);
+  }, [lookUp, firstSuggestion]);
+
+  const rankNoun = (rank) => t(`rankNoun.${(rank || 'taxon').toLowerCase()}`);
+  // Text around the "{name}" in "Some kind of {name}", which is shown in bold
+  const [someKindBefore, someKindAfter] = t('picker.someKind').split('{name}');
+
+  // Most specific first: genus, then family, then order
+  const choices = match
+    ? OBSERVATION_RANKS.map(rank => taxonAtRank(match, rank.toLowerCase())).filter(Boolean)
+    : [];
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000
+    }}>
+      <div style={{
+        backgroundColor: 'white',
+        borderRadius: '12px',
+        padding: '24px',
+        maxWidth: '520px',
+        width: '90%',
+        maxHeight: '80vh',
+        overflow: 'auto',
+        textAlign: 'left',
+        boxShadow: '0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04)'
+      }}>
+        <h2 style={{ marginTop: 0, marginBottom: '8px', color: '#1f2937' }}>{t('picker.title')}</h2>
+        <p style={{ color: '#6b7280', marginTop: 0 }}>
+          {t('picker.help')}
+        </p>
+
+        {loading && <div style={{ color: '#6b7280', fontSize: '14px' }}>{t('picker.lookingUp')}</div>}
+        {!loading && match && (
+          <div style={{ fontSize: '13px', color: '#6b7280', marginBottom: '8px' }}>
+            {t('picker.basedOn', { name: match.scientific_name })}
+          </div>
+        )}
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+          {!loading && choices.map(taxon => (
+            <button
+              key={taxon.usage_key}
+              onClick={() => onRecord(taxon)}
+              style={{ ...buttonStyle, textAlign: 'left', borderColor: '#0097a7' }}
+            >
+              {someKindBefore}<strong>{taxon.scientific_name}</strong>{someKindAfter}
+              <span style={{ color: '#6b7280' }}> ({rankNoun(taxon.rank)})</span>
+            </button>
+          ))}
+        </div>
+        {!loading && match && choices.length === 0 && (
+          <div style={{ fontSize: '14px', color: '#6b7280' }}>
+            {t('picker.wrongRank', { name: match.scientific_name, rank: rankNoun(match.rank) })}
+          </div>
+        )}
+        {message && <div style={{ fontSize: '14px', color: '#c62828', marginTop: '8px' }}>{t(message.key, message.values)}</div>}
+
+        <form
+          onSubmit={(e) => { e.preventDefault(); if (query.trim()) lookUp(query.trim()); }}
+          style={{ display: 'flex', gap: '8px', marginTop: '16px' }}
+        >
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder={t('picker.placeholder')}
+            style={{ flex: 1, padding: '8px 12px', border: '1px solid #d1d5db', borderRadius: '6px', fontSize: '14px' }}
+          />
+          <button type="submit" style={buttonStyle} disabled={loading}>{t('picker.lookUp')}</button>
+        </form>
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: '16px' }}>
+          <button onClick={onCancel} style={buttonStyle}>{t('modal.cancel')}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default HigherRankPicker;
@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import { LANGUAGES } from './i18n';
+
+const buttonStyle = {
+  padding: '8px 16px',
+  border: '1px solid #d1d5db',
+  borderRadius: '6px',
+  backgroundColor: 'white',
+  color: '#374151',
+  cursor: 'pointer',
+  fontSize: '14px'
+};
+
+const nameOf = (code) => LANGUAGES.find(language => language.code === code).name;
+
+// Header button with a drop-down for choosing languages. Ticked languages
+// are tried in order for common names; the first also sets the UI language.
+// At least one language stays ticked.
+function LanguageSettings({ languages, onChange, t }) {
+  const [open, setOpen] = useState(false);
+  const unticked = LANGUAGES.map(language => language.code).filter(code => !languages.includes(code));
+
+  const toggle = (code) => {
+    if (!languages.includes(code)) {
+      onChange([...languages, code]);
+    } else if (languages.length > 1) {
+      onChange(languages.filter(c => c !== code));
+    }
+  };
+
+  const moveUp = (index) => {
+    const next = [...languages];
+    [next[index - 1], next[index]] = [next[index], next[index - 1]];
+    onChange(next);
+  };
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <button style={buttonStyle} onClick={() => setOpen(!open)} aria-expanded={open}>
+        🌐 {t('app.language')}: {nameOf(languages[0])}
+      </button>
+      {open && (
+        <div
+          style={{
+            position: 'absolute',
+            right: 0,
+            top: '100%',
+            marginTop: '4px',
+            width: '280px',
+            padding: '12px 16px',
+            backgroundColor: 'white',
+            border: '1px solid #d1d5db',
+            borderRadius: '6px',
+            boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1)',
+            textAlign: 'left',
+            zIndex: 20
+          }}
+        >
+          <p style={{ margin: '0 0 12px', fontSize: '13px', color: '#6b7280' }}>{t('language.help')}</p>
+          {[...languages, ...unticked].map((code, index) => (
+            <div key={code} style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '6px' }}>
+              <label style={{ flex: 1, display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px', color: '#1f2937' }}>
+                <input
+                  type="checkbox"
+                  checked={languages.includes(code)}
+                  disabled={languages.length === 1 && languages[0] === code}
+                  onChange={() => toggle(code)}
+                />
+                {nameOf(code)}
+              </label>
+              {index > 0 && index < languages.length && (
+                <button
+                  style={{ ...buttonStyle, padding: '2px 8px' }}
+                  onClick={() => moveUp(index)}
+                  aria-label={t('language.moveUp', { language: nameOf(code) })}
+                >
+                  ↑
+                </button>
+              )}
+            </div>
+          ))}
+          <div style={{ textAlign: 'right', marginTop: '8px' }}>
+            <button style={buttonStyle} onClick={() => setOpen(false)}>{t('language.done')}</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default LanguageSettings;
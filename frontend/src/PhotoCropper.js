@@ -0,0 +1,107 @@
+import React, { useRef, useState } from 'react';
+
+const buttonStyle = {
+  padding: '8px 16px',
+  border: '1px solid #d1d5db',
+  borderRadius: '6px',
+  backgroundColor: 'white',
+  color: '#374151',
+  cursor: 'pointer',
+  fontSize: '14px'
+};
+
+// Boxes smaller than this (as a fraction of the photo) are treated as a click
+const MIN_CROP = 0.02;
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+// Lets the user drag a box around a small or distant subject before the photo
+// is identified. Reports the box as fractions of the photo, or null for the
+// whole photo.
+function PhotoCropper({ imageUrl, onConfirm, onCancel, t }) {
+  const imageRef = useRef(null);
+  const dragStartRef = useRef(null);
+  const [crop, setCrop] = useState(null);
+
+  const pointerPosition = (e) => {
+    const rect = imageRef.current.getBoundingClientRect();
+    return {
+      x: clamp((e.clientX - rect.left) / rect.width),
+      y: clamp((e.clientY - rect.top) / rect.height)
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragStartRef.current = pointerPosition(e);
+    setCrop(null);
+  };
+
+  const handlePointerMove = (e) => {
+    const start = dragStartRef.current;
+    if (!start) return;
+    const point = pointerPosition(e);
+    setCrop({
+      x: Math.min(start.x, point.x),
+      y: Math.min(start.y, point.y),
+      width: Math.abs(point.x - start.x),
+      height: Math.abs(point.y - start.y)
+    });
+  };
+
+  const handlePointerUp = () => {
+    dragStartRef.current = null;
+    setCrop(current => (current && current.width >= MIN_CROP && current.height >= MIN_CROP ? current : null));
+  };
+
+  return (
+    <div style={{ margin: '16px 0', padding: '16px', border: '1px solid #e5e7eb', borderRadius: '12px', backgroundColor: 'white' }}>
+      <div style={{ fontSize: '14px', color: '#6b7280', marginBottom: '8px' }}>
+        {t('crop.help')}
+      </div>
+      <div
+        style={{ position: 'relative', display: 'inline-block', overflow: 'hidden', touchAction: 'none', cursor: 'crosshair', userSelect: 'none' }}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      >
+        <img
+          ref={imageRef}
+          src={imageUrl}
+          alt={t('crop.alt')}
+          draggable={false}
+          style={{ display: 'block', maxWidth: '100%', maxHeight: '60vh', borderRadius: '6px' }}
+        />
+        {crop && (
+          <div
+            style={{
+              position: 'absolute',
+              left: `${crop.x * 100}%`,
+              top: `${crop.y * 100}%`,
+              width: `${crop.width * 100}%`,
+              height: `${crop.height * 100}%`,
+              border: '2px solid #0097a7',
+              // Darken everything outside the box
+              boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.45)',
+              pointerEvents: 'none'
+            }}
+          />
+        )}
+      </div>
+      <div style={{ display: 'flex', gap: '8px', justifyContent: 'center', marginTop: '12px' }}>
+        <button
+          style={{ ...buttonStyle, backgroundColor: '#0097a7', borderColor: '#0097a7', color: 'white' }}
+          onClick={() => onConfirm(crop)}
+        >
+          {crop ? t('crop.identifySelection') : t('crop.identifyWhole')}
+        </button>
+        {crop && <button style={buttonStyle} onClick={() => setCrop(null)}>{t('crop.clear')}</button>}
+        <button style={buttonStyle} onClick={onCancel}>{t('modal.cancel')}</button>
+      </div>
+    </div>
+  );
+}
+
+export default PhotoCropper;
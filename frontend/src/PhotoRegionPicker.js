@@ -0,0 +1,76 @@
+import React from 'react';
+
+const buttonStyle = {
+  padding: '8px 16px',
+  border: '1px solid #d1d5db',
+  borderRadius: '6px',
+  backgroundColor: 'white',
+  color: '#374151',
+  cursor: 'pointer',
+  fontSize: '14px'
+};
+
+// Shows the organisms the Vision API found in a photo as boxes. Each one can
+// be identified on its own, so two different birds in one shot become two
+// separate candidate lists and two separate species.
+function PhotoRegionPicker({ imageUrl, objects, identifiedIndexes, busy, onPickRegion, onUseWholePhoto, onDone, t }) {
+  return (
+    <div style={{ margin: '16px 0', padding: '16px', border: '1px solid #e5e7eb', borderRadius: '12px', backgroundColor: 'white' }}>
+      <div style={{ fontSize: '14px', color: '#6b7280', marginBottom: '8px' }}>
+        {t('region.help', { count: objects.length })}
+      </div>
+      <div style={{ position: 'relative', display: 'inline-block' }}>
+        <img
+          src={imageUrl}
+          alt={t('region.alt')}
+          style={{ display: 'block', maxWidth: '100%', maxHeight: '60vh', borderRadius: '6px' }}
+        />
+        {objects.map((object, index) => {
+          const done = identifiedIndexes.includes(index);
+          const colour = done ? '#9ca3af' : '#0097a7';
+          return (
+            <button
+              key={index}
+              title={t('region.identify', { name: object.name })}
+              disabled={busy}
+              onClick={() => onPickRegion(object, index)}
+              style={{
+                position: 'absolute',
+                left: `${object.box.x * 100}%`,
+                top: `${object.box.y * 100}%`,
+                width: `${object.box.width * 100}%`,
+                height: `${object.box.height * 100}%`,
+                border: `2px ${done ? 'dashed' : 'solid'} ${colour}`,
+                borderRadius: '4px',
+                backgroundColor: 'rgba(0, 151, 167, 0.08)',
+                cursor: busy ? 'wait' : 'pointer',
+                padding: 0
+              }}
+            >
+              <span
+                style={{
+                  position: 'absolute',
+                  top: 0,
+                  left: 0,
+                  padding: '2px 6px',
+                  backgroundColor: colour,
+                  color: 'white',
+                  fontSize: '12px',
+                  borderBottomRightRadius: '4px'
+                }}
+              >
+                {index + 1}. {object.name} {(object.score * 100).toFixed(0)}%
+              </span>
+            </button>
+          );
+        })}
+      </div>
+      <div style={{ display: 'flex', gap: '8px', justifyContent: 'center', marginTop: '12px' }}>
+        <button style={buttonStyle} disabled={busy} onClick={onUseWholePhoto}>{t('region.wholePhoto')}</button>
+        <button style={buttonStyle} onClick={onDone}>{t('region.done')}</button>
+      </div>
+    </div>
+  );
+}
+
+export default PhotoRegionPicker;
@@ -0,0 +1,122 @@
+import React from 'react';
+import { achievementText, cladeProgress, childRankNoun } from './achievements';
+import { rankText } from './i18n';
+
+const sectionTitleStyle = { fontSize: '16px', fontWeight: 'bold', color: '#374151', margin: '24px 0 8px' };
+const mutedStyle = { fontSize: '13px', color: '#6b7280' };
+const rowStyle = { display: 'flex', alignItems: 'center', gap: '12px', padding: '6px 0', cursor: 'pointer' };
+
+const ProgressBar = ({ percent, complete }) => (
+  <div style={{ flex: '0 0 120px', height: '8px', backgroundColor: '#e5e7eb', borderRadius: '4px', overflow: 'hidden' }}>
+    <div
+      style={{
+        width: `${percent || 0}%`,
+        height: '100%',
+        backgroundColor: complete ? '#4caf50' : '#0097a7'
+      }}
+    />
+  </div>
+);
+
+const SummaryCard = ({ value, title }) => (
+  <div style={{ flex: '1 1 140px', padding: '16px', border: '1px solid #e5e7eb', borderRadius: '12px', backgroundColor: 'white' }}>
+    <div style={{ fontSize: '28px', fontWeight: 'bold', color: '#00796b' }}>{value}</div>
+    <div style={mutedStyle}>{title}</div>
+  </div>
+);
+
+// Overview of how complete each clade is, what was found lately, what is
+// nearly done, and the achievements earned so far
+function ProgressDashboard({ treeData, speciesList, commonNames, childCounts, achievements, locale, onSelectNode, onSelectSpecies, t }) {
+  const clades = cladeProgress(treeData, childCounts);
+  const knownTotals = clades.filter(c => c.total !== undefined && c.total > 0);
+  const completeCount = knownTotals.filter(c => c.complete).length;
+
+  const closest = knownTotals
+    .filter(c => !c.complete)
+    .sort((a, b) => (a.total - a.found) - (b.total - b.found) || b.percent - a.percent)
+    .slice(0, 5);
+
+  const recent = speciesList
+    .flatMap(entry => (entry.sightings || []).map(sighting => ({ entry, sighting })))
+    .filter(({ sighting }) => sighting.observedAt)
+    .sort((a, b) => new Date(b.sighting.observedAt) - new Date(a.sighting.observedAt))
+    .slice(0, 8);
+
+  const cladeName = (clade) => (clade.usageKey && commonNames[clade.usageKey]) || clade.name;
+
+  return (
+    <div style={{ margin: '32px 0', textAlign: 'left' }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '12px' }}>
+        <SummaryCard value={speciesList.length} title={t('progress.speciesCollected')} />
+        <SummaryCard value={`${completeCount}/${knownTotals.length}`} title={t('progress.cladesComplete')} />
+        <SummaryCard value={achievements.length} title={t('progress.achievements')} />
+      </div>
+
+      <div style={sectionTitleStyle}>{t('progress.closest')}</div>
+      {closest.length === 0 && <div style={mutedStyle}>{t('progress.nothingInProgress')}</div>}
+      {closest.map(clade => (
+        <div key={clade.id} style={rowStyle} onClick={() => onSelectNode(clade.node)}>
+          <ProgressBar percent={clade.percent} complete={clade.complete} />
+          <div>
+            <strong>{cladeName(clade)}</strong> <span style={mutedStyle}>{rankText(t, 'rankNoun', clade.label)}</span>
+            <div style={mutedStyle}>
+              {t('progress.found', { found: clade.found, total: clade.total, children: childRankNoun(t, clade.label), left: clade.total - clade.found })}
+            </div>
+          </div>
+        </div>
+      ))}
+
+      <div style={sectionTitleStyle}>{t('progress.recent')}</div>
+      {recent.length === 0 && <div style={mutedStyle}>{t('progress.noSightings')}</div>}
+      {recent.map(({ entry, sighting }) => (
+        <div key={sighting.id} style={rowStyle} onClick={() => onSelectSpecies(entry.usageKey)}>
+          {sighting.photoThumbnail ? (
+            <img src={sighting.photoThumbnail} alt="" style={{ width: '40px', height: '40px', objectFit: 'cover', borderRadius: '6px' }} />
+          ) : (
+            <div style={{ width: '40px', height: '40px', borderRadius: '6px', backgroundColor: '#e0f7fa' }} />
+          )}
+          <div>
+            <strong>{commonNames[entry.usageKey] || entry.scientificName}</strong>
+            <div style={mutedStyle}>{new Date(sighting.observedAt).toLocaleString(locale)}</div>
+          </div>
+        </div>
+      ))}
+
+      <div style={sectionTitleStyle}>{t('progress.achievementsTitle')}</div>
+      {achievements.length === 0 && <div style={mutedStyle}>{t('progress.noAchievements')}</div>}
+      {[...achievements].reverse().map(achievement => {
+        const { title, description } = achievementText(t, achievement);
+        return (
+          <div key={achievement.code} style={{ ...rowStyle, cursor: 'default' }}>
+            <span style={{ fontSize: '20px' }}>🏆</span>
+            <div>
+              <strong>{title}</strong>
+              <div style={mutedStyle}>
+                {description}
+                {achievement.awardedAt && ` · ${new Date(achievement.awardedAt).toLocaleDateString(locale)}`}
+              </div>
+            </div>
+          </div>
+        );
+      })}
+
+      <div style={sectionTitleStyle}>{t('progress.allClades')}</div>
+      {clades.map(clade => (
+        <div key={clade.id} style={{ ...rowStyle, paddingLeft: clade.depth * 16 }} onClick={() => onSelectNode(clade.node)}>
+          <ProgressBar percent={clade.percent} complete={clade.complete} />
+          <div style={{ fontSize: '14px' }}>
+            {cladeName(clade)} <span style={mutedStyle}>{rankText(t, 'rankNoun', clade.label)}</span>
+            <span style={{ ...mutedStyle, marginLeft: '8px' }}>
+              {clade.total !== undefined && clade.total > 0
+                ? `${clade.found}/${clade.total} (${clade.percent}%)`
+                : `${clade.found}/?`}
+            </span>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default ProgressDashboard;
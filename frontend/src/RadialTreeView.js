@@ -0,0 +1,96 @@
+import React from 'react';
+import { hierarchy, partition } from 'd3-hierarchy';
+import { isCollectionLeaf } from './collectionViews';
+
+const SIZE = 640;
+const RADIUS = SIZE / 2;
+const KINGDOM_COLOURS = ['#0097a7', '#4caf50', '#ff9800', '#6a1b9a', '#c62828', '#1565c0', '#8d6e63'];
+
+const point = (angle, r) => `${r * Math.sin(angle)},${-r * Math.cos(angle)}`;
+
+// Ring segment between two angles (clockwise from 12 o'clock) and two radii.
+// A full circle can't be drawn as one arc, so it stops just short.
+const arcPath = (a0, a1, r0, r1) => {
+  const end = Math.min(a1, a0 + Math.PI * 2 - 1e-4);
+  const large = end - a0 > Math.PI ? 1 : 0;
+  return `M${point(a0, r1)}A${r1},${r1} 0 ${large} 1 ${point(end, r1)}` +
+    `L${point(end, r0)}A${r0},${r0} 0 ${large} 0 ${point(a0, r0)}Z`;
+};
+
+// Sunburst of the whole tree of life: each ring is one rank, and each
+// segment's width is the number of collected species (and unidentified
+// observations) below it
+function RadialTreeView({ treeData, commonNames, onSelectNode }) {
+  const root = partition().size([Math.PI * 2, 1])(
+    hierarchy(treeData).sum(d => (isCollectionLeaf(d) ? 1 : 0))
+  );
+  const ringWidth = RADIUS / (root.height + 1);
+
+  const kingdoms = root.descendants()
+    .filter(d => d.data.attributes && d.data.attributes.label === 'Kingdom')
+    .map(d => d.data.name);
+  const colourFor = (d) => {
+    const kingdom = d.ancestors().find(a => a.data.attributes && a.data.attributes.label === 'Kingdom');
+    return kingdom ? KINGDOM_COLOURS[kingdoms.indexOf(kingdom.data.name) % KINGDOM_COLOURS.length] : '#90a4ae';
+  };
+
+  const nodeName = (d) => {
+    const usageKey = d.data.attributes && d.data.attributes.usageKey;
+    return (usageKey && commonNames[usageKey]) || d.data.name;
+  };
+
+  return (
+    <div style={{ margin: '32px 0', display: 'flex', flexDirection: 'column', alignItems: 'center' }}>
+      <svg viewBox={`${-RADIUS} ${-RADIUS} ${SIZE} ${SIZE}`} style={{ width: '100%', maxWidth: `${SIZE}px` }}>
+        <circle r={ringWidth} fill="#fafafa" stroke="#eee" />
+        <text textAnchor="middle" dy="0.35em" fontSize="14" fontWeight="bold" fill="#00796b">
+          {root.value} species
+        </text>
+        {root.descendants().filter(d => d.depth > 0).map(d => {
+          const r0 = d.depth * ringWidth;
+          const r1 = r0 + ringWidth - 1;
+          const middle = (d.x0 + d.x1) / 2;
+          const labelRadius = (r0 + r1) / 2;
+          const name = nodeName(d);
+          // Only label segments with room for the text along the ring
+          const showLabel = (d.x1 - d.x0) * labelRadius > name.length * 6.5 && ringWidth > 14;
+          const label = d.data.attributes && d.data.attributes.label;
+          return (
+            <g key={`${d.depth}-${label}-${d.data.name}`} onClick={() => onSelectNode(d.data)} style={{ cursor: 'pointer' }}>
+              <title>{label ? `${label}: ${name} (${d.value})` : name}</title>
+              <path
+                d={arcPath(d.x0, d.x1, r0, r1)}
+                fill={colourFor(d)}
+                fillOpacity={0.35 + 0.65 * (1 - d.depth / (root.height + 1))}
+                stroke="white"
+                strokeWidth={1}
+              />
+              {showLabel && (
+                <text
+                  transform={`translate(${point(middle, labelRadius)})`}
+                  textAnchor="middle"
+                  dy="0.35em"
+                  fontSize="11"
+                  fill="#1f2937"
+                  style={{ pointerEvents: 'none' }}
+                >
+                  {name}
+                </text>
+              )}
+            </g>
+          );
+        })}
+      </svg>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '16px', marginTop: '8px', fontSize: '13px', color: '#374151' }}>
+        {kingdoms.map((kingdom, index) => (
+          <span key={kingdom} style={{ display: 'inline-flex', alignItems: 'center', gap: '6px' }}>
+            <span style={{ width: 12, height: 12, borderRadius: '50%', backgroundColor: KINGDOM_COLOURS[index % KINGDOM_COLOURS.length], display: 'inline-block' }} />
+            {kingdom}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default RadialTreeView;
@@ -0,0 +1,254 @@
+import React, { useRef, useState } from 'react';
+import worldOutline from './worldOutline';
+import { isCollectionLeaf, speciesRanks } from './collectionViews';
+import { rankText } from './i18n';
+
+const MAP_WIDTH = 960;
+const MAP_HEIGHT = 480;
+const MAX_SCALE = 64;
+// Markers closer than this many screen pixels are drawn as one cluster
+const CLUSTER_CELL = 32;
+
+const PALETTE = ['#0097a7', '#e65100', '#6a1b9a', '#2e7d32', '#c62828', '#1565c0', '#f9a825', '#4e342e', '#ad1457', '#00695c'];
+
+// Plate carrée: longitude and latitude map straight onto x and y
+const project = (longitude, latitude) => [
+  (longitude + 180) / 360 * MAP_WIDTH,
+  (90 - latitude) / 180 * MAP_HEIGHT
+];
+
+const outlinePath = worldOutline
+  .map(ring => ring.map(([lon, lat], i) => `${i === 0 ? 'M' : 'L'}${project(lon, lat).join(',')}`).join('') + 'Z')
+  .join('');
+
+// Every ranked node in the tree becomes a filter option with the species below it
+const listTaxa = (treeData) => {
+  const taxa = [];
+  const walk = (node, depth) => {
+    const label = node.attributes && node.attributes.label;
+    let speciesKeys = isCollectionLeaf(node) ? [node.attributes.usageKey] : [];
+    const entry = label ? { id: `${label}:${node.name}`, label, name: node.name, depth, speciesKeys } : null;
+    if (entry) taxa.push(entry);
+    for (const child of node.children || []) {
+      speciesKeys = speciesKeys.concat(walk(child, label ? depth + 1 : depth));
+    }
+    if (entry) entry.speciesKeys = speciesKeys;
+    return speciesKeys;
+  };
+  if (treeData) walk(treeData, 0);
+  return taxa;
+};
+
+// Group projected points into grid cells sized for the current zoom
+const clusterPoints = (points, scale) => {
+  const cell = CLUSTER_CELL / scale;
+  const cells = new Map();
+  for (const point of points) {
+    const id = `${Math.floor(point.x / cell)}:${Math.floor(point.y / cell)}`;
+    if (!cells.has(id)) cells.set(id, []);
+    cells.get(id).push(point);
+  }
+  return [...cells.entries()].map(([id, members]) => {
+    const counts = {};
+    for (const m of members) counts[m.group] = (counts[m.group] || 0) + 1;
+    const group = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+    return {
+      id,
+      members,
+      group,
+      x: members.reduce((sum, m) => sum + m.x, 0) / members.length,
+      y: members.reduce((sum, m) => sum + m.y, 0) / members.length,
+      usageKeys: [...new Set(members.map(m => m.usageKey))]
+    };
+  });
+};
+
+const buttonStyle = {
+  padding: '6px 12px',
+  border: '1px solid #d1d5db',
+  borderRadius: '6px',
+  backgroundColor: 'white',
+  color: '#374151',
+  cursor: 'pointer',
+  fontSize: '14px'
+};
+
+// Map of every sighting that has coordinates. Filters by the same taxon
+// nodes as the tree and opens a species when its marker is clicked.
+function SightingsMap({ treeData, speciesList, commonNames, onSelectSpecies, t }) {
+  const [colourBy, setColourBy] = useState('Kingdom');
+  const [taxonFilter, setTaxonFilter] = useState('');
+  const [view, setView] = useState({ scale: 1, x: MAP_WIDTH / 2, y: MAP_HEIGHT / 2 });
+  const [pickedCluster, setPickedCluster] = useState(null);
+  const dragRef = useRef(null);
+  // Set when a pan ends so the click that follows it doesn't open a marker
+  const panEndedRef = useRef(false);
+  const svgRef = useRef(null);
+
+  const taxa = listTaxa(treeData);
+  const groups = speciesRanks(treeData);
+  const filterTaxon = taxa.find(taxon => taxon.id === taxonFilter);
+  const allowedKeys = filterTaxon ? new Set(filterTaxon.speciesKeys) : null;
+
+  const points = speciesList.flatMap(entry => {
+    if (allowedKeys && !allowedKeys.has(entry.usageKey)) return [];
+    const group = (groups[entry.usageKey] && groups[entry.usageKey][colourBy]) || 'Unknown';
+    return (entry.sightings || [])
+      .filter(s => typeof s.latitude === 'number' && typeof s.longitude === 'number')
+      .map(s => {
+        const [x, y] = project(s.longitude, s.latitude);
+        return { x, y, group, usageKey: entry.usageKey, sighting: s, entry };
+      });
+  });
+
+  const totalSightings = speciesList.reduce((sum, entry) => sum + (entry.sightings || []).length, 0);
+  const clusters = clusterPoints(points, view.scale);
+  const groupNames = [...new Set(points.map(p => p.group))].sort();
+  const colourFor = (group) => group === 'Unknown' ? '#9ca3af' : PALETTE[groupNames.indexOf(group) % PALETTE.length];
+
+  const viewWidth = MAP_WIDTH / view.scale;
+  const viewHeight = MAP_HEIGHT / view.scale;
+  const viewBox = `${view.x - viewWidth / 2} ${view.y - viewHeight / 2} ${viewWidth} ${viewHeight}`;
+
+  const zoomTo = (scale, x = view.x, y = view.y) => {
+    setView({ scale: Math.min(MAX_SCALE, Math.max(1, scale)), x, y });
+  };
+
+  const speciesName = (usageKey) => {
+    const entry = speciesList.find(s => s.usageKey === usageKey);
+    return commonNames[usageKey] || (entry && entry.scientificName) || String(usageKey);
+  };
+
+  const handleClusterClick = (cluster) => {
+    if (cluster.usageKeys.length === 1) {
+      onSelectSpecies(cluster.usageKeys[0]);
+    } else if (view.scale < MAX_SCALE) {
+      zoomTo(view.scale * 4, cluster.x, cluster.y);
+    } else {
+      // Fully zoomed in and still overlapping: list the species instead
+      setPickedCluster(cluster);
+    }
+  };
+
+  // Drag to pan, converting screen pixels to map units at the current zoom
+  const handlePointerDown = (e) => {
+    dragRef.current = { clientX: e.clientX, clientY: e.clientY, x: view.x, y: view.y, moved: false };
+  };
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag || !svgRef.current) return;
+    const unitsPerPixel = viewWidth / svgRef.current.getBoundingClientRect().width;
+    const dx = (e.clientX - drag.clientX) * unitsPerPixel;
+    const dy = (e.clientY - drag.clientY) * unitsPerPixel;
+    if (Math.abs(dx) + Math.abs(dy) > 0) drag.moved = true;
+    setView(v => ({ ...v, x: drag.x - dx, y: drag.y - dy }));
+  };
+  const handlePointerUp = () => {
+    panEndedRef.current = Boolean(dragRef.current && dragRef.current.moved);
+    dragRef.current = null;
+  };
+
+  return (
+    <div style={{ margin: '32px 0' }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '12px', alignItems: 'center', marginBottom: '12px' }}>
+        <label style={{ fontSize: '14px', color: '#374151' }}>
+          {t('map.show')}{' '}
+          <select value={taxonFilter} onChange={(e) => { setTaxonFilter(e.target.value); setPickedCluster(null); }}>
+            <option value="">{t('map.allSightings')}</option>
+            {taxa.map(taxon => (
+              <option key={taxon.id} value={taxon.id}>
+                {'\u00a0\u00a0'.repeat(taxon.depth)}{rankText(t, 'rank', taxon.label)}: {taxon.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label style={{ fontSize: '14px', color: '#374151' }}>
+          {t('map.colourBy')}{' '}
+          <select value={colourBy} onChange={(e) => setColourBy(e.target.value)}>
+            <option value="Kingdom">{rankText(t, 'rank', 'Kingdom')}</option>
+            <option value="Class">{rankText(t, 'rank', 'Class')}</option>
+          </select>
+        </label>
+        <button style={buttonStyle} onClick={() => zoomTo(view.scale * 2)} disabled={view.scale >= MAX_SCALE}>+</button>
+        <button style={buttonStyle} onClick={() => zoomTo(view.scale / 2)} disabled={view.scale <= 1}>−</button>
+        <button style={buttonStyle} onClick={() => zoomTo(1, MAP_WIDTH / 2, MAP_HEIGHT / 2)}>{t('map.reset')}</button>
+        <span style={{ fontSize: '13px', color: '#6b7280' }}>
+          {t('map.located', { located: points.length, total: totalSightings })}
+        </span>
+      </div>
+
+      <svg
+        ref={svgRef}
+        viewBox={viewBox}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={handlePointerUp}
+        style={{ width: '100%', height: '600px', background: '#e0f7fa', border: '1px solid #eee', borderRadius: 8, touchAction: 'none', cursor: 'grab' }}
+      >
+        <path d={outlinePath} fill="#fafafa" stroke="#b0bec5" strokeWidth={1 / view.scale} />
+        {clusters.map(cluster => {
+          const radius = (cluster.members.length === 1 ? 6 : 9 + Math.log2(cluster.members.length) * 2) / view.scale;
+          return (
+            <g
+              key={cluster.id}
+              onClick={() => { if (!panEndedRef.current) handleClusterClick(cluster); }}
+              style={{ cursor: 'pointer' }}
+            >
+              <title>
+                {cluster.usageKeys.length === 1
+                  ? `${speciesName(cluster.usageKeys[0])} (${cluster.members.length})`
+                  : t('map.cluster', { sightings: cluster.members.length, species: cluster.usageKeys.length })}
+              </title>
+              <circle
+                cx={cluster.x}
+                cy={cluster.y}
+                r={radius}
+                fill={colourFor(cluster.group)}
+                fillOpacity={0.85}
+                stroke="white"
+                strokeWidth={1.5 / view.scale}
+              />
+              {cluster.members.length > 1 && (
+                <text
+                  x={cluster.x}
+                  y={cluster.y}
+                  dy="0.35em"
+                  textAnchor="middle"
+                  fontSize={11 / view.scale}
+                  fontWeight="bold"
+                  fill="white"
+                  style={{ pointerEvents: 'none' }}
+                >
+                  {cluster.members.length}
+                </text>
+              )}
+            </g>
+          );
+        })}
+      </svg>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '16px', marginTop: '8px', fontSize: '13px', color: '#374151' }}>
+        {groupNames.map(group => (
+          <span key={group} style={{ display: 'inline-flex', alignItems: 'center', gap: '6px' }}>
+            <span style={{ width: 12, height: 12, borderRadius: '50%', backgroundColor: colourFor(group), display: 'inline-block' }} />
+            {group === 'Unknown' ? t('map.unknownGroup') : group}
+          </span>
+        ))}
+      </div>
+
+      {pickedCluster && (
+        <div style={{ marginTop: '12px', fontSize: '14px' }}>
+          <div style={{ color: '#6b7280', marginBottom: '4px' }}>{t('map.seenHere')}</div>
+          {pickedCluster.usageKeys.map(usageKey => (
+            <button key={usageKey} style={{ ...buttonStyle, marginRight: '8px', marginBottom: '8px' }} onClick={() => onSelectSpecies(usageKey)}>
+              {speciesName(usageKey)}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SightingsMap;
@@ -0,0 +1,154 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+const MIN_PREFIX_LENGTH = 2;
+const DEBOUNCE_MS = 250;
+
+// Suggestions already fetched this session, by lower-cased prefix and languages
+const suggestionCache = new Map();
+
+// Accepted taxa whose scientific or common name starts with `prefix`, via
+// /api/species/suggest, with common names in the first of `languages`
+// (ISO 639-3) that has one. Resolves to [] if the lookup failed.
+export const fetchSuggestions = async (prefix, languages = []) => {
+  const query = prefix.trim().toLowerCase();
+  const key = `${query}|${languages.join(',')}`;
+  if (suggestionCache.has(key)) return suggestionCache.get(key);
+  try {
+    const params = new URLSearchParams({ q: query, languages: languages.join(',') });
+    const resp = await fetch(`/api/species/suggest?${params}`, { headers: { Accept: 'application/json' } });
+    if (!resp.ok) return [];
+    const data = await resp.json();
+    const suggestions = data.suggestions || [];
+    suggestionCache.set(key, suggestions);
+    return suggestions;
+  } catch (err) {
+    return [];
+  }
+};
+
+const capitalizeRank = (rank) => rank ? rank.charAt(0) + rank.slice(1).toLowerCase() : '';
+
+// Search box with a type-ahead list of taxa of any rank. Arrow keys move
+// through the list, Enter picks the highlighted taxon (or submits the
+// surrounding form when nothing is highlighted) and Escape closes it.
+function SpeciesAutocomplete({ value, onChange, onSelect, languages, disabled, placeholder, style }) {
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(-1);
+  const latestQuery = useRef('');
+
+  useEffect(() => {
+    const query = value.trim();
+    latestQuery.current = query;
+    if (query.length < MIN_PREFIX_LENGTH) {
+      setSuggestions([]);
+      return undefined;
+    }
+    const timer = setTimeout(async () => {
+      const found = await fetchSuggestions(query, languages);
+      // Ignore answers for anything but the latest input
+      if (latestQuery.current !== query) return;
+      setSuggestions(found);
+      setHighlighted(-1);
+    }, DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [value, languages]);
+
+  const showList = open && suggestions.length > 0 && !disabled;
+
+  const choose = (suggestion) => {
+    setOpen(false);
+    setHighlighted(-1);
+    onSelect(suggestion);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!showList) return;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted(index => (index + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted(index => (index <= 0 ? suggestions.length : index) - 1);
+    } else if (e.key === 'Enter' && highlighted >= 0) {
+      e.preventDefault();
+      choose(suggestions[highlighted]);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+      setHighlighted(-1);
+    }
+  };
+
+  return (
+    <div style={{ position: 'relative', flex: 1 }}>
+      <input
+        type="text"
+        role="combobox"
+        aria-expanded={showList}
+        aria-controls="species-suggestions"
+        aria-autocomplete="list"
+        aria-activedescendant={showList && highlighted >= 0 ? `species-suggestion-${highlighted}` : undefined}
+        value={value}
+        onChange={(e) => { onChange(e.target.value); setOpen(true); }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={handleKeyDown}
+        placeholder={placeholder}
+        disabled={disabled}
+        autoComplete="off"
+        style={{ ...style, width: '100%', boxSizing: 'border-box' }}
+      />
+      {showList && (
+        <ul
+          id="species-suggestions"
+          role="listbox"
+          style={{
+            position: 'absolute',
+            bottom: '100%',
+            left: 0,
+            right: 0,
+            margin: '0 0 4px',
+            padding: '4px 0',
+            listStyle: 'none',
+            backgroundColor: 'white',
+            border: '1px solid #d1d5db',
+            borderRadius: '6px',
+            boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1)',
+            maxHeight: '320px',
+            overflowY: 'auto',
+            textAlign: 'left',
+            zIndex: 10
+          }}
+        >
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={suggestion.gbif_key}
+              id={`species-suggestion-${index}`}
+              role="option"
+              aria-selected={index === highlighted}
+              // Picking on mouse down runs before the input's blur closes the list
+              onMouseDown={(e) => { e.preventDefault(); choose(suggestion); }}
+              onMouseEnter={() => setHighlighted(index)}
+              style={{
+                padding: '6px 12px',
+                cursor: 'pointer',
+                backgroundColor: index === highlighted ? '#e0f7fa' : 'white'
+              }}
+            >
+              <div style={{ fontSize: '15px', color: '#1f2937' }}>
+                {suggestion.common_name || <em>{suggestion.scientific_name}</em>}
+              </div>
+              <div style={{ fontSize: '12px', color: '#6b7280' }}>
+                {suggestion.common_name && <em>{suggestion.scientific_name} · </em>}
+                {capitalizeRank(suggestion.rank)}
+                {suggestion.kingdom && ` · ${suggestion.kingdom}`}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default SpeciesAutocomplete;
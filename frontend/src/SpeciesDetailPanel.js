@@ -0,0 +1,399 @@
+import React, { useEffect, useState } from 'react';
+import { UNIDENTIFIED_LABEL, isHigherRankObservation } from './collectionViews';
+import { languageName, rankText } from './i18n';
+
+// GBIF record, parents, synonyms, common names and media of a taxon, via the backend's lookup cache
+const fetchTaxonDetails = async (usageKey) => {
+  const resp = await fetch(`/api/taxa/${usageKey}`, { headers: { Accept: 'application/json' } });
+  if (!resp.ok) throw new Error(`Could not load taxon ${usageKey}`);
+  return resp.json();
+};
+
+const gbifSpeciesUrl = (usageKey) => `https://www.gbif.org/species/${usageKey}`;
+
+// Group vernacular names by language, dropping duplicates within a language.
+// The user's `preferred` languages (ISO 639-3, as GBIF uses) come first in
+// their order, then the rest alphabetically, labelled in `locale`; names
+// without a language are labelled `unknownLabel`.
+export const groupVernacularNames = (vernacularNames, { preferred = [], locale = 'en', unknownLabel = 'Unknown language' } = {}) => {
+  const groups = {};
+  for (const v of vernacularNames) {
+    if (!v.vernacularName) continue;
+    const code = v.language || '';
+    groups[code] = groups[code] || [];
+    if (!groups[code].some(n => n.toLowerCase() === v.vernacularName.toLowerCase())) {
+      groups[code].push(v.vernacularName);
+    }
+  }
+  const rank = (code) => (preferred.includes(code) ? preferred.indexOf(code) : preferred.length);
+  return Object.entries(groups)
+    .map(([code, names]) => ({ code, label: languageName(code, locale) || unknownLabel, names }))
+    .sort((a, b) => rank(a.code) - rank(b.code) || a.label.localeCompare(b.label, locale));
+};
+
+const sectionTitleStyle = { fontSize: '14px', fontWeight: 'bold', color: '#374151', margin: '20px 0 8px' };
+const mutedStyle = { fontSize: '13px', color: '#9ca3af' };
+const headerButtonStyle = {
+  padding: '8px 16px',
+  border: '1px solid #d1d5db',
+  borderRadius: '6px',
+  backgroundColor: 'white',
+  color: '#374151',
+  cursor: 'pointer',
+  fontSize: '14px'
+};
+
+// Where a sighting's location came from, e.g. 'from photo'; unknown sources as recorded
+const locationSourceText = (t, source) => {
+  const text = t(`locationSource.${source}`);
+  return text === `locationSource.${source}` ? source : text;
+};
+
+// GBIF's taxonomic status, e.g. HETEROTYPIC_SYNONYM, in the UI language
+const taxonomicStatusText = (t, status) => {
+  const key = `taxonomicStatus.${status.toLowerCase()}`;
+  const text = t(key);
+  return text === key ? status.replace(/_/g, ' ').toLowerCase() : text;
+};
+
+const hasLocation = (sighting) =>
+  typeof sighting.latitude === 'number' && typeof sighting.longitude === 'number';
+
+const osmUrl = ({ latitude, longitude }) =>
+  `https://www.openstreetmap.org/?mlat=${latitude}&mlon=${longitude}#map=14/${latitude}/${longitude}`;
+
+// Detail view for any node in the tree: a collected species or a higher rank.
+// `lineage` is the node's path from the tree (used until GBIF answers) and
+// `collectedSpecies` are the user's entries at or below this node.
+// `onFocus`, if given, narrows the tree to this clade. `onRefine(entry, name)`
+// turns a genus/family/order observation into a species and resolves to an
+// error message, or null once it's done. `onReplace(entry, name)` does the
+// same for swapping a wrong pick for another species, and `onRemove(entry)`
+// takes the entry out of the collection; both can be undone.
+function SpeciesDetailPanel({ node, lineage, collectedSpecies, commonNames, languages, locale, onFocus, onRefine, onReplace, onRemove, onClose, t }) {
+  const usageKey = node.usageKey;
+  // An observation identified only to a higher rank is a leaf like a species
+  const isUnidentified = node.label === UNIDENTIFIED_LABEL;
+  const isSpecies = isUnidentified || (node.label && node.label.toLowerCase() === 'species');
+  const ownEntry = isSpecies ? collectedSpecies.find(s => s.usageKey === usageKey) : null;
+
+  const [taxon, setTaxon] = useState(null);
+  const [parents, setParents] = useState(null);
+  const [synonyms, setSynonyms] = useState([]);
+  const [vernacularNames, setVernacularNames] = useState([]);
+  const [mediaImage, setMediaImage] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [refineName, setRefineName] = useState('');
+  const [refining, setRefining] = useState(false);
+  const [refineError, setRefineError] = useState('');
+  const [replaceName, setReplaceName] = useState('');
+  const [replacing, setReplacing] = useState(false);
+  const [replaceError, setReplaceError] = useState('');
+
+  useEffect(() => {
+    if (!usageKey) return;
+    let cancelled = false;
+    setLoading(true);
+    fetchTaxonDetails(usageKey).then(details => {
+      if (cancelled) return;
+      setTaxon(details.taxon);
+      setParents(details.parents);
+      setSynonyms(details.synonyms || []);
+      setVernacularNames(details.vernacular_names || []);
+      const still = (details.media || []).find(m =>
+        m.type && m.type.toLowerCase() === 'stillimage' && m.identifier
+      );
+      if (still) setMediaImage({ url: still.identifier, source: still.publisher || still.rightsHolder || 'GBIF' });
+    }).catch(err => {
+      console.error('Error loading taxon details:', err);
+    }).finally(() => {
+      if (!cancelled) setLoading(false);
+    });
+    return () => { cancelled = true; };
+  }, [usageKey]);
+
+  const commonName = usageKey && !isUnidentified && commonNames[usageKey];
+  const referenceImage = ownEntry && ownEntry.reference_image
+    ? { url: ownEntry.reference_image, source: ownEntry.image_source }
+    : mediaImage;
+
+  // Prefer GBIF's own classification; fall back to the path in our tree
+  const classification = parents
+    ? [
+        ...parents.map(p => ({ label: p.rank, name: p.canonicalName || p.scientificName, usageKey: p.key })),
+        isUnidentified
+          ? { label: node.rank, name: ownEntry ? ownEntry.scientificName : node.name, usageKey }
+          : { label: node.label, name: node.name, usageKey }
+      ]
+    : lineage;
+
+  const handleRefine = async (e) => {
+    e.preventDefault();
+    if (!refineName.trim() || !ownEntry) return;
+    setRefining(true);
+    setRefineError('');
+    const message = await onRefine(ownEntry, refineName.trim());
+    // On success the panel is closed, so only a failure needs updating
+    if (message) {
+      setRefineError(message);
+      setRefining(false);
+    }
+  };
+
+  const handleReplace = async (e) => {
+    e.preventDefault();
+    if (!replaceName.trim() || !ownEntry) return;
+    setReplacing(true);
+    setReplaceError('');
+    const message = await onReplace(ownEntry, replaceName.trim());
+    if (message) {
+      setReplaceError(message);
+      setReplacing(false);
+    }
+  };
+
+  const formatSightingDate = (value) => value ? new Date(value).toLocaleString(locale) : t('detail.noDate');
+  const rankNoun = (rank) => rankText(t, 'rankNoun', rank || 'taxon');
+
+  const synonymOf = ownEntry && ownEntry.synonym_of;
+  const taxonomicStatus = (taxon && taxon.taxonomicStatus) || (ownEntry && ownEntry.taxonomic_status);
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000
+      }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          backgroundColor: 'white',
+          borderRadius: '12px',
+          padding: '24px',
+          maxWidth: '640px',
+          width: '90%',
+          maxHeight: '85vh',
+          overflow: 'auto',
+          textAlign: 'left',
+          boxShadow: '0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04)'
+        }}
+      >
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '16px' }}>
+          <div>
+            <div style={{ fontSize: '12px', color: '#0097a7', textTransform: 'uppercase', letterSpacing: '0.05em' }}>
+              {isUnidentified
+                ? t('tree.unidentified', { rank: rankNoun(node.rank) })
+                : node.label}
+            </div>
+            <h2 style={{ margin: '4px 0', color: '#1f2937' }}>{commonName || node.name}</h2>
+            {commonName && <div style={{ fontStyle: 'italic', color: '#6b7280' }}>{node.name}</div>}
+            {taxon && taxon.authorship && <div style={mutedStyle}>{taxon.authorship}</div>}
+          </div>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            {onFocus && !isSpecies && (
+              <button onClick={onFocus} style={{ ...headerButtonStyle, borderColor: '#0097a7', color: '#0097a7' }}>
+                {t('detail.focus', { rank: rankNoun(node.label) })}
+              </button>
+            )}
+            <button onClick={onClose} style={headerButtonStyle}>
+              {t('detail.close')}
+            </button>
+          </div>
+        </div>
+
+        {referenceImage && (
+          <figure style={{ margin: '16px 0 0' }}>
+            <img
+              src={referenceImage.url}
+              alt={node.name}
+              style={{ width: '100%', maxHeight: '320px', objectFit: 'cover', borderRadius: '8px', border: '1px solid #e5e7eb' }}
+              onError={(e) => { e.target.style.display = 'none'; }}
+            />
+            {referenceImage.source && (
+              <figcaption style={mutedStyle}>{t('detail.imageSource', { source: referenceImage.source })}</figcaption>
+            )}
+          </figure>
+        )}
+
+        {loading && <div style={{ ...mutedStyle, marginTop: '12px' }}>{t('detail.loading')}</div>}
+
+        {isUnidentified && ownEntry && onRefine && (
+          <>
+            <div style={sectionTitleStyle}>{t('detail.refineTitle')}</div>
+            <form onSubmit={handleRefine} style={{ display: 'flex', gap: '8px' }}>
+              <input
+                type="text"
+                value={refineName}
+                onChange={(e) => setRefineName(e.target.value)}
+                placeholder={t('detail.refinePlaceholder', { name: ownEntry.scientificName })}
+                disabled={refining}
+                style={{ flex: 1, padding: '8px 12px', border: '1px solid #d1d5db', borderRadius: '6px', fontSize: '14px' }}
+              />
+              <button type="submit" disabled={refining || !refineName.trim()} style={{ ...headerButtonStyle, borderColor: '#0097a7', color: '#0097a7' }}>
+                {refining ? t('detail.refining') : t('detail.refine')}
+              </button>
+            </form>
+            {refineError && <div style={{ fontSize: '13px', color: '#c62828', marginTop: '4px' }}>{refineError}</div>}
+          </>
+        )}
+
+        {ownEntry && (onReplace || onRemove) && (
+          <>
+            <div style={sectionTitleStyle}>{t('detail.replaceTitle')}</div>
+            {onReplace && (
+              <form onSubmit={handleReplace} style={{ display: 'flex', gap: '8px' }}>
+                <input
+                  type="text"
+                  value={replaceName}
+                  onChange={(e) => setReplaceName(e.target.value)}
+                  placeholder={t('detail.replacePlaceholder')}
+                  disabled={replacing}
+                  style={{ flex: 1, padding: '8px 12px', border: '1px solid #d1d5db', borderRadius: '6px', fontSize: '14px' }}
+                />
+                <button type="submit" disabled={replacing || !replaceName.trim()} style={{ ...headerButtonStyle, borderColor: '#0097a7', color: '#0097a7' }}>
+                  {replacing ? t('detail.replacing') : t('detail.replace')}
+                </button>
+              </form>
+            )}
+            {replaceError && <div style={{ fontSize: '13px', color: '#c62828', marginTop: '4px' }}>{replaceError}</div>}
+            {onRemove && (
+              <button
+                onClick={() => onRemove(ownEntry)}
+                style={{ ...headerButtonStyle, marginTop: '8px', borderColor: '#c62828', color: '#c62828' }}
+              >
+                {t('detail.remove')}
+              </button>
+            )}
+            <div style={mutedStyle}>
+              {t('detail.replaceHelp')}
+            </div>
+          </>
+        )}
+
+        <div style={sectionTitleStyle}>{t('detail.classification')}</div>
+        <ol style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+          {classification.map((level, index) => (
+            <li key={`${level.label}-${level.name}`} style={{ paddingLeft: index * 12, fontSize: '14px', lineHeight: '1.8' }}>
+              <span style={{ color: '#6b7280', display: 'inline-block', minWidth: '80px' }}>
+                {level.label ? rankText(t, 'rank', level.label) : ''}
+              </span>{' '}
+              {level.usageKey ? (
+                <a href={gbifSpeciesUrl(level.usageKey)} target="_blank" rel="noopener noreferrer" style={{ color: '#00796b' }}>
+                  {level.name}
+                </a>
+              ) : level.name}
+            </li>
+          ))}
+        </ol>
+
+        <div style={sectionTitleStyle}>{t('detail.status')}</div>
+        <div style={{ fontSize: '14px' }}>
+          {taxonomicStatus ? taxonomicStatusText(t, taxonomicStatus) : t('detail.statusUnknown')}
+          {synonymOf && (
+            <div style={mutedStyle}>{t('detail.searchedSynonym', { name: synonymOf })}</div>
+          )}
+        </div>
+
+        <div style={sectionTitleStyle}>{t('detail.synonyms')}</div>
+        {synonyms.length > 0 ? (
+          <ul style={{ margin: 0, paddingLeft: '20px', fontSize: '14px' }}>
+            {synonyms.map(syn => (
+              <li key={syn.key}>
+                <a href={gbifSpeciesUrl(syn.key)} target="_blank" rel="noopener noreferrer" style={{ color: '#00796b', fontStyle: 'italic' }}>
+                  {syn.scientificName}
+                </a>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <div style={mutedStyle}>{loading ? '…' : t('detail.noSynonyms')}</div>
+        )}
+
+        <div style={sectionTitleStyle}>{t('detail.commonNames')}</div>
+        {vernacularNames.length > 0 ? (
+          <dl style={{ margin: 0, fontSize: '14px' }}>
+            {groupVernacularNames(vernacularNames, { preferred: languages, locale, unknownLabel: t('detail.unknownLanguage') }).map(group => (
+              <div key={group.code} style={{ display: 'flex', gap: '12px', marginBottom: '4px' }}>
+                <dt style={{ color: languages.includes(group.code) ? '#00796b' : '#6b7280', minWidth: '100px' }}>{group.label}</dt>
+                <dd style={{ margin: 0 }}>{group.names.join(', ')}</dd>
+              </div>
+            ))}
+          </dl>
+        ) : (
+          <div style={mutedStyle}>{loading ? '…' : t('detail.noCommonNames')}</div>
+        )}
+
+        <div style={sectionTitleStyle}>{isSpecies ? t('detail.yourSightings') : t('detail.yourSightingsIn', { rank: rankNoun(node.label) })}</div>
+        {collectedSpecies.length === 0 && <div style={mutedStyle}>{t('detail.nothingCollected')}</div>}
+        {isSpecies && ownEntry && (ownEntry.sightings || []).map(sighting => (
+          <div key={sighting.id} style={{ display: 'flex', gap: '12px', alignItems: 'flex-start', marginBottom: '12px' }}>
+            {sighting.photoThumbnail && (
+              <img
+                src={sighting.photoThumbnail}
+                alt={t('detail.sightingAlt', { name: ownEntry.scientificName })}
+                style={{ width: '160px', borderRadius: '6px', border: '1px solid #d1d5db' }}
+              />
+            )}
+            <div style={{ fontSize: '14px', lineHeight: '1.6' }}>
+              <div>{formatSightingDate(sighting.observedAt)}</div>
+              <div style={{ color: '#6b7280' }}>
+                {hasLocation(sighting) ? (
+                  <>
+                    <a href={osmUrl(sighting)} target="_blank" rel="noopener noreferrer" style={{ color: '#00796b' }}>
+                      {sighting.latitude.toFixed(5)}, {sighting.longitude.toFixed(5)}
+                    </a>
+                    {sighting.locationSource && ` (${locationSourceText(t, sighting.locationSource)})`}
+                  </>
+                ) : t('detail.noLocation')}
+              </div>
+              {sighting.candidate && (
+                <div style={{ color: '#6b7280' }}>
+                  {t('detail.identifiedAs', { name: sighting.candidate.name })}
+                  {typeof sighting.candidate.score === 'number' && ` ${t('detail.confidence', { percent: (sighting.candidate.score * 100).toFixed(1) })}`}
+                </div>
+              )}
+            </div>
+          </div>
+        ))}
+        {!isSpecies && collectedSpecies.map(entry => {
+          const sightings = entry.sightings || [];
+          const latest = sightings[sightings.length - 1];
+          return (
+            <div key={entry.usageKey} style={{ display: 'flex', gap: '12px', alignItems: 'center', marginBottom: '8px' }}>
+              {latest && latest.photoThumbnail && (
+                <img
+                  src={latest.photoThumbnail}
+                  alt={t('detail.sightingAlt', { name: entry.scientificName })}
+                  style={{ width: '48px', borderRadius: '6px', border: '1px solid #d1d5db' }}
+                />
+              )}
+              <div style={{ fontSize: '14px' }}>
+                <div style={{ fontWeight: 'bold' }}>
+                  {isHigherRankObservation(entry)
+                    ? t('detail.unidentifiedEntry', { name: entry.scientificName, rank: rankNoun(entry.identifiedRank) })
+                    : commonNames[entry.usageKey] || entry.scientificName}
+                </div>
+                <div style={{ color: '#6b7280' }}>
+                  {t('detail.sightings', { count: sightings.length })}
+                  {latest && latest.observedAt && t('detail.lastSeen', { date: formatSightingDate(latest.observedAt) })}
+                </div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default SpeciesDetailPanel;
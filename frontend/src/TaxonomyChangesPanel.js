@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+
+const buttonStyle = {
+  padding: '8px 16px',
+  border: '1px solid #d1d5db',
+  borderRadius: '6px',
+  backgroundColor: 'white',
+  color: '#374151',
+  cursor: 'pointer',
+  fontSize: '14px'
+};
+
+const smallButtonStyle = {
+  ...buttonStyle,
+  padding: '4px 10px',
+  fontSize: '13px'
+};
+
+const mutedStyle = { color: '#6b7280', fontSize: '13px' };
+
+// Header drop-down listing collection entries whose taxon changed in GBIF
+// since they were added (see fetchTaxonomyChanges), each of which can be
+// moved to its current name and place along with its sightings
+function TaxonomyChangesPanel({ changes, checking, checkedAt, onCheck, onAccept, rankLabel, t }) {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <button style={buttonStyle} onClick={() => setOpen(!open)} aria-expanded={open}>
+        ⟳ {t('taxonomy.menu')}
+        {changes.length > 0 && (
+          <span
+            style={{
+              marginLeft: '6px',
+              padding: '0 6px',
+              borderRadius: '9999px',
+              backgroundColor: '#0097a7',
+              color: 'white',
+              fontSize: '12px'
+            }}
+          >
+            {changes.length}
+          </span>
+        )}
+      </button>
+      {open && (
+        <div
+          style={{
+            position: 'absolute',
+            right: 0,
+            top: '100%',
+            marginTop: '4px',
+            width: '360px',
+            maxHeight: '420px',
+            overflowY: 'auto',
+            padding: '12px 16px',
+            backgroundColor: 'white',
+            border: '1px solid #d1d5db',
+            borderRadius: '6px',
+            boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1)',
+            zIndex: 20
+          }}
+        >
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 8 }}>
+            <span style={mutedStyle}>
+              {checking
+                ? t('taxonomy.checking')
+                : checkedAt
+                  ? t('taxonomy.checkedAt', { date: new Date(checkedAt).toLocaleString() })
+                  : t('taxonomy.neverChecked')}
+            </span>
+            <button
+              style={{ ...smallButtonStyle, color: checking ? '#9ca3af' : '#374151', cursor: checking ? 'not-allowed' : 'pointer' }}
+              onClick={onCheck}
+              disabled={checking}
+            >
+              {t('taxonomy.checkNow')}
+            </button>
+          </div>
+          {changes.length === 0 ? (
+            <p style={{ ...mutedStyle, margin: '12px 0 0' }}>{t('taxonomy.none')}</p>
+          ) : (
+            <>
+              <p style={{ ...mutedStyle, margin: '12px 0 0' }}>{t('taxonomy.help')}</p>
+              <ul style={{ listStyle: 'none', margin: '8px 0 0', padding: 0 }}>
+                {changes.map(change => (
+                  <li key={change.usageKey} style={{ padding: '8px 0', borderTop: '1px solid #e5e7eb' }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 8 }}>
+                      <div>
+                        <div style={{ color: '#1f2937', fontStyle: 'italic' }}>
+                          {change.name === change.taxon.scientific_name
+                            ? change.name
+                            : `${change.name} → ${change.taxon.scientific_name}`}
+                        </div>
+                        <div style={mutedStyle}>
+                          {t(`taxonomy.status.${change.status}`, { status: change.taxonomicStatus.toLowerCase().replace(/_/g, ' ') })}
+                        </div>
+                        {change.changes.map(({ rank, from, to }) => (
+                          <div key={rank} style={{ ...mutedStyle, color: '#374151' }}>
+                            {t('taxonomy.rankChange', { rank: rankLabel(rank), from: from || '—', to: to || '—' })}
+                          </div>
+                        ))}
+                      </div>
+                      <button style={smallButtonStyle} onClick={() => onAccept([change])}>
+                        {t('taxonomy.accept')}
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+              {changes.length > 1 && (
+                <button style={{ ...buttonStyle, width: '100%', marginTop: '8px' }} onClick={() => onAccept(changes)}>
+                  {t('taxonomy.acceptAll')}
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TaxonomyChangesPanel;
@@ -0,0 +1,69 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+// How long the toast stays up unless the pointer is over it
+const TOAST_DURATION_MS = 8000;
+
+// Message at the bottom of the screen after a collection change, with a
+// button to undo it (or redo it, after an undo)
+function UndoToast({ message, actionLabel, dismissLabel, onAction, onDismiss }) {
+  const [hovered, setHovered] = useState(false);
+  // The parent passes a new callback on every render; the timer shouldn't restart
+  const dismissRef = useRef(onDismiss);
+  dismissRef.current = onDismiss;
+
+  useEffect(() => {
+    if (hovered) return;
+    const timer = setTimeout(() => dismissRef.current(), TOAST_DURATION_MS);
+    return () => clearTimeout(timer);
+  }, [hovered]);
+
+  return (
+    <div
+      role="status"
+      onMouseEnter={() => setHovered(true)}
+      onMouseLeave={() => setHovered(false)}
+      style={{
+        position: 'fixed',
+        left: '50%',
+        bottom: '24px',
+        transform: 'translateX(-50%)',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '16px',
+        maxWidth: '90%',
+        padding: '12px 16px',
+        backgroundColor: '#1f2937',
+        color: 'white',
+        borderRadius: '8px',
+        boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1)',
+        fontSize: '14px',
+        zIndex: 1100
+      }}
+    >
+      <span>{message}</span>
+      <button
+        onClick={() => { onDismiss(); onAction(); }}
+        style={{
+          padding: '4px 12px',
+          border: '1px solid #0097a7',
+          borderRadius: '6px',
+          backgroundColor: 'transparent',
+          color: '#4dd0e1',
+          cursor: 'pointer',
+          fontSize: '14px'
+        }}
+      >
+        {actionLabel}
+      </button>
+      <button
+        onClick={onDismiss}
+        aria-label={dismissLabel}
+        style={{ padding: 0, border: 'none', background: 'none', color: '#9ca3af', cursor: 'pointer', fontSize: '16px' }}
+      >
+        ×
+      </button>
+    </div>
+  );
+}
+
+export default UndoToast;
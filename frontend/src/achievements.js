@@ -0,0 +1,121 @@
+// Per-clade completion and the achievements earned from it. Completion uses
+// the same found/total comparison as the tree nodes: `found` is the number of
+// direct children in the user's tree, `total` the child count fetched for
+// the clade from GBIF. Unidentified observations are not children found.
+import { UNIDENTIFIED_LABEL, rankedChildren } from './collectionViews';
+import { rankText } from './i18n';
+
+const SPECIES_MILESTONES = [1, 10, 25, 50, 100, 250, 500];
+const FIRST_IN_RANKS = ['Kingdom', 'Phylum', 'Class'];
+const COMPLETE_RANKS = ['Phylum', 'Class', 'Order', 'Family', 'Genus'];
+
+// What the children of a rank are called, e.g. 'genera' for a family, through `t`
+export const childRankNoun = (t, label) => {
+  const key = `children.${(label || '').toLowerCase()}`;
+  const text = t(key);
+  return text === key ? t('children.other') : text;
+};
+
+// One entry per ranked clade above species, in tree order
+export const cladeProgress = (treeData, childCounts) => {
+  const clades = [];
+  const walk = (node, depth) => {
+    const label = node.attributes && node.attributes.label;
+    const isClade = label && label !== 'Species' && label !== UNIDENTIFIED_LABEL &&
+      !node.attributes.unknown && !node.attributes.intermediate;
+    const clade = isClade ? { label, name: node.name, usageKey: node.attributes.usageKey, depth, node } : null;
+    if (clade) clades.push(clade);
+    let speciesKeys = label === 'Species' ? [node.attributes.usageKey] : [];
+    for (const child of node.children || []) {
+      speciesKeys = speciesKeys.concat(walk(child, isClade ? depth + 1 : depth));
+    }
+    if (clade) {
+      const found = rankedChildren(node).length;
+      const total = clade.usageKey ? childCounts[clade.usageKey] : undefined;
+      Object.assign(clade, {
+        id: `${label}:${node.name}`,
+        speciesKeys,
+        found,
+        total,
+        complete: total !== undefined && found >= total,
+        percent: total ? Math.min(100, Math.round(found / total * 100)) : null
+      });
+    }
+    return speciesKeys;
+  };
+  if (treeData) walk(treeData, 0);
+  return clades;
+};
+
+// Every achievement the collection currently qualifies for, as its code and
+// `awardedAt`: when it was first earned where that can be told from the
+// collection. Titles and descriptions come from the code when shown (see
+// achievementText), so they follow the UI language.
+export const evaluateAchievements = (clades, speciesList) => {
+  const addedAt = (entry) => entry.addedAt || new Date().toISOString();
+  const byDiscovery = [...speciesList].sort((a, b) => new Date(addedAt(a)) - new Date(addedAt(b)));
+  const entriesByKey = new Map(speciesList.map(entry => [entry.usageKey, entry]));
+  const earned = [];
+
+  for (const milestone of SPECIES_MILESTONES) {
+    if (byDiscovery.length < milestone) break;
+    earned.push({
+      code: `species-${milestone}`,
+      awardedAt: addedAt(byDiscovery[milestone - 1])
+    });
+  }
+
+  for (const clade of clades) {
+    if (FIRST_IN_RANKS.includes(clade.label) && clade.speciesKeys.length > 0) {
+      const first = clade.speciesKeys
+        .map(key => entriesByKey.get(key))
+        .filter(Boolean)
+        .sort((a, b) => new Date(addedAt(a)) - new Date(addedAt(b)))[0];
+      earned.push({
+        code: `new-${clade.label.toLowerCase()}:${clade.name}`,
+        awardedAt: first ? addedAt(first) : new Date().toISOString()
+      });
+    }
+    if (COMPLETE_RANKS.includes(clade.label) && clade.complete && clade.total > 0) {
+      earned.push({
+        code: `complete-${clade.label.toLowerCase()}:${clade.name}`,
+        awardedAt: new Date().toISOString()
+      });
+    }
+  }
+
+  return earned;
+};
+
+// Title and description of an achievement in the UI language of `t`, worked
+// out from its code. Codes this version doesn't know keep the text they were
+// saved with.
+export const achievementText = (t, achievement) => {
+  const { code } = achievement;
+  const milestone = code.match(/^species-(\d+)$/);
+  if (milestone) {
+    const count = Number(milestone[1]);
+    return count === 1
+      ? { title: t('achievement.first.title'), description: t('achievement.first.description') }
+      : { title: t('achievement.species.title', { count }), description: t('achievement.species.description', { count }) };
+  }
+  const clade = code.match(/^(new|complete)-(\w+):(.+)$/);
+  if (clade) {
+    const [, kind, rank, name] = clade;
+    const values = { name, rank: rankText(t, 'rankNoun', rank), children: childRankNoun(t, rank) };
+    return { title: t(`achievement.${kind}.title`, values), description: t(`achievement.${kind}.description`, values) };
+  }
+  return { title: achievement.title || code, description: achievement.description || '' };
+};
+
+// Combine two achievement lists, keeping the earliest award of each
+export const mergeAchievements = (a, b) => {
+  const byCode = new Map();
+  for (const achievement of [...a, ...b]) {
+    const existing = byCode.get(achievement.code);
+    if (!existing || new Date(achievement.awardedAt) < new Date(existing.awardedAt)) {
+      byCode.set(achievement.code, achievement);
+    }
+  }
+  return [...byCode.values()].sort((x, y) => new Date(x.awardedAt) - new Date(y.awardedAt));
+};
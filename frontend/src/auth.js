@@ -0,0 +1,83 @@
+// Sign-in, registration and password reset against the Laravel auth routes.
+// JSON requests get JSON back from them, and the session cookie they set
+// authenticates the /api calls made by collectionStorage.
+
+import { apiRequest } from './collectionStorage';
+
+const ANONYMOUS_KEY = 'speciesdex.anonymous';
+
+// Whether the user chose to keep their collection on this device only
+export const loadAnonymousMode = () => {
+  try {
+    return localStorage.getItem(ANONYMOUS_KEY) === 'true';
+  } catch (err) {
+    return false;
+  }
+};
+
+export const saveAnonymousMode = (anonymous) => {
+  try {
+    if (anonymous) localStorage.setItem(ANONYMOUS_KEY, 'true');
+    else localStorage.removeItem(ANONYMOUS_KEY);
+  } catch (err) {
+    console.error('Could not save account choice:', err);
+  }
+};
+
+// Laravel answers a failed form with 422 and the messages per field; the
+// first one is what the user needs to see
+const authError = async (resp, fallback) => {
+  const data = await resp.json().catch(() => ({}));
+  const fieldErrors = Object.values(data.errors || {})[0];
+  return new Error((fieldErrors && fieldErrors[0]) || data.message || fallback);
+};
+
+// Make sure there is an XSRF-TOKEN cookie to send back before the first write
+const ensureCsrfCookie = async () => {
+  if (document.cookie.includes('XSRF-TOKEN=')) return;
+  await fetch('/sanctum/csrf-cookie', { credentials: 'same-origin' }).catch(() => {});
+};
+
+const postForm = async (url, body, fallback) => {
+  await ensureCsrfCookie();
+  const resp = await apiRequest(url, { method: 'POST', body: JSON.stringify(body) });
+  if (!resp.ok) throw await authError(resp, fallback);
+  return resp.json();
+};
+
+// The signed-in user, or null for guests
+export const fetchCurrentUser = async () => {
+  const resp = await apiRequest('/api/user');
+  if (resp.status === 401) return null;
+  if (!resp.ok) throw new Error('Failed to load account');
+  return resp.json();
+};
+
+export const signIn = async (email, password) =>
+  (await postForm('/login', { email, password, remember: true }, 'Sign-in failed')).user;
+
+export const register = async ({ name, email, password, passwordConfirmation }) =>
+  (await postForm('/register', {
+    name,
+    email,
+    password,
+    password_confirmation: passwordConfirmation
+  }, 'Registration failed')).user;
+
+export const signOut = async () => {
+  const resp = await apiRequest('/logout', { method: 'POST' });
+  // An expired session is already signed out
+  if (!resp.ok && resp.status !== 401 && resp.status !== 419) throw new Error('Sign-out failed');
+};
+
+// Resolves to the message to show once the reset email has been sent
+export const requestPasswordReset = async (email) =>
+  (await postForm('/forgot-password', { email }, 'Could not send the reset link')).status;
+
+export const resetPassword = async ({ token, email, password, passwordConfirmation }) =>
+  (await postForm('/reset-password', {
+    token,
+    email,
+    password,
+    password_confirmation: passwordConfirmation
+  }, 'Could not reset the password')).status;
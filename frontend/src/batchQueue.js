@@ -0,0 +1,40 @@
+// Review queue for photos imported together. Each photo is identified in the
+// background and waits for the user to confirm or skip it. Items (including
+// the photo itself) live in IndexedDB so the queue survives a reload.
+import { STORES, idbGetAll, idbPut, idbDelete } from './offlineStore';
+import { createSightingId } from './collectionStorage';
+
+// How many photos are sent to /api/identify-species at once
+export const BATCH_CONCURRENCY = 3;
+
+// Item statuses:
+//   pending     - waiting for a free slot
+//   identifying - request in flight
+//   ready       - candidates returned, waiting for the user
+//   failed      - request failed; `error` says why and the user can retry
+//   confirmed / skipped - done, removed from storage
+export const FINISHED_STATUSES = ['confirmed', 'skipped'];
+
+export const createBatchItem = (file, sighting) => ({
+  id: createSightingId(),
+  file,
+  fileName: file.name,
+  status: 'pending',
+  options: [],
+  error: null,
+  sighting,
+  queuedAt: new Date().toISOString()
+});
+
+// Items saved by the last session. Anything that was mid-request when the
+// page closed goes back to pending.
+export const loadBatchQueue = async () => {
+  const entries = await idbGetAll(STORES.batchQueue);
+  return entries
+    .map(({ value }) => (value.status === 'identifying' ? { ...value, status: 'pending' } : value))
+    .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+};
+
+export const saveBatchItem = (item) => idbPut(STORES.batchQueue, item.id, item);
+
+export const removeBatchItem = (item) => idbDelete(STORES.batchQueue, item.id);
@@ -0,0 +1,413 @@
+// Export the collection as CSV, a Darwin Core Archive or a JSON backup, and
+// read any of those back in. CSV and the archive share Darwin Core occurrence
+// columns, one row per sighting, so GBIF and iNaturalist can read either;
+// only the JSON backup keeps everything (photos, candidates, achievements).
+import { normalizeEntry } from './collectionStorage';
+import { OBSERVATION_RANKS } from './collectionViews';
+
+const BACKUP_FORMAT = 'speciesdex-backup';
+const BACKUP_VERSION = 1;
+
+const CLASSIFICATION_LEVELS = ['kingdom', 'phylum', 'class', 'order', 'family', 'genus'];
+
+const DWC = 'http://rs.tdwg.org/dwc/terms/';
+const GBIF = 'http://rs.gbif.org/terms/1.0/';
+
+// Occurrence columns and the namespace of each term
+const OCCURRENCE_TERMS = [
+  ['occurrenceID', DWC],
+  ['basisOfRecord', DWC],
+  ['eventDate', DWC],
+  ['decimalLatitude', DWC],
+  ['decimalLongitude', DWC],
+  ['geodeticDatum', DWC],
+  ['georeferenceSources', DWC],
+  ['scientificName', DWC],
+  ['taxonRank', DWC],
+  ['vernacularName', DWC],
+  ...CLASSIFICATION_LEVELS.map(level => [level, DWC]),
+  ['taxonKey', GBIF],
+  ...CLASSIFICATION_LEVELS.map(level => [`${level}Key`, GBIF]),
+  ['speciesKey', GBIF]
+];
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+
+const entryRank = (entry) => (entry.identifiedRank || 'species').toLowerCase();
+
+// One Darwin Core occurrence per sighting; an entry without sightings still gets a row
+const occurrenceRows = (speciesList, commonNames) => speciesList.flatMap(entry => {
+  const rank = entryRank(entry);
+  const parentKeys = entry.parent_keys || {};
+  const taxon = {
+    scientificName: entry.scientificName,
+    taxonRank: rank,
+    vernacularName: commonNames[entry.usageKey] || '',
+    taxonKey: entry.usageKey,
+    speciesKey: rank === 'species' ? entry.usageKey : ''
+  };
+  for (const level of CLASSIFICATION_LEVELS) {
+    const name = entry[level] && entry[level] !== 'unknown' ? entry[level] : '';
+    taxon[level] = name && capitalize(name);
+    taxon[`${level}Key`] = parentKeys[level] || '';
+  }
+  const sightings = entry.sightings && entry.sightings.length > 0 ? entry.sightings : [{ id: `entry-${entry.usageKey}` }];
+  return sightings.map(sighting => {
+    const located = typeof sighting.latitude === 'number' && typeof sighting.longitude === 'number';
+    return {
+      ...taxon,
+      occurrenceID: sighting.id,
+      basisOfRecord: 'HumanObservation',
+      eventDate: sighting.observedAt || entry.addedAt || '',
+      decimalLatitude: located ? sighting.latitude : '',
+      decimalLongitude: located ? sighting.longitude : '',
+      geodeticDatum: located ? 'WGS84' : '',
+      georeferenceSources: located ? sighting.locationSource || '' : ''
+    };
+  });
+});
+
+const csvField = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Darwin Core text files don't quote fields, so tabs and line breaks become spaces
+const tsvField = (value) => String(value ?? '').replace(/[\t\r\n]+/g, ' ');
+
+const delimited = (rows, separator, field) => [
+  OCCURRENCE_TERMS.map(([term]) => term).join(separator),
+  ...rows.map(row => OCCURRENCE_TERMS.map(([term]) => field(row[term])).join(separator))
+].join('\n') + '\n';
+
+export const exportCsv = (speciesList, commonNames) =>
+  new Blob([delimited(occurrenceRows(speciesList, commonNames), ',', csvField)], { type: 'text/csv' });
+
+const archiveDescriptor = () => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<archive xmlns="http://rs.tdwg.org/dwc/text/">',
+  '  <core encoding="UTF-8" fieldsTerminatedBy="\\t" linesTerminatedBy="\\n" fieldsEnclosedBy="" ignoreHeaderLines="1" rowType="http://rs.tdwg.org/dwc/terms/Occurrence">',
+  '    <files><location>occurrence.txt</location></files>',
+  '    <id index="0"/>',
+  ...OCCURRENCE_TERMS.map(([term, namespace], index) => `    <field index="${index}" term="${namespace}${term}"/>`),
+  '  </core>',
+  '</archive>',
+  ''
+].join('\n');
+
+// Darwin Core Archive: occurrence.txt described by meta.xml, zipped
+export const exportDarwinCoreArchive = (speciesList, commonNames) => createZip([
+  { name: 'meta.xml', text: archiveDescriptor() },
+  { name: 'occurrence.txt', text: delimited(occurrenceRows(speciesList, commonNames), '\t', tsvField) }
+]);
+
+export const exportBackup = ({ speciesList, commonNames, achievements }) => new Blob([JSON.stringify({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  exportedAt: new Date().toISOString(),
+  speciesList,
+  commonNames,
+  achievements
+}, null, 2)], { type: 'application/json' });
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// --- Zip files (stored entries only when writing) ---
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const createZip = (files) => {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.text);
+    const crc = crc32(data);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    parts.push(local, name, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(12, dosTime, true);
+    entry.setUint16(14, dosDate, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(entry, name);
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = central.reduce((size, part) => size + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  return new Blob([...parts, ...central, end], { type: 'application/zip' });
+};
+
+// Text of every file in a zip, by name. Deflated entries need DecompressionStream.
+const readZip = async (buffer) => {
+  const view = new DataView(buffer);
+  let end = buffer.byteLength - 22;
+  while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end--;
+  if (end < 0) throw new Error('Not a zip file');
+
+  const decoder = new TextDecoder();
+  const files = {};
+  let position = view.getUint32(end + 16, true);
+  for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+    const method = view.getUint16(position + 10, true);
+    const size = view.getUint32(position + 20, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const extraLength = view.getUint16(position + 30, true);
+    const commentLength = view.getUint16(position + 32, true);
+    const localOffset = view.getUint32(position + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, position + 46, nameLength));
+    position += 46 + nameLength + extraLength + commentLength;
+
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = new Uint8Array(buffer, dataStart, size);
+    if (method === 0) {
+      files[name] = decoder.decode(data);
+    } else if (method === 8 && typeof DecompressionStream !== 'undefined') {
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      files[name] = await new Response(stream).text();
+    } else {
+      throw new Error(`Can't unpack ${name} from this archive in this browser`);
+    }
+  }
+  return files;
+};
+
+// --- Reading files back in ---
+
+// Rows of a delimited file; quoted fields are only understood in comma-separated files
+const parseDelimited = (text, separator) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && separator === ',' && field === '') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+// 'http://rs.tdwg.org/dwc/terms/eventDate' and 'dwc:eventDate' both become 'eventDate'
+const localTerm = (term) => term.trim().replace(/^.*[/:#]/, '');
+
+// Occurrences as objects keyed by term, from a header row or meta.xml's field list
+const readOccurrences = (text, separator, terms = null) => {
+  const rows = parseDelimited(text.replace(/^\uFEFF/, ''), separator);
+  if (!terms && rows.length === 0) throw new Error('The file is empty');
+  const columns = terms || rows.shift().map(localTerm);
+  return rows.map(values => Object.fromEntries(columns.map((term, index) => [term, (values[index] || '').trim()])));
+};
+
+const readArchive = (files) => {
+  const descriptor = files['meta.xml'];
+  if (!descriptor) {
+    const core = files['occurrence.txt'];
+    if (!core) throw new Error('The archive has no meta.xml or occurrence.txt');
+    return readOccurrences(core, '\t');
+  }
+  const meta = new DOMParser().parseFromString(descriptor, 'application/xml');
+  const core = meta.getElementsByTagName('core')[0];
+  const location = core && core.getElementsByTagName('location')[0];
+  if (!location || files[location.textContent.trim()] === undefined) {
+    throw new Error("The archive's core file is missing");
+  }
+  const separator = (core.getAttribute('fieldsTerminatedBy') || '\\t').replace('\\t', '\t');
+  const terms = [];
+  for (const field of core.getElementsByTagName('field')) {
+    if (field.getAttribute('index') !== null) terms[Number(field.getAttribute('index'))] = localTerm(field.getAttribute('term'));
+  }
+  const text = files[location.textContent.trim()];
+  const skip = Number(core.getAttribute('ignoreHeaderLines') || 0);
+  const body = text.split(/\r?\n/).slice(skip).join('\n');
+  return readOccurrences(body, separator, Array.from(terms, term => term || ''));
+};
+
+const positiveKey = (value) => {
+  const key = parseInt(value, 10);
+  return key > 0 ? key : null;
+};
+
+const coordinate = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Start of an ISO date or date range, as an ISO timestamp; null if it can't be read
+const eventTimestamp = (eventDate) => {
+  const start = (eventDate || '').split('/')[0];
+  const date = start ? new Date(start) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+};
+
+// Collection entries from Darwin Core occurrences. Rows are grouped by
+// taxonKey (or speciesKey); rows without one, or at a rank that can't be
+// collected, are counted as skipped.
+const occurrencesToCollection = (occurrences) => {
+  const byKey = new Map();
+  const commonNames = {};
+  let skipped = 0;
+
+  occurrences.forEach((row, index) => {
+    const usageKey = positiveKey(row.taxonKey) || positiveKey(row.speciesKey) || positiveKey(row.acceptedTaxonKey);
+    const rank = (row.taxonRank || (positiveKey(row.speciesKey) ? 'species' : '')).toLowerCase();
+    const observationRank = OBSERVATION_RANKS.find(r => r.toLowerCase() === rank);
+    if (!usageKey || (rank !== 'species' && !observationRank)) {
+      skipped++;
+      return;
+    }
+
+    if (!byKey.has(usageKey)) {
+      const name = (rank === 'species' && row.species) || row[rank] || row.scientificName;
+      const entry = {
+        gbif_key: usageKey,
+        usageKey,
+        scientific_name: name,
+        scientificName: name,
+        rank: rank.toUpperCase(),
+        parent_keys: {},
+        addedAt: null,
+        sightings: []
+      };
+      for (const level of CLASSIFICATION_LEVELS) {
+        if (row[level]) entry[level] = row[level].toLowerCase();
+        if (positiveKey(row[`${level}Key`])) entry.parent_keys[level] = positiveKey(row[`${level}Key`]);
+      }
+      if (observationRank) {
+        entry.identifiedRank = observationRank;
+        entry[rank] = name;
+        entry.parent_keys[rank] = usageKey;
+      }
+      byKey.set(usageKey, entry);
+    }
+    if (row.vernacularName && !commonNames[usageKey]) commonNames[usageKey] = row.vernacularName;
+
+    const entry = byKey.get(usageKey);
+    const latitude = coordinate(row.decimalLatitude);
+    const longitude = coordinate(row.decimalLongitude);
+    const located = latitude !== null && longitude !== null;
+    const observedAt = eventTimestamp(row.eventDate);
+    // Rows without an occurrenceID get one derived from their content, so
+    // importing the same file twice doesn't duplicate them
+    const id = row.occurrenceID || `dwc-${usageKey}-${row.eventDate || ''}-${row.decimalLatitude || ''}-${row.decimalLongitude || index}`;
+    if (entry.sightings.some(s => s.id === id)) return;
+    entry.sightings.push({
+      id,
+      observedAt,
+      latitude: located ? latitude : null,
+      longitude: located ? longitude : null,
+      locationSource: located ? row.georeferenceSources || 'import' : null,
+      photoThumbnail: null,
+      candidate: null
+    });
+    if (observedAt && (!entry.addedAt || observedAt < entry.addedAt)) entry.addedAt = observedAt;
+  });
+
+  const speciesList = [...byKey.values()].map(entry => ({ ...entry, addedAt: entry.addedAt || new Date().toISOString() }));
+  return { speciesList, commonNames, achievements: [], skipped };
+};
+
+const readBackup = (text) => {
+  const backup = JSON.parse(text);
+  if (!backup || backup.format !== BACKUP_FORMAT || !Array.isArray(backup.speciesList)) {
+    throw new Error('This is not a SpeciesDex backup');
+  }
+  if (backup.version > BACKUP_VERSION) throw new Error('This backup is from a newer version of SpeciesDex');
+  return {
+    speciesList: backup.speciesList.filter(entry => positiveKey(entry.usageKey)).map(normalizeEntry),
+    commonNames: backup.commonNames || {},
+    achievements: Array.isArray(backup.achievements) ? backup.achievements : [],
+    skipped: backup.speciesList.filter(entry => !positiveKey(entry.usageKey)).length
+  };
+};
+
+// Read a JSON backup, a Darwin Core Archive (.zip) or a Darwin Core CSV/TSV.
+// Resolves to { speciesList, commonNames, achievements, skipped }.
+export const readCollectionFile = async (file) => {
+  const name = file.name.toLowerCase();
+  if (name.endsWith('.zip')) {
+    return occurrencesToCollection(readArchive(await readZip(await file.arrayBuffer())));
+  }
+  const text = await file.text();
+  if (name.endsWith('.json') || text.trimStart().startsWith('{')) return readBackup(text);
+
+  const header = text.split(/\r?\n/, 1)[0];
+  const occurrences = readOccurrences(text, header.includes('\t') ? '\t' : ',');
+  if (occurrences.length > 0 && !('taxonKey' in occurrences[0]) && !('speciesKey' in occurrences[0])) {
+    throw new Error('The file has no taxonKey or speciesKey column');
+  }
+  return occurrencesToCollection(occurrences);
+};
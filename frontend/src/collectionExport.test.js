@@ -0,0 +1,123 @@
+import { Blob } from 'buffer';
+import { TextDecoder, TextEncoder } from 'util';
+import { exportBackup, exportCsv, exportDarwinCoreArchive, readCollectionFile } from './collectionExport';
+import { mergeCollections } from './collectionStorage';
+
+// jsdom's Blob can't be read back and it has no TextEncoder; Node's can
+global.Blob = Blob;
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+const magpie = {
+  gbif_key: 5231190,
+  usageKey: 5231190,
+  scientific_name: 'Pica pica (Linnaeus, 1758)',
+  scientificName: 'Pica pica (Linnaeus, 1758)',
+  rank: 'SPECIES',
+  kingdom: 'animalia',
+  phylum: 'chordata',
+  class: 'aves',
+  order: 'passeriformes',
+  family: 'corvidae',
+  genus: 'pica',
+  parent_keys: { kingdom: 1, phylum: 44, class: 212, order: 729, family: 5235, genus: 2482492 },
+  addedAt: '2024-05-01T09:30:00.000Z',
+  sightings: [
+    { id: 'sighting-1', observedAt: '2024-05-01T09:30:00.000Z', latitude: 51.5, longitude: -0.12, locationSource: 'gps', photoThumbnail: null, candidate: null },
+    { id: 'sighting-2', observedAt: '2024-06-02T17:05:00.000Z', latitude: null, longitude: null, locationSource: null, photoThumbnail: null, candidate: null }
+  ]
+};
+
+const oaks = {
+  gbif_key: 2877951,
+  usageKey: 2877951,
+  scientific_name: 'Quercus',
+  scientificName: 'Quercus',
+  rank: 'GENUS',
+  identifiedRank: 'Genus',
+  kingdom: 'plantae',
+  phylum: 'tracheophyta',
+  class: 'magnoliopsida',
+  order: 'fagales',
+  family: 'fagaceae',
+  genus: 'Quercus',
+  parent_keys: { kingdom: 6, phylum: 7707728, class: 220, order: 1354, family: 4689, genus: 2877951 },
+  addedAt: '2024-04-20T08:00:00.000Z',
+  sightings: [
+    { id: 'sighting-3', observedAt: '2024-04-20T08:00:00.000Z', latitude: 52.1, longitude: 0.5, locationSource: 'photo', photoThumbnail: null, candidate: null }
+  ]
+};
+
+const collection = [magpie, oaks];
+const commonNames = { 5231190: 'Magpie, "Eurasian"', 2877951: 'Oaks' };
+
+const asFile = (blob, name) => ({ name, text: () => blob.text(), arrayBuffer: () => blob.arrayBuffer() });
+
+// What the occurrence formats carry; photos and candidates only survive a backup
+const carried = (list) => list.map(entry => ({
+  usageKey: entry.usageKey,
+  scientificName: entry.scientificName,
+  identifiedRank: entry.identifiedRank,
+  kingdom: entry.kingdom,
+  family: entry.family,
+  genus: entry.genus,
+  parent_keys: entry.parent_keys,
+  addedAt: entry.addedAt,
+  sightings: entry.sightings.map(({ id, observedAt, latitude, longitude, locationSource }) => (
+    { id, observedAt, latitude, longitude, locationSource }
+  ))
+}));
+
+describe('collection export and import', () => {
+  test('a CSV export reads back as the same collection, quoted fields included', async () => {
+    const imported = await readCollectionFile(asFile(exportCsv(collection, commonNames), 'collection.csv'));
+
+    expect(carried(imported.speciesList)).toEqual(carried(collection));
+    expect(imported.commonNames).toEqual(commonNames);
+    expect(imported.skipped).toBe(0);
+  });
+
+  test('a Darwin Core Archive export reads back as the same collection', async () => {
+    const imported = await readCollectionFile(asFile(exportDarwinCoreArchive(collection, commonNames), 'collection.zip'));
+
+    expect(carried(imported.speciesList)).toEqual(carried(collection));
+    expect(imported.commonNames).toEqual(commonNames);
+    expect(imported.skipped).toBe(0);
+  });
+
+  test('a backup reads back unchanged', async () => {
+    const achievements = [{ code: 'first_species', title: 'First species', description: 'Collected a species', awardedAt: '2024-05-01T09:30:00.000Z' }];
+    const imported = await readCollectionFile(asFile(exportBackup({ speciesList: collection, commonNames, achievements }), 'backup.json'));
+
+    expect(imported).toEqual({ speciesList: collection, commonNames, achievements, skipped: 0 });
+  });
+
+  test.each(['collection.csv', 'collection.zip'])('importing %s again adds nothing', async (name) => {
+    const blob = name.endsWith('.zip') ? exportDarwinCoreArchive(collection, commonNames) : exportCsv(collection, commonNames);
+    const first = await readCollectionFile(asFile(blob, name));
+    const again = await readCollectionFile(asFile(blob, name));
+
+    const { merged, toUpload } = mergeCollections(again.speciesList, first.speciesList);
+    expect(carried(merged)).toEqual(carried(first.speciesList));
+    expect(toUpload).toEqual([]);
+  });
+
+  test('rows without an occurrenceID are not duplicated by a second import', async () => {
+    const csv = [
+      'taxonKey,scientificName,taxonRank,eventDate,decimalLatitude,decimalLongitude',
+      '5231190,Pica pica,species,2024-05-01,51.5,-0.12',
+      '5231190,Pica pica,species,2024-05-01,51.5,-0.12',
+      '5231190,Pica pica,species,2024-06-02,,'
+    ].join('\n');
+    const file = asFile(new Blob([csv]), 'sightings.csv');
+    const first = await readCollectionFile(file);
+    const again = await readCollectionFile(file);
+
+    expect(first.speciesList[0].sightings).toHaveLength(2);
+    expect(mergeCollections(again.speciesList, first.speciesList).toUpload).toEqual([]);
+  });
+
+  test.each(['', ' \n\n  \n'])('an empty CSV is rejected with a clear error (%j)', async (text) => {
+    await expect(readCollectionFile(asFile(new Blob([text]), 'empty.csv'))).rejects.toThrow('The file is empty');
+  });
+});
@@ -0,0 +1,66 @@
+// Undo and redo for changes to the collection (adding, removing,
+// reclassifying and migrating entries). A change keeps the entries it touched
+// as they were before and after, keyed by usage key with null where there was
+// no entry, so undoing writes the "before" side back and redoing the "after"
+// side.
+
+// Changes kept for undo; older ones are dropped
+const HISTORY_LIMIT = 50;
+
+export const emptyHistory = () => ({ past: [], future: [] });
+
+// Describe the difference between two versions of the collection. `type` is
+// 'add', 'remove', 'reclassify' or 'migrate' and `name` is what the toast shows.
+// Resolves to null when nothing changed.
+export const createChange = (type, name, beforeList, afterList) => {
+  const beforeByKey = new Map(beforeList.map(entry => [entry.usageKey, entry]));
+  const afterByKey = new Map(afterList.map(entry => [entry.usageKey, entry]));
+  const before = {};
+  const after = {};
+  for (const key of new Set([...beforeByKey.keys(), ...afterByKey.keys()])) {
+    if (beforeByKey.get(key) === afterByKey.get(key)) continue;
+    before[key] = beforeByKey.get(key) || null;
+    after[key] = afterByKey.get(key) || null;
+  }
+  return Object.keys(before).length > 0 ? { type, name, before, after } : null;
+};
+
+// Write one side of a change into a collection: entries replace those with the
+// same usage key (or are appended), nulls remove them
+export const applyEntries = (list, entries) => {
+  const next = list
+    .filter(entry => !(entry.usageKey in entries) || entries[entry.usageKey])
+    .map(entry => entries[entry.usageKey] || entry);
+  const present = new Set(list.map(entry => String(entry.usageKey)));
+  for (const [key, entry] of Object.entries(entries)) {
+    if (entry && !present.has(key)) next.push(entry);
+  }
+  return next;
+};
+
+export const recordChange = (history, change) => ({
+  past: [...history.past, change].slice(-HISTORY_LIMIT),
+  future: []
+});
+
+// Move the latest change from one stack to the other. Resolves to the new
+// history and the entries to write, or null when there is nothing to do.
+export const undoChange = (history) => {
+  const change = history.past[history.past.length - 1];
+  if (!change) return null;
+  return {
+    change,
+    entries: change.before,
+    history: { past: history.past.slice(0, -1), future: [change, ...history.future] }
+  };
+};
+
+export const redoChange = (history) => {
+  const [change, ...future] = history.future;
+  if (!change) return null;
+  return {
+    change,
+    entries: change.after,
+    history: { past: [...history.past, change], future }
+  };
+};
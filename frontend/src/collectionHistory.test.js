@@ -0,0 +1,92 @@
+import { applyEntries, createChange, emptyHistory, recordChange, redoChange, undoChange } from './collectionHistory';
+
+const entry = (usageKey, sightingIds = [`s-${usageKey}`]) => ({
+  usageKey,
+  scientificName: `Species ${usageKey}`,
+  sightings: sightingIds.map(id => ({ id }))
+});
+
+const keys = (list) => list.map(s => s.usageKey).sort((a, b) => a - b);
+
+// History with the change from `list` to `next` recorded
+const commit = (history, type, list, next) => recordChange(history, createChange(type, type, list, next));
+
+describe('collection history', () => {
+  test('a change lists only the entries it touched', () => {
+    const crow = entry(1);
+    const change = createChange('add', 'Species 2', [crow], [crow, entry(2)]);
+
+    expect(change.before).toEqual({ 2: null });
+    expect(change.after).toEqual({ 2: entry(2) });
+    expect(createChange('add', 'nothing', [crow], [crow])).toBeNull();
+  });
+
+  test('undo puts back what a removal took away', () => {
+    const list = [entry(1), entry(2)];
+    const next = [entry(1)];
+    const history = commit(emptyHistory(), 'remove', list, next);
+
+    const undone = undoChange(history);
+    expect(keys(applyEntries(next, undone.entries))).toEqual([1, 2]);
+    expect(undone.history.past).toHaveLength(0);
+    expect(undone.history.future).toHaveLength(1);
+  });
+
+  test('redo applies an undone reclassification again', () => {
+    const list = [entry(1, ['a'])];
+    const next = [entry(2, ['a'])];
+    const undone = undoChange(commit(emptyHistory(), 'reclassify', list, next));
+    const restored = applyEntries(next, undone.entries);
+    expect(keys(restored)).toEqual([1]);
+
+    const redone = redoChange(undone.history);
+    expect(applyEntries(restored, redone.entries)).toEqual(next);
+    expect(redone.history.past).toHaveLength(1);
+    expect(redone.history.future).toHaveLength(0);
+  });
+
+  test('undo and redo walk several changes in order', () => {
+    const lists = [[], [entry(1)], [entry(1), entry(2)], [entry(2)]];
+    let history = emptyHistory();
+    history = commit(history, 'add', lists[0], lists[1]);
+    history = commit(history, 'add', lists[1], lists[2]);
+    history = commit(history, 'remove', lists[2], lists[3]);
+
+    let list = lists[3];
+    for (const expected of [lists[2], lists[1], lists[0]]) {
+      const result = undoChange(history);
+      list = applyEntries(list, result.entries);
+      history = result.history;
+      expect(keys(list)).toEqual(keys(expected));
+    }
+    expect(undoChange(history)).toBeNull();
+
+    const result = redoChange(history);
+    expect(keys(applyEntries(list, result.entries))).toEqual([1]);
+  });
+
+  test('a new change after an undo drops what could have been redone', () => {
+    const list = [entry(1)];
+    let history = commit(emptyHistory(), 'add', [], list);
+    history = undoChange(history).history;
+    expect(history.future).toHaveLength(1);
+
+    history = commit(history, 'add', [], [entry(3)]);
+    expect(history.future).toEqual([]);
+    expect(redoChange(history)).toBeNull();
+    expect(history.past.map(change => Object.keys(change.after))).toEqual([['3']]);
+  });
+
+  test('only the latest changes are kept', () => {
+    let history = emptyHistory();
+    let list = [];
+    for (let key = 1; key <= 60; key++) {
+      const next = [...list, entry(key)];
+      history = commit(history, 'add', list, next);
+      list = next;
+    }
+
+    expect(history.past).toHaveLength(50);
+    expect(Object.keys(history.past[0].after)).toEqual(['11']);
+  });
+});
@@ -0,0 +1,273 @@
+// Local persistence and server sync for the discovered-species collection.
+// The collection is written to localStorage straight away so a reload never
+// loses it, and mirrored to /api/discovered-species when the user is signed in.
+
+const STORAGE_KEY = 'speciesdex.collection';
+// Bumped when the meaning of childCounts changes so stale counts are refetched
+// (1: GBIF numDescendants, 2: accepted children at the next major rank)
+const CHILD_COUNTS_VERSION = 2;
+
+// What this device knows of the server copy: usage keys it has saved or
+// loaded from there, and keys removed here whose removal the server hasn't
+// confirmed yet (tombstones), so a merge doesn't bring them back
+export const emptySyncState = () => ({ synced: [], removed: [] });
+
+// The server has `usageKey`
+export const recordSaved = (sync, usageKey) => ({
+  synced: sync.synced.includes(usageKey) ? sync.synced : [...sync.synced, usageKey],
+  removed: sync.removed.filter(key => key !== usageKey)
+});
+
+// `usageKey` was removed here. Only entries the server has need a tombstone.
+export const recordRemoved = (sync, usageKey) =>
+  sync.synced.includes(usageKey) && !sync.removed.includes(usageKey)
+    ? { ...sync, removed: [...sync.removed, usageKey] }
+    : sync;
+
+// The server no longer has `usageKey`
+export const recordRemovalConfirmed = (sync, usageKey) => ({
+  synced: sync.synced.filter(key => key !== usageKey),
+  removed: sync.removed.filter(key => key !== usageKey)
+});
+
+const emptyCollection = () => ({ speciesList: [], commonNames: {}, childCounts: {}, achievements: [], sync: emptySyncState() });
+
+export const createSightingId = () =>
+  (window.crypto && window.crypto.randomUUID)
+    ? window.crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Entries saved before sightings were recorded carry a single photo and
+// date on the entry itself; turn those into the entry's first sighting
+export const normalizeEntry = (entry) => {
+  if (Array.isArray(entry.sightings)) return entry;
+  const { photoThumbnail, ...rest } = entry;
+  return {
+    ...rest,
+    sightings: [{
+      id: `legacy-${entry.usageKey}`,
+      observedAt: entry.addedAt || null,
+      latitude: null,
+      longitude: null,
+      locationSource: null,
+      photoThumbnail: photoThumbnail || null,
+      candidate: null
+    }]
+  };
+};
+
+// Read the collection saved by the last session on this device
+export const loadLocalCollection = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (!saved || !Array.isArray(saved.speciesList)) return emptyCollection();
+    return {
+      speciesList: saved.speciesList.map(normalizeEntry),
+      commonNames: saved.commonNames || {},
+      childCounts: saved.childCountsVersion === CHILD_COUNTS_VERSION ? saved.childCounts || {} : {},
+      achievements: saved.achievements || [],
+      sync: saved.sync || emptySyncState()
+    };
+  } catch {
+    return emptyCollection();
+  }
+};
+
+export const saveLocalCollection = (collection) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...collection, childCountsVersion: CHILD_COUNTS_VERSION }));
+  } catch (err) {
+    // Quota exceeded or storage disabled - the in-memory collection still works
+    console.error('Could not save collection locally:', err);
+  }
+};
+
+// Laravel sets an XSRF-TOKEN cookie that must be echoed back on writes
+const xsrfToken = () => {
+  const match = document.cookie.match(/(?:^|;\s*)XSRF-TOKEN=([^;]*)/);
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+export const apiRequest = (url, options = {}) => {
+  const token = xsrfToken();
+  return fetch(url, {
+    credentials: 'same-origin',
+    ...options,
+    headers: {
+      Accept: 'application/json',
+      ...(options.body ? { 'Content-Type': 'application/json' } : {}),
+      ...(token ? { 'X-XSRF-TOKEN': token } : {}),
+      ...options.headers
+    }
+  });
+};
+
+const fromServerSighting = (sighting) => ({
+  id: sighting.id,
+  observedAt: sighting.observed_at,
+  latitude: sighting.latitude,
+  longitude: sighting.longitude,
+  locationSource: sighting.location_source,
+  photoThumbnail: sighting.photo_thumbnail,
+  candidate: sighting.candidate
+});
+
+const toServerSighting = (sighting) => ({
+  id: sighting.id,
+  observed_at: sighting.observedAt,
+  latitude: sighting.latitude,
+  longitude: sighting.longitude,
+  location_source: sighting.locationSource,
+  photo_thumbnail: sighting.photoThumbnail,
+  candidate: sighting.candidate
+});
+
+// Turn a stored server entry back into the shape used by speciesList
+const toSpeciesEntry = (entry) => ({
+  ...(entry.species_data || {}),
+  scientific_name: entry.species_data?.scientific_name || entry.species_name,
+  gbif_key: entry.gbif_usage_key,
+  usageKey: entry.gbif_usage_key,
+  scientificName: entry.species_data?.scientificName || entry.species_name,
+  addedAt: entry.species_data?.addedAt || entry.created_at,
+  sightings: (entry.sightings || []).map(fromServerSighting)
+});
+
+// Fetch the signed-in user's collection. Resolves to null for guests.
+export const fetchRemoteCollection = async () => {
+  const resp = await apiRequest('/api/discovered-species');
+  if (resp.status === 401) return null;
+  if (!resp.ok) throw new Error('Failed to load collection');
+  const data = await resp.json();
+  return (data.species || []).map(toSpeciesEntry);
+};
+
+// Save an entry and its sightings; sightings already on the server are left
+// as they are unless `replaceSightings` asks for exactly these ones
+export const addRemoteSpecies = async (species, { replaceSightings = false } = {}) => {
+  const { sightings, ...speciesData } = species;
+  const resp = await apiRequest('/api/discovered-species', {
+    method: 'POST',
+    body: JSON.stringify({
+      gbif_usage_key: species.usageKey,
+      species_name: species.scientificName,
+      species_data: speciesData,
+      sightings: (sightings || []).map(toServerSighting),
+      ...(replaceSightings ? { replace_sightings: true } : {})
+    })
+  });
+  if (resp.status === 401) return false;
+  if (!resp.ok) throw new Error('Failed to save species');
+  return true;
+};
+
+export const removeRemoteSpecies = async (usageKey) => {
+  const resp = await apiRequest(`/api/discovered-species/${usageKey}`, { method: 'DELETE' });
+  if (resp.status === 401) return false;
+  // Already gone on the server is as good as removed
+  if (!resp.ok && resp.status !== 404) throw new Error('Failed to remove species');
+  return true;
+};
+
+// Combine the server copy with anything collected locally while offline or
+// signed out. The server wins for entries `sync` says it already had: one
+// missing from it was removed on another device and is dropped here, and
+// one with a tombstone here stays removed. Returns the merged list, the
+// entries the server is missing (never-synced entries, or sightings of an
+// entry it already has) and the usage keys it should remove.
+export const mergeCollections = (localList, remoteList, sync = emptySyncState()) => {
+  const localByKey = new Map(localList.map(s => [s.usageKey, s]));
+  const remoteKeys = new Set(remoteList.map(s => s.usageKey));
+  const synced = new Set(sync.synced);
+  const removed = new Set(sync.removed);
+  const merged = [];
+  const toUpload = [];
+  const toRemove = [];
+
+  for (const remote of remoteList) {
+    const local = localByKey.get(remote.usageKey);
+    if (!local) {
+      if (removed.has(remote.usageKey)) toRemove.push(remote.usageKey);
+      else merged.push(remote);
+      continue;
+    }
+    const remoteSightingIds = new Set(remote.sightings.map(s => s.id));
+    const localOnlySightings = (local.sightings || []).filter(s => !remoteSightingIds.has(s.id));
+    if (localOnlySightings.length === 0) {
+      merged.push(remote);
+      continue;
+    }
+    const combined = { ...remote, sightings: [...remote.sightings, ...localOnlySightings] };
+    merged.push(combined);
+    toUpload.push(combined);
+  }
+
+  for (const local of localList) {
+    if (!remoteKeys.has(local.usageKey) && !synced.has(local.usageKey)) {
+      merged.push(local);
+      toUpload.push(local);
+    }
+  }
+
+  return { merged, toUpload, toRemove };
+};
+
+// Fetch the signed-in user's achievements. Resolves to null for guests. Title
+// and description are only there for achievements saved before they were
+// translated from the code; see achievementText.
+export const fetchRemoteAchievements = async () => {
+  const resp = await apiRequest('/api/achievements');
+  if (resp.status === 401) return null;
+  if (!resp.ok) throw new Error('Failed to load achievements');
+  const data = await resp.json();
+  return (data.achievements || []).map(a => ({
+    code: a.code,
+    title: a.title,
+    description: a.description,
+    awardedAt: a.awarded_at
+  }));
+};
+
+export const addRemoteAchievement = async (achievement) => {
+  const resp = await apiRequest('/api/achievements', {
+    method: 'POST',
+    body: JSON.stringify({
+      code: achievement.code,
+      awarded_at: achievement.awardedAt
+    })
+  });
+  if (resp.status === 401) return false;
+  if (!resp.ok) throw new Error('Failed to save achievement');
+  return true;
+};
+
+// Ask the server to check the collection against the current GBIF backbone.
+// Resolves to whether the check is still running, or null for guests.
+export const requestTaxonomyCheck = async () => {
+  const resp = await apiRequest('/api/discovered-species/revalidate', { method: 'POST' });
+  if (resp.status === 401) return null;
+  if (!resp.ok) throw new Error('Failed to start taxonomy check');
+  const data = await resp.json();
+  return Boolean(data.checking);
+};
+
+// Entries whose taxon changed in GBIF since they were added, each with the
+// /api/species-details shaped `taxon` to move it to. Resolves to null for guests.
+export const fetchTaxonomyChanges = async () => {
+  const resp = await apiRequest('/api/discovered-species/taxonomy-changes');
+  if (resp.status === 401) return null;
+  if (!resp.ok) throw new Error('Failed to load taxonomy changes');
+  const data = await resp.json();
+  return {
+    checking: Boolean(data.checking),
+    checkedAt: data.checked_at,
+    changes: (data.changes || []).map(change => ({
+      usageKey: change.gbif_usage_key,
+      name: change.species_name,
+      status: change.status,
+      taxonomicStatus: change.taxonomic_status,
+      changes: change.changes || [],
+      taxon: change.taxon
+    }))
+  };
+};
@@ -0,0 +1,89 @@
+import { createChange } from './collectionHistory';
+import { emptySyncState, mergeCollections, recordRemovalConfirmed, recordRemoved, recordSaved } from './collectionStorage';
+
+const sighting = (id) => ({ id, observedAt: '2024-05-01T09:30:00.000Z', latitude: null, longitude: null, locationSource: null, photoThumbnail: null, candidate: null });
+
+const entry = (usageKey, sightingIds = [`s-${usageKey}`]) => ({
+  usageKey,
+  scientificName: `Species ${usageKey}`,
+  addedAt: '2024-05-01T09:30:00.000Z',
+  sightings: sightingIds.map(sighting)
+});
+
+const keys = (list) => list.map(s => s.usageKey).sort();
+
+describe('mergeCollections', () => {
+  test('uploads entries that were never synced', () => {
+    const { merged, toUpload, toRemove } = mergeCollections([entry(1), entry(2)], [entry(1)]);
+
+    expect(keys(merged)).toEqual([1, 2]);
+    expect(keys(toUpload)).toEqual([2]);
+    expect(toRemove).toEqual([]);
+  });
+
+  test('a removal on another device survives the merge', () => {
+    // This device synced 1 and 2; another device has since removed 2
+    const sync = { synced: [1, 2], removed: [] };
+    const { merged, toUpload } = mergeCollections([entry(1), entry(2)], [entry(1)], sync);
+
+    expect(keys(merged)).toEqual([1]);
+    expect(toUpload).toEqual([]);
+  });
+
+  test('a removal made here while offline survives the merge and is sent again', () => {
+    let sync = recordSaved(recordSaved(emptySyncState(), 1), 2);
+    sync = recordRemoved(sync, 2);
+    const { merged, toUpload, toRemove } = mergeCollections([entry(1)], [entry(1), entry(2)], sync);
+
+    expect(keys(merged)).toEqual([1]);
+    expect(toUpload).toEqual([]);
+    expect(toRemove).toEqual([2]);
+  });
+
+  test('a species replaced here stays replaced after the merge', () => {
+    // Replacing 1 with 2 removes 1 and saves 2, as the detail panel does
+    const change = createChange('reclassify', 'Species 1 → Species 2', [entry(1, ['a'])], [entry(2, ['a'])]);
+    let sync = recordSaved(emptySyncState(), 1);
+    for (const [usageKey, saved] of Object.entries(change.after)) {
+      sync = saved ? sync : recordRemoved(sync, Number(usageKey));
+    }
+    // The removal didn't reach the server, and the new entry's upload did
+    sync = recordSaved(sync, 2);
+    const { merged, toRemove } = mergeCollections([entry(2, ['a'])], [entry(1, ['a']), entry(2, ['a'])], sync);
+
+    expect(keys(merged)).toEqual([2]);
+    expect(toRemove).toEqual([1]);
+  });
+
+  test('entries added on another device are kept', () => {
+    const sync = { synced: [1], removed: [] };
+    const { merged, toUpload } = mergeCollections([entry(1)], [entry(1), entry(3)], sync);
+
+    expect(keys(merged)).toEqual([1, 3]);
+    expect(toUpload).toEqual([]);
+  });
+
+  test('sightings only held locally are added to a synced entry', () => {
+    const sync = { synced: [1], removed: [] };
+    const { merged, toUpload } = mergeCollections([entry(1, ['a', 'b'])], [entry(1, ['a'])], sync);
+
+    expect(merged[0].sightings.map(s => s.id)).toEqual(['a', 'b']);
+    expect(keys(toUpload)).toEqual([1]);
+  });
+});
+
+describe('sync state', () => {
+  test('only entries the server has get a tombstone', () => {
+    const sync = recordSaved(emptySyncState(), 1);
+
+    expect(recordRemoved(sync, 1)).toEqual({ synced: [1], removed: [1] });
+    expect(recordRemoved(sync, 2)).toBe(sync);
+  });
+
+  test('a confirmed removal or saving the entry again clears its tombstone', () => {
+    const sync = recordRemoved(recordSaved(emptySyncState(), 1), 1);
+
+    expect(recordRemovalConfirmed(sync, 1)).toEqual(emptySyncState());
+    expect(recordSaved(sync, 1)).toEqual({ synced: [1], removed: [] });
+  });
+});
@@ -0,0 +1,89 @@
+// Shared pieces for the different ways of looking at the collection. Every
+// view works from the same taxonomy tree (see taxonStore) and `speciesList`.
+
+const STORAGE_KEY = 'speciesdex.view';
+
+export const VIEW_MODES = [
+  { id: 'tree', title: 'Tree' },
+  { id: 'radial', title: 'Radial' },
+  { id: 'dex', title: 'Dex' },
+  { id: 'table', title: 'Table' },
+  { id: 'progress', title: 'Progress' },
+  { id: 'map', title: 'Map' }
+];
+
+export const loadViewMode = () => {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    return VIEW_MODES.some(mode => mode.id === saved) ? saved : 'tree';
+  } catch {
+    return 'tree';
+  }
+};
+
+export const saveViewMode = (mode) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, mode);
+  } catch (err) {
+    console.error('Could not save view mode:', err);
+  }
+};
+
+// Observations the user could only identify to a genus, family or order
+// ("some kind of hoverfly") are kept in the collection next to species, with
+// `identifiedRank` set, and drawn as an "Unidentified" leaf under that taxon.
+export const UNIDENTIFIED_LABEL = 'Unidentified';
+export const OBSERVATION_RANKS = ['Genus', 'Family', 'Order'];
+
+export const isHigherRankObservation = (entry) => Boolean(entry && entry.identifiedRank);
+
+// Name of the node standing in for a major rank GBIF has no record of
+export const UNKNOWN_TAXON = 'Unknown';
+
+// Children of a node at the next major rank, looking through any intermediate
+// ranks (subfamily, tribe...) in between. Unidentified observations and
+// unknown ranks aren't taxa that were found, so they're left out.
+export const rankedChildren = (node) => (node.children || []).flatMap(child => {
+  const attributes = child.attributes || {};
+  if (attributes.intermediate) return rankedChildren(child);
+  return attributes.label === UNIDENTIFIED_LABEL || attributes.unknown ? [] : [child];
+});
+
+// Tree leaves that stand for a collection entry: species and unidentified observations
+export const isCollectionLeaf = (node) => {
+  const label = node.attributes && node.attributes.label;
+  return label === 'Species' || label === UNIDENTIFIED_LABEL;
+};
+
+// Rank names above each collection entry as placed in the tree, keyed by usage key:
+// { 2482513: { Kingdom: 'Animalia', Class: 'Aves', Family: 'Corvidae', ... } }
+export const speciesRanks = (treeData) => {
+  const ranks = {};
+  const walk = (node, path) => {
+    const label = node.attributes && node.attributes.label;
+    const here = label ? { ...path, [label]: node.name } : path;
+    if (isCollectionLeaf(node)) ranks[node.attributes.usageKey] = here;
+    for (const child of node.children || []) walk(child, here);
+  };
+  if (treeData) walk(treeData, {});
+  return ranks;
+};
+
+// Dex numbers in the order species were first collected, starting at 1
+export const discoveryNumbers = (speciesList) => {
+  const ordered = [...speciesList].sort((a, b) =>
+    new Date(a.addedAt || 0).getTime() - new Date(b.addedAt || 0).getTime()
+  );
+  const numbers = {};
+  ordered.forEach((entry, index) => { numbers[entry.usageKey] = index + 1; });
+  return numbers;
+};
+
+export const formatDexNumber = (number) => `#${String(number).padStart(3, '0')}`;
+
+// Best picture we have of a species: its reference image, then the user's latest photo
+export const speciesImage = (entry) => {
+  if (entry.reference_image) return entry.reference_image;
+  const withPhoto = (entry.sightings || []).filter(s => s.photoThumbnail);
+  return withPhoto.length > 0 ? withPhoto[withPhoto.length - 1].photoThumbnail : null;
+};
@@ -0,0 +1,1258 @@
+// UI translations and the user's language preferences. Languages are
+// identified by the ISO 639-3 codes GBIF uses for common names; `locale` is
+// the matching BCP 47 tag for the UI strings and Intl.
+const STORAGE_KEY = 'speciesdex.languages';
+
+export const LANGUAGES = [
+  { code: 'eng', locale: 'en', name: 'English' },
+  { code: 'spa', locale: 'es', name: 'Español' },
+  { code: 'deu', locale: 'de', name: 'Deutsch' },
+  { code: 'cym', locale: 'cy', name: 'Cymraeg' }
+];
+
+// Strings with a count are objects keyed by Intl.PluralRules category;
+// `other` is used for any category a language leaves out. `rank.*` are
+// labels and `rankNoun.*` the same ranks as used mid-sentence.
+const MESSAGES = {
+  en: {
+    'app.language': 'Language',
+    'language.help': 'Common names are shown in the first ticked language that has one, then the next. The app uses the first.',
+    'language.moveUp': 'Move {language} up',
+    'language.done': 'Done',
+    'view.tree': 'Tree',
+    'view.radial': 'Radial',
+    'view.dex': 'Dex',
+    'view.table': 'Table',
+    'view.progress': 'Progress',
+    'view.map': 'Map',
+    'rank.domain': 'Domain',
+    'rank.kingdom': 'Kingdom',
+    'rank.phylum': 'Phylum',
+    'rank.class': 'Class',
+    'rank.order': 'Order',
+    'rank.family': 'Family',
+    'rank.genus': 'Genus',
+    'rank.subkingdom': 'Subkingdom',
+    'rank.infrakingdom': 'Infrakingdom',
+    'rank.superphylum': 'Superphylum',
+    'rank.subphylum': 'Subphylum',
+    'rank.infraphylum': 'Infraphylum',
+    'rank.superclass': 'Superclass',
+    'rank.subclass': 'Subclass',
+    'rank.infraclass': 'Infraclass',
+    'rank.superorder': 'Superorder',
+    'rank.suborder': 'Suborder',
+    'rank.infraorder': 'Infraorder',
+    'rank.superfamily': 'Superfamily',
+    'rank.subfamily': 'Subfamily',
+    'rank.tribe': 'Tribe',
+    'rank.subtribe': 'Subtribe',
+    'rank.subgenus': 'Subgenus',
+    'rank.section': 'Section',
+    'rank.subspecies': 'Subspecies',
+    'rank.variety': 'Variety',
+    'rank.form': 'Form',
+    'rank.species': 'Species',
+    'rank.taxon': 'Taxon',
+    'rankNoun.domain': 'domain',
+    'rankNoun.kingdom': 'kingdom',
+    'rankNoun.phylum': 'phylum',
+    'rankNoun.class': 'class',
+    'rankNoun.order': 'order',
+    'rankNoun.family': 'family',
+    'rankNoun.genus': 'genus',
+    'rankNoun.species': 'species',
+    'rankNoun.taxon': 'taxon',
+    'match.EXACT': 'exact name match',
+    'match.FUZZY': 'close spelling match',
+    'match.VERNACULAR': 'common name match',
+    'match.UNRESOLVED': 'not checked against GBIF',
+    'search.label': 'Search species:',
+    'search.placeholder': "Enter species name (e.g., 'American Robin' or 'Turdus migratorius')",
+    'search.submit': 'Search',
+    'search.searching': 'Searching...',
+    'photo.label': 'Take or upload a photo:',
+    'photo.identifying': 'Identifying species...',
+    'photo.uploaded': 'Uploaded',
+    'import.label': 'Import several photos:',
+    'tree.find': 'Find',
+    'tree.next': 'Next',
+    'tree.findPlaceholder': 'Find in tree',
+    'tree.noMatches': 'No matches',
+    'tree.matches': { one: '{count} match', other: '{count} matches' },
+    'tree.matchPosition': { one: '{index} of {count} match', other: '{index} of {count} matches' },
+    'tree.fit': 'Fit to screen',
+    'tree.expandAll': 'Expand all',
+    'tree.focusedOn': 'Focused on {path}',
+    'tree.showWhole': 'Show whole tree',
+    'tree.collapse': 'Collapse',
+    'tree.expandHidden': 'Expand ({count} species hidden)',
+    'tree.hidden': '{count} species hidden',
+    'tree.unidentified': 'Unidentified {rank}',
+    'tree.unknownRank': 'Unknown {rank}',
+    'tree.subRanks': 'Show sub-ranks',
+    'modal.title': 'Select the Detected Species',
+    'modal.intro': 'We detected multiple possible species in your image. Please select the one that best matches what you photographed:',
+    'modal.noImage': 'No Image',
+    'modal.confidence': 'Confidence:',
+    'modal.source': 'Source:',
+    'modal.speciesDetection': 'Species-specific detection',
+    'modal.generalDetection': 'General detection',
+    'modal.suggestedBy': 'Suggested by:',
+    'modal.select': 'Select',
+    'modal.cancel': 'Cancel',
+    'modal.noneCorrect': 'None of these are correct',
+    'notice.queuedIdentified': { one: '{count} queued photo was identified.', other: '{count} queued photos were identified.' },
+    'notice.achievement': 'Achievement unlocked: {title}',
+    'notice.achievements': { one: '{count} achievement unlocked!', other: '{count} achievements unlocked!' },
+    'transfer.menu': 'Export / import',
+    'transfer.export.csv': 'Export CSV',
+    'transfer.export.dwca': 'Export Darwin Core Archive',
+    'transfer.export.json': 'Export JSON backup',
+    'transfer.import': 'Import backup or Darwin Core file…',
+    'notice.imported': 'Imported {species} new species and {sightings} new sightings.',
+    'notice.importSkipped': { one: '{count} row without a usable taxon was skipped.', other: '{count} rows without a usable taxon were skipped.' },
+    'error.import': 'Could not import {file}: {message}',
+    'account.signIn': 'Sign in',
+    'account.anonymous': 'Anonymous',
+    'account.signOut': 'Sign out',
+    'account.title.signIn': 'Sign in',
+    'account.title.register': 'Create an account',
+    'account.title.forgot': 'Forgot your password?',
+    'account.title.reset': 'Choose a new password',
+    'account.help': 'Sign in to keep your collection in your account and use it on other devices. Anything collected on this device is added to it.',
+    'account.name': 'Name',
+    'account.email': 'Email',
+    'account.password': 'Password',
+    'account.passwordConfirmation': 'Confirm password',
+    'account.working': 'Please wait…',
+    'account.submit.signIn': 'Sign in',
+    'account.submit.register': 'Create account',
+    'account.submit.forgot': 'Email me a reset link',
+    'account.submit.reset': 'Reset password',
+    'account.toRegister': 'Create an account',
+    'account.toForgot': 'Forgot password?',
+    'account.toSignIn': 'Back to sign in',
+    'account.continueAnonymously': 'Continue without an account',
+    'notice.accountMerged': { other: 'Added {count} species from this device to your account.' },
+    'notice.signedOut': 'Signed out. Your collection is still in your account.',
+    'error.signOut': 'Could not sign out. Please try again.',
+    'history.add': 'Added {name}',
+    'history.remove': 'Removed {name}',
+    'history.reclassify': 'Changed {name}',
+    'history.undone': 'Undone: {change}',
+    'history.redone': 'Redone: {change}',
+    'history.undo': 'Undo',
+    'history.redo': 'Redo',
+    'history.undoShortcut': 'Undo the last change to the collection (Ctrl+Z)',
+    'history.redoShortcut': 'Redo the last undone change (Ctrl+Shift+Z)',
+    'history.dismiss': 'Dismiss',
+    'detail.replaceTitle': 'Wrong species?',
+    'detail.replacePlaceholder': 'Replace with a different species',
+    'detail.replace': 'Replace',
+    'detail.replacing': 'Replacing…',
+    'detail.remove': 'Remove from collection',
+    'detail.replaceHelp': 'Sightings move to the replacement species. Either change can be undone.',
+    'detail.refineTitle': 'Refine to species',
+    'detail.refinePlaceholder': 'A species in {name}',
+    'detail.refine': 'Refine',
+    'detail.refining': 'Refining…',
+    'picker.title': 'Identify to a higher rank',
+    'picker.help': 'Not sure of the species? Record it as some kind of genus, family or order. You can refine it to a species later from the tree.',
+    'picker.lookingUp': 'Looking up…',
+    'picker.basedOn': 'Based on {name}:',
+    'picker.someKind': 'Some kind of {name}',
+    'picker.wrongRank': '{name} is a {rank}; try a genus, family or order name.',
+    'picker.placeholder': 'Or type a genus, family or order, e.g. Syrphidae',
+    'picker.lookUp': 'Look up',
+    'error.gbifUnreachable': 'Could not reach GBIF. Please try again.',
+    'history.migrate': 'Updated {name}',
+    'taxonomy.menu': 'Taxonomy updates',
+    'taxonomy.checkNow': 'Check now',
+    'taxonomy.checking': 'Checking against GBIF…',
+    'taxonomy.checkedAt': 'Last checked {date}',
+    'taxonomy.neverChecked': 'Not checked yet',
+    'taxonomy.none': 'Every entry matches the current GBIF backbone.',
+    'taxonomy.help': 'GBIF has changed these entries since you added them. Accepting moves the entry and its sightings; it can be undone.',
+    'taxonomy.status.synonym': 'Name is now a synonym ({status})',
+    'taxonomy.status.changed': 'Classification changed',
+    'taxonomy.rankChange': '{rank}: {from} → {to}',
+    'taxonomy.accept': 'Accept',
+    'taxonomy.acceptAll': 'Accept all',
+    'taxonomy.entries': { one: '{count} entry', other: '{count} entries' },
+    'error.taxonomyCheck': 'Could not check the collection for taxonomy changes.',
+    'error.sameSpecies': 'This entry is already {name}.',
+    'error.identifyRequest': 'Failed to identify species',
+    'error.noGbifInfo': 'No GBIF information found for "{name}".',
+    'error.details': 'Error getting details for "{name}".',
+    'error.lookup': 'Could not look up "{name}". Please try again.',
+    'error.noSpeciesFound': 'No species found for "{name}".',
+    'error.notWithin': '{species} is not in the {rank} {taxon}.',
+    'error.noTaxonFound': 'No taxon found for "{name}".',
+    'error.noResults': 'Enhanced search found no results for "{name}".',
+    'error.addFailed': 'Failed to add species to tree. Please try again.',
+    'error.noSelection': 'No species selected.',
+    'error.noResultsSelected': 'Enhanced search found no results for selected species.',
+    'error.addSelected': 'Error adding selected species with enhanced backend search.',
+    'error.couldNotIdentify': 'Could not identify species from photo.',
+    'error.noneDetected': 'No species detected in image.',
+    'error.identify': 'Error identifying species: {message}',
+    'error.offlineRetry': 'Offline, will retry when the connection returns',
+    'error.search': 'Error searching for "{name}".',
+    'error.notObservable': '{name} is a {rank}; pick a species, genus, family or order to record a sighting.',
+    'detail.focus': 'Focus on this {rank}',
+    'detail.close': 'Close',
+    'detail.imageSource': 'Image: {source}',
+    'detail.loading': 'Loading details from GBIF…',
+    'detail.classification': 'Classification',
+    'detail.status': 'Taxonomic status',
+    'detail.statusUnknown': 'unknown',
+    'taxonomicStatus.accepted': 'accepted',
+    'taxonomicStatus.doubtful': 'doubtful',
+    'taxonomicStatus.synonym': 'synonym',
+    'taxonomicStatus.heterotypic_synonym': 'heterotypic synonym',
+    'taxonomicStatus.homotypic_synonym': 'homotypic synonym',
+    'taxonomicStatus.proparte_synonym': 'pro parte synonym',
+    'taxonomicStatus.misapplied': 'misapplied name',
+    'detail.searchedSynonym': 'You searched for {name}, a synonym of this species.',
+    'detail.synonyms': 'Synonyms',
+    'detail.noSynonyms': 'No synonyms recorded.',
+    'detail.commonNames': 'Common names',
+    'detail.noCommonNames': 'No common names recorded.',
+    'detail.unknownLanguage': 'Unknown language',
+    'detail.yourSightings': 'Your sightings',
+    'detail.yourSightingsIn': 'Your sightings in this {rank}',
+    'detail.nothingCollected': 'Nothing collected here yet.',
+    'detail.sightingAlt': 'Your sighting of {name}',
+    'detail.noDate': 'Date not recorded',
+    'detail.noLocation': 'Location not recorded',
+    'locationSource.exif': 'from photo',
+    'locationSource.device': 'from device',
+    'locationSource.manual': 'entered manually',
+    'locationSource.import': 'imported',
+    'detail.identifiedAs': 'Identified as {name}',
+    'detail.confidence': '({percent}% confidence)',
+    'detail.unidentifiedEntry': '{name} sp. (unidentified {rank})',
+    'detail.sightings': { one: '{count} sighting', other: '{count} sightings' },
+    'detail.lastSeen': ', last {date}',
+    'batch.pending': 'Waiting…',
+    'batch.identifying': 'Identifying…',
+    'batch.ready': 'Choose a species',
+    'batch.failed': 'Failed',
+    'batch.confirmed': 'Added',
+    'batch.skipped': 'Skipped',
+    'batch.progress': 'Imported photos: {identified} of {total} identified, {reviewed} reviewed',
+    'batch.clear': 'Clear reviewed',
+    'batch.addedAs': 'Added as {name}',
+    'batch.suggestedBy': 'Suggested by {providers}',
+    'batch.noneDetected': 'No species detected.',
+    'batch.skip': 'Skip',
+    'batch.retry': 'Retry',
+    'region.help': { one: '{count} organism found in this photo. Pick it to identify it on its own.', other: '{count} organisms found in this photo. Pick one to identify it on its own; come back for the others.' },
+    'region.alt': 'Detected organisms',
+    'region.identify': 'Identify {name}',
+    'region.wholePhoto': 'Use whole photo',
+    'region.done': 'Done',
+    'crop.help': 'Subject small or far away? Drag a box around it to zoom in, or identify the whole photo.',
+    'crop.alt': 'Photo to identify',
+    'crop.identifySelection': 'Identify selection',
+    'crop.identifyWhole': 'Identify whole photo',
+    'crop.clear': 'Clear selection',
+    'progress.speciesCollected': 'species collected',
+    'progress.cladesComplete': 'clades complete',
+    'progress.achievements': 'achievements',
+    'progress.closest': 'Closest to completion',
+    'progress.nothingInProgress': 'Nothing in progress yet.',
+    'progress.found': '{found}/{total} {children} found, {left} to go',
+    'progress.recent': 'Recent discoveries',
+    'progress.noSightings': 'No sightings yet.',
+    'progress.achievementsTitle': 'Achievements',
+    'progress.noAchievements': 'Collect a species to earn your first achievement.',
+    'progress.allClades': 'All clades',
+    'table.commonName': 'Common name',
+    'table.scientificName': 'Scientific name',
+    'table.addedAt': 'Date added',
+    'table.sightings': 'Sightings',
+    'table.filter': 'Filter by name',
+    'table.all': 'All',
+    'table.addedFrom': 'Added from',
+    'table.addedTo': 'to',
+    'table.count': '{shown} of {total} species',
+    'map.show': 'Show',
+    'map.allSightings': 'All sightings',
+    'map.colourBy': 'Colour by',
+    'map.reset': 'Reset',
+    'map.located': '{located} of {total} sightings have a location',
+    'map.cluster': '{sightings} sightings of {species} species',
+    'map.unknownGroup': 'Unknown',
+    'map.seenHere': 'Species seen here:',
+    'children.domain': 'kingdoms',
+    'children.kingdom': 'phyla',
+    'children.phylum': 'classes',
+    'children.class': 'orders',
+    'children.order': 'families',
+    'children.family': 'genera',
+    'children.genus': 'species',
+    'children.other': 'children',
+    'achievement.first.title': 'First discovery',
+    'achievement.first.description': 'Collected your first species',
+    'achievement.species.title': '{count} species',
+    'achievement.species.description': 'Collected {count} different species',
+    'achievement.new.title': 'New {rank}: {name}',
+    'achievement.new.description': 'Collected your first species in the {rank} {name}',
+    'achievement.complete.title': '{name} complete',
+    'achievement.complete.description': 'Found all the {children} of the {rank} {name}',
+    'error.photo.heicUnsupported': 'This browser cannot read HEIC photos. Change the camera format to JPEG ("Most Compatible") or pick a JPEG copy of the photo.',
+    'error.photo.decodeFailed': 'Could not read this photo.',
+    'error.photo.encodeFailed': 'Could not prepare this photo for upload.',
+    'error.photo.tooLarge': 'This photo is too large to upload, even after resizing.'
+  },
+  es: {
+    'app.language': 'Idioma',
+    'language.help': 'Los nombres comunes se muestran en el primer idioma marcado que tenga uno, y si no en el siguiente. La aplicación usa el primero.',
+    'language.moveUp': 'Subir {language}',
+    'language.done': 'Hecho',
+    'view.tree': 'Árbol',
+    'view.radial': 'Radial',
+    'view.dex': 'Dex',
+    'view.table': 'Tabla',
+    'view.progress': 'Progreso',
+    'view.map': 'Mapa',
+    'rank.domain': 'Dominio',
+    'rank.kingdom': 'Reino',
+    'rank.phylum': 'Filo',
+    'rank.class': 'Clase',
+    'rank.order': 'Orden',
+    'rank.family': 'Familia',
+    'rank.genus': 'Género',
+    'rank.subkingdom': 'Subreino',
+    'rank.infrakingdom': 'Infrarreino',
+    'rank.superphylum': 'Superfilo',
+    'rank.subphylum': 'Subfilo',
+    'rank.infraphylum': 'Infrafilo',
+    'rank.superclass': 'Superclase',
+    'rank.subclass': 'Subclase',
+    'rank.infraclass': 'Infraclase',
+    'rank.superorder': 'Superorden',
+    'rank.suborder': 'Suborden',
+    'rank.infraorder': 'Infraorden',
+    'rank.superfamily': 'Superfamilia',
+    'rank.subfamily': 'Subfamilia',
+    'rank.tribe': 'Tribu',
+    'rank.subtribe': 'Subtribu',
+    'rank.subgenus': 'Subgénero',
+    'rank.section': 'Sección',
+    'rank.subspecies': 'Subespecie',
+    'rank.variety': 'Variedad',
+    'rank.form': 'Forma',
+    'rank.species': 'Especie',
+    'rank.taxon': 'Taxón',
+    'rankNoun.domain': 'dominio',
+    'rankNoun.kingdom': 'reino',
+    'rankNoun.phylum': 'filo',
+    'rankNoun.class': 'clase',
+    'rankNoun.order': 'orden',
+    'rankNoun.family': 'familia',
+    'rankNoun.genus': 'género',
+    'rankNoun.species': 'especie',
+    'rankNoun.taxon': 'taxón',
+    'match.EXACT': 'nombre exacto',
+    'match.FUZZY': 'ortografía parecida',
+    'match.VERNACULAR': 'nombre común',
+    'match.UNRESOLVED': 'sin comprobar en GBIF',
+    'search.label': 'Buscar especie:',
+    'search.placeholder': "Escribe el nombre de una especie (p. ej., 'Petirrojo europeo' o 'Erithacus rubecula')",
+    'search.submit': 'Buscar',
+    'search.searching': 'Buscando...',
+    'photo.label': 'Haz o sube una foto:',
+    'photo.identifying': 'Identificando especie...',
+    'photo.uploaded': 'Foto subida',
+    'import.label': 'Importar varias fotos:',
+    'tree.find': 'Encontrar',
+    'tree.next': 'Siguiente',
+    'tree.findPlaceholder': 'Buscar en el árbol',
+    'tree.noMatches': 'Sin coincidencias',
+    'tree.matches': { one: '{count} coincidencia', other: '{count} coincidencias' },
+    'tree.matchPosition': { one: '{index} de {count} coincidencia', other: '{index} de {count} coincidencias' },
+    'tree.fit': 'Ajustar a la pantalla',
+    'tree.expandAll': 'Expandir todo',
+    'tree.focusedOn': 'Enfocado en {path}',
+    'tree.showWhole': 'Mostrar todo el árbol',
+    'tree.collapse': 'Contraer',
+    'tree.expandHidden': { one: 'Expandir ({count} especie oculta)', other: 'Expandir ({count} especies ocultas)' },
+    'tree.hidden': { one: '{count} especie oculta', other: '{count} especies ocultas' },
+    'tree.unidentified': 'Sin identificar ({rank})',
+    'tree.unknownRank': 'Rango desconocido ({rank})',
+    'tree.subRanks': 'Mostrar rangos intermedios',
+    'modal.title': 'Elige la especie detectada',
+    'modal.intro': 'Hemos detectado varias especies posibles en tu imagen. Elige la que mejor coincida con lo que fotografiaste:',
+    'modal.noImage': 'Sin imagen',
+    'modal.confidence': 'Confianza:',
+    'modal.source': 'Origen:',
+    'modal.speciesDetection': 'Detección específica de especie',
+    'modal.generalDetection': 'Detección general',
+    'modal.suggestedBy': 'Sugerida por:',
+    'modal.select': 'Elegir',
+    'modal.cancel': 'Cancelar',
+    'modal.noneCorrect': 'Ninguna es correcta',
+    'notice.queuedIdentified': { one: 'Se identificó {count} foto en cola.', other: 'Se identificaron {count} fotos en cola.' },
+    'notice.achievement': 'Logro desbloqueado: {title}',
+    'notice.achievements': { one: '¡{count} logro desbloqueado!', other: '¡{count} logros desbloqueados!' },
+    'transfer.menu': 'Exportar / importar',
+    'transfer.export.csv': 'Exportar CSV',
+    'transfer.export.dwca': 'Exportar archivo Darwin Core',
+    'transfer.export.json': 'Exportar copia JSON',
+    'transfer.import': 'Importar copia o archivo Darwin Core…',
+    'notice.imported': 'Se importaron {species} especies y {sightings} avistamientos nuevos.',
+    'notice.importSkipped': { one: 'Se omitió {count} fila sin un taxón válido.', other: 'Se omitieron {count} filas sin un taxón válido.' },
+    'error.import': 'No se pudo importar {file}: {message}',
+    'account.signIn': 'Iniciar sesión',
+    'account.anonymous': 'Anónimo',
+    'account.signOut': 'Cerrar sesión',
+    'account.title.signIn': 'Iniciar sesión',
+    'account.title.register': 'Crear una cuenta',
+    'account.title.forgot': '¿Olvidaste tu contraseña?',
+    'account.title.reset': 'Elige una contraseña nueva',
+    'account.help': 'Inicia sesión para guardar tu colección en tu cuenta y usarla en otros dispositivos. Lo que hayas reunido en este dispositivo se añadirá a ella.',
+    'account.name': 'Nombre',
+    'account.email': 'Correo electrónico',
+    'account.password': 'Contraseña',
+    'account.passwordConfirmation': 'Confirmar contraseña',
+    'account.working': 'Espera…',
+    'account.submit.signIn': 'Iniciar sesión',
+    'account.submit.register': 'Crear cuenta',
+    'account.submit.forgot': 'Enviarme un enlace',
+    'account.submit.reset': 'Restablecer contraseña',
+    'account.toRegister': 'Crear una cuenta',
+    'account.toForgot': '¿Olvidaste la contraseña?',
+    'account.toSignIn': 'Volver a iniciar sesión',
+    'account.continueAnonymously': 'Continuar sin cuenta',
+    'notice.accountMerged': { one: 'Se añadió {count} especie de este dispositivo a tu cuenta.', other: 'Se añadieron {count} especies de este dispositivo a tu cuenta.' },
+    'notice.signedOut': 'Sesión cerrada. Tu colección sigue en tu cuenta.',
+    'error.signOut': 'No se pudo cerrar la sesión. Inténtalo de nuevo.',
+    'history.add': 'Se añadió {name}',
+    'history.remove': 'Se quitó {name}',
+    'history.reclassify': 'Se cambió {name}',
+    'history.undone': 'Deshecho: {change}',
+    'history.redone': 'Rehecho: {change}',
+    'history.undo': 'Deshacer',
+    'history.redo': 'Rehacer',
+    'history.undoShortcut': 'Deshacer el último cambio en la colección (Ctrl+Z)',
+    'history.redoShortcut': 'Rehacer el último cambio deshecho (Ctrl+Mayús+Z)',
+    'history.dismiss': 'Cerrar',
+    'detail.replaceTitle': '¿Especie equivocada?',
+    'detail.replacePlaceholder': 'Sustituir por otra especie',
+    'detail.replace': 'Sustituir',
+    'detail.replacing': 'Sustituyendo…',
+    'detail.remove': 'Quitar de la colección',
+    'detail.replaceHelp': 'Los avistamientos pasan a la especie nueva. Ambos cambios se pueden deshacer.',
+    'detail.refineTitle': 'Precisar la especie',
+    'detail.refinePlaceholder': 'Una especie de {name}',
+    'detail.refine': 'Precisar',
+    'detail.refining': 'Precisando…',
+    'picker.title': 'Identificar a un rango superior',
+    'picker.help': '¿No estás seguro de la especie? Regístrala como algún género, familia u orden. Podrás precisar la especie más tarde desde el árbol.',
+    'picker.lookingUp': 'Buscando…',
+    'picker.basedOn': 'A partir de {name}:',
+    'picker.someKind': 'Algún tipo de {name}',
+    'picker.wrongRank': '{name} es un {rank}; prueba con un género, una familia o un orden.',
+    'picker.placeholder': 'O escribe un género, familia u orden, p. ej. Syrphidae',
+    'picker.lookUp': 'Buscar',
+    'error.gbifUnreachable': 'No se pudo conectar con GBIF. Inténtalo de nuevo.',
+    'history.migrate': 'Se actualizó {name}',
+    'taxonomy.menu': 'Cambios taxonómicos',
+    'taxonomy.checkNow': 'Comprobar ahora',
+    'taxonomy.checking': 'Comprobando con GBIF…',
+    'taxonomy.checkedAt': 'Última comprobación: {date}',
+    'taxonomy.neverChecked': 'Aún no se ha comprobado',
+    'taxonomy.none': 'Todas las entradas coinciden con la taxonomía actual de GBIF.',
+    'taxonomy.help': 'GBIF ha cambiado estas entradas desde que las añadiste. Al aceptar, la entrada se mueve con sus avistamientos; se puede deshacer.',
+    'taxonomy.status.synonym': 'El nombre es ahora un sinónimo ({status})',
+    'taxonomy.status.changed': 'La clasificación ha cambiado',
+    'taxonomy.rankChange': '{rank}: {from} → {to}',
+    'taxonomy.accept': 'Aceptar',
+    'taxonomy.acceptAll': 'Aceptar todo',
+    'taxonomy.entries': { one: '{count} entrada', other: '{count} entradas' },
+    'error.taxonomyCheck': 'No se pudo comprobar si hay cambios taxonómicos en la colección.',
+    'error.sameSpecies': 'Esta entrada ya es {name}.',
+    'error.identifyRequest': 'No se pudo identificar la especie',
+    'error.noGbifInfo': 'No hay información de GBIF para "{name}".',
+    'error.details': 'Error al obtener los detalles de "{name}".',
+    'error.lookup': 'No se pudo buscar "{name}". Inténtalo de nuevo.',
+    'error.noSpeciesFound': 'No se encontró ninguna especie para "{name}".',
+    'error.notWithin': '{species} no pertenece a {rank} {taxon}.',
+    'error.noTaxonFound': 'No se encontró ningún taxón para "{name}".',
+    'error.noResults': 'La búsqueda no encontró resultados para "{name}".',
+    'error.addFailed': 'No se pudo añadir la especie al árbol. Inténtalo de nuevo.',
+    'error.noSelection': 'No se ha elegido ninguna especie.',
+    'error.noResultsSelected': 'La búsqueda no encontró resultados para la especie elegida.',
+    'error.addSelected': 'Error al añadir la especie elegida.',
+    'error.couldNotIdentify': 'No se pudo identificar la especie de la foto.',
+    'error.noneDetected': 'No se detectó ninguna especie en la imagen.',
+    'error.identify': 'Error al identificar la especie: {message}',
+    'error.offlineRetry': 'Sin conexión; se reintentará cuando vuelva',
+    'error.search': 'Error al buscar "{name}".',
+    'error.notObservable': '{name} es un {rank}; elige una especie, género, familia u orden para registrar un avistamiento.',
+    'detail.focus': 'Centrar en este grupo ({rank})',
+    'detail.close': 'Cerrar',
+    'detail.imageSource': 'Imagen: {source}',
+    'detail.loading': 'Cargando datos de GBIF…',
+    'detail.classification': 'Clasificación',
+    'detail.status': 'Estado taxonómico',
+    'detail.statusUnknown': 'desconocido',
+    'taxonomicStatus.accepted': 'aceptado',
+    'taxonomicStatus.doubtful': 'dudoso',
+    'taxonomicStatus.synonym': 'sinónimo',
+    'taxonomicStatus.heterotypic_synonym': 'sinónimo heterotípico',
+    'taxonomicStatus.homotypic_synonym': 'sinónimo homotípico',
+    'taxonomicStatus.proparte_synonym': 'sinónimo pro parte',
+    'taxonomicStatus.misapplied': 'nombre mal aplicado',
+    'detail.searchedSynonym': 'Buscaste {name}, un sinónimo de esta especie.',
+    'detail.synonyms': 'Sinónimos',
+    'detail.noSynonyms': 'No hay sinónimos registrados.',
+    'detail.commonNames': 'Nombres comunes',
+    'detail.noCommonNames': 'No hay nombres comunes registrados.',
+    'detail.unknownLanguage': 'Idioma desconocido',
+    'detail.yourSightings': 'Tus avistamientos',
+    'detail.yourSightingsIn': 'Tus avistamientos en este grupo ({rank})',
+    'detail.nothingCollected': 'Aún no has recolectado nada aquí.',
+    'detail.sightingAlt': 'Tu avistamiento de {name}',
+    'detail.noDate': 'Fecha no registrada',
+    'detail.noLocation': 'Ubicación no registrada',
+    'locationSource.exif': 'de la foto',
+    'locationSource.device': 'del dispositivo',
+    'locationSource.manual': 'introducida a mano',
+    'locationSource.import': 'importada',
+    'detail.identifiedAs': 'Identificado como {name}',
+    'detail.confidence': '({percent} % de confianza)',
+    'detail.unidentifiedEntry': '{name} sp. ({rank} sin identificar)',
+    'detail.sightings': { one: '{count} avistamiento', other: '{count} avistamientos' },
+    'detail.lastSeen': ', el último {date}',
+    'batch.pending': 'En espera…',
+    'batch.identifying': 'Identificando…',
+    'batch.ready': 'Elige una especie',
+    'batch.failed': 'Error',
+    'batch.confirmed': 'Añadida',
+    'batch.skipped': 'Omitida',
+    'batch.progress': 'Fotos importadas: {identified} de {total} identificadas, {reviewed} revisadas',
+    'batch.clear': 'Quitar las revisadas',
+    'batch.addedAs': 'Añadida como {name}',
+    'batch.suggestedBy': 'Sugerida por {providers}',
+    'batch.noneDetected': 'No se detectó ninguna especie.',
+    'batch.skip': 'Omitir',
+    'batch.retry': 'Reintentar',
+    'region.help': { one: 'Se encontró {count} organismo en esta foto. Elígelo para identificarlo por separado.', other: 'Se encontraron {count} organismos en esta foto. Elige uno para identificarlo por separado y vuelve a por los demás.' },
+    'region.alt': 'Organismos detectados',
+    'region.identify': 'Identificar {name}',
+    'region.wholePhoto': 'Usar la foto entera',
+    'region.done': 'Hecho',
+    'crop.help': '¿El sujeto es pequeño o está lejos? Dibuja un recuadro a su alrededor para ampliarlo, o identifica la foto entera.',
+    'crop.alt': 'Foto para identificar',
+    'crop.identifySelection': 'Identificar la selección',
+    'crop.identifyWhole': 'Identificar la foto entera',
+    'crop.clear': 'Quitar la selección',
+    'progress.speciesCollected': 'especies recolectadas',
+    'progress.cladesComplete': 'clados completos',
+    'progress.achievements': 'logros',
+    'progress.closest': 'A punto de completarse',
+    'progress.nothingInProgress': 'Todavía no hay nada en curso.',
+    'progress.found': '{found}/{total} {children} encontrados, faltan {left}',
+    'progress.recent': 'Descubrimientos recientes',
+    'progress.noSightings': 'Aún no hay avistamientos.',
+    'progress.achievementsTitle': 'Logros',
+    'progress.noAchievements': 'Recolecta una especie para conseguir tu primer logro.',
+    'progress.allClades': 'Todos los clados',
+    'table.commonName': 'Nombre común',
+    'table.scientificName': 'Nombre científico',
+    'table.addedAt': 'Fecha de alta',
+    'table.sightings': 'Avistamientos',
+    'table.filter': 'Filtrar por nombre',
+    'table.all': 'Todos',
+    'table.addedFrom': 'Añadidas desde',
+    'table.addedTo': 'hasta',
+    'table.count': '{shown} de {total} especies',
+    'map.show': 'Mostrar',
+    'map.allSightings': 'Todos los avistamientos',
+    'map.colourBy': 'Colorear por',
+    'map.reset': 'Restablecer',
+    'map.located': '{located} de {total} avistamientos tienen ubicación',
+    'map.cluster': '{sightings} avistamientos de {species} especies',
+    'map.unknownGroup': 'Desconocido',
+    'map.seenHere': 'Especies vistas aquí:',
+    'children.domain': 'reinos',
+    'children.kingdom': 'filos',
+    'children.phylum': 'clases',
+    'children.class': 'órdenes',
+    'children.order': 'familias',
+    'children.family': 'géneros',
+    'children.genus': 'especies',
+    'children.other': 'subgrupos',
+    'achievement.first.title': 'Primer descubrimiento',
+    'achievement.first.description': 'Recolectaste tu primera especie',
+    'achievement.species.title': '{count} especies',
+    'achievement.species.description': 'Recolectaste {count} especies distintas',
+    'achievement.new.title': 'Nuevo grupo ({rank}): {name}',
+    'achievement.new.description': 'Recolectaste tu primera especie en {rank} {name}',
+    'achievement.complete.title': '{name} completo',
+    'achievement.complete.description': 'Encontraste todos los {children} de {rank} {name}',
+    'error.photo.heicUnsupported': 'Este navegador no puede leer fotos HEIC. Cambia el formato de la cámara a JPEG («Más compatible») o elige una copia JPEG de la foto.',
+    'error.photo.decodeFailed': 'No se pudo leer esta foto.',
+    'error.photo.encodeFailed': 'No se pudo preparar esta foto para subirla.',
+    'error.photo.tooLarge': 'Esta foto es demasiado grande para subirla, incluso reducida.'
+  },
+  de: {
+    'app.language': 'Sprache',
+    'language.help': 'Trivialnamen werden in der ersten angehakten Sprache gezeigt, in der es einen gibt, sonst in der nächsten. Die App verwendet die erste.',
+    'language.moveUp': '{language} nach oben',
+    'language.done': 'Fertig',
+    'view.tree': 'Baum',
+    'view.radial': 'Radial',
+    'view.dex': 'Dex',
+    'view.table': 'Tabelle',
+    'view.progress': 'Fortschritt',
+    'view.map': 'Karte',
+    'rank.domain': 'Domäne',
+    'rank.kingdom': 'Reich',
+    'rank.phylum': 'Stamm',
+    'rank.class': 'Klasse',
+    'rank.order': 'Ordnung',
+    'rank.family': 'Familie',
+    'rank.genus': 'Gattung',
+    'rank.subkingdom': 'Unterreich',
+    'rank.infrakingdom': 'Infrareich',
+    'rank.superphylum': 'Überstamm',
+    'rank.subphylum': 'Unterstamm',
+    'rank.infraphylum': 'Infrastamm',
+    'rank.superclass': 'Überklasse',
+    'rank.subclass': 'Unterklasse',
+    'rank.infraclass': 'Infraklasse',
+    'rank.superorder': 'Überordnung',
+    'rank.suborder': 'Unterordnung',
+    'rank.infraorder': 'Teilordnung',
+    'rank.superfamily': 'Überfamilie',
+    'rank.subfamily': 'Unterfamilie',
+    'rank.tribe': 'Tribus',
+    'rank.subtribe': 'Subtribus',
+    'rank.subgenus': 'Untergattung',
+    'rank.section': 'Sektion',
+    'rank.subspecies': 'Unterart',
+    'rank.variety': 'Varietät',
+    'rank.form': 'Form',
+    'rank.species': 'Art',
+    'rank.taxon': 'Taxon',
+    'rankNoun.domain': 'Domäne',
+    'rankNoun.kingdom': 'Reich',
+    'rankNoun.phylum': 'Stamm',
+    'rankNoun.class': 'Klasse',
+    'rankNoun.order': 'Ordnung',
+    'rankNoun.family': 'Familie',
+    'rankNoun.genus': 'Gattung',
+    'rankNoun.species': 'Art',
+    'rankNoun.taxon': 'Taxon',
+    'match.EXACT': 'exakter Name',
+    'match.FUZZY': 'ähnliche Schreibweise',
+    'match.VERNACULAR': 'Trivialname',
+    'match.UNRESOLVED': 'nicht mit GBIF abgeglichen',
+    'search.label': 'Art suchen:',
+    'search.placeholder': "Artnamen eingeben (z. B. 'Rotkehlchen' oder 'Erithacus rubecula')",
+    'search.submit': 'Suchen',
+    'search.searching': 'Suche läuft...',
+    'photo.label': 'Foto aufnehmen oder hochladen:',
+    'photo.identifying': 'Art wird bestimmt...',
+    'photo.uploaded': 'Hochgeladen',
+    'import.label': 'Mehrere Fotos importieren:',
+    'tree.find': 'Finden',
+    'tree.next': 'Weiter',
+    'tree.findPlaceholder': 'Im Baum suchen',
+    'tree.noMatches': 'Keine Treffer',
+    'tree.matches': { other: '{count} Treffer' },
+    'tree.matchPosition': { one: '{index} von {count} Treffer', other: '{index} von {count} Treffern' },
+    'tree.fit': 'An Bildschirm anpassen',
+    'tree.expandAll': 'Alle aufklappen',
+    'tree.focusedOn': 'Fokus auf {path}',
+    'tree.showWhole': 'Ganzen Baum zeigen',
+    'tree.collapse': 'Zuklappen',
+    'tree.expandHidden': { one: 'Aufklappen ({count} Art ausgeblendet)', other: 'Aufklappen ({count} Arten ausgeblendet)' },
+    'tree.hidden': { one: '{count} Art ausgeblendet', other: '{count} Arten ausgeblendet' },
+    'tree.unidentified': 'Unbestimmt ({rank})',
+    'tree.unknownRank': 'Unbekannt ({rank})',
+    'tree.subRanks': 'Zwischenränge anzeigen',
+    'modal.title': 'Erkannte Art auswählen',
+    'modal.intro': 'Auf deinem Bild wurden mehrere mögliche Arten erkannt. Wähle die, die am besten zu deinem Foto passt:',
+    'modal.noImage': 'Kein Bild',
+    'modal.confidence': 'Sicherheit:',
+    'modal.source': 'Quelle:',
+    'modal.speciesDetection': 'Artspezifische Erkennung',
+    'modal.generalDetection': 'Allgemeine Erkennung',
+    'modal.suggestedBy': 'Vorgeschlagen von:',
+    'modal.select': 'Auswählen',
+    'modal.cancel': 'Abbrechen',
+    'modal.noneCorrect': 'Keine davon ist richtig',
+    'notice.queuedIdentified': { one: '{count} wartendes Foto wurde bestimmt.', other: '{count} wartende Fotos wurden bestimmt.' },
+    'notice.achievement': 'Erfolg freigeschaltet: {title}',
+    'notice.achievements': { one: '{count} Erfolg freigeschaltet!', other: '{count} Erfolge freigeschaltet!' },
+    'transfer.menu': 'Export / Import',
+    'transfer.export.csv': 'Als CSV exportieren',
+    'transfer.export.dwca': 'Als Darwin-Core-Archiv exportieren',
+    'transfer.export.json': 'JSON-Sicherung exportieren',
+    'transfer.import': 'Sicherung oder Darwin-Core-Datei importieren…',
+    'notice.imported': '{species} neue Arten und {sightings} neue Sichtungen importiert.',
+    'notice.importSkipped': { one: '{count} Zeile ohne verwendbares Taxon wurde übersprungen.', other: '{count} Zeilen ohne verwendbares Taxon wurden übersprungen.' },
+    'error.import': '{file} konnte nicht importiert werden: {message}',
+    'account.signIn': 'Anmelden',
+    'account.anonymous': 'Anonym',
+    'account.signOut': 'Abmelden',
+    'account.title.signIn': 'Anmelden',
+    'account.title.register': 'Konto erstellen',
+    'account.title.forgot': 'Passwort vergessen?',
+    'account.title.reset': 'Neues Passwort wählen',
+    'account.help': 'Melde dich an, um deine Sammlung in deinem Konto zu speichern und auf anderen Geräten zu nutzen. Was du auf diesem Gerät gesammelt hast, wird übernommen.',
+    'account.name': 'Name',
+    'account.email': 'E-Mail',
+    'account.password': 'Passwort',
+    'account.passwordConfirmation': 'Passwort bestätigen',
+    'account.working': 'Bitte warten…',
+    'account.submit.signIn': 'Anmelden',
+    'account.submit.register': 'Konto erstellen',
+    'account.submit.forgot': 'Link zum Zurücksetzen senden',
+    'account.submit.reset': 'Passwort zurücksetzen',
+    'account.toRegister': 'Konto erstellen',
+    'account.toForgot': 'Passwort vergessen?',
+    'account.toSignIn': 'Zurück zur Anmeldung',
+    'account.continueAnonymously': 'Ohne Konto fortfahren',
+    'notice.accountMerged': { one: '{count} Art von diesem Gerät wurde deinem Konto hinzugefügt.', other: '{count} Arten von diesem Gerät wurden deinem Konto hinzugefügt.' },
+    'notice.signedOut': 'Abgemeldet. Deine Sammlung bleibt in deinem Konto.',
+    'error.signOut': 'Abmelden fehlgeschlagen. Bitte versuche es erneut.',
+    'history.add': '{name} hinzugefügt',
+    'history.remove': '{name} entfernt',
+    'history.reclassify': '{name} geändert',
+    'history.undone': 'Rückgängig gemacht: {change}',
+    'history.redone': 'Wiederhergestellt: {change}',
+    'history.undo': 'Rückgängig',
+    'history.redo': 'Wiederholen',
+    'history.undoShortcut': 'Letzte Änderung an der Sammlung rückgängig machen (Strg+Z)',
+    'history.redoShortcut': 'Zuletzt rückgängig gemachte Änderung wiederholen (Strg+Umschalt+Z)',
+    'history.dismiss': 'Schließen',
+    'detail.replaceTitle': 'Falsche Art?',
+    'detail.replacePlaceholder': 'Durch eine andere Art ersetzen',
+    'detail.replace': 'Ersetzen',
+    'detail.replacing': 'Wird ersetzt…',
+    'detail.remove': 'Aus der Sammlung entfernen',
+    'detail.replaceHelp': 'Die Sichtungen wandern zur neuen Art. Beide Änderungen lassen sich rückgängig machen.',
+    'detail.refineTitle': 'Auf Art bestimmen',
+    'detail.refinePlaceholder': 'Eine Art aus {name}',
+    'detail.refine': 'Bestimmen',
+    'detail.refining': 'Wird bestimmt…',
+    'picker.title': 'Auf höherem Rang bestimmen',
+    'picker.help': 'Unsicher bei der Art? Erfasse sie als irgendeine Gattung, Familie oder Ordnung. Die Art kannst du später im Baum nachtragen.',
+    'picker.lookingUp': 'Wird nachgeschlagen…',
+    'picker.basedOn': 'Ausgehend von {name}:',
+    'picker.someKind': 'Irgendeine Art aus {name}',
+    'picker.wrongRank': '{name} ist eine Einheit im Rang {rank}; versuche es mit einer Gattung, Familie oder Ordnung.',
+    'picker.placeholder': 'Oder gib eine Gattung, Familie oder Ordnung ein, z. B. Syrphidae',
+    'picker.lookUp': 'Nachschlagen',
+    'error.gbifUnreachable': 'GBIF ist nicht erreichbar. Bitte versuche es erneut.',
+    'history.migrate': '{name} aktualisiert',
+    'taxonomy.menu': 'Taxonomie-Änderungen',
+    'taxonomy.checkNow': 'Jetzt prüfen',
+    'taxonomy.checking': 'Abgleich mit GBIF läuft…',
+    'taxonomy.checkedAt': 'Zuletzt geprüft: {date}',
+    'taxonomy.neverChecked': 'Noch nicht geprüft',
+    'taxonomy.none': 'Alle Einträge entsprechen der aktuellen GBIF-Taxonomie.',
+    'taxonomy.help': 'GBIF hat diese Einträge geändert, seit du sie hinzugefügt hast. Beim Übernehmen wandert der Eintrag mit seinen Sichtungen; das lässt sich rückgängig machen.',
+    'taxonomy.status.synonym': 'Der Name ist jetzt ein Synonym ({status})',
+    'taxonomy.status.changed': 'Einordnung geändert',
+    'taxonomy.rankChange': '{rank}: {from} → {to}',
+    'taxonomy.accept': 'Übernehmen',
+    'taxonomy.acceptAll': 'Alle übernehmen',
+    'taxonomy.entries': { one: '{count} Eintrag', other: '{count} Einträge' },
+    'error.taxonomyCheck': 'Die Sammlung konnte nicht auf Taxonomie-Änderungen geprüft werden.',
+    'error.sameSpecies': 'Dieser Eintrag ist bereits {name}.',
+    'error.identifyRequest': 'Art konnte nicht bestimmt werden',
+    'error.noGbifInfo': 'Keine GBIF-Informationen zu „{name}“ gefunden.',
+    'error.details': 'Fehler beim Laden der Details zu „{name}“.',
+    'error.lookup': '„{name}“ konnte nicht nachgeschlagen werden. Bitte versuche es erneut.',
+    'error.noSpeciesFound': 'Keine Art zu „{name}“ gefunden.',
+    'error.notWithin': '{species} gehört nicht zu {rank} {taxon}.',
+    'error.noTaxonFound': 'Kein Taxon zu „{name}“ gefunden.',
+    'error.noResults': 'Die Suche hat nichts zu „{name}“ gefunden.',
+    'error.addFailed': 'Die Art konnte nicht zum Baum hinzugefügt werden. Bitte versuche es erneut.',
+    'error.noSelection': 'Keine Art ausgewählt.',
+    'error.noResultsSelected': 'Die Suche hat zur ausgewählten Art nichts gefunden.',
+    'error.addSelected': 'Fehler beim Hinzufügen der ausgewählten Art.',
+    'error.couldNotIdentify': 'Die Art auf dem Foto konnte nicht bestimmt werden.',
+    'error.noneDetected': 'Auf dem Bild wurde keine Art erkannt.',
+    'error.identify': 'Fehler bei der Artbestimmung: {message}',
+    'error.offlineRetry': 'Offline, wird wiederholt, sobald die Verbindung zurück ist',
+    'error.search': 'Fehler bei der Suche nach „{name}“.',
+    'error.notObservable': '{name} ist eine Einheit im Rang {rank}; wähle eine Art, Gattung, Familie oder Ordnung, um eine Sichtung zu erfassen.',
+    'detail.focus': 'Auf diese Gruppe fokussieren ({rank})',
+    'detail.close': 'Schließen',
+    'detail.imageSource': 'Bild: {source}',
+    'detail.loading': 'Details werden von GBIF geladen…',
+    'detail.classification': 'Klassifikation',
+    'detail.status': 'Taxonomischer Status',
+    'detail.statusUnknown': 'unbekannt',
+    'taxonomicStatus.accepted': 'akzeptiert',
+    'taxonomicStatus.doubtful': 'zweifelhaft',
+    'taxonomicStatus.synonym': 'Synonym',
+    'taxonomicStatus.heterotypic_synonym': 'heterotypisches Synonym',
+    'taxonomicStatus.homotypic_synonym': 'homotypisches Synonym',
+    'taxonomicStatus.proparte_synonym': 'Pro-parte-Synonym',
+    'taxonomicStatus.misapplied': 'falsch angewandter Name',
+    'detail.searchedSynonym': 'Du hast nach {name} gesucht, einem Synonym dieser Art.',
+    'detail.synonyms': 'Synonyme',
+    'detail.noSynonyms': 'Keine Synonyme verzeichnet.',
+    'detail.commonNames': 'Trivialnamen',
+    'detail.noCommonNames': 'Keine Trivialnamen verzeichnet.',
+    'detail.unknownLanguage': 'Unbekannte Sprache',
+    'detail.yourSightings': 'Deine Sichtungen',
+    'detail.yourSightingsIn': 'Deine Sichtungen in dieser Gruppe ({rank})',
+    'detail.nothingCollected': 'Hier wurde noch nichts gesammelt.',
+    'detail.sightingAlt': 'Deine Sichtung von {name}',
+    'detail.noDate': 'Datum nicht erfasst',
+    'detail.noLocation': 'Ort nicht erfasst',
+    'locationSource.exif': 'aus dem Foto',
+    'locationSource.device': 'vom Gerät',
+    'locationSource.manual': 'manuell eingegeben',
+    'locationSource.import': 'importiert',
+    'detail.identifiedAs': 'Bestimmt als {name}',
+    'detail.confidence': '({percent} % Konfidenz)',
+    'detail.unidentifiedEntry': '{name} sp. ({rank}, nicht bestimmt)',
+    'detail.sightings': { one: '{count} Sichtung', other: '{count} Sichtungen' },
+    'detail.lastSeen': ', zuletzt {date}',
+    'batch.pending': 'Wartet…',
+    'batch.identifying': 'Wird bestimmt…',
+    'batch.ready': 'Art auswählen',
+    'batch.failed': 'Fehlgeschlagen',
+    'batch.confirmed': 'Hinzugefügt',
+    'batch.skipped': 'Übersprungen',
+    'batch.progress': 'Importierte Fotos: {identified} von {total} bestimmt, {reviewed} geprüft',
+    'batch.clear': 'Geprüfte entfernen',
+    'batch.addedAs': 'Hinzugefügt als {name}',
+    'batch.suggestedBy': 'Vorgeschlagen von {providers}',
+    'batch.noneDetected': 'Keine Art erkannt.',
+    'batch.skip': 'Überspringen',
+    'batch.retry': 'Erneut versuchen',
+    'region.help': { one: '{count} Organismus in diesem Foto gefunden. Wähle ihn aus, um ihn einzeln zu bestimmen.', other: '{count} Organismen in diesem Foto gefunden. Wähle einen aus, um ihn einzeln zu bestimmen, und komm dann für die anderen zurück.' },
+    'region.alt': 'Erkannte Organismen',
+    'region.identify': '{name} bestimmen',
+    'region.wholePhoto': 'Ganzes Foto verwenden',
+    'region.done': 'Fertig',
+    'crop.help': 'Motiv klein oder weit weg? Zieh einen Rahmen darum, um heranzuzoomen, oder bestimme das ganze Foto.',
+    'crop.alt': 'Zu bestimmendes Foto',
+    'crop.identifySelection': 'Auswahl bestimmen',
+    'crop.identifyWhole': 'Ganzes Foto bestimmen',
+    'crop.clear': 'Auswahl aufheben',
+    'progress.speciesCollected': 'gesammelte Arten',
+    'progress.cladesComplete': 'vollständige Kladen',
+    'progress.achievements': 'Erfolge',
+    'progress.closest': 'Fast vollständig',
+    'progress.nothingInProgress': 'Noch nichts in Arbeit.',
+    'progress.found': '{found}/{total} {children} gefunden, {left} fehlen noch',
+    'progress.recent': 'Neueste Entdeckungen',
+    'progress.noSightings': 'Noch keine Sichtungen.',
+    'progress.achievementsTitle': 'Erfolge',
+    'progress.noAchievements': 'Sammle eine Art, um deinen ersten Erfolg zu erhalten.',
+    'progress.allClades': 'Alle Kladen',
+    'table.commonName': 'Trivialname',
+    'table.scientificName': 'Wissenschaftlicher Name',
+    'table.addedAt': 'Hinzugefügt am',
+    'table.sightings': 'Sichtungen',
+    'table.filter': 'Nach Namen filtern',
+    'table.all': 'Alle',
+    'table.addedFrom': 'Hinzugefügt von',
+    'table.addedTo': 'bis',
+    'table.count': '{shown} von {total} Arten',
+    'map.show': 'Anzeigen',
+    'map.allSightings': 'Alle Sichtungen',
+    'map.colourBy': 'Einfärben nach',
+    'map.reset': 'Zurücksetzen',
+    'map.located': '{located} von {total} Sichtungen haben einen Ort',
+    'map.cluster': '{sightings} Sichtungen von {species} Arten',
+    'map.unknownGroup': 'Unbekannt',
+    'map.seenHere': 'Hier gesehene Arten:',
+    'children.domain': 'Reiche',
+    'children.kingdom': 'Stämme',
+    'children.phylum': 'Klassen',
+    'children.class': 'Ordnungen',
+    'children.order': 'Familien',
+    'children.family': 'Gattungen',
+    'children.genus': 'Arten',
+    'children.other': 'Untergruppen',
+    'achievement.first.title': 'Erste Entdeckung',
+    'achievement.first.description': 'Deine erste Art gesammelt',
+    'achievement.species.title': '{count} Arten',
+    'achievement.species.description': '{count} verschiedene Arten gesammelt',
+    'achievement.new.title': 'Neu ({rank}): {name}',
+    'achievement.new.description': 'Deine erste Art in {rank} {name} gesammelt',
+    'achievement.complete.title': '{name} vollständig',
+    'achievement.complete.description': 'Alle {children} von {rank} {name} gefunden',
+    'error.photo.heicUnsupported': 'Dieser Browser kann keine HEIC-Fotos lesen. Stelle das Kameraformat auf JPEG („Maximale Kompatibilität“) um oder wähle eine JPEG-Kopie des Fotos.',
+    'error.photo.decodeFailed': 'Dieses Foto konnte nicht gelesen werden.',
+    'error.photo.encodeFailed': 'Dieses Foto konnte nicht zum Hochladen vorbereitet werden.',
+    'error.photo.tooLarge': 'Dieses Foto ist auch verkleinert zu groß zum Hochladen.'
+  },
+  cy: {
+    'app.language': 'Iaith',
+    'language.help': "Dangosir enwau cyffredin yn yr iaith gyntaf a diciwyd sydd ag un, yna'r nesaf. Mae'r ap yn defnyddio'r gyntaf.",
+    'language.moveUp': 'Symud {language} i fyny',
+    'language.done': 'Gorffen',
+    'view.tree': 'Coeden',
+    'view.radial': 'Rheiddiol',
+    'view.dex': 'Dex',
+    'view.table': 'Tabl',
+    'view.progress': 'Cynnydd',
+    'view.map': 'Map',
+    'rank.domain': 'Parth',
+    'rank.kingdom': 'Teyrnas',
+    'rank.phylum': 'Ffylwm',
+    'rank.class': 'Dosbarth',
+    'rank.order': 'Urdd',
+    'rank.family': 'Teulu',
+    'rank.genus': 'Genws',
+    'rank.subkingdom': 'Isdeyrnas',
+    'rank.infrakingdom': 'Mewndeyrnas',
+    'rank.superphylum': 'Uwchffylwm',
+    'rank.subphylum': 'Isffylwm',
+    'rank.infraphylum': 'Mewnffylwm',
+    'rank.superclass': 'Uwchddosbarth',
+    'rank.subclass': 'Isddosbarth',
+    'rank.infraclass': 'Mewnddosbarth',
+    'rank.superorder': 'Uwchurdd',
+    'rank.suborder': 'Isurdd',
+    'rank.infraorder': 'Mewnurdd',
+    'rank.superfamily': 'Uwchdeulu',
+    'rank.subfamily': 'Isdeulu',
+    'rank.tribe': 'Llwyth',
+    'rank.subtribe': 'Isllwyth',
+    'rank.subgenus': 'Isgenws',
+    'rank.section': 'Adran',
+    'rank.subspecies': 'Isrywogaeth',
+    'rank.variety': 'Amrywiad',
+    'rank.form': 'Ffurf',
+    'rank.species': 'Rhywogaeth',
+    'rank.taxon': 'Tacson',
+    'rankNoun.domain': 'parth',
+    'rankNoun.kingdom': 'teyrnas',
+    'rankNoun.phylum': 'ffylwm',
+    'rankNoun.class': 'dosbarth',
+    'rankNoun.order': 'urdd',
+    'rankNoun.family': 'teulu',
+    'rankNoun.genus': 'genws',
+    'rankNoun.species': 'rhywogaeth',
+    'rankNoun.taxon': 'tacson',
+    'match.EXACT': 'enw union',
+    'match.FUZZY': 'sillafiad tebyg',
+    'match.VERNACULAR': 'enw cyffredin',
+    'match.UNRESOLVED': "heb ei wirio yn erbyn GBIF",
+    'search.label': 'Chwilio am rywogaeth:',
+    'search.placeholder': "Rhowch enw rhywogaeth (e.e. 'Robin Goch' neu 'Erithacus rubecula')",
+    'search.submit': 'Chwilio',
+    'search.searching': "Wrthi'n chwilio...",
+    'photo.label': 'Tynnu neu uwchlwytho llun:',
+    'photo.identifying': "Wrthi'n adnabod y rhywogaeth...",
+    'photo.uploaded': 'Wedi uwchlwytho',
+    'import.label': 'Mewnforio sawl llun:',
+    'tree.find': 'Canfod',
+    'tree.next': 'Nesaf',
+    'tree.findPlaceholder': 'Chwilio yn y goeden',
+    'tree.noMatches': 'Dim canlyniadau',
+    'tree.matches': { other: '{count} canlyniad' },
+    'tree.matchPosition': { other: '{index} o {count} canlyniad' },
+    'tree.fit': "Ffitio i'r sgrin",
+    'tree.expandAll': 'Agor y cyfan',
+    'tree.focusedOn': 'Yn canolbwyntio ar {path}',
+    'tree.showWhole': 'Dangos y goeden gyfan',
+    'tree.collapse': 'Cau',
+    'tree.expandHidden': { other: "Agor ({count} rhywogaeth wedi'u cuddio)" },
+    'tree.hidden': { other: "{count} rhywogaeth wedi'u cuddio" },
+    'tree.unidentified': 'Heb ei adnabod ({rank})',
+    'tree.unknownRank': 'Anhysbys ({rank})',
+    'tree.subRanks': 'Dangos is-rengoedd',
+    'modal.title': "Dewiswch y rhywogaeth a ganfuwyd",
+    'modal.intro': "Gwelsom sawl rhywogaeth bosibl yn eich llun. Dewiswch yr un sy'n cyfateb orau i'r hyn a dynnoch chi:",
+    'modal.noImage': 'Dim llun',
+    'modal.confidence': 'Hyder:',
+    'modal.source': 'Ffynhonnell:',
+    'modal.speciesDetection': 'Canfod rhywogaeth benodol',
+    'modal.generalDetection': 'Canfod cyffredinol',
+    'modal.suggestedBy': 'Awgrymwyd gan:',
+    'modal.select': 'Dewis',
+    'modal.cancel': 'Canslo',
+    'modal.noneCorrect': "Does dim un o'r rhain yn gywir",
+    'notice.queuedIdentified': { other: "Cafodd {count} llun o'r ciw eu hadnabod." },
+    'notice.achievement': 'Camp wedi ei datgloi: {title}',
+    'notice.achievements': { other: '{count} camp wedi eu datgloi!' },
+    'transfer.menu': 'Allforio / mewnforio',
+    'transfer.export.csv': 'Allforio CSV',
+    'transfer.export.dwca': 'Allforio archif Darwin Core',
+    'transfer.export.json': 'Allforio copi wrth gefn JSON',
+    'transfer.import': 'Mewnforio copi wrth gefn neu ffeil Darwin Core…',
+    'notice.imported': 'Mewnforiwyd {species} rhywogaeth newydd a {sightings} cofnod gweld newydd.',
+    'notice.importSkipped': { other: 'Hepgorwyd {count} rhes heb dacson defnyddiol.' },
+    'error.import': 'Methu mewnforio {file}: {message}',
+    'account.signIn': 'Mewngofnodi',
+    'account.anonymous': 'Dienw',
+    'account.signOut': 'Allgofnodi',
+    'account.title.signIn': 'Mewngofnodi',
+    'account.title.register': 'Creu cyfrif',
+    'account.title.forgot': 'Wedi anghofio eich cyfrinair?',
+    'account.title.reset': 'Dewiswch gyfrinair newydd',
+    'account.help': 'Mewngofnodwch i gadw eich casgliad yn eich cyfrif a\'i ddefnyddio ar ddyfeisiau eraill. Bydd popeth a gasglwyd ar y ddyfais hon yn cael ei ychwanegu ato.',
+    'account.name': 'Enw',
+    'account.email': 'E-bost',
+    'account.password': 'Cyfrinair',
+    'account.passwordConfirmation': 'Cadarnhau cyfrinair',
+    'account.working': 'Arhoswch…',
+    'account.submit.signIn': 'Mewngofnodi',
+    'account.submit.register': 'Creu cyfrif',
+    'account.submit.forgot': 'Anfon dolen ailosod',
+    'account.submit.reset': 'Ailosod cyfrinair',
+    'account.toRegister': 'Creu cyfrif',
+    'account.toForgot': 'Wedi anghofio cyfrinair?',
+    'account.toSignIn': 'Yn ôl i fewngofnodi',
+    'account.continueAnonymously': 'Parhau heb gyfrif',
+    'notice.accountMerged': { other: 'Ychwanegwyd {count} rhywogaeth o\'r ddyfais hon at eich cyfrif.' },
+    'notice.signedOut': 'Wedi allgofnodi. Mae eich casgliad yn dal yn eich cyfrif.',
+    'error.signOut': 'Methu allgofnodi. Rhowch gynnig arall arni.',
+    'history.add': 'Ychwanegwyd {name}',
+    'history.remove': 'Tynnwyd {name}',
+    'history.reclassify': 'Newidiwyd {name}',
+    'history.undone': 'Dadwnaed: {change}',
+    'history.redone': 'Ailwnaed: {change}',
+    'history.undo': 'Dadwneud',
+    'history.redo': 'Ailwneud',
+    'history.undoShortcut': 'Dadwneud y newid diwethaf i\'r casgliad (Ctrl+Z)',
+    'history.redoShortcut': 'Ailwneud y newid diwethaf a ddadwnaed (Ctrl+Shift+Z)',
+    'history.dismiss': 'Cau',
+    'detail.replaceTitle': 'Rhywogaeth anghywir?',
+    'detail.replacePlaceholder': 'Rhoi rhywogaeth arall yn ei lle',
+    'detail.replace': 'Newid',
+    'detail.replacing': 'Yn newid…',
+    'detail.remove': 'Tynnu o\'r casgliad',
+    'detail.replaceHelp': 'Mae\'r gweldiadau\'n symud i\'r rhywogaeth newydd. Gellir dadwneud y naill newid neu\'r llall.',
+    'detail.refineTitle': 'Mireinio i rywogaeth',
+    'detail.refinePlaceholder': 'Rhywogaeth yn {name}',
+    'detail.refine': 'Mireinio',
+    'detail.refining': 'Yn mireinio…',
+    'picker.title': 'Adnabod i reng uwch',
+    'picker.help': 'Ddim yn siŵr o\'r rhywogaeth? Cofnodwch hi fel rhyw fath o genws, teulu neu urdd. Gallwch ei mireinio i rywogaeth yn nes ymlaen o\'r goeden.',
+    'picker.lookingUp': 'Yn chwilio…',
+    'picker.basedOn': 'Yn seiliedig ar {name}:',
+    'picker.someKind': 'Rhyw fath o {name}',
+    'picker.wrongRank': 'Mae {name} yn {rank}; rhowch gynnig ar enw genws, teulu neu urdd.',
+    'picker.placeholder': 'Neu teipiwch genws, teulu neu urdd, e.e. Syrphidae',
+    'picker.lookUp': 'Chwilio',
+    'error.gbifUnreachable': 'Methu cyrraedd GBIF. Rhowch gynnig arall arni.',
+    'history.migrate': 'Diweddarwyd {name}',
+    'taxonomy.menu': 'Newidiadau tacsonomeg',
+    'taxonomy.checkNow': 'Gwirio nawr',
+    'taxonomy.checking': 'Yn gwirio yn erbyn GBIF…',
+    'taxonomy.checkedAt': 'Gwiriwyd ddiwethaf {date}',
+    'taxonomy.neverChecked': 'Heb ei wirio eto',
+    'taxonomy.none': 'Mae pob cofnod yn cyfateb i dacsonomeg bresennol GBIF.',
+    'taxonomy.help': 'Mae GBIF wedi newid y cofnodion hyn ers i chi eu hychwanegu. Mae derbyn yn symud y cofnod a\'i weldiadau; gellir ei ddadwneud.',
+    'taxonomy.status.synonym': 'Mae\'r enw bellach yn gyfystyr ({status})',
+    'taxonomy.status.changed': 'Dosbarthiad wedi newid',
+    'taxonomy.rankChange': '{rank}: {from} → {to}',
+    'taxonomy.accept': 'Derbyn',
+    'taxonomy.acceptAll': 'Derbyn y cyfan',
+    'taxonomy.entries': { other: '{count} cofnod' },
+    'error.taxonomyCheck': 'Methu gwirio\'r casgliad am newidiadau tacsonomeg.',
+    'error.sameSpecies': 'Mae\'r cofnod hwn eisoes yn {name}.',
+    'error.identifyRequest': "Methu adnabod y rhywogaeth",
+    'error.noGbifInfo': 'Dim gwybodaeth GBIF am "{name}".',
+    'error.details': 'Gwall wrth nôl manylion "{name}".',
+    'error.lookup': 'Methu chwilio am "{name}". Rhowch gynnig arall arni.',
+    'error.noSpeciesFound': 'Dim rhywogaeth ar gyfer "{name}".',
+    'error.notWithin': "Nid yw {species} yn perthyn i {rank} {taxon}.",
+    'error.noTaxonFound': 'Dim tacson ar gyfer "{name}".',
+    'error.noResults': 'Ni chafwyd canlyniadau ar gyfer "{name}".',
+    'error.addFailed': "Methu ychwanegu'r rhywogaeth at y goeden. Rhowch gynnig arall arni.",
+    'error.noSelection': 'Dim rhywogaeth wedi ei dewis.',
+    'error.noResultsSelected': "Ni chafwyd canlyniadau ar gyfer y rhywogaeth a ddewiswyd.",
+    'error.addSelected': "Gwall wrth ychwanegu'r rhywogaeth a ddewiswyd.",
+    'error.couldNotIdentify': "Methu adnabod y rhywogaeth yn y llun.",
+    'error.noneDetected': "Ni chanfuwyd rhywogaeth yn y llun.",
+    'error.identify': 'Gwall wrth adnabod y rhywogaeth: {message}',
+    'error.offlineRetry': "All-lein, bydd yn ceisio eto pan ddaw'r cysylltiad yn ôl",
+    'error.search': 'Gwall wrth chwilio am "{name}".',
+    'error.notObservable': "Mae {name} yn {rank}; dewiswch rywogaeth, genws, teulu neu urdd i gofnodi gweld.",
+    'detail.focus': 'Canolbwyntio ar y grŵp hwn ({rank})',
+    'detail.close': 'Cau',
+    'detail.imageSource': 'Delwedd: {source}',
+    'detail.loading': 'Yn llwytho manylion o GBIF…',
+    'detail.classification': 'Dosbarthiad',
+    'detail.status': 'Statws tacsonomig',
+    'detail.statusUnknown': 'anhysbys',
+    'taxonomicStatus.accepted': 'derbyniol',
+    'taxonomicStatus.doubtful': 'amheus',
+    'taxonomicStatus.synonym': 'cyfystyr',
+    'taxonomicStatus.heterotypic_synonym': 'cyfystyr heterodeipig',
+    'taxonomicStatus.homotypic_synonym': 'cyfystyr homodeipig',
+    'taxonomicStatus.proparte_synonym': 'cyfystyr pro parte',
+    'taxonomicStatus.misapplied': 'enw a gamddefnyddiwyd',
+    'detail.searchedSynonym': "Fe wnaethoch chwilio am {name}, cyfystyr i'r rhywogaeth hon.",
+    'detail.synonyms': 'Cyfystyron',
+    'detail.noSynonyms': "Dim cyfystyron wedi'u cofnodi.",
+    'detail.commonNames': 'Enwau cyffredin',
+    'detail.noCommonNames': "Dim enwau cyffredin wedi'u cofnodi.",
+    'detail.unknownLanguage': 'Iaith anhysbys',
+    'detail.yourSightings': 'Eich cofnodion gweld',
+    'detail.yourSightingsIn': 'Eich cofnodion gweld yn y grŵp hwn ({rank})',
+    'detail.nothingCollected': "Dim byd wedi'i gasglu yma eto.",
+    'detail.sightingAlt': 'Eich cofnod gweld o {name}',
+    'detail.noDate': 'Dyddiad heb ei gofnodi',
+    'detail.noLocation': 'Lleoliad heb ei gofnodi',
+    'locationSource.exif': "o'r llun",
+    'locationSource.device': "o'r ddyfais",
+    'locationSource.manual': "wedi'i roi â llaw",
+    'locationSource.import': "wedi'i fewnforio",
+    'detail.identifiedAs': 'Wedi adnabod fel {name}',
+    'detail.confidence': '({percent}% o hyder)',
+    'detail.unidentifiedEntry': '{name} sp. ({rank} heb ei adnabod)',
+    'detail.sightings': { other: '{count} cofnod gweld' },
+    'detail.lastSeen': ', yr olaf {date}',
+    'batch.pending': 'Yn aros…',
+    'batch.identifying': 'Yn adnabod…',
+    'batch.ready': 'Dewiswch rywogaeth',
+    'batch.failed': 'Wedi methu',
+    'batch.confirmed': "Wedi'i ychwanegu",
+    'batch.skipped': "Wedi'i hepgor",
+    'batch.progress': "Lluniau wedi'u mewnforio: {identified} o {total} wedi'u hadnabod, {reviewed} wedi'u hadolygu",
+    'batch.clear': "Clirio'r rhai a adolygwyd",
+    'batch.addedAs': "Wedi'i ychwanegu fel {name}",
+    'batch.suggestedBy': 'Awgrymwyd gan {providers}',
+    'batch.noneDetected': 'Ni chanfuwyd unrhyw rywogaeth.',
+    'batch.skip': 'Hepgor',
+    'batch.retry': 'Ceisio eto',
+    'region.help': { other: "Canfuwyd {count} organeb yn y llun hwn. Dewiswch un i'w adnabod ar ei ben ei hun; dewch yn ôl am y lleill." },
+    'region.alt': 'Organebau a ganfuwyd',
+    'region.identify': 'Adnabod {name}',
+    'region.wholePhoto': "Defnyddio'r llun cyfan",
+    'region.done': 'Gorffen',
+    'crop.help': "Gwrthrych bach neu bell? Llusgwch flwch o'i gwmpas i chwyddo, neu adnabod y llun cyfan.",
+    'crop.alt': "Llun i'w adnabod",
+    'crop.identifySelection': 'Adnabod y dewis',
+    'crop.identifyWhole': 'Adnabod y llun cyfan',
+    'crop.clear': "Clirio'r dewis",
+    'progress.speciesCollected': "rhywogaethau wedi'u casglu",
+    'progress.cladesComplete': 'cladau cyflawn',
+    'progress.achievements': 'cyflawniadau',
+    'progress.closest': 'Agosaf at fod yn gyflawn',
+    'progress.nothingInProgress': 'Dim byd ar y gweill eto.',
+    'progress.found': '{found}/{total} {children} wedi dod o hyd, {left} ar ôl',
+    'progress.recent': 'Darganfyddiadau diweddar',
+    'progress.noSightings': 'Dim cofnodion gweld eto.',
+    'progress.achievementsTitle': 'Cyflawniadau',
+    'progress.noAchievements': 'Casglwch rywogaeth i ennill eich cyflawniad cyntaf.',
+    'progress.allClades': 'Pob clad',
+    'table.commonName': 'Enw cyffredin',
+    'table.scientificName': 'Enw gwyddonol',
+    'table.addedAt': 'Dyddiad ychwanegu',
+    'table.sightings': 'Cofnodion gweld',
+    'table.filter': 'Hidlo yn ôl enw',
+    'table.all': 'Y cyfan',
+    'table.addedFrom': "Wedi'u hychwanegu o",
+    'table.addedTo': 'hyd at',
+    'table.count': '{shown} o {total} rhywogaeth',
+    'map.show': 'Dangos',
+    'map.allSightings': 'Pob cofnod gweld',
+    'map.colourBy': 'Lliwio yn ôl',
+    'map.reset': 'Ailosod',
+    'map.located': 'Mae gan {located} o {total} cofnod gweld leoliad',
+    'map.cluster': '{sightings} cofnod gweld o {species} rhywogaeth',
+    'map.unknownGroup': 'Anhysbys',
+    'map.seenHere': 'Rhywogaethau a welwyd yma:',
+    'children.domain': 'teyrnasoedd',
+    'children.kingdom': 'ffyla',
+    'children.phylum': 'dosbarthiadau',
+    'children.class': 'urddau',
+    'children.order': 'teuluoedd',
+    'children.family': 'genera',
+    'children.genus': 'rhywogaethau',
+    'children.other': 'is-grwpiau',
+    'achievement.first.title': 'Darganfyddiad cyntaf',
+    'achievement.first.description': 'Wedi casglu eich rhywogaeth gyntaf',
+    'achievement.species.title': '{count} rhywogaeth',
+    'achievement.species.description': 'Wedi casglu {count} rhywogaeth wahanol',
+    'achievement.new.title': 'Newydd ({rank}): {name}',
+    'achievement.new.description': 'Wedi casglu eich rhywogaeth gyntaf yn {rank} {name}',
+    'achievement.complete.title': '{name} yn gyflawn',
+    'achievement.complete.description': 'Wedi dod o hyd i bob un o {children} {rank} {name}',
+    'error.photo.heicUnsupported': "Ni all y porwr hwn ddarllen lluniau HEIC. Newidiwch fformat y camera i JPEG (\"Most Compatible\") neu dewiswch gopi JPEG o'r llun.",
+    'error.photo.decodeFailed': 'Methu darllen y llun hwn.',
+    'error.photo.encodeFailed': "Methu paratoi'r llun hwn i'w lwytho i fyny.",
+    'error.photo.tooLarge': "Mae'r llun hwn yn rhy fawr i'w lwytho i fyny, hyd yn oed ar ôl newid ei faint."
+  }
+};
+
+const languageFor = (code) => LANGUAGES.find(language => language.code === code);
+
+// Preferred languages from the browser, with English as the last resort
+const defaultLanguages = () => {
+  const browser = (typeof navigator !== 'undefined' && (navigator.languages || [navigator.language])) || [];
+  const codes = browser
+    .map(tag => LANGUAGES.find(language => language.locale === String(tag).split('-')[0].toLowerCase()))
+    .filter(Boolean)
+    .map(language => language.code);
+  return [...new Set([...codes, 'eng'])];
+};
+
+// The user's languages, most preferred first
+export const loadLanguages = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    const known = Array.isArray(saved) ? saved.filter(languageFor) : [];
+    return known.length > 0 ? known : defaultLanguages();
+  } catch {
+    return defaultLanguages();
+  }
+};
+
+export const saveLanguages = (languages) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(languages));
+  } catch {
+    // Storage full or disabled; the setting just won't survive a reload
+  }
+};
+
+// Locale of the UI, from the most preferred language
+export const uiLocale = (languages) => {
+  const language = languageFor(languages[0]);
+  return language ? language.locale : 'en';
+};
+
+// Display name of an ISO 639-3 code in the UI locale, e.g. 'cym' -> 'Welsh'
+export const languageName = (code, locale) => {
+  if (!code) return null;
+  try {
+    return new Intl.DisplayNames([locale], { type: 'language' }).of(code) || code;
+  } catch {
+    return code;
+  }
+};
+
+// A rank as a label ('Genus') or mid-sentence ('genus') in the UI language
+// of `t`; ranks without a translation are shown as GBIF names them
+export const rankText = (t, kind, rank) => {
+  const key = `${kind}.${(rank || 'taxon').toLowerCase()}`;
+  const text = t(key);
+  if (text !== key) return text;
+  return kind === 'rankNoun' ? rank.toLowerCase() : rank.charAt(0).toUpperCase() + rank.slice(1).toLowerCase();
+};
+
+// Look up `key` in the locale's strings, falling back to English, and fill in
+// {placeholders} from `values`. A `count` value picks the plural form.
+export const translate = (locale, key, values = {}) => {
+  const strings = MESSAGES[locale] && MESSAGES[locale][key] !== undefined ? MESSAGES[locale] : MESSAGES.en;
+  let text = strings[key];
+  if (text === undefined) return key;
+  if (typeof text === 'object') {
+    const rulesLocale = strings === MESSAGES[locale] ? locale : 'en';
+    text = text[new Intl.PluralRules(rulesLocale).select(values.count)] || text.other;
+  }
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match));
+};
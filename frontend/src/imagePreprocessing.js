@@ -0,0 +1,119 @@
+// Prepares a photo for /api/identify-species: crop to the chosen region,
+// downscale, and re-encode as JPEG under the backend's 4 MB upload limit.
+// Drawing through a canvas also drops every EXIF tag, so the capture time and
+// GPS position (read locally by photoUtils) never leave the device.
+
+// The backend validates `max:4096` kilobytes; keep a little headroom
+export const MAX_UPLOAD_BYTES = 4 * 1024 * 1024 - 64 * 1024;
+
+// Identification models work on far smaller inputs than a phone camera produces
+const MAX_DIMENSION = 2048;
+const MIN_DIMENSION = 512;
+const QUALITY_STEPS = [0.9, 0.8, 0.7, 0.6];
+
+// The English message is for logs; `code` picks the translated one (error.photo.*)
+const photoError = (code, message) => Object.assign(new Error(message), { code });
+
+export const isHeic = (file) =>
+  /^image\/hei[cf]/i.test(file.type || '') || /\.hei[cf]$/i.test(file.name || '');
+
+const loadImageElement = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const img = new Image();
+  img.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(img);
+  };
+  img.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(photoError('decodeFailed', 'Could not decode image'));
+  };
+  img.src = url;
+});
+
+// Decode any format the browser understands (HEIC only where the platform
+// supports it, e.g. Safari). Resolves to { source, width, height } where
+// `source` can be drawn on a canvas.
+export const decodeImage = async (file) => {
+  if (typeof createImageBitmap === 'function') {
+    try {
+      const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+      return { source: bitmap, width: bitmap.width, height: bitmap.height };
+    } catch {
+      // Fall through to <img>, which some browsers decode more formats with
+    }
+  }
+  try {
+    const img = await loadImageElement(file);
+    return { source: img, width: img.naturalWidth, height: img.naturalHeight };
+  } catch (err) {
+    if (isHeic(file)) {
+      throw photoError('heicUnsupported', 'This browser cannot read HEIC photos. Change the camera format to JPEG ("Most Compatible") or pick a JPEG copy of the photo.');
+    }
+    throw err;
+  }
+};
+
+// Grow a crop by `margin` of its size on every side, staying inside the photo,
+// so a tight detection box keeps a little context around the subject
+export const expandCrop = (crop, margin = 0.1) => {
+  const x = Math.max(0, crop.x - crop.width * margin);
+  const y = Math.max(0, crop.y - crop.height * margin);
+  return {
+    x,
+    y,
+    width: Math.min(1, crop.x + crop.width * (1 + margin)) - x,
+    height: Math.min(1, crop.y + crop.height * (1 + margin)) - y
+  };
+};
+
+const canvasToBlob = (canvas, quality) => new Promise((resolve, reject) => {
+  canvas.toBlob(
+    blob => (blob ? resolve(blob) : reject(photoError('encodeFailed', 'Could not encode image'))),
+    'image/jpeg',
+    quality
+  );
+});
+
+const jpegName = (name) => `${(name || 'photo').replace(/\.[^.]+$/, '')}.jpg`;
+
+// Crop is given as fractions of the image, { x, y, width, height } in 0..1,
+// so it doesn't depend on the size the photo was displayed at.
+// Resolves to a new JPEG File without metadata.
+export const prepareUpload = async (file, crop = null) => {
+  const { source, width, height } = await decodeImage(file);
+  const region = crop
+    ? {
+      x: Math.round(crop.x * width),
+      y: Math.round(crop.y * height),
+      width: Math.max(1, Math.round(crop.width * width)),
+      height: Math.max(1, Math.round(crop.height * height))
+    }
+    : { x: 0, y: 0, width, height };
+
+  const canvas = document.createElement('canvas');
+  let maxDimension = MAX_DIMENSION;
+  try {
+    while (true) {
+      const scale = Math.min(1, maxDimension / Math.max(region.width, region.height));
+      canvas.width = Math.max(1, Math.round(region.width * scale));
+      canvas.height = Math.max(1, Math.round(region.height * scale));
+      canvas.getContext('2d').drawImage(
+        source,
+        region.x, region.y, region.width, region.height,
+        0, 0, canvas.width, canvas.height
+      );
+
+      for (const quality of QUALITY_STEPS) {
+        const blob = await canvasToBlob(canvas, quality);
+        if (blob.size <= MAX_UPLOAD_BYTES) {
+          return new File([blob], jpegName(file.name), { type: 'image/jpeg', lastModified: file.lastModified });
+        }
+      }
+      if (maxDimension <= MIN_DIMENSION) throw photoError('tooLarge', 'Photo is too large to upload even after resizing');
+      maxDimension = Math.max(MIN_DIMENSION, Math.round(maxDimension * 0.75));
+    }
+  } finally {
+    if (typeof source.close === 'function') source.close();
+  }
+};
@@ -0,0 +1,74 @@
+// Small promise wrapper around the IndexedDB database shared by the app and
+// the service worker. Each store is a plain key/value store.
+
+const DB_NAME = 'speciesdex';
+const DB_VERSION = 2;
+
+export const STORES = {
+  // Cached GBIF and /api taxon responses, keyed by request URL
+  taxonResponses: 'taxonResponses',
+  // Results of identifications replayed by background sync, not yet shown
+  replayedIdentifications: 'replayedIdentifications',
+  // Photos imported together for review, keyed by item id (added in version 2)
+  batchQueue: 'batchQueue'
+};
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        for (const name of Object.values(STORES)) {
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async (storeName, mode, callback) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = callback(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+export const idbGet = (storeName, key) =>
+  withStore(storeName, 'readonly', store => store.get(key));
+
+export const idbPut = (storeName, key, value) =>
+  withStore(storeName, 'readwrite', store => store.put(value, key));
+
+export const idbDelete = (storeName, key) =>
+  withStore(storeName, 'readwrite', store => store.delete(key));
+
+// Resolves to an array of { key, value } pairs
+export const idbGetAll = async (storeName) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    const tx = db.transaction(storeName, 'readonly');
+    const request = tx.objectStore(storeName).openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      entries.push({ key: cursor.key, value: cursor.value });
+      cursor.continue();
+    };
+    tx.oncomplete = () => resolve(entries);
+    tx.onerror = () => reject(tx.error);
+  });
+};
@@ -0,0 +1,170 @@
+// Helpers for photos the user takes or uploads
+import { decodeImage } from './imagePreprocessing';
+
+// Downscale a photo to a small JPEG data URL that can be stored with the collection
+export const createThumbnail = async (file, maxSize = 320, quality = 0.7) => {
+  const { source, width, height } = await decodeImage(file);
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+  if (typeof source.close === 'function') source.close();
+  return canvas.toDataURL('image/jpeg', quality);
+};
+
+// EXIF tags we care about
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+const TAG_DATETIME = 0x0132;
+const TAG_DATETIME_ORIGINAL = 0x9003;
+const TAG_GPS_LATITUDE_REF = 0x0001;
+const TAG_GPS_LATITUDE = 0x0002;
+const TAG_GPS_LONGITUDE_REF = 0x0003;
+const TAG_GPS_LONGITUDE = 0x0004;
+
+// Read one IFD into a map of tag -> raw value (ASCII strings and rationals only)
+const readIfd = (view, tiffStart, ifdOffset, littleEndian) => {
+  const tags = {};
+  const entryCount = view.getUint16(tiffStart + ifdOffset, littleEndian);
+  for (let i = 0; i < entryCount; i++) {
+    const entry = tiffStart + ifdOffset + 2 + i * 12;
+    const tag = view.getUint16(entry, littleEndian);
+    const type = view.getUint16(entry + 2, littleEndian);
+    const count = view.getUint32(entry + 4, littleEndian);
+    const valueOffset = entry + 8;
+
+    if (type === 2) {
+      // ASCII: stored inline when it fits in four bytes
+      const start = count > 4 ? tiffStart + view.getUint32(valueOffset, littleEndian) : valueOffset;
+      let text = '';
+      for (let j = 0; j < count - 1; j++) text += String.fromCharCode(view.getUint8(start + j));
+      tags[tag] = text;
+    } else if (type === 5) {
+      // Unsigned rationals, always stored at an offset
+      const start = tiffStart + view.getUint32(valueOffset, littleEndian);
+      const values = [];
+      for (let j = 0; j < count; j++) {
+        const num = view.getUint32(start + j * 8, littleEndian);
+        const den = view.getUint32(start + j * 8 + 4, littleEndian);
+        values.push(den ? num / den : 0);
+      }
+      tags[tag] = values;
+    } else if (type === 4) {
+      tags[tag] = view.getUint32(valueOffset, littleEndian);
+    }
+  }
+  return tags;
+};
+
+// EXIF dates look like "2024:05:18 14:03:22" and carry no time zone
+const parseExifDate = (value) => {
+  const match = value && value.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+  if (!match) return null;
+  const [, y, mo, d, h, mi, sec] = match.map(Number);
+  const date = new Date(y, mo - 1, d, h, mi, sec);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const toDecimalDegrees = (dms, ref) => {
+  if (!Array.isArray(dms) || dms.length < 3) return null;
+  const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  return ref === 'S' || ref === 'W' ? -degrees : degrees;
+};
+
+// Offset of the TIFF header inside a JPEG's EXIF APP1 segment, or null
+const findJpegTiffStart = (view) => {
+  let offset = 2;
+  while (offset + 4 < view.byteLength) {
+    const marker = view.getUint16(offset);
+    const length = view.getUint16(offset + 2);
+    // APP1 segment starting with "Exif"
+    if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) return offset + 10;
+    // Start of scan: no more metadata segments follow
+    if (marker === 0xFFDA) break;
+    offset += 2 + length;
+  }
+  return null;
+};
+
+// HEIC keeps EXIF in an item of its own. Rather than walk the box structure,
+// look for "Exif\0\0" followed by a TIFF byte-order mark.
+const findEmbeddedTiffStart = (view) => {
+  for (let offset = 0; offset + 10 < view.byteLength; offset++) {
+    if (view.getUint32(offset) !== 0x45786966 || view.getUint16(offset + 4) !== 0) continue;
+    const order = view.getUint16(offset + 6);
+    if (order === 0x4949 || order === 0x4D4D) return offset + 6;
+  }
+  return null;
+};
+
+// Extract capture time and GPS position from a photo's EXIF block (JPEG or HEIC).
+// Resolves to { takenAt, latitude, longitude } with nulls for anything missing.
+export const readPhotoMetadata = async (file) => {
+  const empty = { takenAt: null, latitude: null, longitude: null };
+  try {
+    // EXIF sits near the start of the file, well inside the first 128 KB
+    const view = new DataView(await file.slice(0, 128 * 1024).arrayBuffer());
+    const tiffStart = view.getUint16(0) === 0xFFD8 ? findJpegTiffStart(view) : findEmbeddedTiffStart(view);
+    if (tiffStart === null) return empty;
+
+    const littleEndian = view.getUint16(tiffStart) === 0x4949;
+    const ifd0 = readIfd(view, tiffStart, view.getUint32(tiffStart + 4, littleEndian), littleEndian);
+    const exif = ifd0[TAG_EXIF_IFD] ? readIfd(view, tiffStart, ifd0[TAG_EXIF_IFD], littleEndian) : {};
+    const gps = ifd0[TAG_GPS_IFD] ? readIfd(view, tiffStart, ifd0[TAG_GPS_IFD], littleEndian) : {};
+    return {
+      takenAt: parseExifDate(exif[TAG_DATETIME_ORIGINAL] || ifd0[TAG_DATETIME]),
+      latitude: toDecimalDegrees(gps[TAG_GPS_LATITUDE], gps[TAG_GPS_LATITUDE_REF]),
+      longitude: toDecimalDegrees(gps[TAG_GPS_LONGITUDE], gps[TAG_GPS_LONGITUDE_REF])
+    };
+  } catch (err) {
+    console.error('Could not read photo metadata:', err);
+  }
+  return empty;
+};
+
+// Current device position, or null if unavailable or refused
+export const getDevicePosition = () => new Promise((resolve) => {
+  if (!navigator.geolocation) {
+    resolve(null);
+    return;
+  }
+  navigator.geolocation.getCurrentPosition(
+    (position) => resolve({
+      latitude: position.coords.latitude,
+      longitude: position.coords.longitude,
+      accuracy: position.coords.accuracy
+    }),
+    () => resolve(null),
+    { enableHighAccuracy: true, timeout: 10000, maximumAge: 60000 }
+  );
+});
+
+// Build the sighting metadata for a photo: time and place from EXIF, falling
+// back to the device clock and position when the photo was taken just now
+export const collectSightingMetadata = async (file) => {
+  const [thumbnail, exif] = await Promise.all([
+    createThumbnail(file).catch(() => null),
+    readPhotoMetadata(file)
+  ]);
+
+  const takenAt = exif.takenAt || (file.lastModified ? new Date(file.lastModified).toISOString() : null);
+  const takenRecently = takenAt && Date.now() - new Date(takenAt).getTime() < 60 * 60 * 1000;
+
+  let location = null;
+  if (exif.latitude !== null && exif.longitude !== null) {
+    location = { latitude: exif.latitude, longitude: exif.longitude, locationSource: 'exif' };
+  } else if (takenRecently) {
+    // Only trust the device position for a fresh camera capture, not an old gallery photo
+    const position = await getDevicePosition();
+    if (position) location = { latitude: position.latitude, longitude: position.longitude, locationSource: 'device' };
+  }
+
+  return {
+    observedAt: takenAt || new Date().toISOString(),
+    latitude: location ? location.latitude : null,
+    longitude: location ? location.longitude : null,
+    locationSource: location ? location.locationSource : null,
+    photoThumbnail: thumbnail
+  };
+};
@@ -0,0 +1,96 @@
+import { Blob } from 'buffer';
+import { readPhotoMetadata } from './photoUtils';
+
+const ascii = (text) => [...text].map(c => c.charCodeAt(0));
+
+// A TIFF block with DateTimeOriginal in the EXIF IFD and a GPS IFD, laid out
+// as header (8) | IFD0 (30) | EXIF IFD (18) | date (20) | GPS IFD (54) | rationals (48)
+const tiffBlock = ({ takenAt, latitude, longitude, littleEndian = false }) => {
+  const view = new DataView(new ArrayBuffer(178));
+  const u16 = (offset, value) => view.setUint16(offset, value, littleEndian);
+  const u32 = (offset, value) => view.setUint32(offset, value, littleEndian);
+  const entry = (offset, tag, type, count, value) => {
+    u16(offset, tag);
+    u16(offset + 2, type);
+    u32(offset + 4, count);
+    if (type === 2 && count <= 4) ascii(value).forEach((byte, i) => view.setUint8(offset + 8 + i, byte));
+    else u32(offset + 8, value);
+  };
+  const rationals = (offset, [degrees, minutes, [seconds, per]]) => {
+    [[degrees, 1], [minutes, 1], [seconds, per]].forEach(([num, den], i) => {
+      u32(offset + i * 8, num);
+      u32(offset + i * 8 + 4, den);
+    });
+  };
+
+  u16(0, littleEndian ? 0x4949 : 0x4D4D);
+  u16(2, 0x002A);
+  u32(4, 8);
+
+  u16(8, 2);
+  entry(10, 0x8769, 4, 1, 38);
+  entry(22, 0x8825, 4, 1, 76);
+
+  u16(38, 1);
+  entry(40, 0x9003, 2, 20, 56);
+  ascii(`${takenAt}\0`).forEach((byte, i) => view.setUint8(56 + i, byte));
+
+  u16(76, 4);
+  entry(78, 0x0001, 2, 2, `${latitude.ref}\0`);
+  entry(90, 0x0002, 5, 3, 130);
+  entry(102, 0x0003, 2, 2, `${longitude.ref}\0`);
+  entry(114, 0x0004, 5, 3, 154);
+  rationals(130, latitude.dms);
+  rationals(154, longitude.dms);
+
+  return new Uint8Array(view.buffer);
+};
+
+const segment = (marker, payload) => [0xFF, marker, (payload.length + 2) >> 8, (payload.length + 2) & 0xFF, ...payload];
+
+const jpeg = (...segments) => new Uint8Array([0xFF, 0xD8, ...segments.flat(), 0xFF, 0xDA, 0x00, 0x02, 0xFF, 0xD9]);
+
+const exifSegment = (tiff) => segment(0xE1, [...ascii('Exif\0\0'), ...tiff]);
+
+const asFile = (bytes) => new Blob([bytes]);
+
+const london = {
+  takenAt: '2024:05:18 14:03:22',
+  latitude: { ref: 'N', dms: [51, 30, [36, 1]] },
+  longitude: { ref: 'E', dms: [0, 7, [396, 10]] }
+};
+
+describe('readPhotoMetadata', () => {
+  test('reads the capture time and position from a JPEG', async () => {
+    const metadata = await readPhotoMetadata(asFile(jpeg(exifSegment(tiffBlock(london)))));
+
+    expect(metadata.takenAt).toBe(new Date(2024, 4, 18, 14, 3, 22).toISOString());
+    expect(metadata.latitude).toBeCloseTo(51.51, 6);
+    expect(metadata.longitude).toBeCloseTo(0.12767, 5);
+  });
+
+  test('southern and western positions are negative, in either byte order', async () => {
+    const hobart = { ...london, latitude: { ref: 'S', dms: [42, 52, [48, 1]] }, longitude: { ref: 'W', dms: [147, 19, [30, 1]] } };
+
+    for (const littleEndian of [false, true]) {
+      const metadata = await readPhotoMetadata(asFile(jpeg(exifSegment(tiffBlock({ ...hobart, littleEndian })))));
+      expect(metadata.latitude).toBeCloseTo(-42.88, 6);
+      expect(metadata.longitude).toBeCloseTo(-147.325, 6);
+    }
+  });
+
+  test('a JPEG without EXIF has nothing to read', async () => {
+    const jfif = segment(0xE0, [...ascii('JFIF\0'), 1, 1, 0, 0, 1, 0, 1, 0, 0]);
+
+    expect(await readPhotoMetadata(asFile(jpeg(jfif)))).toEqual({ takenAt: null, latitude: null, longitude: null });
+  });
+
+  test('a truncated EXIF segment is ignored rather than thrown', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const whole = jpeg(exifSegment(tiffBlock(london)));
+
+    expect(await readPhotoMetadata(asFile(whole.slice(0, 40)))).toEqual({ takenAt: null, latitude: null, longitude: null });
+    expect(error).toHaveBeenCalled();
+    error.mockRestore();
+  });
+});
@@ -7,11 +7,13 @@
 // You can also remove this file if you'd prefer not to use a
 // service worker, and the Workbox build step will be skipped.
 
+import { Queue } from 'workbox-background-sync';
 import { clientsClaim } from 'workbox-core';
 import { ExpirationPlugin } from 'workbox-expiration';
 import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
 import { registerRoute } from 'workbox-routing';
 import { StaleWhileRevalidate } from 'workbox-strategies';
+import { STORES, idbGet, idbPut } from './offlineStore';
 
 clientsClaim();
 
@@ -61,12 +63,165 @@ registerRoute(
   })
 );
 
+// Taxon data (our own taxon and species endpoints) is served
+// network-first, with the last good response kept in IndexedDB so taxa the
+// user has already seen keep working without signal.
+const jsonResponse = (body, init = {}) =>
+  new Response(typeof body === 'string' ? body : JSON.stringify(body), {
+    ...init,
+    headers: { 'Content-Type': 'application/json', ...init.headers }
+  });
+
+const networkFirstWithTaxonCache = async (request, cacheKey) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const body = await response.clone().text();
+      await idbPut(STORES.taxonResponses, cacheKey, { body, cachedAt: Date.now() });
+    }
+    return response;
+  } catch (err) {
+    const cached = await idbGet(STORES.taxonResponses, cacheKey);
+    if (cached) {
+      return jsonResponse(cached.body, { headers: { 'X-SpeciesDex-Offline': '1' } });
+    }
+    throw err;
+  }
+};
+
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname.startsWith('/api/taxa/'),
+  ({ request }) => networkFirstWithTaxonCache(request, request.url)
+);
+
+// POST bodies can't key a cache by URL, so these are keyed by what was asked
+// for, including the languages the common names were picked in
+const readBody = async (request) => {
+  try {
+    return await request.clone().json();
+  } catch {
+    return {};
+  }
+};
+
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname === '/api/species-details',
+  async ({ request }) => {
+    const body = await readBody(request);
+    const speciesName = (body.species_name || '').trim().toLowerCase();
+    return networkFirstWithTaxonCache(request, `species-details:${body.languages || ''}:${speciesName}`);
+  },
+  'POST'
+);
+
+// Batches are cached one taxon at a time, since the tree asks for a different
+// set of keys each time. Offline, the taxa seen before are answered from the
+// cache and the rest are listed in `uncached` so the app asks again later.
+const batchCacheKey = (languages, usageKey) => `taxa-batch:${languages || ''}:${usageKey}`;
+
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname === '/api/taxa/batch',
+  async ({ request }) => {
+    const { usage_keys: usageKeys = [], languages } = await readBody(request);
+    try {
+      const response = await fetch(request);
+      if (response.ok) {
+        const { taxa = {} } = await response.clone().json();
+        const cachedAt = Date.now();
+        await Promise.all(Object.values(taxa).map(taxon =>
+          idbPut(STORES.taxonResponses, batchCacheKey(languages, taxon.usage_key), { body: JSON.stringify(taxon), cachedAt })
+        ));
+      }
+      return response;
+    } catch (err) {
+      const taxa = {};
+      const uncached = [];
+      for (const usageKey of usageKeys) {
+        const cached = await idbGet(STORES.taxonResponses, batchCacheKey(languages, usageKey));
+        if (cached) taxa[usageKey] = JSON.parse(cached.body);
+        else uncached.push(usageKey);
+      }
+      if (uncached.length === usageKeys.length) throw err;
+      return jsonResponse({ success: true, taxa, missing: [], uncached }, { headers: { 'X-SpeciesDex-Offline': '1' } });
+    }
+  },
+  'POST'
+);
+
+// Photos taken without signal are queued and replayed by background sync.
+// Replayed results are parked in IndexedDB and the open app is told to pick
+// them up, so they still reach the tree if no tab was open at replay time.
+const notifyClients = async (message) => {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  windows.forEach(client => client.postMessage(message));
+};
+
+const replayIdentifications = async ({ queue }) => {
+  let entry;
+  let replayed = 0;
+  while ((entry = await queue.shiftRequest())) {
+    let response;
+    try {
+      response = await fetch(entry.request.clone());
+    } catch (err) {
+      // Still offline: put it back and let background sync retry later
+      await queue.unshiftRequest(entry);
+      throw err;
+    }
+    let result;
+    try {
+      result = await response.json();
+    } catch {
+      result = { success: false };
+    }
+    await idbPut(STORES.replayedIdentifications, `${entry.timestamp}-${replayed}`, {
+      queuedAt: entry.timestamp,
+      result
+    });
+    replayed++;
+  }
+  if (replayed > 0) {
+    await notifyClients({ type: 'IDENTIFICATIONS_REPLAYED', count: replayed });
+  }
+};
+
+const identificationQueue = new Queue('identify-species', {
+  maxRetentionTime: 7 * 24 * 60, // minutes
+  onSync: replayIdentifications
+});
+
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname === '/api/identify-species',
+  async ({ request }) => {
+    try {
+      return await fetch(request.clone());
+    } catch (err) {
+      // Batch imports keep their own queue and retry themselves
+      if (request.headers.get('X-SpeciesDex-No-Queue')) throw err;
+      await identificationQueue.pushRequest({ request });
+      return jsonResponse(
+        {
+          success: false,
+          queued: true,
+          message: 'Offline - the photo will be identified when the connection returns.'
+        },
+        { status: 202 }
+      );
+    }
+  },
+  'POST'
+);
+
 // This allows the web app to trigger skipWaiting via
 // registration.waiting.postMessage({type: 'SKIP_WAITING'})
 self.addEventListener('message', (event) => {
   if (event.data && event.data.type === 'SKIP_WAITING') {
     self.skipWaiting();
   }
+  // Browsers without Background Sync ask for a replay when they come back online
+  if (event.data && event.data.type === 'REPLAY_IDENTIFICATIONS') {
+    event.waitUntil(replayIdentifications({ queue: identificationQueue }).catch(() => {}));
+  }
 });
 
 // Any other custom service worker logic can go here.
@@ -0,0 +1,38 @@
+// Made-up collections for the taxon store's tests and benchmark
+
+// A deterministic collection of `count` species spread over three kingdoms,
+// with a subfamily under every family and a few legacy entries that only
+// have rank names and parent keys
+export const syntheticCollection = (count) => {
+  const keys = new Map();
+  const keyFor = (name) => {
+    if (!keys.has(name)) keys.set(name, 1000 + keys.size);
+    return keys.get(name);
+  };
+  const kingdoms = ['Animalia', 'Plantae', 'Fungi'];
+  return Array.from({ length: count }, (_, i) => {
+    const kingdom = kingdoms[i % 3];
+    const phylum = `${kingdom}-phylum-${(i >> 2) % 4}`;
+    const klass = `${phylum}-class-${(i >> 4) % 3}`;
+    const order = `${klass}-order-${(i >> 5) % 4}`;
+    const family = `${order}-family-${(i >> 7) % 5}`;
+    const subfamily = `${family}-subfamily-${(i >> 9) % 2}`;
+    const genus = `${subfamily}-genus-${(i >> 10) % 8}`;
+    const entry = {
+      usageKey: 5000000 + i,
+      scientificName: `${genus} species-${i}`,
+      rank: 'SPECIES',
+      sightings: [{ id: `s-${i}`, capturedAt: '2025-06-01T10:00:00Z' }]
+    };
+    if (i % 50 === 0) {
+      const parentKeys = { kingdom, phylum, class: klass, order, family, genus };
+      for (const field of Object.keys(parentKeys)) parentKeys[field] = keyFor(parentKeys[field]);
+      return { ...entry, kingdom, phylum, class: klass, order, family, genus, parent_keys: parentKeys };
+    }
+    entry.lineage = [
+      ['KINGDOM', kingdom], ['PHYLUM', phylum], ['CLASS', klass], ['ORDER', order],
+      ['FAMILY', family], ['SUBFAMILY', subfamily], ['GENUS', genus]
+    ].map(([rank, name]) => ({ rank, name, key: keyFor(name) }));
+    return entry;
+  });
+};
@@ -0,0 +1,60 @@
+// Times what one change to a large collection costs the tree view, with
+// 2,000 and 5,000 species. Not part of `npm test`, as timings depend on the
+// machine; run it with `npm run benchmark` and read the figures it prints.
+import { buildTaxonomyTree } from './taxonomyTree';
+import { createTaxonStore, syncTaxonStore, taxonTree } from './taxonStore';
+import { buildVisibleTree, layoutTree } from './treeNavigation';
+import { syntheticCollection } from './syntheticCollection';
+
+const median = (times) => [...times].sort((a, b) => a - b)[Math.floor(times.length / 2)];
+
+const time = (fn) => {
+  const start = performance.now();
+  fn();
+  return performance.now() - start;
+};
+
+// Times what the tree view does after adding or removing one species (update
+// the store, derive the tree, lay out what react-d3-tree will draw) against
+// building the whole tree again, and prints the figures
+const benchmark = (count) => {
+  const collection = syntheticCollection(count + 50);
+  const base = collection.slice(0, count);
+  const extra = collection.slice(count);
+  const store = createTaxonStore();
+
+  const rebuild = median(Array.from({ length: 5 }, () => time(() => buildTaxonomyTree(base))));
+  const initial = time(() => taxonTree(syncTaxonStore(store, base)));
+
+  let list = base;
+  const updates = [];
+  const frames = [];
+  for (const entry of extra) {
+    const added = [...list, entry];
+    updates.push(time(() => taxonTree(syncTaxonStore(store, added))));
+    const tree = taxonTree(store);
+    frames.push(time(() => layoutTree(buildVisibleTree(tree, new Set(), null))));
+    list = added;
+  }
+  for (const entry of extra) {
+    const removed = list.filter(e => e !== entry);
+    updates.push(time(() => taxonTree(syncTaxonStore(store, removed))));
+    list = removed;
+  }
+  // Re-renders that don't touch the collection (counts or names arriving)
+  const unchanged = median(Array.from({ length: 50 }, () => time(() => taxonTree(syncTaxonStore(store, list)))));
+
+  console.log([
+    `${count} species, ${store.nodes.size} taxa`,
+    `  full rebuild:              ${rebuild.toFixed(2)} ms`,
+    `  first load into the store: ${initial.toFixed(2)} ms`,
+    `  add or remove one species: ${median(updates).toFixed(3)} ms (median of ${updates.length})`,
+    `  unchanged collection:      ${unchanged.toFixed(4)} ms`,
+    `  visible tree and layout:   ${median(frames).toFixed(2)} ms (a frame at 60 fps is 16.7 ms)`
+  ].join('\n'));
+};
+
+test('tree updates with 2,000 and 5,000 species', () => {
+  benchmark(2000);
+  benchmark(5000);
+}, 120000);
@@ -0,0 +1,161 @@
+// Normalized store of the taxa in the collection, updated entry by entry so a
+// change doesn't rebuild the tree from the whole collection. Taxa are kept
+// once each, keyed by node id (the ranked path from the root, as in
+// treeNavigation) with a link to their parent, and indexed by usage key.
+// Each node caches the plain { name, attributes, children } object drawn for
+// it; a change only clears the caches on its way up to the root, so the rest
+// of the tree keeps the same objects and anything memoized on them holds.
+import { entryPath, nodeAttributes } from './taxonomyTree';
+
+const ROOT_ID = '';
+
+const stepId = (parentId, step) => `${parentId}/${step.label}:${step.name}`;
+
+const createNode = (id, parentId, name, attributes) => ({
+  id,
+  parentId,
+  name,
+  attributes,
+  children: new Set(),
+  // Entries placed at or below this node; it goes when the last one does
+  entryCount: 0,
+  tree: null
+});
+
+// One store per shape of tree: with `subRanks` it holds intermediate ranks too
+export const createTaxonStore = ({ subRanks = false } = {}) => ({
+  subRanks,
+  nodes: new Map([[ROOT_ID, createNode(ROOT_ID, null, 'Life', undefined)]]),
+  // Usage key -> ids of the nodes for that taxon
+  byUsageKey: new Map(),
+  // Usage key -> { entry, path } with the node ids from the root down
+  entries: new Map(),
+  // The collection last synced, so an unchanged one costs nothing
+  list: null
+});
+
+// Clear cached trees from a node up to the root. Ancestors of a cleared node
+// are always cleared too, so the walk stops at the first one already done.
+const invalidate = (store, id) => {
+  for (let node = store.nodes.get(id); node && node.tree; node = store.nodes.get(node.parentId)) {
+    node.tree = null;
+  }
+};
+
+const indexNode = (store, node) => {
+  const usageKey = node.attributes.usageKey;
+  if (!usageKey) return;
+  if (!store.byUsageKey.has(usageKey)) store.byUsageKey.set(usageKey, new Set());
+  store.byUsageKey.get(usageKey).add(node.id);
+};
+
+const unindexNode = (store, node) => {
+  const ids = store.byUsageKey.get(node.attributes.usageKey);
+  if (!ids) return;
+  ids.delete(node.id);
+  if (ids.size === 0) store.byUsageKey.delete(node.attributes.usageKey);
+};
+
+// Count an entry on every node of its path, creating the ones it's the first under
+const retainPath = (store, entry) => {
+  const root = store.nodes.get(ROOT_ID);
+  root.entryCount++;
+  const path = [];
+  let parent = root;
+  for (const step of entryPath(entry, store.subRanks)) {
+    const id = stepId(parent.id, step);
+    let node = store.nodes.get(id);
+    if (!node) {
+      node = createNode(id, parent.id, step.name, nodeAttributes(step));
+      store.nodes.set(id, node);
+      parent.children.add(id);
+      indexNode(store, node);
+      invalidate(store, parent.id);
+    }
+    node.entryCount++;
+    path.push(id);
+    parent = node;
+  }
+  return path;
+};
+
+// Undo retainPath, dropping nodes no other entry sits under
+const releasePath = (store, path) => {
+  store.nodes.get(ROOT_ID).entryCount--;
+  for (const id of [...path].reverse()) {
+    const node = store.nodes.get(id);
+    node.entryCount--;
+    if (node.entryCount > 0) continue;
+    store.nodes.delete(id);
+    store.nodes.get(node.parentId).children.delete(id);
+    unindexNode(store, node);
+    invalidate(store, node.parentId);
+  }
+};
+
+export const addEntry = (store, entry) => {
+  const placed = store.entries.get(entry.usageKey);
+  // Place the new version before letting go of the old one, so an entry
+  // that stays where it was (e.g. a sighting was added) changes no nodes
+  store.entries.set(entry.usageKey, { entry, path: retainPath(store, entry) });
+  if (placed) releasePath(store, placed.path);
+};
+
+export const removeEntry = (store, usageKey) => {
+  const placed = store.entries.get(usageKey);
+  if (!placed) return;
+  store.entries.delete(usageKey);
+  releasePath(store, placed.path);
+};
+
+// Bring the store in line with `speciesList`, touching only entries that were
+// added, removed or replaced since the last sync. Returns the store.
+export const syncTaxonStore = (store, speciesList) => {
+  if (store.list === speciesList) return store;
+  const present = new Set();
+  for (const entry of speciesList) {
+    present.add(entry.usageKey);
+    const placed = store.entries.get(entry.usageKey);
+    if (!placed || placed.entry !== entry) addEntry(store, entry);
+  }
+  for (const usageKey of [...store.entries.keys()]) {
+    if (!present.has(usageKey)) removeEntry(store, usageKey);
+  }
+  store.list = speciesList;
+  return store;
+};
+
+const nodeTree = (store, node) => {
+  if (!node.tree) {
+    const children = [...node.children].map(id => nodeTree(store, store.nodes.get(id)));
+    node.tree = node.attributes
+      ? { name: node.name, attributes: node.attributes, children }
+      : { name: node.name, children };
+  }
+  return node.tree;
+};
+
+// The tree as buildTaxonomyTree would give it, or null for an empty
+// collection. The same object comes back until the store changes, and
+// subtrees a change didn't reach are shared with the previous tree.
+export const taxonTree = (store) =>
+  store.entries.size > 0 ? nodeTree(store, store.nodes.get(ROOT_ID)) : null;
+
+// Id of the leaf a collection entry is drawn as
+export const entryNodeId = (store, usageKey) => {
+  const placed = store.entries.get(usageKey);
+  return placed ? placed.path[placed.path.length - 1] : null;
+};
+
+// Drawn node for an id, or null when nothing is there
+export const taxonNode = (store, id) => {
+  const node = id ? store.nodes.get(id) : null;
+  return node ? nodeTree(store, node) : null;
+};
+
+export const taxonUsageKeys = (store) => [...store.byUsageKey.keys()];
+
+// Drawn nodes for a taxon; usually one, but a genus observation's Unidentified
+// leaf shares its genus' key, and a taxon can sit under two Unknown ranks
+export const taxonNodes = (store, usageKey) =>
+  [...(store.byUsageKey.get(usageKey) || [])].map(id => nodeTree(store, store.nodes.get(id)));
@@ -0,0 +1,79 @@
+import { buildTaxonomyTree } from './taxonomyTree';
+import { addEntry, createTaxonStore, removeEntry, syncTaxonStore, taxonTree } from './taxonStore';
+import { buildVisibleTree } from './treeNavigation';
+import { syntheticCollection } from './syntheticCollection';
+
+// Sibling order follows when taxa were added, which differs between the two
+// builds once entries have come and gone
+const normalize = (node) => ({
+  ...node,
+  children: (node.children || [])
+    .map(normalize)
+    .sort((a, b) => `${a.attributes.label}:${a.name}`.localeCompare(`${b.attributes.label}:${b.name}`))
+});
+
+describe('taxon store', () => {
+  test.each([false, true])('matches a full rebuild after adds, removals and replacements (sub-ranks: %s)', (subRanks) => {
+    const collection = syntheticCollection(600);
+    const store = createTaxonStore({ subRanks });
+    let list = collection.slice(0, 400);
+    syncTaxonStore(store, list);
+
+    // Drop every third entry, move some to another genus and add the rest
+    list = list.filter((_, i) => i % 3 !== 0)
+      .map((entry, i) => (i % 7 === 0 ? { ...entry, lineage: collection[i + 1].lineage } : entry))
+      .concat(collection.slice(400));
+    syncTaxonStore(store, list);
+
+    expect(normalize(taxonTree(store))).toEqual(normalize(buildTaxonomyTree(list, { subRanks })));
+  });
+
+  test('keeps the same tree objects when no taxon changed', () => {
+    const collection = syntheticCollection(200);
+    const store = createTaxonStore();
+    const before = taxonTree(syncTaxonStore(store, collection));
+
+    expect(taxonTree(syncTaxonStore(store, collection))).toBe(before);
+
+    // A new sighting replaces the entry but leaves it where it was
+    const withSighting = collection.map((entry, i) =>
+      i === 10 ? { ...entry, sightings: [...entry.sightings, { id: 'new' }] } : entry);
+    expect(taxonTree(syncTaxonStore(store, withSighting))).toBe(before);
+  });
+
+  test('shares the subtrees a change did not reach', () => {
+    const collection = syntheticCollection(200);
+    const store = createTaxonStore();
+    const before = taxonTree(syncTaxonStore(store, collection));
+
+    removeEntry(store, collection[0].usageKey);
+    const after = taxonTree(store);
+
+    expect(after).not.toBe(before);
+    // The first entry is an animal; plants and fungi are untouched
+    expect(after.children[0].children[1]).toBe(before.children[0].children[1]);
+  });
+
+  test('removes taxa once their last entry goes', () => {
+    const [entry] = syntheticCollection(1);
+    const store = createTaxonStore();
+    addEntry(store, entry);
+    removeEntry(store, entry.usageKey);
+
+    expect(taxonTree(store)).toBeNull();
+    expect(store.nodes.size).toBe(1);
+    expect(store.byUsageKey.size).toBe(0);
+  });
+
+  test('draws the same visible tree as a fresh build after collapsing and changes', () => {
+    const collection = syntheticCollection(300);
+    const store = createTaxonStore();
+    const tree = taxonTree(syncTaxonStore(store, collection.slice(0, 250)));
+    const collapsed = new Set([buildVisibleTree(tree, new Set(), null).children[0].children[0].attributes.nodeId]);
+    buildVisibleTree(tree, collapsed, null);
+
+    const list = collection.slice(20);
+    const visible = buildVisibleTree(taxonTree(syncTaxonStore(store, list)), collapsed, null);
+    expect(normalize(visible)).toEqual(normalize(buildVisibleTree(buildTaxonomyTree(list), collapsed, null)));
+  });
+});
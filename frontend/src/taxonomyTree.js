@@ -0,0 +1,159 @@
+// Builds the taxonomy tree from the collection. Every entry is placed by its
+// own classification from GBIF: the `lineage` the backend sends (ancestors,
+// highest first) where the entry has one, otherwise the rank names and
+// `parent_keys` stored with older entries. A major rank that's missing is
+// drawn as an explicit "Unknown" node rather than borrowed from another
+// species or assumed (Animalia, Chordata, Eukaryota).
+import { UNIDENTIFIED_LABEL, UNKNOWN_TAXON } from './collectionViews';
+
+export const MAJOR_RANKS = ['Domain', 'Kingdom', 'Phylum', 'Class', 'Order', 'Family', 'Genus'];
+
+// Intermediate GBIF ranks and the major rank each sits below; only drawn when
+// the tree is asked for sub-ranks
+const INTERMEDIATE_RANKS = {
+  SUBKINGDOM: 'Kingdom',
+  INFRAKINGDOM: 'Kingdom',
+  SUPERPHYLUM: 'Kingdom',
+  SUBPHYLUM: 'Phylum',
+  INFRAPHYLUM: 'Phylum',
+  SUPERCLASS: 'Phylum',
+  SUBCLASS: 'Class',
+  INFRACLASS: 'Class',
+  SUPERORDER: 'Class',
+  SUBORDER: 'Order',
+  INFRAORDER: 'Order',
+  SUPERFAMILY: 'Order',
+  SUBFAMILY: 'Family',
+  TRIBE: 'Family',
+  SUBTRIBE: 'Family',
+  SUBGENUS: 'Genus',
+  SECTION: 'Genus'
+};
+
+// Ranks below species; such an entry is still a Species leaf, labelled with
+// its own rank when sub-ranks are shown
+const INFRASPECIFIC_RANKS = ['SUBSPECIES', 'VARIETY', 'FORM'];
+
+// The GBIF backbone has no domain rank, so it follows from the kingdom.
+// Viruses and incertae sedis have none and get an Unknown domain.
+const DOMAIN_BY_KINGDOM = {
+  animalia: 'Eukaryota',
+  plantae: 'Eukaryota',
+  fungi: 'Eukaryota',
+  chromista: 'Eukaryota',
+  protozoa: 'Eukaryota',
+  bacteria: 'Bacteria',
+  archaea: 'Archaea'
+};
+
+const titleCase = (word) => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+
+// The backend writes 'unknown' for ranks GBIF didn't give
+const knownName = (name) => (name && name.toLowerCase() !== 'unknown' ? name : null);
+
+const toKey = (value) => {
+  const key = parseInt(value, 10);
+  return Number.isFinite(key) ? key : undefined;
+};
+
+// Major ranks by label ({ Kingdom: { name, usageKey } }) and, in order, the
+// intermediate ranks of one entry
+const classify = (entry) => {
+  const major = {};
+  const intermediate = [];
+
+  for (const ancestor of Array.isArray(entry.lineage) ? entry.lineage : []) {
+    const rank = (ancestor.rank || '').toUpperCase();
+    const label = titleCase(rank);
+    if (MAJOR_RANKS.includes(label)) {
+      major[label] = { name: ancestor.name, usageKey: toKey(ancestor.key) };
+    } else if (INTERMEDIATE_RANKS[rank]) {
+      intermediate.push({ label, below: INTERMEDIATE_RANKS[rank], name: ancestor.name, usageKey: toKey(ancestor.key) });
+    }
+  }
+
+  // Entries saved before lineages were sent, or a lineage GBIF couldn't give
+  for (const label of MAJOR_RANKS.slice(1)) {
+    const field = label.toLowerCase();
+    const name = knownName(entry[field]);
+    if (major[label] || !name) continue;
+    major[label] = {
+      name: titleCase(name),
+      usageKey: toKey((entry.parent_keys && entry.parent_keys[field]) || entry[`${field}Key`])
+    };
+  }
+
+  if (!major.Domain && major.Kingdom) {
+    const domain = DOMAIN_BY_KINGDOM[major.Kingdom.name.toLowerCase()];
+    if (domain) major.Domain = { name: domain, usageKey: undefined };
+  }
+
+  return { major, intermediate };
+};
+
+// Path of nodes from the root to an entry's leaf
+export const entryPath = (entry, subRanks) => {
+  const { major, intermediate } = classify(entry);
+  // An observation identified only to genus, family or order stops at that
+  // rank and hangs off it as its own "Unidentified" leaf
+  const lastRank = entry.identifiedRank ? MAJOR_RANKS.indexOf(entry.identifiedRank) : MAJOR_RANKS.length - 1;
+  const path = [];
+  let placed = 0;
+  const placeMajorThrough = (index) => {
+    for (; placed <= index; placed++) {
+      const label = MAJOR_RANKS[placed];
+      path.push(major[label]
+        ? { label, ...major[label] }
+        : { label, name: UNKNOWN_TAXON, unknown: true });
+    }
+  };
+
+  if (subRanks) {
+    for (const rank of intermediate) {
+      const below = MAJOR_RANKS.indexOf(rank.below);
+      if (below > lastRank) break;
+      placeMajorThrough(below);
+      path.push({ label: rank.label, name: rank.name, usageKey: rank.usageKey, intermediate: true });
+    }
+  }
+  placeMajorThrough(lastRank);
+
+  if (entry.identifiedRank) {
+    path.push({ label: UNIDENTIFIED_LABEL, name: `${entry.scientificName} sp.`, usageKey: entry.usageKey, rank: entry.identifiedRank });
+  } else {
+    const ownRank = (entry.rank || '').toUpperCase();
+    path.push(subRanks && INFRASPECIFIC_RANKS.includes(ownRank)
+      ? { label: 'Species', name: entry.scientificName, usageKey: entry.usageKey, rank: titleCase(ownRank) }
+      : { label: 'Species', name: entry.scientificName, usageKey: entry.usageKey });
+  }
+  return path;
+};
+
+export const nodeAttributes = (step) => {
+  const attributes = { label: step.label, usageKey: step.usageKey };
+  if (step.rank) attributes.rank = step.rank;
+  if (step.unknown) attributes.unknown = true;
+  if (step.intermediate) attributes.intermediate = true;
+  return attributes;
+};
+
+// Each node: { name, attributes: { label, usageKey, ... }, children: [] }.
+// With `subRanks`, intermediate ranks such as subfamily and tribe are
+// inserted between the major ones (flagged `intermediate`) and infraspecific
+// entries carry their own rank. This builds the whole tree at once; the app
+// keeps it in a taxonStore instead, which updates entry by entry.
+export const buildTaxonomyTree = (speciesList, { subRanks = false } = {}) => {
+  const root = { name: 'Life', children: [] };
+  for (const entry of speciesList) {
+    let node = root;
+    for (const step of entryPath(entry, subRanks)) {
+      let child = node.children.find(c => c.name === step.name && c.attributes.label === step.label);
+      if (!child) {
+        child = { name: step.name, attributes: nodeAttributes(step), children: [] };
+        node.children.push(child);
+      }
+      node = child;
+    }
+  }
+  return root;
+};
@@ -0,0 +1,195 @@
+// Collapse, focus and find for the taxonomy tree. react-d3-tree lays out
+// whatever data it's given, so collapsing and focusing are done by handing it
+// a trimmed copy of the tree, and the same d3 layout is run here to know where
+// a node will land before panning to it.
+import { hierarchy, tree as d3tree } from 'd3-hierarchy';
+import { rankedChildren } from './collectionViews';
+
+const STORAGE_KEY = 'speciesdex.treeView';
+const SUB_RANKS_KEY = 'speciesdex.subRanks';
+
+export const TREE_NODE_SIZE = { x: 300, y: 110 };
+export const TREE_SEPARATION = { siblings: 1, nonSiblings: 1.25 };
+
+// Node ids are the ranked path from the root, e.g. "/Kingdom:Animalia/Phylum:Chordata"
+const childId = (parentId, node) =>
+  node.attributes && node.attributes.label ? `${parentId}/${node.attributes.label}:${node.name}` : parentId;
+
+export const lineageNodeId = (lineage) => lineage.map(level => `/${level.label}:${level.name}`).join('');
+
+// Ids of every node above `id`, nearest last
+export const ancestorIds = (id) => {
+  const parts = id.split('/').slice(1);
+  return parts.slice(0, -1).map((_, i) => `/${parts.slice(0, i + 1).join('/')}`);
+};
+
+export const isWithin = (id, ancestorId) => id === ancestorId || id.startsWith(`${ancestorId}/`);
+
+export const loadTreeViewState = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return {
+      collapsed: Array.isArray(saved?.collapsed) ? saved.collapsed : [],
+      focusId: saved?.focusId || null
+    };
+  } catch {
+    return { collapsed: [], focusId: null };
+  }
+};
+
+export const saveTreeViewState = (state) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  } catch (err) {
+    console.error('Could not save tree view:', err);
+  }
+};
+
+// Whether intermediate ranks (subfamily, tribe...) are drawn; off by default
+export const loadSubRanksSetting = () => {
+  try {
+    return window.localStorage.getItem(SUB_RANKS_KEY) === 'true';
+  } catch {
+    return false;
+  }
+};
+
+export const saveSubRanksSetting = (show) => {
+  try {
+    window.localStorage.setItem(SUB_RANKS_KEY, String(show));
+  } catch (err) {
+    console.error('Could not save tree view:', err);
+  }
+};
+
+// Species counts and drawn copies of subtrees. The taxon store hands back the
+// same objects for subtrees a change didn't reach, so these carry over.
+const speciesCounts = new WeakMap();
+const expandedSubtrees = new WeakMap();
+
+const countSpecies = (node) => {
+  if (node.attributes?.label === 'Species') return 1;
+  if (!speciesCounts.has(node)) {
+    speciesCounts.set(node, (node.children || []).reduce((sum, c) => sum + countSpecies(c), 0));
+  }
+  return speciesCounts.get(node);
+};
+
+// Find a node in the full tree by id, along with its parent's id
+const locate = (node, targetId, parentId = '') => {
+  const id = childId(parentId, node);
+  if (id === targetId && node.attributes?.label) return { node, parentId };
+  for (const child of node.children || []) {
+    const found = locate(child, targetId, id);
+    if (found) return found;
+  }
+  return null;
+};
+
+export const findNodeById = (treeData, id) => {
+  const found = treeData && locate(treeData, id);
+  return found ? found.node : null;
+};
+
+// Drop collapsed and focused nodes that are no longer in the tree, e.g. once
+// the last species under them has been removed
+export const pruneTreeViewState = (state, treeData) => {
+  const exists = (id) => Boolean(findNodeById(treeData, id));
+  const collapsed = state.collapsed.filter(exists);
+  const focusId = state.focusId && exists(state.focusId) ? state.focusId : null;
+  return collapsed.length === state.collapsed.length && focusId === state.focusId
+    ? state
+    : { collapsed, focusId };
+};
+
+// The tree react-d3-tree should draw: rooted at the focused clade (if any),
+// with collapsed nodes' children removed. Every node gets its id and how many
+// species sit below it in `attributes`.
+export const buildVisibleTree = (treeData, collapsed, focusId) => {
+  // Nodes with a collapsed node at or below them; any other subtree is drawn
+  // in full and its copy can be reused
+  const holdsCollapsed = new Set();
+  for (const id of collapsed) {
+    holdsCollapsed.add(id);
+    ancestorIds(id).forEach(ancestor => holdsCollapsed.add(ancestor));
+  }
+  const visit = (node, parentId) => {
+    const id = childId(parentId, node);
+    const expanded = !holdsCollapsed.has(id) && expandedSubtrees.get(node);
+    if (expanded && expanded.attributes.nodeId === id) return expanded;
+    const children = node.children || [];
+    const isCollapsed = collapsed.has(id) && children.length > 0;
+    const visible = {
+      ...node,
+      attributes: {
+        ...node.attributes,
+        nodeId: id,
+        collapsed: isCollapsed,
+        // Taxa found at the next major rank, for found/total
+        childCount: rankedChildren(node).length,
+        speciesCount: countSpecies(node)
+      },
+      children: isCollapsed ? [] : children.map(child => visit(child, id))
+    };
+    if (!holdsCollapsed.has(id)) expandedSubtrees.set(node, visible);
+    return visible;
+  };
+  const focus = focusId && locate(treeData, focusId);
+  return focus ? visit(focus.node, focus.parentId) : visit(treeData, '');
+};
+
+// Nodes whose scientific or common name contains `query`, in tree order
+export const findTreeMatches = (treeData, query, commonNames) => {
+  const needle = query.trim().toLowerCase();
+  if (!needle || !treeData) return [];
+  const matches = [];
+  const walk = (node, parentId) => {
+    const id = childId(parentId, node);
+    const usageKey = node.attributes?.usageKey;
+    const commonName = usageKey && commonNames[usageKey];
+    if (node.attributes?.label && (node.name.toLowerCase().includes(needle) ||
+        (commonName && commonName.toLowerCase().includes(needle)))) {
+      matches.push({ id, name: commonName || node.name });
+    }
+    for (const child of node.children || []) walk(child, id);
+  };
+  walk(treeData, '');
+  return matches;
+};
+
+// Position of every visible node, matching react-d3-tree's horizontal layout
+export const layoutTree = (visibleTree) => {
+  const layout = d3tree()
+    .nodeSize([TREE_NODE_SIZE.y, TREE_NODE_SIZE.x])
+    .separation((a, b) => a.parent === b.parent ? TREE_SEPARATION.siblings : TREE_SEPARATION.nonSiblings);
+  const positions = new Map();
+  layout(hierarchy(visibleTree)).each(d => {
+    positions.set(d.data.attributes.nodeId, { x: d.y, y: d.x });
+  });
+  return positions;
+};
+
+// Translate that puts `position` in the middle of a viewport of `dimensions`
+export const centreOn = (position, dimensions, zoom) => ({
+  x: dimensions.width / 2 - position.x * zoom,
+  y: dimensions.height / 2 - position.y * zoom
+});
+
+// Zoom and translate that fit every node in the viewport
+export const fitTree = (positions, dimensions, { minZoom = 0.1, maxZoom = 1 } = {}) => {
+  const points = [...positions.values()];
+  if (points.length === 0) return { zoom: 1, translate: { x: dimensions.width / 2, y: dimensions.height / 2 } };
+  // Leave room for the node boxes around the outermost centres
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const minX = Math.min(...xs) - TREE_NODE_SIZE.x / 2;
+  const maxX = Math.max(...xs) + TREE_NODE_SIZE.x / 2;
+  const minY = Math.min(...ys) - TREE_NODE_SIZE.y / 2;
+  const maxY = Math.max(...ys) + TREE_NODE_SIZE.y / 2;
+  const zoom = Math.min(maxZoom, Math.max(minZoom,
+    Math.min(dimensions.width / (maxX - minX), dimensions.height / (maxY - minY))));
+  return {
+    zoom,
+    translate: centreOn({ x: (minX + maxX) / 2, y: (minY + maxY) / 2 }, dimensions, zoom)
+  };
+};
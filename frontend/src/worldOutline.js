@@ -0,0 +1,61 @@
+// Simplified coastline outlines as [longitude, latitude] rings. Deliberately
+// coarse: it only has to give sightings a sense of place, and being bundled
+// means the map works with no network and no tile server.
+const worldOutline = [
+  // North America
+  [[-168, 66], [-162, 70], [-140, 70], [-125, 70], [-95, 72], [-80, 73], [-65, 62], [-60, 55], [-56, 52],
+    [-66, 45], [-70, 42], [-76, 35], [-81, 31], [-80, 25], [-82, 27], [-84, 30], [-90, 29], [-97, 27],
+    [-97, 22], [-92, 18], [-87, 21], [-88, 16], [-83, 10], [-78, 8], [-80, 7], [-86, 11], [-92, 14],
+    [-105, 20], [-110, 24], [-112, 30], [-115, 30], [-117, 33], [-121, 35], [-124, 40], [-124, 46],
+    [-128, 51], [-135, 57], [-145, 60], [-152, 58], [-160, 56], [-165, 60]],
+  // Greenland
+  [[-73, 78], [-60, 82], [-30, 83], [-20, 80], [-20, 72], [-25, 69], [-40, 65], [-44, 60], [-50, 64],
+    [-55, 70], [-60, 76]],
+  // Iceland
+  [[-24, 64], [-14, 64], [-14, 66], [-22, 66]],
+  // South America
+  [[-78, 8], [-72, 12], [-62, 11], [-52, 5], [-50, 0], [-35, -5], [-35, -9], [-39, -15], [-41, -22],
+    [-48, -26], [-53, -34], [-58, -38], [-62, -41], [-65, -45], [-68, -51], [-70, -55], [-74, -52],
+    [-74, -45], [-73, -37], [-71, -30], [-70, -18], [-76, -14], [-81, -5], [-80, 0]],
+  // Eurasia
+  [[-10, 36], [-9, 43], [-2, 44], [-5, 48], [2, 51], [8, 54], [10, 57], [5, 58], [5, 62], [14, 68],
+    [25, 71], [40, 68], [45, 68], [60, 70], [70, 73], [80, 73], [100, 78], [110, 76], [130, 72],
+    [140, 72], [160, 70], [180, 69], [180, 65], [170, 60], [163, 58], [156, 51], [156, 57], [143, 59],
+    [135, 55], [140, 48], [130, 42], [127, 39], [126, 35], [121, 31], [122, 29], [117, 24], [110, 21],
+    [108, 16], [109, 12], [105, 9], [103, 11], [100, 13], [100, 7], [104, 1], [99, 8], [98, 16],
+    [94, 19], [90, 22], [87, 21], [80, 15], [77, 8], [73, 16], [72, 21], [67, 25], [57, 25], [56, 27],
+    [50, 30], [48, 29], [51, 24], [56, 26], [58, 23], [55, 17], [44, 12], [43, 15], [39, 22], [35, 28],
+    [33, 31], [35, 36], [29, 36], [27, 37], [26, 40], [29, 41], [41, 41], [37, 45], [30, 46], [28, 44],
+    [23, 40], [22, 37], [19, 42], [13, 45], [12, 44], [18, 40], [16, 38], [12, 41], [9, 44], [3, 43],
+    [0, 39], [-5, 36]],
+  // Great Britain
+  [[-5, 50], [1, 51], [2, 53], [-2, 56], [-2, 58], [-6, 58], [-5, 55], [-3, 54], [-5, 52]],
+  // Ireland
+  [[-10, 52], [-6, 52], [-6, 55], [-8, 55], [-10, 54]],
+  // Africa
+  [[-17, 21], [-13, 28], [-9, 33], [-5, 36], [10, 37], [11, 33], [20, 31], [30, 31], [32, 30], [35, 24],
+    [38, 18], [43, 12], [51, 12], [48, 5], [40, -3], [40, -11], [35, -24], [33, -26], [27, -34],
+    [20, -35], [18, -32], [12, -17], [13, -8], [9, -1], [9, 4], [4, 6], [-4, 5], [-8, 4], [-13, 8],
+    [-17, 15]],
+  // Madagascar
+  [[44, -25], [47, -25], [50, -15], [49, -12], [44, -17]],
+  // Japan
+  [[130, 31], [135, 34], [140, 35], [142, 40], [142, 45], [140, 42], [137, 37], [132, 35]],
+  // Sumatra
+  [[95, 5], [98, 4], [104, -2], [106, -6], [101, -3]],
+  // Borneo
+  [[109, 2], [117, 7], [119, 5], [117, 1], [116, -4], [110, -3]],
+  // New Guinea
+  [[131, -1], [138, -2], [146, -6], [150, -10], [143, -9], [138, -8]],
+  // Australia
+  [[114, -22], [114, -34], [118, -35], [124, -33], [131, -31], [138, -35], [141, -38], [150, -37],
+    [153, -28], [153, -25], [146, -19], [142, -11], [141, -17], [136, -12], [131, -11], [126, -14],
+    [122, -18]],
+  // New Zealand
+  [[172, -34], [178, -38], [175, -42], [171, -46], [167, -46], [172, -41], [174, -37]],
+  // Antarctica
+  [[-180, -84], [180, -84], [180, -72], [150, -68], [100, -65], [60, -67], [0, -70], [-60, -64],
+    [-70, -70], [-100, -73], [-150, -76], [-180, -78]]
+];
+
+export default worldOutline;